@@ -0,0 +1,43 @@
+// This file was autogenerated by Hardhat, do not edit it.
+// prettier-ignore
+// tslint:disable
+// eslint-disable
+// biome-ignore format: see above
+
+export interface AgentAttestations$Type {
+  readonly _format: "hh3-artifact-1";
+  readonly contractName: "AgentAttestations";
+  readonly sourceName: "contracts/AgentAttestations.sol";
+  readonly abi: [{"inputs":[{"internalType":"address","name":"registryAddress","type":"address"}],"stateMutability":"nonpayable","type":"constructor"},{"inputs":[],"name":"AlreadyAttested","type":"error"},{"inputs":[],"name":"AlreadyRevoked","type":"error"},{"inputs":[],"name":"AttestationNotFound","type":"error"},{"inputs":[],"name":"CheckpointNotFound","type":"error"},{"inputs":[],"name":"CommentTooLong","type":"error"},{"inputs":[],"name":"InvalidScore","type":"error"},{"inputs":[],"name":"IssuerInactive","type":"error"},{"inputs":[],"name":"NotIssuer","type":"error"},{"inputs":[],"name":"NotRegisteredAgent","type":"error"},{"inputs":[],"name":"SelfAttestation","type":"error"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"uint256","name":"id","type":"uint256"},{"indexed":true,"internalType":"address","name":"issuerAddress","type":"address"},{"indexed":false,"internalType":"string","name":"issuer","type":"string"},{"indexed":false,"internalType":"string","name":"subject","type":"string"},{"indexed":false,"internalType":"uint256","name":"checkpointIndex","type":"uint256"},{"indexed":false,"internalType":"bytes32","name":"merkleRoot","type":"bytes32"},{"indexed":false,"internalType":"uint8","name":"score","type":"uint8"},{"indexed":false,"internalType":"string","name":"comment","type":"string"}],"name":"AttestationIssued","type":"event"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"uint256","name":"id","type":"uint256"},{"indexed":true,"internalType":"address","name":"issuerAddress","type":"address"},{"indexed":false,"internalType":"string","name":"issuer","type":"string"},{"indexed":false,"internalType":"string","name":"subject","type":"string"}],"name":"AttestationRevoked","type":"event"},{"inputs":[],"name":"MAX_COMMENT_LENGTH","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"MAX_SCORE","outputs":[{"internalType":"uint8","name":"","type":"uint8"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"string","name":"subject","type":"string"},{"internalType":"uint256","name":"checkpointIndex","type":"uint256"},{"internalType":"uint8","name":"score","type":"uint8"},{"internalType":"string","name":"comment","type":"string"}],"name":"attest","outputs":[{"internalType":"uint256","name":"id","type":"uint256"}],"stateMutability":"nonpayable","type":"function"},{"inputs":[],"name":"attestationCount","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"string","name":"issuer","type":"string"},{"internalType":"string","name":"subject","type":"string"},{"internalType":"uint256","name":"checkpointIndex","type":"uint256"}],"name":"findAttestation","outputs":[{"internalType":"bool","name":"found","type":"bool"},{"internalType":"uint256","name":"id","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"uint256","name":"id","type":"uint256"}],"name":"getAttestation","outputs":[{"components":[{"internalType":"string","name":"issuer","type":"string"},{"internalType":"string","name":"subject","type":"string"},{"internalType":"uint256","name":"checkpointIndex","type":"uint256"},{"internalType":"bytes32","name":"merkleRoot","type":"bytes32"},{"internalType":"uint8","name":"score","type":"uint8"},{"internalType":"string","name":"comment","type":"string"},{"internalType":"address","name":"issuerAddress","type":"address"},{"internalType":"uint256","name":"timestamp","type":"uint256"},{"internalType":"bool","name":"revoked","type":"bool"}],"internalType":"struct AgentAttestations.Attestation","name":"","type":"tuple"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"string","name":"issuer","type":"string"}],"name":"getAttestationsBy","outputs":[{"internalType":"uint256[]","name":"","type":"uint256[]"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"string","name":"subject","type":"string"}],"name":"getAttestationsFor","outputs":[{"internalType":"uint256[]","name":"","type":"uint256[]"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"registry","outputs":[{"internalType":"contract IAgentMemoryRegistry","name":"","type":"address"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"uint256","name":"id","type":"uint256"}],"name":"revoke","outputs":[],"stateMutability":"nonpayable","type":"function"}];
+  readonly bytecode: "0x60a06040523480156200001157600080fd5b5060405162002656380380620026568339818101604052810190620000379190620000dc565b8073ffffffffffffffffffffffffffffffffffffffff1660808173ffffffffffffffffffffffffffffffffffffffff1681525050506200010e565b600080fd5b600073ffffffffffffffffffffffffffffffffffffffff82169050919050565b6000620000a48262000077565b9050919050565b620000b68162000097565b8114620000c257600080fd5b50565b600081519050620000d681620000ab565b92915050565b600060208284031215620000f557620000f462000072565b5b60006200010584828501620000c5565b91505092915050565b6080516125096200014d6000396000818161031f015281816108e5015281816109c301528181610b7501528181610ceb01526110b101526125096000f3fe608060405234801561001057600080fd5b506004361061009e5760003560e01c80637781771811610066578063778177181461015b5780637b1039991461018b5780637bf983fa146101a95780639ca784cb146101da578063a15b93211461020a5761009e565b80631f23a42e146100a357806320c5429b146100d357806327ff6223146100ef57806329be4db21461010d5780635856e4fa1461013d575b600080fd5b6100bd60048036038101906100b89190611351565b610228565b6040516100ca9190611466565b60405180910390f35b6100ed60048036038101906100e891906114b4565b6102a1565b005b6100f76105f8565b60405161010491906114fd565b60405180910390f35b610127600480360381019061012291906114b4565b6105fd565b60405161013491906116ff565b60405180910390f35b6101456108da565b6040516101529190611730565b60405180910390f35b61017560048036038101906101709190611777565b6108e0565b6040516101829190611730565b60405180910390f35b6101936110af565b6040516101a0919061187d565b60405180910390f35b6101c360048036038101906101be9190611898565b6110d3565b6040516101d192919061193c565b60405180910390f35b6101f460048036038101906101ef9190611351565b6111b3565b6040516102019190611466565b60405180910390f35b61021261122c565b60405161021f9190611730565b60405180910390f35b60606001838360405161023c9291906119a4565b908152602001604051809103902080548060200260200160405190810160405280929190818152602001828054801561029457602002820191906000526020600020905b815481526020019060010190808311610280575b5050505050905092915050565b60008054905081106102df576040517f120a2e7700000000000000000000000000000000000000000000000000000000815260040160405180910390fd5b60008082815481106102f4576102f36119bd565b5b90600052602060002090600902019050806000016040516103159190611aef565b60405180910390207f000000000000000000000000000000000000000000000000000000000000000073ffffffffffffffffffffffffffffffffffffffff166365f78215336040518263ffffffff1660e01b81526004016103769190611b15565b600060405180830381865afa158015610393573d6000803e3d6000fd5b505050506040513d6000823e3d601f19601f820116820180604052508101906103bc9190611c51565b80519060200120146103fa576040517f54ec506300000000000000000000000000000000000000000000000000000000815260040160405180910390fd5b8060080160009054906101000a900460ff1615610443576040517f905e710700000000000000000000000000000000000000000000000000000000815260040160405180910390fd5b60018160080160006101000a81548160ff0219169083151502179055506003600061058b83600001805461047690611a1b565b80601f01602080910402602001604051908101604052809291908181526020018280546104a290611a1b565b80156104ef5780601f106104c4576101008083540402835291602001916104ef565b820191906000526020600020905b8154815290600101906020018083116104d257829003601f168201915b505050505084600101805461050390611a1b565b80601f016020809104026020016040519081016040528092919081815260200182805461052f90611a1b565b801561057c5780601f106105515761010080835404028352916020019161057c565b820191906000526020600020905b81548152906001019060200180831161055f57829003601f168201915b50505050508560020154611238565b8152602001908152602001600020600090553373ffffffffffffffffffffffffffffffffffffffff16827fe40d854531dbdc14e20c8153e10b949ca02f0803a475727d83ab9cea59589d4683600001846001016040516105ec929190611d44565b60405180910390a35050565b606481565b61060561126e565b6000805490508210610643576040517f120a2e7700000000000000000000000000000000000000000000000000000000815260040160405180910390fd5b60008281548110610657576106566119bd565b5b90600052602060002090600902016040518061012001604052908160008201805461068190611a1b565b80601f01602080910402602001604051908101604052809291908181526020018280546106ad90611a1b565b80156106fa5780601f106106cf576101008083540402835291602001916106fa565b820191906000526020600020905b8154815290600101906020018083116106dd57829003601f168201915b5050505050815260200160018201805461071390611a1b565b80601f016020809104026020016040519081016040528092919081815260200182805461073f90611a1b565b801561078c5780601f106107615761010080835404028352916020019161078c565b820191906000526020600020905b81548152906001019060200180831161076f57829003601f168201915b5050505050815260200160028201548152602001600382015481526020016004820160009054906101000a900460ff1660ff1660ff1681526020016005820180546107d690611a1b565b80601f016020809104026020016040519081016040528092919081815260200182805461080290611a1b565b801561084f5780601f106108245761010080835404028352916020019161084f565b820191906000526020600020905b81548152906001019060200180831161083257829003601f168201915b505050505081526020016006820160009054906101000a900473ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff168152602001600782015481526020016008820160009054906101000a900460ff1615151515815250509050919050565b61011881565b6000807f000000000000000000000000000000000000000000000000000000000000000073ffffffffffffffffffffffffffffffffffffffff166365f78215336040518263ffffffff1660e01b815260040161093c9190611b15565b600060405180830381865afa158015610959573d6000803e3d6000fd5b505050506040513d6000823e3d601f19601f820116820180604052508101906109829190611c51565b905060008151036109bf576040517ff6b72bbe00000000000000000000000000000000000000000000000000000000815260040160405180910390fd5b60007f000000000000000000000000000000000000000000000000000000000000000073ffffffffffffffffffffffffffffffffffffffff1663cf6ee0cb836040518263ffffffff1660e01b8152600401610a1a9190611db4565b600060405180830381865afa158015610a37573d6000803e3d6000fd5b505050506040513d6000823e3d601f19601f82011682018060405250810190610a609190611e43565b935050505080610a9c576040517f1cdecf2e00000000000000000000000000000000000000000000000000000000815260040160405180910390fd5b8888604051610aac929190611eeb565b6040518091039020828051906020012003610af3576040517f9bce328400000000000000000000000000000000000000000000000000000000815260040160405180910390fd5b606460ff168660ff161115610b34576040517f1556136500000000000000000000000000000000000000000000000000000000815260040160405180910390fd5b610118858590501115610b73576040517fbd5042ac00000000000000000000000000000000000000000000000000000000815260040160405180910390fd5b7f000000000000000000000000000000000000000000000000000000000000000073ffffffffffffffffffffffffffffffffffffffff166306b15c838a8a6040518363ffffffff1660e01b8152600401610bce929190611f31565b602060405180830381865afa158015610beb573d6000803e3d6000fd5b505050506040513d601f19601f82011682018060405250810190610c0f9190611f55565b8710610c47576040517fbe72dda600000000000000000000000000000000000000000000000000000000815260040160405180910390fd5b6000610c98838b8b8080601f016020809104026020016040519081016040528093929190818152602001838380828437600081840152601f19601f820116905080830192505050505050508a611238565b90506000600360008381526020019081526020016000205414610ce7576040517f35d9080500000000000000000000000000000000000000000000000000000000815260040160405180910390fd5b60007f000000000000000000000000000000000000000000000000000000000000000073ffffffffffffffffffffffffffffffffffffffff1663b8b643f48c8c8c6040518463ffffffff1660e01b8152600401610d4693929190611f82565b600060405180830381865afa158015610d63573d6000803e3d6000fd5b505050506040513d6000823e3d601f19601f82011682018060405250810190610d8c919061207e565b600001519050600080549050945060006040518061012001604052808681526020018d8d8080601f016020809104026020016040519081016040528093929190818152602001838380828437600081840152601f19601f8201169050808301925050505050505081526020018b81526020018381526020018a60ff16815260200189898080601f016020809104026020016040519081016040528093929190818152602001838380828437600081840152601f19601f8201169050808301925050505050505081526020013373ffffffffffffffffffffffffffffffffffffffff1681526020014281526020016000151581525090806001815401808255809150506001900390600052602060002090600902016000909190919091506000820151816000019081610ebe9190612254565b506020820151816001019081610ed49190612254565b50604082015181600201556060820151816003015560808201518160040160006101000a81548160ff021916908360ff16021790555060a0820151816005019081610f1f9190612254565b5060c08201518160060160006101000a81548173ffffffffffffffffffffffffffffffffffffffff021916908373ffffffffffffffffffffffffffffffffffffffff16021790555060e082015181600701556101008201518160080160006101000a81548160ff021916908315150217905550505060018b8b604051610fa69291906119a4565b9081526020016040518091039020859080600181540180825580915050600190039060005260206000200160009091909190915055600284604051610feb9190612357565b908152602001604051809103902085908060018154018082558091505060019003906000526020600020016000909190919091505560018561102d919061239d565b60036000848152602001908152602001600020819055503373ffffffffffffffffffffffffffffffffffffffff16857f1802661af9282058822985fbd6ea7be4fe16247a63533823769d7d7b7f29ace7868e8e8e878f8f8f6040516110999897969594939291906123e0565b60405180910390a3505050509695505050505050565b7f000000000000000000000000000000000000000000000000000000000000000081565b60008060006003600061116f8a8a8080601f016020809104026020016040519081016040528093929190818152602001838380828437600081840152601f19601f8201169050808301925050505050505089898080601f016020809104026020016040519081016040528093929190818152602001838380828437600081840152601f19601f8201169050808301925050505050505088611238565b8152602001908152602001600020549050600081036111955760008092509250506111a9565b600180826111a3919061245a565b92509250505b9550959350505050565b6060600283836040516111c79291906119a4565b908152602001604051809103902080548060200260200160405190810160405280929190818152602001828054801561121f57602002820191906000526020600020905b81548152602001906001019080831161120b575b5050505050905092915050565b60008080549050905090565b600083838360405160200161124f9392919061248e565b6040516020818303038152906040528051906020012090509392505050565b60405180610120016040528060608152602001606081526020016000815260200160008019168152602001600060ff16815260200160608152602001600073ffffffffffffffffffffffffffffffffffffffff168152602001600081526020016000151581525090565b6000604051905090565b600080fd5b600080fd5b600080fd5b600080fd5b600080fd5b60008083601f840112611311576113106112ec565b5b8235905067ffffffffffffffff81111561132e5761132d6112f1565b5b60208301915083600182028301111561134a576113496112f6565b5b9250929050565b60008060208385031215611368576113676112e2565b5b600083013567ffffffffffffffff811115611386576113856112e7565b5b611392858286016112fb565b92509250509250929050565b600081519050919050565b600082825260208201905092915050565b6000819050602082019050919050565b6000819050919050565b6113dd816113ca565b82525050565b60006113ef83836113d4565b60208301905092915050565b6000602082019050919050565b60006114138261139e565b61141d81856113a9565b9350611428836113ba565b8060005b8381101561145957815161144088826113e3565b975061144b836113fb565b92505060018101905061142c565b5085935050505092915050565b600060208201905081810360008301526114808184611408565b905092915050565b611491816113ca565b811461149c57600080fd5b50565b6000813590506114ae81611488565b92915050565b6000602082840312156114ca576114c96112e2565b5b60006114d88482850161149f565b91505092915050565b600060ff82169050919050565b6114f7816114e1565b82525050565b600060208201905061151260008301846114ee565b92915050565b600081519050919050565b600082825260208201905092915050565b60005b83811015611552578082015181840152602081019050611537565b60008484015250505050565b6000601f19601f8301169050919050565b600061157a82611518565b6115848185611523565b9350611594818560208601611534565b61159d8161155e565b840191505092915050565b6000819050919050565b6115bb816115a8565b82525050565b6115ca816114e1565b82525050565b600073ffffffffffffffffffffffffffffffffffffffff82169050919050565b60006115fb826115d0565b9050919050565b61160b816115f0565b82525050565b60008115159050919050565b61162681611611565b82525050565b600061012083016000830151848203600086015261164a828261156f565b91505060208301518482036020860152611664828261156f565b915050604083015161167960408601826113d4565b50606083015161168c60608601826115b2565b50608083015161169f60808601826115c1565b5060a083015184820360a08601526116b7828261156f565b91505060c08301516116cc60c0860182611602565b5060e08301516116df60e08601826113d4565b506101008301516116f461010086018261161d565b508091505092915050565b60006020820190508181036000830152611719818461162c565b905092915050565b61172a816113ca565b82525050565b60006020820190506117456000830184611721565b92915050565b611754816114e1565b811461175f57600080fd5b50565b6000813590506117718161174b565b92915050565b60008060008060008060808789031215611794576117936112e2565b5b600087013567ffffffffffffffff8111156117b2576117b16112e7565b5b6117be89828a016112fb565b965096505060206117d189828a0161149f565b94505060406117e289828a01611762565b935050606087013567ffffffffffffffff811115611803576118026112e7565b5b61180f89828a016112fb565b92509250509295509295509295565b6000819050919050565b600061184361183e611839846115d0565b61181e565b6115d0565b9050919050565b600061185582611828565b9050919050565b60006118678261184a565b9050919050565b6118778161185c565b82525050565b6000602082019050611892600083018461186e565b92915050565b6000806000806000606086880312156118b4576118b36112e2565b5b600086013567ffffffffffffffff8111156118d2576118d16112e7565b5b6118de888289016112fb565b9550955050602086013567ffffffffffffffff811115611901576119006112e7565b5b61190d888289016112fb565b935093505060406119208882890161149f565b9150509295509295909350565b61193681611611565b82525050565b6000604082019050611951600083018561192d565b61195e6020830184611721565b9392505050565b600081905092915050565b82818337600083830152505050565b600061198b8385611965565b9350611998838584611970565b82840190509392505050565b60006119b182848661197f565b91508190509392505050565b7f4e487b7100000000000000000000000000000000000000000000000000000000600052603260045260246000fd5b7f4e487b7100000000000000000000000000000000000000000000000000000000600052602260045260246000fd5b60006002820490506001821680611a3357607f821691505b602082108103611a4657611a456119ec565b5b50919050565b600081905092915050565b60008190508160005260206000209050919050565b60008154611a7981611a1b565b611a838186611a4c565b94506001821660008114611a9e5760018114611ab357611ae6565b60ff1983168652811515820286019350611ae6565b611abc85611a57565b60005b83811015611ade57815481890152600182019150602081019050611abf565b838801955050505b50505092915050565b6000611afb8284611a6c565b915081905092915050565b611b0f816115f0565b82525050565b6000602082019050611b2a6000830184611b06565b92915050565b600080fd5b7f4e487b7100000000000000000000000000000000000000000000000000000000600052604160045260246000fd5b611b6d8261155e565b810181811067ffffffffffffffff82111715611b8c57611b8b611b35565b5b80604052505050565b6000611b9f6112d8565b9050611bab8282611b64565b919050565b600067ffffffffffffffff821115611bcb57611bca611b35565b5b611bd48261155e565b9050602081019050919050565b6000611bf4611bef84611bb0565b611b95565b905082815260208101848484011115611c1057611c0f611b30565b5b611c1b848285611534565b509392505050565b600082601f830112611c3857611c376112ec565b5b8151611c48848260208601611be1565b91505092915050565b600060208284031215611c6757611c666112e2565b5b600082015167ffffffffffffffff811115611c8557611c846112e7565b5b611c9184828501611c23565b91505092915050565b600082825260208201905092915050565b60008190508160005260206000209050919050565b60008154611ccd81611a1b565b611cd78186611c9a565b94506001821660008114611cf25760018114611d0857611d3b565b60ff198316865281151560200286019350611d3b565b611d1185611cab565b60005b83811015611d3357815481890152600182019150602081019050611d14565b808801955050505b50505092915050565b60006040820190508181036000830152611d5e8185611cc0565b90508181036020830152611d728184611cc0565b90509392505050565b6000611d8682611518565b611d908185611c9a565b9350611da0818560208601611534565b611da98161155e565b840191505092915050565b60006020820190508181036000830152611dce8184611d7b565b905092915050565b611ddf816115f0565b8114611dea57600080fd5b50565b600081519050611dfc81611dd6565b92915050565b600081519050611e1181611488565b92915050565b611e2081611611565b8114611e2b57600080fd5b50565b600081519050611e3d81611e17565b92915050565b60008060008060808587031215611e5d57611e5c6112e2565b5b6000611e6b87828801611ded565b945050602085015167ffffffffffffffff811115611e8c57611e8b6112e7565b5b611e9887828801611c23565b9350506040611ea987828801611e02565b9250506060611eba87828801611e2e565b91505092959194509250565b6000611ed28385611a4c565b9350611edf838584611970565b82840190509392505050565b6000611ef8828486611ec6565b91508190509392505050565b6000611f108385611c9a565b9350611f1d838584611970565b611f268361155e565b840190509392505050565b60006020820190508181036000830152611f4c818486611f04565b90509392505050565b600060208284031215611f6b57611f6a6112e2565b5b6000611f7984828501611e02565b91505092915050565b60006040820190508181036000830152611f9d818587611f04565b9050611fac6020830184611721565b949350505050565b600080fd5b600080fd5b611fc7816115a8565b8114611fd257600080fd5b50565b600081519050611fe481611fbe565b92915050565b60006080828403121561200057611fff611fb4565b5b61200a6080611b95565b9050600061201a84828501611fd5565b600083015250602061202e84828501611e02565b602083015250604061204284828501611e02565b604083015250606082015167ffffffffffffffff81111561206657612065611fb9565b5b61207284828501611c23565b60608301525092915050565b600060208284031215612094576120936112e2565b5b600082015167ffffffffffffffff8111156120b2576120b16112e7565b5b6120be84828501611fea565b91505092915050565b60006020601f8301049050919050565b600082821b905092915050565b6000600883026121147fffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffff826120d7565b61211e86836120d7565b95508019841693508086168417925050509392505050565b600061215161214c612147846113ca565b61181e565b6113ca565b9050919050565b6000819050919050565b61216b83612136565b61217f61217782612158565b8484546120e4565b825550505050565b600090565b612194612187565b61219f818484612162565b505050565b5b818110156121c3576121b860008261218c565b6001810190506121a5565b5050565b601f821115612208576121d981611cab565b6121e2846120c7565b810160208510156121f1578190505b6122056121fd856120c7565b8301826121a4565b50505b505050565b600082821c905092915050565b600061222b6000198460080261220d565b1980831691505092915050565b6000612244838361221a565b9150826002028217905092915050565b61225d82611518565b67ffffffffffffffff81111561227657612275611b35565b5b6122808254611a1b565b61228b8282856121c7565b600060209050601f8311600181146122be57600084156122ac578287015190505b6122b68582612238565b86555061231e565b601f1984166122cc86611cab565b60005b828110156122f4578489015182556001820191506020850194506020810190506122cf565b86831015612311578489015161230d601f89168261221a565b8355505b6001600288020188555050505b505050505050565b600061233182611518565b61233b8185611965565b935061234b818560208601611534565b80840191505092915050565b60006123638284612326565b915081905092915050565b7f4e487b7100000000000000000000000000000000000000000000000000000000600052601160045260246000fd5b60006123a8826113ca565b91506123b3836113ca565b92508282019050808211156123cb576123ca61236e565b5b92915050565b6123da816115a8565b82525050565b600060c08201905081810360008301526123fa818b611d7b565b9050818103602083015261240f81898b611f04565b905061241e6040830188611721565b61242b60608301876123d1565b61243860808301866114ee565b81810360a083015261244b818486611f04565b90509998505050505050505050565b6000612465826113ca565b9150612470836113ca565b92508282039050818111156124885761248761236e565b5b92915050565b600060608201905081810360008301526124a88186611d7b565b905081810360208301526124bc8185611d7b565b90506124cb6040830184611721565b94935050505056fea26469706673582212203ebcf30d695c3dcd7c12b0724e9f9971d88db16c783b67ddb86b1750ecb6d21f64736f6c63430008130033";
+  readonly deployedBytecode: "0x608060405234801561001057600080fd5b506004361061009e5760003560e01c80637781771811610066578063778177181461015b5780637b1039991461018b5780637bf983fa146101a95780639ca784cb146101da578063a15b93211461020a5761009e565b80631f23a42e146100a357806320c5429b146100d357806327ff6223146100ef57806329be4db21461010d5780635856e4fa1461013d575b600080fd5b6100bd60048036038101906100b89190611351565b610228565b6040516100ca9190611466565b60405180910390f35b6100ed60048036038101906100e891906114b4565b6102a1565b005b6100f76105f8565b60405161010491906114fd565b60405180910390f35b610127600480360381019061012291906114b4565b6105fd565b60405161013491906116ff565b60405180910390f35b6101456108da565b6040516101529190611730565b60405180910390f35b61017560048036038101906101709190611777565b6108e0565b6040516101829190611730565b60405180910390f35b6101936110af565b6040516101a0919061187d565b60405180910390f35b6101c360048036038101906101be9190611898565b6110d3565b6040516101d192919061193c565b60405180910390f35b6101f460048036038101906101ef9190611351565b6111b3565b6040516102019190611466565b60405180910390f35b61021261122c565b60405161021f9190611730565b60405180910390f35b60606001838360405161023c9291906119a4565b908152602001604051809103902080548060200260200160405190810160405280929190818152602001828054801561029457602002820191906000526020600020905b815481526020019060010190808311610280575b5050505050905092915050565b60008054905081106102df576040517f120a2e7700000000000000000000000000000000000000000000000000000000815260040160405180910390fd5b60008082815481106102f4576102f36119bd565b5b90600052602060002090600902019050806000016040516103159190611aef565b60405180910390207f000000000000000000000000000000000000000000000000000000000000000073ffffffffffffffffffffffffffffffffffffffff166365f78215336040518263ffffffff1660e01b81526004016103769190611b15565b600060405180830381865afa158015610393573d6000803e3d6000fd5b505050506040513d6000823e3d601f19601f820116820180604052508101906103bc9190611c51565b80519060200120146103fa576040517f54ec506300000000000000000000000000000000000000000000000000000000815260040160405180910390fd5b8060080160009054906101000a900460ff1615610443576040517f905e710700000000000000000000000000000000000000000000000000000000815260040160405180910390fd5b60018160080160006101000a81548160ff0219169083151502179055506003600061058b83600001805461047690611a1b565b80601f01602080910402602001604051908101604052809291908181526020018280546104a290611a1b565b80156104ef5780601f106104c4576101008083540402835291602001916104ef565b820191906000526020600020905b8154815290600101906020018083116104d257829003601f168201915b505050505084600101805461050390611a1b565b80601f016020809104026020016040519081016040528092919081815260200182805461052f90611a1b565b801561057c5780601f106105515761010080835404028352916020019161057c565b820191906000526020600020905b81548152906001019060200180831161055f57829003601f168201915b50505050508560020154611238565b8152602001908152602001600020600090553373ffffffffffffffffffffffffffffffffffffffff16827fe40d854531dbdc14e20c8153e10b949ca02f0803a475727d83ab9cea59589d4683600001846001016040516105ec929190611d44565b60405180910390a35050565b606481565b61060561126e565b6000805490508210610643576040517f120a2e7700000000000000000000000000000000000000000000000000000000815260040160405180910390fd5b60008281548110610657576106566119bd565b5b90600052602060002090600902016040518061012001604052908160008201805461068190611a1b565b80601f01602080910402602001604051908101604052809291908181526020018280546106ad90611a1b565b80156106fa5780601f106106cf576101008083540402835291602001916106fa565b820191906000526020600020905b8154815290600101906020018083116106dd57829003601f168201915b5050505050815260200160018201805461071390611a1b565b80601f016020809104026020016040519081016040528092919081815260200182805461073f90611a1b565b801561078c5780601f106107615761010080835404028352916020019161078c565b820191906000526020600020905b81548152906001019060200180831161076f57829003601f168201915b5050505050815260200160028201548152602001600382015481526020016004820160009054906101000a900460ff1660ff1660ff1681526020016005820180546107d690611a1b565b80601f016020809104026020016040519081016040528092919081815260200182805461080290611a1b565b801561084f5780601f106108245761010080835404028352916020019161084f565b820191906000526020600020905b81548152906001019060200180831161083257829003601f168201915b505050505081526020016006820160009054906101000a900473ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff168152602001600782015481526020016008820160009054906101000a900460ff1615151515815250509050919050565b61011881565b6000807f000000000000000000000000000000000000000000000000000000000000000073ffffffffffffffffffffffffffffffffffffffff166365f78215336040518263ffffffff1660e01b815260040161093c9190611b15565b600060405180830381865afa158015610959573d6000803e3d6000fd5b505050506040513d6000823e3d601f19601f820116820180604052508101906109829190611c51565b905060008151036109bf576040517ff6b72bbe00000000000000000000000000000000000000000000000000000000815260040160405180910390fd5b60007f000000000000000000000000000000000000000000000000000000000000000073ffffffffffffffffffffffffffffffffffffffff1663cf6ee0cb836040518263ffffffff1660e01b8152600401610a1a9190611db4565b600060405180830381865afa158015610a37573d6000803e3d6000fd5b505050506040513d6000823e3d601f19601f82011682018060405250810190610a609190611e43565b935050505080610a9c576040517f1cdecf2e00000000000000000000000000000000000000000000000000000000815260040160405180910390fd5b8888604051610aac929190611eeb565b6040518091039020828051906020012003610af3576040517f9bce328400000000000000000000000000000000000000000000000000000000815260040160405180910390fd5b606460ff168660ff161115610b34576040517f1556136500000000000000000000000000000000000000000000000000000000815260040160405180910390fd5b610118858590501115610b73576040517fbd5042ac00000000000000000000000000000000000000000000000000000000815260040160405180910390fd5b7f000000000000000000000000000000000000000000000000000000000000000073ffffffffffffffffffffffffffffffffffffffff166306b15c838a8a6040518363ffffffff1660e01b8152600401610bce929190611f31565b602060405180830381865afa158015610beb573d6000803e3d6000fd5b505050506040513d601f19601f82011682018060405250810190610c0f9190611f55565b8710610c47576040517fbe72dda600000000000000000000000000000000000000000000000000000000815260040160405180910390fd5b6000610c98838b8b8080601f016020809104026020016040519081016040528093929190818152602001838380828437600081840152601f19601f820116905080830192505050505050508a611238565b90506000600360008381526020019081526020016000205414610ce7576040517f35d9080500000000000000000000000000000000000000000000000000000000815260040160405180910390fd5b60007f000000000000000000000000000000000000000000000000000000000000000073ffffffffffffffffffffffffffffffffffffffff1663b8b643f48c8c8c6040518463ffffffff1660e01b8152600401610d4693929190611f82565b600060405180830381865afa158015610d63573d6000803e3d6000fd5b505050506040513d6000823e3d601f19601f82011682018060405250810190610d8c919061207e565b600001519050600080549050945060006040518061012001604052808681526020018d8d8080601f016020809104026020016040519081016040528093929190818152602001838380828437600081840152601f19601f8201169050808301925050505050505081526020018b81526020018381526020018a60ff16815260200189898080601f016020809104026020016040519081016040528093929190818152602001838380828437600081840152601f19601f8201169050808301925050505050505081526020013373ffffffffffffffffffffffffffffffffffffffff1681526020014281526020016000151581525090806001815401808255809150506001900390600052602060002090600902016000909190919091506000820151816000019081610ebe9190612254565b506020820151816001019081610ed49190612254565b50604082015181600201556060820151816003015560808201518160040160006101000a81548160ff021916908360ff16021790555060a0820151816005019081610f1f9190612254565b5060c08201518160060160006101000a81548173ffffffffffffffffffffffffffffffffffffffff021916908373ffffffffffffffffffffffffffffffffffffffff16021790555060e082015181600701556101008201518160080160006101000a81548160ff021916908315150217905550505060018b8b604051610fa69291906119a4565b9081526020016040518091039020859080600181540180825580915050600190039060005260206000200160009091909190915055600284604051610feb9190612357565b908152602001604051809103902085908060018154018082558091505060019003906000526020600020016000909190919091505560018561102d919061239d565b60036000848152602001908152602001600020819055503373ffffffffffffffffffffffffffffffffffffffff16857f1802661af9282058822985fbd6ea7be4fe16247a63533823769d7d7b7f29ace7868e8e8e878f8f8f6040516110999897969594939291906123e0565b60405180910390a3505050509695505050505050565b7f000000000000000000000000000000000000000000000000000000000000000081565b60008060006003600061116f8a8a8080601f016020809104026020016040519081016040528093929190818152602001838380828437600081840152601f19601f8201169050808301925050505050505089898080601f016020809104026020016040519081016040528093929190818152602001838380828437600081840152601f19601f8201169050808301925050505050505088611238565b8152602001908152602001600020549050600081036111955760008092509250506111a9565b600180826111a3919061245a565b92509250505b9550959350505050565b6060600283836040516111c79291906119a4565b908152602001604051809103902080548060200260200160405190810160405280929190818152602001828054801561121f57602002820191906000526020600020905b81548152602001906001019080831161120b575b5050505050905092915050565b60008080549050905090565b600083838360405160200161124f9392919061248e565b6040516020818303038152906040528051906020012090509392505050565b60405180610120016040528060608152602001606081526020016000815260200160008019168152602001600060ff16815260200160608152602001600073ffffffffffffffffffffffffffffffffffffffff168152602001600081526020016000151581525090565b6000604051905090565b600080fd5b600080fd5b600080fd5b600080fd5b600080fd5b60008083601f840112611311576113106112ec565b5b8235905067ffffffffffffffff81111561132e5761132d6112f1565b5b60208301915083600182028301111561134a576113496112f6565b5b9250929050565b60008060208385031215611368576113676112e2565b5b600083013567ffffffffffffffff811115611386576113856112e7565b5b611392858286016112fb565b92509250509250929050565b600081519050919050565b600082825260208201905092915050565b6000819050602082019050919050565b6000819050919050565b6113dd816113ca565b82525050565b60006113ef83836113d4565b60208301905092915050565b6000602082019050919050565b60006114138261139e565b61141d81856113a9565b9350611428836113ba565b8060005b8381101561145957815161144088826113e3565b975061144b836113fb565b92505060018101905061142c565b5085935050505092915050565b600060208201905081810360008301526114808184611408565b905092915050565b611491816113ca565b811461149c57600080fd5b50565b6000813590506114ae81611488565b92915050565b6000602082840312156114ca576114c96112e2565b5b60006114d88482850161149f565b91505092915050565b600060ff82169050919050565b6114f7816114e1565b82525050565b600060208201905061151260008301846114ee565b92915050565b600081519050919050565b600082825260208201905092915050565b60005b83811015611552578082015181840152602081019050611537565b60008484015250505050565b6000601f19601f8301169050919050565b600061157a82611518565b6115848185611523565b9350611594818560208601611534565b61159d8161155e565b840191505092915050565b6000819050919050565b6115bb816115a8565b82525050565b6115ca816114e1565b82525050565b600073ffffffffffffffffffffffffffffffffffffffff82169050919050565b60006115fb826115d0565b9050919050565b61160b816115f0565b82525050565b60008115159050919050565b61162681611611565b82525050565b600061012083016000830151848203600086015261164a828261156f565b91505060208301518482036020860152611664828261156f565b915050604083015161167960408601826113d4565b50606083015161168c60608601826115b2565b50608083015161169f60808601826115c1565b5060a083015184820360a08601526116b7828261156f565b91505060c08301516116cc60c0860182611602565b5060e08301516116df60e08601826113d4565b506101008301516116f461010086018261161d565b508091505092915050565b60006020820190508181036000830152611719818461162c565b905092915050565b61172a816113ca565b82525050565b60006020820190506117456000830184611721565b92915050565b611754816114e1565b811461175f57600080fd5b50565b6000813590506117718161174b565b92915050565b60008060008060008060808789031215611794576117936112e2565b5b600087013567ffffffffffffffff8111156117b2576117b16112e7565b5b6117be89828a016112fb565b965096505060206117d189828a0161149f565b94505060406117e289828a01611762565b935050606087013567ffffffffffffffff811115611803576118026112e7565b5b61180f89828a016112fb565b92509250509295509295509295565b6000819050919050565b600061184361183e611839846115d0565b61181e565b6115d0565b9050919050565b600061185582611828565b9050919050565b60006118678261184a565b9050919050565b6118778161185c565b82525050565b6000602082019050611892600083018461186e565b92915050565b6000806000806000606086880312156118b4576118b36112e2565b5b600086013567ffffffffffffffff8111156118d2576118d16112e7565b5b6118de888289016112fb565b9550955050602086013567ffffffffffffffff811115611901576119006112e7565b5b61190d888289016112fb565b935093505060406119208882890161149f565b9150509295509295909350565b61193681611611565b82525050565b6000604082019050611951600083018561192d565b61195e6020830184611721565b9392505050565b600081905092915050565b82818337600083830152505050565b600061198b8385611965565b9350611998838584611970565b82840190509392505050565b60006119b182848661197f565b91508190509392505050565b7f4e487b7100000000000000000000000000000000000000000000000000000000600052603260045260246000fd5b7f4e487b7100000000000000000000000000000000000000000000000000000000600052602260045260246000fd5b60006002820490506001821680611a3357607f821691505b602082108103611a4657611a456119ec565b5b50919050565b600081905092915050565b60008190508160005260206000209050919050565b60008154611a7981611a1b565b611a838186611a4c565b94506001821660008114611a9e5760018114611ab357611ae6565b60ff1983168652811515820286019350611ae6565b611abc85611a57565b60005b83811015611ade57815481890152600182019150602081019050611abf565b838801955050505b50505092915050565b6000611afb8284611a6c565b915081905092915050565b611b0f816115f0565b82525050565b6000602082019050611b2a6000830184611b06565b92915050565b600080fd5b7f4e487b7100000000000000000000000000000000000000000000000000000000600052604160045260246000fd5b611b6d8261155e565b810181811067ffffffffffffffff82111715611b8c57611b8b611b35565b5b80604052505050565b6000611b9f6112d8565b9050611bab8282611b64565b919050565b600067ffffffffffffffff821115611bcb57611bca611b35565b5b611bd48261155e565b9050602081019050919050565b6000611bf4611bef84611bb0565b611b95565b905082815260208101848484011115611c1057611c0f611b30565b5b611c1b848285611534565b509392505050565b600082601f830112611c3857611c376112ec565b5b8151611c48848260208601611be1565b91505092915050565b600060208284031215611c6757611c666112e2565b5b600082015167ffffffffffffffff811115611c8557611c846112e7565b5b611c9184828501611c23565b91505092915050565b600082825260208201905092915050565b60008190508160005260206000209050919050565b60008154611ccd81611a1b565b611cd78186611c9a565b94506001821660008114611cf25760018114611d0857611d3b565b60ff198316865281151560200286019350611d3b565b611d1185611cab565b60005b83811015611d3357815481890152600182019150602081019050611d14565b808801955050505b50505092915050565b60006040820190508181036000830152611d5e8185611cc0565b90508181036020830152611d728184611cc0565b90509392505050565b6000611d8682611518565b611d908185611c9a565b9350611da0818560208601611534565b611da98161155e565b840191505092915050565b60006020820190508181036000830152611dce8184611d7b565b905092915050565b611ddf816115f0565b8114611dea57600080fd5b50565b600081519050611dfc81611dd6565b92915050565b600081519050611e1181611488565b92915050565b611e2081611611565b8114611e2b57600080fd5b50565b600081519050611e3d81611e17565b92915050565b60008060008060808587031215611e5d57611e5c6112e2565b5b6000611e6b87828801611ded565b945050602085015167ffffffffffffffff811115611e8c57611e8b6112e7565b5b611e9887828801611c23565b9350506040611ea987828801611e02565b9250506060611eba87828801611e2e565b91505092959194509250565b6000611ed28385611a4c565b9350611edf838584611970565b82840190509392505050565b6000611ef8828486611ec6565b91508190509392505050565b6000611f108385611c9a565b9350611f1d838584611970565b611f268361155e565b840190509392505050565b60006020820190508181036000830152611f4c818486611f04565b90509392505050565b600060208284031215611f6b57611f6a6112e2565b5b6000611f7984828501611e02565b91505092915050565b60006040820190508181036000830152611f9d818587611f04565b9050611fac6020830184611721565b949350505050565b600080fd5b600080fd5b611fc7816115a8565b8114611fd257600080fd5b50565b600081519050611fe481611fbe565b92915050565b60006080828403121561200057611fff611fb4565b5b61200a6080611b95565b9050600061201a84828501611fd5565b600083015250602061202e84828501611e02565b602083015250604061204284828501611e02565b604083015250606082015167ffffffffffffffff81111561206657612065611fb9565b5b61207284828501611c23565b60608301525092915050565b600060208284031215612094576120936112e2565b5b600082015167ffffffffffffffff8111156120b2576120b16112e7565b5b6120be84828501611fea565b91505092915050565b60006020601f8301049050919050565b600082821b905092915050565b6000600883026121147fffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffff826120d7565b61211e86836120d7565b95508019841693508086168417925050509392505050565b600061215161214c612147846113ca565b61181e565b6113ca565b9050919050565b6000819050919050565b61216b83612136565b61217f61217782612158565b8484546120e4565b825550505050565b600090565b612194612187565b61219f818484612162565b505050565b5b818110156121c3576121b860008261218c565b6001810190506121a5565b5050565b601f821115612208576121d981611cab565b6121e2846120c7565b810160208510156121f1578190505b6122056121fd856120c7565b8301826121a4565b50505b505050565b600082821c905092915050565b600061222b6000198460080261220d565b1980831691505092915050565b6000612244838361221a565b9150826002028217905092915050565b61225d82611518565b67ffffffffffffffff81111561227657612275611b35565b5b6122808254611a1b565b61228b8282856121c7565b600060209050601f8311600181146122be57600084156122ac578287015190505b6122b68582612238565b86555061231e565b601f1984166122cc86611cab565b60005b828110156122f4578489015182556001820191506020850194506020810190506122cf565b86831015612311578489015161230d601f89168261221a565b8355505b6001600288020188555050505b505050505050565b600061233182611518565b61233b8185611965565b935061234b818560208601611534565b80840191505092915050565b60006123638284612326565b915081905092915050565b7f4e487b7100000000000000000000000000000000000000000000000000000000600052601160045260246000fd5b60006123a8826113ca565b91506123b3836113ca565b92508282019050808211156123cb576123ca61236e565b5b92915050565b6123da816115a8565b82525050565b600060c08201905081810360008301526123fa818b611d7b565b9050818103602083015261240f81898b611f04565b905061241e6040830188611721565b61242b60608301876123d1565b61243860808301866114ee565b81810360a083015261244b818486611f04565b90509998505050505050505050565b6000612465826113ca565b9150612470836113ca565b92508282039050818111156124885761248761236e565b5b92915050565b600060608201905081810360008301526124a88186611d7b565b905081810360208301526124bc8185611d7b565b90506124cb6040830184611721565b94935050505056fea26469706673582212203ebcf30d695c3dcd7c12b0724e9f9971d88db16c783b67ddb86b1750ecb6d21f64736f6c63430008130033";
+  readonly linkReferences: {};
+  readonly deployedLinkReferences: {};
+  readonly immutableReferences: {"72":[{"length":32,"start":799},{"length":32,"start":2277},{"length":32,"start":2499},{"length":32,"start":2933},{"length":32,"start":3307},{"length":32,"start":4273}]};
+  readonly inputSourceName: "project/contracts/AgentAttestations.sol";
+  readonly buildInfoId: "solc-0_8_19-dbd3130ba9161a97cec5abbe97bf755005cb66f0";
+};
+
+export interface IAgentMemoryRegistry$Type {
+  readonly _format: "hh3-artifact-1";
+  readonly contractName: "IAgentMemoryRegistry";
+  readonly sourceName: "contracts/AgentAttestations.sol";
+  readonly abi: [{"inputs":[{"internalType":"address","name":"owner","type":"address"}],"name":"addressToAgent","outputs":[{"internalType":"string","name":"","type":"string"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"string","name":"agentId","type":"string"}],"name":"agents","outputs":[{"internalType":"address","name":"owner","type":"address"},{"internalType":"string","name":"id","type":"string"},{"internalType":"uint256","name":"registeredAt","type":"uint256"},{"internalType":"bool","name":"active","type":"bool"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"string","name":"agentId","type":"string"},{"internalType":"uint256","name":"index","type":"uint256"}],"name":"getCheckpoint","outputs":[{"components":[{"internalType":"bytes32","name":"merkleRoot","type":"bytes32"},{"internalType":"uint256","name":"timestamp","type":"uint256"},{"internalType":"uint256","name":"blockNumber","type":"uint256"},{"internalType":"string","name":"metadata","type":"string"}],"internalType":"struct IAgentMemoryRegistry.Checkpoint","name":"","type":"tuple"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"string","name":"agentId","type":"string"}],"name":"getCheckpointCount","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"}];
+  readonly bytecode: "0x";
+  readonly deployedBytecode: "0x";
+  readonly linkReferences: {};
+  readonly deployedLinkReferences: {};
+  readonly immutableReferences: {};
+  readonly inputSourceName: "project/contracts/AgentAttestations.sol";
+  readonly buildInfoId: "solc-0_8_19-dbd3130ba9161a97cec5abbe97bf755005cb66f0";
+};
+
+import "hardhat/types/artifacts";
+declare module "hardhat/types/artifacts" {
+  interface ArtifactMap {
+    ["AgentAttestations"]: AgentAttestations$Type
+    ["IAgentMemoryRegistry"]: IAgentMemoryRegistry$Type;
+    ["contracts/AgentAttestations.sol:AgentAttestations"]: AgentAttestations$Type
+    ["contracts/AgentAttestations.sol:IAgentMemoryRegistry"]: IAgentMemoryRegistry$Type;
+  }
+}
\ No newline at end of file
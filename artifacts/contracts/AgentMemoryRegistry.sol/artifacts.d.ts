@@ -8,14 +8,14 @@ export interface AgentMemoryRegistry$Type {
   readonly _format: "hh3-artifact-1";
   readonly contractName: "AgentMemoryRegistry";
   readonly sourceName: "contracts/AgentMemoryRegistry.sol";
-  readonly abi: [{"inputs":[],"name":"AddressAlreadyHasAgent","type":"error"},{"inputs":[],"name":"AgentAlreadyRegistered","type":"error"},{"inputs":[],"name":"AgentInactive","type":"error"},{"inputs":[],"name":"AgentNotRegistered","type":"error"},{"inputs":[],"name":"EmptyAgentId","type":"error"},{"inputs":[],"name":"NotAgentOwner","type":"error"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"string","name":"agentId","type":"string"},{"indexed":true,"internalType":"address","name":"owner","type":"address"},{"indexed":false,"internalType":"uint256","name":"timestamp","type":"uint256"}],"name":"AgentRegistered","type":"event"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"string","name":"agentId","type":"string"},{"indexed":true,"internalType":"address","name":"oldOwner","type":"address"},{"indexed":true,"internalType":"address","name":"newOwner","type":"address"}],"name":"AgentTransferred","type":"event"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"string","name":"agentId","type":"string"},{"indexed":true,"internalType":"bytes32","name":"merkleRoot","type":"bytes32"},{"indexed":true,"internalType":"uint256","name":"checkpointIndex","type":"uint256"},{"indexed":false,"internalType":"uint256","name":"timestamp","type":"uint256"},{"indexed":false,"internalType":"string","name":"metadata","type":"string"}],"name":"CheckpointPublished","type":"event"},{"inputs":[{"internalType":"address","name":"","type":"address"}],"name":"addressToAgent","outputs":[{"internalType":"string","name":"","type":"string"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"string","name":"","type":"string"}],"name":"agents","outputs":[{"internalType":"address","name":"owner","type":"address"},{"internalType":"string","name":"agentId","type":"string"},{"internalType":"uint256","name":"registeredAt","type":"uint256"},{"internalType":"bool","name":"active","type":"bool"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"string","name":"","type":"string"},{"internalType":"uint256","name":"","type":"uint256"}],"name":"checkpoints","outputs":[{"internalType":"bytes32","name":"merkleRoot","type":"bytes32"},{"internalType":"uint256","name":"timestamp","type":"uint256"},{"internalType":"uint256","name":"blockNumber","type":"uint256"},{"internalType":"string","name":"metadata","type":"string"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"string","name":"agentId","type":"string"}],"name":"deactivateAgent","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"string","name":"agentId","type":"string"},{"internalType":"uint256","name":"index","type":"uint256"}],"name":"getCheckpoint","outputs":[{"components":[{"internalType":"bytes32","name":"merkleRoot","type":"bytes32"},{"internalType":"uint256","name":"timestamp","type":"uint256"},{"internalType":"uint256","name":"blockNumber","type":"uint256"},{"internalType":"string","name":"metadata","type":"string"}],"internalType":"struct AgentMemoryRegistry.Checkpoint","name":"","type":"tuple"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"string","name":"agentId","type":"string"}],"name":"getCheckpointCount","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"string","name":"agentId","type":"string"},{"internalType":"uint256","name":"start","type":"uint256"},{"internalType":"uint256","name":"count","type":"uint256"}],"name":"getCheckpointRange","outputs":[{"components":[{"internalType":"bytes32","name":"merkleRoot","type":"bytes32"},{"internalType":"uint256","name":"timestamp","type":"uint256"},{"internalType":"uint256","name":"blockNumber","type":"uint256"},{"internalType":"string","name":"metadata","type":"string"}],"internalType":"struct AgentMemoryRegistry.Checkpoint[]","name":"","type":"tuple[]"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"string","name":"agentId","type":"string"}],"name":"getLatestCheckpoint","outputs":[{"components":[{"internalType":"bytes32","name":"merkleRoot","type":"bytes32"},{"internalType":"uint256","name":"timestamp","type":"uint256"},{"internalType":"uint256","name":"blockNumber","type":"uint256"},{"internalType":"string","name":"metadata","type":"string"}],"internalType":"struct AgentMemoryRegistry.Checkpoint","name":"","type":"tuple"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"string","name":"agentId","type":"string"},{"internalType":"bytes32","name":"merkleRoot","type":"bytes32"},{"internalType":"string","name":"metadata","type":"string"}],"name":"publishCheckpoint","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"bytes32","name":"merkleRoot","type":"bytes32"},{"internalType":"string","name":"metadata","type":"string"}],"name":"publishCheckpointSimple","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"string","name":"agentId","type":"string"}],"name":"reactivateAgent","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"string","name":"agentId","type":"string"}],"name":"registerAgent","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[],"name":"totalAgents","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"totalCheckpoints","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"string","name":"agentId","type":"string"},{"internalType":"address","name":"newOwner","type":"address"}],"name":"transferAgent","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"string","name":"agentId","type":"string"},{"internalType":"uint256","name":"checkpointIndex","type":"uint256"},{"internalType":"bytes32","name":"leaf","type":"bytes32"},{"internalType":"bytes32[]","name":"proof","type":"bytes32[]"}],"name":"verifyProof","outputs":[{"internalType":"bool","name":"valid","type":"bool"}],"stateMutability":"view","type":"function"}];
-  readonly bytecode: "0x608060405234801561001057600080fd5b50613004806100206000396000f3fe608060405234801561001057600080fd5b50600436106101005760003560e01c8063b7acd7a811610097578063c505371211610066578063c5053712146102cd578063cc6aae35146102eb578063cf6ee0cb1461031e578063f332687d1461035157610100565b8063b7acd7a814610235578063b8b643f414610251578063bda94c7d14610281578063c414fb451461029d57610100565b806353857c1c116100d357806353857c1c1461018957806365f78215146101a557806385ee7749146101d55780638c55d0561461020557610100565b806306b15c831461010557806318697b75146101355780632d2a95851461015157806350cadbaf1461016d575b600080fd5b61011f600480360381019061011a9190611d73565b61036f565b60405161012c9190611dd9565b60405180910390f35b61014f600480360381019061014a9190611d73565b61039d565b005b61016b60048036038101906101669190611d73565b610488565b005b61018760048036038101906101829190611e2a565b6107ed565b005b6101a3600480360381019061019e9190611ebf565b610a8b565b005b6101bf60048036038101906101ba9190611f7d565b610d77565b6040516101cc919061203a565b60405180910390f35b6101ef60048036038101906101ea9190612088565b610e17565b6040516101fc9190612289565b60405180910390f35b61021f600480360381019061021a9190611d73565b611079565b60405161022c919061230e565b60405180910390f35b61024f600480360381019061024a9190612330565b6112a9565b005b61026b60048036038101906102669190612390565b61160d565b604051610278919061230e565b60405180910390f35b61029b60048036038101906102969190611d73565b61182b565b005b6102b760048036038101906102b29190612446565b611917565b6040516102c49190612508565b60405180910390f35b6102d5611a80565b6040516102e29190611dd9565b60405180910390f35b61030560048036038101906103009190612653565b611a86565b60405161031594939291906126be565b60405180910390f35b6103386004803603810190610333919061270a565b611b71565b6040516103489493929190612762565b60405180910390f35b610359611c6c565b6040516103669190611dd9565b60405180910390f35b6000600183836040516103839291906127de565b908152602001604051809103902080549050905092915050565b81813373ffffffffffffffffffffffffffffffffffffffff16600083836040516103c89291906127de565b908152602001604051809103902060000160009054906101000a900473ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff1614610447576040517f390772fc00000000000000000000000000000000000000000000000000000000815260040160405180910390fd5b600080858560405161045a9291906127de565b908152602001604051809103902060030160006101000a81548160ff02191690831515021790555050505050565b600082829050036104c5576040517f3f7f02e900000000000000000000000000000000000000000000000000000000815260040160405180910390fd5b600073ffffffffffffffffffffffffffffffffffffffff16600083836040516104ef9291906127de565b908152602001604051809103902060000160009054906101000a900473ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff161461056e576040517fe098d3ee00000000000000000000000000000000000000000000000000000000815260040160405180910390fd5b6000600260003373ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff16815260200190815260200160002080546105ba90612826565b905011156105f4576040517f6ca95e4200000000000000000000000000000000000000000000000000000000815260040160405180910390fd5b60405180608001604052803373ffffffffffffffffffffffffffffffffffffffff16815260200183838080601f016020809104026020016040519081016040528093929190818152602001838380828437600081840152601f19601f82011690508083019250505050505050815260200142815260200160011515815250600083836040516106849291906127de565b908152602001604051809103902060008201518160000160006101000a81548173ffffffffffffffffffffffffffffffffffffffff021916908373ffffffffffffffffffffffffffffffffffffffff16021790555060208201518160010190816106ee9190612a03565b506040820151816002015560608201518160030160006101000a81548160ff0219169083151502179055509050508181600260003373ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff168152602001908152602001600020918261076a929190612ae0565b506003600081548092919061077e90612bdf565b91905055503373ffffffffffffffffffffffffffffffffffffffff1682826040516107aa9291906127de565b60405180910390207f01dca017992f42032d107edcde6c3b0fd73a026225cf9f4ed12a236e08d7be86426040516107e19190611dd9565b60405180910390a35050565b84843373ffffffffffffffffffffffffffffffffffffffff16600083836040516108189291906127de565b908152602001604051809103902060000160009054906101000a900473ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff1614610897576040517f390772fc00000000000000000000000000000000000000000000000000000000815260040160405180910390fd5b8686600082826040516108ab9291906127de565b908152602001604051809103902060030160009054906101000a900460ff16610900576040517fba32abe100000000000000000000000000000000000000000000000000000000815260040160405180910390fd5b6000604051806080016040528089815260200142815260200143815260200188888080601f016020809104026020016040519081016040528093929190818152602001838380828437600081840152601f19601f820116905080830192505050505050508152509050600060018b8b60405161097d9291906127de565b908152602001604051809103902080549050905060018b8b6040516109a39291906127de565b90815260200160405180910390208290806001815401808255809150506001900390600052602060002090600402016000909190919091506000820151816000015560208201518160010155604082015181600201556060820151816003019081610a0e9190612a03565b50505060046000815480929190610a2490612bdf565b919050555080898c8c604051610a3b9291906127de565b60405180910390207f964f54439b04e3806acdd0c1238648972545b2c28335f8c99067cdca2c8b8ac9428c8c604051610a7693929190612c54565b60405180910390a45050505050505050505050565b6000600260003373ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff1681526020019081526020016000208054610ad790612826565b80601f0160208091040260200160405190810160405280929190818152602001828054610b0390612826565b8015610b505780601f10610b2557610100808354040283529160200191610b50565b820191906000526020600020905b815481529060010190602001808311610b3357829003601f168201915b505050505090506000815103610b92576040517f83bcfb4700000000000000000000000000000000000000000000000000000000815260040160405180910390fd5b600081604051610ba29190612cb7565b908152602001604051809103902060030160009054906101000a900460ff16610bf7576040517fba32abe100000000000000000000000000000000000000000000000000000000815260040160405180910390fd5b6000604051806080016040528086815260200142815260200143815260200185858080601f016020809104026020016040519081016040528093929190818152602001838380828437600081840152601f19601f8201169050808301925050505050505081525090506000600183604051610c729190612cb7565b9081526020016040518091039020805490509050600183604051610c969190612cb7565b90815260200160405180910390208290806001815401808255809150506001900390600052602060002090600402016000909190919091506000820151816000015560208201518160010155604082015181600201556060820151816003019081610d019190612a03565b50505060046000815480929190610d1790612bdf565b9190505550808684604051610d2c9190612cb7565b60405180910390207f964f54439b04e3806acdd0c1238648972545b2c28335f8c99067cdca2c8b8ac9428989604051610d6793929190612c54565b60405180910390a4505050505050565b60026020528060005260406000206000915090508054610d9690612826565b80601f0160208091040260200160405190810160405280929190818152602001828054610dc290612826565b8015610e0f5780601f10610de457610100808354040283529160200191610e0f565b820191906000526020600020905b815481529060010190602001808311610df257829003601f168201915b505050505081565b6060600060018686604051610e2d9291906127de565b9081526020016040518091039020805490509050808410610ea557600067ffffffffffffffff811115610e6357610e62612528565b5b604051908082528060200260200182016040528015610e9c57816020015b610e89611c72565b815260200190600190039081610e815790505b50915050611071565b60008385610eb39190612cce565b905081811115610ec1578190505b60008582610ecf9190612d02565b67ffffffffffffffff811115610ee857610ee7612528565b5b604051908082528060200260200182016040528015610f2157816020015b610f0e611c72565b815260200190600190039081610f065790505b50905060008690505b828110156110695760018989604051610f449291906127de565b90815260200160405180910390208181548110610f6457610f63612d36565b5b9060005260206000209060040201604051806080016040529081600082015481526020016001820154815260200160028201548152602001600382018054610fab90612826565b80601f0160208091040260200160405190810160405280929190818152602001828054610fd790612826565b80156110245780601f10610ff957610100808354040283529160200191611024565b820191906000526020600020905b81548152906001019060200180831161100757829003601f168201915b50505050508152505082888361103a9190612d02565b8151811061104b5761104a612d36565b5b6020026020010181905250808061106190612bdf565b915050610f2a565b508093505050505b949350505050565b611081611c72565b8282600073ffffffffffffffffffffffffffffffffffffffff16600083836040516110ad9291906127de565b908152602001604051809103902060000160009054906101000a900473ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff160361112c576040517f83bcfb4700000000000000000000000000000000000000000000000000000000815260040160405180910390fd5b6000600186866040516111409291906127de565b908152602001604051809103902080549050905060008111611197576040517f08c379a000000000000000000000000000000000000000000000000000000000815260040161118e90612db1565b60405180910390fd5b600186866040516111a99291906127de565b90815260200160405180910390206001826111c49190612d02565b815481106111d5576111d4612d36565b5b906000526020600020906004020160405180608001604052908160008201548152602001600182015481526020016002820154815260200160038201805461121c90612826565b80601f016020809104026020016040519081016040528092919081815260200182805461124890612826565b80156112955780601f1061126a57610100808354040283529160200191611295565b820191906000526020600020905b81548152906001019060200180831161127857829003601f168201915b505050505081525050935050505092915050565b82823373ffffffffffffffffffffffffffffffffffffffff16600083836040516112d49291906127de565b908152602001604051809103902060000160009054906101000a900473ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff1614611353576040517f390772fc00000000000000000000000000000000000000000000000000000000815260040160405180910390fd5b600073ffffffffffffffffffffffffffffffffffffffff168373ffffffffffffffffffffffffffffffffffffffff16036113c2576040517f08c379a00000000000000000000000000000000000000000000000000000000081526004016113b990612e1d565b60405180910390fd5b6000600260008573ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff168152602001908152602001600020805461140e90612826565b905014611450576040517f08c379a000000000000000000000000000000000000000000000000000000000815260040161144790612e89565b60405180910390fd5b60008086866040516114639291906127de565b908152602001604051809103902060000160009054906101000a900473ffffffffffffffffffffffffffffffffffffffff169050600260008273ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff16815260200190815260200160002060006114e29190611c9d565b8585600260008773ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff1681526020019081526020016000209182611530929190612ae0565b5083600087876040516115449291906127de565b908152602001604051809103902060000160006101000a81548173ffffffffffffffffffffffffffffffffffffffff021916908373ffffffffffffffffffffffffffffffffffffffff1602179055508373ffffffffffffffffffffffffffffffffffffffff168173ffffffffffffffffffffffffffffffffffffffff1687876040516115d19291906127de565b60405180910390207f0304cfe9507b1c0f4aaa4eae9bd6b99277a4cf13096c53b82084bd90b98e2ea660405160405180910390a4505050505050565b611615611c72565b8383600073ffffffffffffffffffffffffffffffffffffffff16600083836040516116419291906127de565b908152602001604051809103902060000160009054906101000a900473ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff16036116c0576040517f83bcfb4700000000000000000000000000000000000000000000000000000000815260040160405180910390fd5b600186866040516116d29291906127de565b9081526020016040518091039020805490508410611725576040517f08c379a000000000000000000000000000000000000000000000000000000000815260040161171c90612ef5565b60405180910390fd5b600186866040516117379291906127de565b9081526020016040518091039020848154811061175757611756612d36565b5b906000526020600020906004020160405180608001604052908160008201548152602001600182015481526020016002820154815260200160038201805461179e90612826565b80601f01602080910402602001604051908101604052809291908181526020018280546117ca90612826565b80156118175780601f106117ec57610100808354040283529160200191611817565b820191906000526020600020905b8154815290600101906020018083116117fa57829003601f168201915b505050505081525050925050509392505050565b81813373ffffffffffffffffffffffffffffffffffffffff16600083836040516118569291906127de565b908152602001604051809103902060000160009054906101000a900473ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff16146118d5576040517f390772fc00000000000000000000000000000000000000000000000000000000815260040160405180910390fd5b6001600085856040516118e99291906127de565b908152602001604051809103902060030160006101000a81548160ff02191690831515021790555050505050565b60006001878760405161192b9291906127de565b908152602001604051809103902080549050851061197e576040517f08c379a000000000000000000000000000000000000000000000000000000000815260040161197590612f61565b60405180910390fd5b6000600188886040516119929291906127de565b908152602001604051809103902086815481106119b2576119b1612d36565b5b9060005260206000209060040201600001549050600085905060005b85859050811015611a6e5760008686838181106119ee576119ed612d36565b5b905060200201359050808311611a2e578281604051602001611a11929190612fa2565b604051602081830303815290604052805190602001209250611a5a565b8083604051602001611a41929190612fa2565b6040516020818303038152906040528051906020012092505b508080611a6690612bdf565b9150506119ce565b50818114925050509695505050505050565b60035481565b6001828051602081018201805184825260208301602085012081835280955050505050508181548110611ab857600080fd5b906000526020600020906004020160009150915050806000015490806001015490806002015490806003018054611aee90612826565b80601f0160208091040260200160405190810160405280929190818152602001828054611b1a90612826565b8015611b675780601f10611b3c57610100808354040283529160200191611b67565b820191906000526020600020905b815481529060010190602001808311611b4a57829003601f168201915b5050505050905084565b6000818051602081018201805184825260208301602085012081835280955050505050506000915090508060000160009054906101000a900473ffffffffffffffffffffffffffffffffffffffff1690806001018054611bd090612826565b80601f0160208091040260200160405190810160405280929190818152602001828054611bfc90612826565b8015611c495780601f10611c1e57610100808354040283529160200191611c49565b820191906000526020600020905b815481529060010190602001808311611c2c57829003601f168201915b5050505050908060020154908060030160009054906101000a900460ff16905084565b60045481565b6040518060800160405280600080191681526020016000815260200160008152602001606081525090565b508054611ca990612826565b6000825580601f10611cbb5750611cda565b601f016020900490600052602060002090810190611cd99190611cdd565b5b50565b5b80821115611cf6576000816000905550600101611cde565b5090565b6000604051905090565b600080fd5b600080fd5b600080fd5b600080fd5b600080fd5b60008083601f840112611d3357611d32611d0e565b5b8235905067ffffffffffffffff811115611d5057611d4f611d13565b5b602083019150836001820283011115611d6c57611d6b611d18565b5b9250929050565b60008060208385031215611d8a57611d89611d04565b5b600083013567ffffffffffffffff811115611da857611da7611d09565b5b611db485828601611d1d565b92509250509250929050565b6000819050919050565b611dd381611dc0565b82525050565b6000602082019050611dee6000830184611dca565b92915050565b6000819050919050565b611e0781611df4565b8114611e1257600080fd5b50565b600081359050611e2481611dfe565b92915050565b600080600080600060608688031215611e4657611e45611d04565b5b600086013567ffffffffffffffff811115611e6457611e63611d09565b5b611e7088828901611d1d565b95509550506020611e8388828901611e15565b935050604086013567ffffffffffffffff811115611ea457611ea3611d09565b5b611eb088828901611d1d565b92509250509295509295909350565b600080600060408486031215611ed857611ed7611d04565b5b6000611ee686828701611e15565b935050602084013567ffffffffffffffff811115611f0757611f06611d09565b5b611f1386828701611d1d565b92509250509250925092565b600073ffffffffffffffffffffffffffffffffffffffff82169050919050565b6000611f4a82611f1f565b9050919050565b611f5a81611f3f565b8114611f6557600080fd5b50565b600081359050611f7781611f51565b92915050565b600060208284031215611f9357611f92611d04565b5b6000611fa184828501611f68565b91505092915050565b600081519050919050565b600082825260208201905092915050565b60005b83811015611fe4578082015181840152602081019050611fc9565b60008484015250505050565b6000601f19601f8301169050919050565b600061200c82611faa565b6120168185611fb5565b9350612026818560208601611fc6565b61202f81611ff0565b840191505092915050565b600060208201905081810360008301526120548184612001565b905092915050565b61206581611dc0565b811461207057600080fd5b50565b6000813590506120828161205c565b92915050565b600080600080606085870312156120a2576120a1611d04565b5b600085013567ffffffffffffffff8111156120c0576120bf611d09565b5b6120cc87828801611d1d565b945094505060206120df87828801612073565b92505060406120f087828801612073565b91505092959194509250565b600081519050919050565b600082825260208201905092915050565b6000819050602082019050919050565b61213181611df4565b82525050565b61214081611dc0565b82525050565b600082825260208201905092915050565b600061216282611faa565b61216c8185612146565b935061217c818560208601611fc6565b61218581611ff0565b840191505092915050565b60006080830160008301516121a86000860182612128565b5060208301516121bb6020860182612137565b5060408301516121ce6040860182612137565b50606083015184820360608601526121e68282612157565b9150508091505092915050565b60006121ff8383612190565b905092915050565b6000602082019050919050565b600061221f826120fc565b6122298185612107565b93508360208202850161223b85612118565b8060005b85811015612277578484038952815161225885826121f3565b945061226383612207565b925060208a0199505060018101905061223f565b50829750879550505050505092915050565b600060208201905081810360008301526122a38184612214565b905092915050565b60006080830160008301516122c36000860182612128565b5060208301516122d66020860182612137565b5060408301516122e96040860182612137565b50606083015184820360608601526123018282612157565b9150508091505092915050565b6000602082019050818103600083015261232881846122ab565b905092915050565b60008060006040848603121561234957612348611d04565b5b600084013567ffffffffffffffff81111561236757612366611d09565b5b61237386828701611d1d565b9350935050602061238686828701611f68565b9150509250925092565b6000806000604084860312156123a9576123a8611d04565b5b600084013567ffffffffffffffff8111156123c7576123c6611d09565b5b6123d386828701611d1d565b935093505060206123e686828701612073565b9150509250925092565b60008083601f84011261240657612405611d0e565b5b8235905067ffffffffffffffff81111561242357612422611d13565b5b60208301915083602082028301111561243f5761243e611d18565b5b9250929050565b6000806000806000806080878903121561246357612462611d04565b5b600087013567ffffffffffffffff81111561248157612480611d09565b5b61248d89828a01611d1d565b965096505060206124a089828a01612073565b94505060406124b189828a01611e15565b935050606087013567ffffffffffffffff8111156124d2576124d1611d09565b5b6124de89828a016123f0565b92509250509295509295509295565b60008115159050919050565b612502816124ed565b82525050565b600060208201905061251d60008301846124f9565b92915050565b600080fd5b7f4e487b7100000000000000000000000000000000000000000000000000000000600052604160045260246000fd5b61256082611ff0565b810181811067ffffffffffffffff8211171561257f5761257e612528565b5b80604052505050565b6000612592611cfa565b905061259e8282612557565b919050565b600067ffffffffffffffff8211156125be576125bd612528565b5b6125c782611ff0565b9050602081019050919050565b82818337600083830152505050565b60006125f66125f1846125a3565b612588565b90508281526020810184848401111561261257612611612523565b5b61261d8482856125d4565b509392505050565b600082601f83011261263a57612639611d0e565b5b813561264a8482602086016125e3565b91505092915050565b6000806040838503121561266a57612669611d04565b5b600083013567ffffffffffffffff81111561268857612687611d09565b5b61269485828601612625565b92505060206126a585828601612073565b9150509250929050565b6126b881611df4565b82525050565b60006080820190506126d360008301876126af565b6126e06020830186611dca565b6126ed6040830185611dca565b81810360608301526126ff8184612001565b905095945050505050565b6000602082840312156127205761271f611d04565b5b600082013567ffffffffffffffff81111561273e5761273d611d09565b5b61274a84828501612625565b91505092915050565b61275c81611f3f565b82525050565b60006080820190506127776000830187612753565b81810360208301526127898186612001565b90506127986040830185611dca565b6127a560608301846124f9565b95945050505050565b600081905092915050565b60006127c583856127ae565b93506127d28385846125d4565b82840190509392505050565b60006127eb8284866127b9565b91508190509392505050565b7f4e487b7100000000000000000000000000000000000000000000000000000000600052602260045260246000fd5b6000600282049050600182168061283e57607f821691505b602082108103612851576128506127f7565b5b50919050565b60008190508160005260206000209050919050565b60006020601f8301049050919050565b600082821b905092915050565b6000600883026128b97fffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffff8261287c565b6128c3868361287c565b95508019841693508086168417925050509392505050565b6000819050919050565b60006129006128fb6128f684611dc0565b6128db565b611dc0565b9050919050565b6000819050919050565b61291a836128e5565b61292e61292682612907565b848454612889565b825550505050565b600090565b612943612936565b61294e818484612911565b505050565b5b818110156129725761296760008261293b565b600181019050612954565b5050565b601f8211156129b75761298881612857565b6129918461286c565b810160208510156129a0578190505b6129b46129ac8561286c565b830182612953565b50505b505050565b600082821c905092915050565b60006129da600019846008026129bc565b1980831691505092915050565b60006129f383836129c9565b9150826002028217905092915050565b612a0c82611faa565b67ffffffffffffffff811115612a2557612a24612528565b5b612a2f8254612826565b612a3a828285612976565b600060209050601f831160018114612a6d5760008415612a5b578287015190505b612a6585826129e7565b865550612acd565b601f198416612a7b86612857565b60005b82811015612aa357848901518255600182019150602085019450602081019050612a7e565b86831015612ac05784890151612abc601f8916826129c9565b8355505b6001600288020188555050505b505050505050565b600082905092915050565b612aea8383612ad5565b67ffffffffffffffff811115612b0357612b02612528565b5b612b0d8254612826565b612b18828285612976565b6000601f831160018114612b475760008415612b35578287013590505b612b3f85826129e7565b865550612ba7565b601f198416612b5586612857565b60005b82811015612b7d57848901358255600182019150602085019450602081019050612b58565b86831015612b9a5784890135612b96601f8916826129c9565b8355505b6001600288020188555050505b50505050505050565b7f4e487b7100000000000000000000000000000000000000000000000000000000600052601160045260246000fd5b6000612bea82611dc0565b91507fffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffff8203612c1c57612c1b612bb0565b5b600182019050919050565b6000612c338385611fb5565b9350612c408385846125d4565b612c4983611ff0565b840190509392505050565b6000604082019050612c696000830186611dca565b8181036020830152612c7c818486612c27565b9050949350505050565b6000612c9182611faa565b612c9b81856127ae565b9350612cab818560208601611fc6565b80840191505092915050565b6000612cc38284612c86565b915081905092915050565b6000612cd982611dc0565b9150612ce483611dc0565b9250828201905080821115612cfc57612cfb612bb0565b5b92915050565b6000612d0d82611dc0565b9150612d1883611dc0565b9250828203905081811115612d3057612d2f612bb0565b5b92915050565b7f4e487b7100000000000000000000000000000000000000000000000000000000600052603260045260246000fd5b7f4e6f20636865636b706f696e7473000000000000000000000000000000000000600082015250565b6000612d9b600e83611fb5565b9150612da682612d65565b602082019050919050565b60006020820190508181036000830152612dca81612d8e565b9050919050565b7f496e76616c6964206e6577206f776e6572000000000000000000000000000000600082015250565b6000612e07601183611fb5565b9150612e1282612dd1565b602082019050919050565b60006020820190508181036000830152612e3681612dfa565b9050919050565b7f4e6577206f776e657220616c726561647920686173206167656e740000000000600082015250565b6000612e73601b83611fb5565b9150612e7e82612e3d565b602082019050919050565b60006020820190508181036000830152612ea281612e66565b9050919050565b7f496e646578206f7574206f6620626f756e647300000000000000000000000000600082015250565b6000612edf601383611fb5565b9150612eea82612ea9565b602082019050919050565b60006020820190508181036000830152612f0e81612ed2565b9050919050565b7f496e76616c696420636865636b706f696e740000000000000000000000000000600082015250565b6000612f4b601283611fb5565b9150612f5682612f15565b602082019050919050565b60006020820190508181036000830152612f7a81612f3e565b9050919050565b6000819050919050565b612f9c612f9782611df4565b612f81565b82525050565b6000612fae8285612f8b565b602082019150612fbe8284612f8b565b602082019150819050939250505056fea26469706673582212200233bf5f293990f623b8d945ea00ff06d77798279f0b73be0d9446a2eab5df8464736f6c63430008130033";
-  readonly deployedBytecode: "0x608060405234801561001057600080fd5b50600436106101005760003560e01c8063b7acd7a811610097578063c505371211610066578063c5053712146102cd578063cc6aae35146102eb578063cf6ee0cb1461031e578063f332687d1461035157610100565b8063b7acd7a814610235578063b8b643f414610251578063bda94c7d14610281578063c414fb451461029d57610100565b806353857c1c116100d357806353857c1c1461018957806365f78215146101a557806385ee7749146101d55780638c55d0561461020557610100565b806306b15c831461010557806318697b75146101355780632d2a95851461015157806350cadbaf1461016d575b600080fd5b61011f600480360381019061011a9190611d73565b61036f565b60405161012c9190611dd9565b60405180910390f35b61014f600480360381019061014a9190611d73565b61039d565b005b61016b60048036038101906101669190611d73565b610488565b005b61018760048036038101906101829190611e2a565b6107ed565b005b6101a3600480360381019061019e9190611ebf565b610a8b565b005b6101bf60048036038101906101ba9190611f7d565b610d77565b6040516101cc919061203a565b60405180910390f35b6101ef60048036038101906101ea9190612088565b610e17565b6040516101fc9190612289565b60405180910390f35b61021f600480360381019061021a9190611d73565b611079565b60405161022c919061230e565b60405180910390f35b61024f600480360381019061024a9190612330565b6112a9565b005b61026b60048036038101906102669190612390565b61160d565b604051610278919061230e565b60405180910390f35b61029b60048036038101906102969190611d73565b61182b565b005b6102b760048036038101906102b29190612446565b611917565b6040516102c49190612508565b60405180910390f35b6102d5611a80565b6040516102e29190611dd9565b60405180910390f35b61030560048036038101906103009190612653565b611a86565b60405161031594939291906126be565b60405180910390f35b6103386004803603810190610333919061270a565b611b71565b6040516103489493929190612762565b60405180910390f35b610359611c6c565b6040516103669190611dd9565b60405180910390f35b6000600183836040516103839291906127de565b908152602001604051809103902080549050905092915050565b81813373ffffffffffffffffffffffffffffffffffffffff16600083836040516103c89291906127de565b908152602001604051809103902060000160009054906101000a900473ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff1614610447576040517f390772fc00000000000000000000000000000000000000000000000000000000815260040160405180910390fd5b600080858560405161045a9291906127de565b908152602001604051809103902060030160006101000a81548160ff02191690831515021790555050505050565b600082829050036104c5576040517f3f7f02e900000000000000000000000000000000000000000000000000000000815260040160405180910390fd5b600073ffffffffffffffffffffffffffffffffffffffff16600083836040516104ef9291906127de565b908152602001604051809103902060000160009054906101000a900473ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff161461056e576040517fe098d3ee00000000000000000000000000000000000000000000000000000000815260040160405180910390fd5b6000600260003373ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff16815260200190815260200160002080546105ba90612826565b905011156105f4576040517f6ca95e4200000000000000000000000000000000000000000000000000000000815260040160405180910390fd5b60405180608001604052803373ffffffffffffffffffffffffffffffffffffffff16815260200183838080601f016020809104026020016040519081016040528093929190818152602001838380828437600081840152601f19601f82011690508083019250505050505050815260200142815260200160011515815250600083836040516106849291906127de565b908152602001604051809103902060008201518160000160006101000a81548173ffffffffffffffffffffffffffffffffffffffff021916908373ffffffffffffffffffffffffffffffffffffffff16021790555060208201518160010190816106ee9190612a03565b506040820151816002015560608201518160030160006101000a81548160ff0219169083151502179055509050508181600260003373ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff168152602001908152602001600020918261076a929190612ae0565b506003600081548092919061077e90612bdf565b91905055503373ffffffffffffffffffffffffffffffffffffffff1682826040516107aa9291906127de565b60405180910390207f01dca017992f42032d107edcde6c3b0fd73a026225cf9f4ed12a236e08d7be86426040516107e19190611dd9565b60405180910390a35050565b84843373ffffffffffffffffffffffffffffffffffffffff16600083836040516108189291906127de565b908152602001604051809103902060000160009054906101000a900473ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff1614610897576040517f390772fc00000000000000000000000000000000000000000000000000000000815260040160405180910390fd5b8686600082826040516108ab9291906127de565b908152602001604051809103902060030160009054906101000a900460ff16610900576040517fba32abe100000000000000000000000000000000000000000000000000000000815260040160405180910390fd5b6000604051806080016040528089815260200142815260200143815260200188888080601f016020809104026020016040519081016040528093929190818152602001838380828437600081840152601f19601f820116905080830192505050505050508152509050600060018b8b60405161097d9291906127de565b908152602001604051809103902080549050905060018b8b6040516109a39291906127de565b90815260200160405180910390208290806001815401808255809150506001900390600052602060002090600402016000909190919091506000820151816000015560208201518160010155604082015181600201556060820151816003019081610a0e9190612a03565b50505060046000815480929190610a2490612bdf565b919050555080898c8c604051610a3b9291906127de565b60405180910390207f964f54439b04e3806acdd0c1238648972545b2c28335f8c99067cdca2c8b8ac9428c8c604051610a7693929190612c54565b60405180910390a45050505050505050505050565b6000600260003373ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff1681526020019081526020016000208054610ad790612826565b80601f0160208091040260200160405190810160405280929190818152602001828054610b0390612826565b8015610b505780601f10610b2557610100808354040283529160200191610b50565b820191906000526020600020905b815481529060010190602001808311610b3357829003601f168201915b505050505090506000815103610b92576040517f83bcfb4700000000000000000000000000000000000000000000000000000000815260040160405180910390fd5b600081604051610ba29190612cb7565b908152602001604051809103902060030160009054906101000a900460ff16610bf7576040517fba32abe100000000000000000000000000000000000000000000000000000000815260040160405180910390fd5b6000604051806080016040528086815260200142815260200143815260200185858080601f016020809104026020016040519081016040528093929190818152602001838380828437600081840152601f19601f8201169050808301925050505050505081525090506000600183604051610c729190612cb7565b9081526020016040518091039020805490509050600183604051610c969190612cb7565b90815260200160405180910390208290806001815401808255809150506001900390600052602060002090600402016000909190919091506000820151816000015560208201518160010155604082015181600201556060820151816003019081610d019190612a03565b50505060046000815480929190610d1790612bdf565b9190505550808684604051610d2c9190612cb7565b60405180910390207f964f54439b04e3806acdd0c1238648972545b2c28335f8c99067cdca2c8b8ac9428989604051610d6793929190612c54565b60405180910390a4505050505050565b60026020528060005260406000206000915090508054610d9690612826565b80601f0160208091040260200160405190810160405280929190818152602001828054610dc290612826565b8015610e0f5780601f10610de457610100808354040283529160200191610e0f565b820191906000526020600020905b815481529060010190602001808311610df257829003601f168201915b505050505081565b6060600060018686604051610e2d9291906127de565b9081526020016040518091039020805490509050808410610ea557600067ffffffffffffffff811115610e6357610e62612528565b5b604051908082528060200260200182016040528015610e9c57816020015b610e89611c72565b815260200190600190039081610e815790505b50915050611071565b60008385610eb39190612cce565b905081811115610ec1578190505b60008582610ecf9190612d02565b67ffffffffffffffff811115610ee857610ee7612528565b5b604051908082528060200260200182016040528015610f2157816020015b610f0e611c72565b815260200190600190039081610f065790505b50905060008690505b828110156110695760018989604051610f449291906127de565b90815260200160405180910390208181548110610f6457610f63612d36565b5b9060005260206000209060040201604051806080016040529081600082015481526020016001820154815260200160028201548152602001600382018054610fab90612826565b80601f0160208091040260200160405190810160405280929190818152602001828054610fd790612826565b80156110245780601f10610ff957610100808354040283529160200191611024565b820191906000526020600020905b81548152906001019060200180831161100757829003601f168201915b50505050508152505082888361103a9190612d02565b8151811061104b5761104a612d36565b5b6020026020010181905250808061106190612bdf565b915050610f2a565b508093505050505b949350505050565b611081611c72565b8282600073ffffffffffffffffffffffffffffffffffffffff16600083836040516110ad9291906127de565b908152602001604051809103902060000160009054906101000a900473ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff160361112c576040517f83bcfb4700000000000000000000000000000000000000000000000000000000815260040160405180910390fd5b6000600186866040516111409291906127de565b908152602001604051809103902080549050905060008111611197576040517f08c379a000000000000000000000000000000000000000000000000000000000815260040161118e90612db1565b60405180910390fd5b600186866040516111a99291906127de565b90815260200160405180910390206001826111c49190612d02565b815481106111d5576111d4612d36565b5b906000526020600020906004020160405180608001604052908160008201548152602001600182015481526020016002820154815260200160038201805461121c90612826565b80601f016020809104026020016040519081016040528092919081815260200182805461124890612826565b80156112955780601f1061126a57610100808354040283529160200191611295565b820191906000526020600020905b81548152906001019060200180831161127857829003601f168201915b505050505081525050935050505092915050565b82823373ffffffffffffffffffffffffffffffffffffffff16600083836040516112d49291906127de565b908152602001604051809103902060000160009054906101000a900473ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff1614611353576040517f390772fc00000000000000000000000000000000000000000000000000000000815260040160405180910390fd5b600073ffffffffffffffffffffffffffffffffffffffff168373ffffffffffffffffffffffffffffffffffffffff16036113c2576040517f08c379a00000000000000000000000000000000000000000000000000000000081526004016113b990612e1d565b60405180910390fd5b6000600260008573ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff168152602001908152602001600020805461140e90612826565b905014611450576040517f08c379a000000000000000000000000000000000000000000000000000000000815260040161144790612e89565b60405180910390fd5b60008086866040516114639291906127de565b908152602001604051809103902060000160009054906101000a900473ffffffffffffffffffffffffffffffffffffffff169050600260008273ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff16815260200190815260200160002060006114e29190611c9d565b8585600260008773ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff1681526020019081526020016000209182611530929190612ae0565b5083600087876040516115449291906127de565b908152602001604051809103902060000160006101000a81548173ffffffffffffffffffffffffffffffffffffffff021916908373ffffffffffffffffffffffffffffffffffffffff1602179055508373ffffffffffffffffffffffffffffffffffffffff168173ffffffffffffffffffffffffffffffffffffffff1687876040516115d19291906127de565b60405180910390207f0304cfe9507b1c0f4aaa4eae9bd6b99277a4cf13096c53b82084bd90b98e2ea660405160405180910390a4505050505050565b611615611c72565b8383600073ffffffffffffffffffffffffffffffffffffffff16600083836040516116419291906127de565b908152602001604051809103902060000160009054906101000a900473ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff16036116c0576040517f83bcfb4700000000000000000000000000000000000000000000000000000000815260040160405180910390fd5b600186866040516116d29291906127de565b9081526020016040518091039020805490508410611725576040517f08c379a000000000000000000000000000000000000000000000000000000000815260040161171c90612ef5565b60405180910390fd5b600186866040516117379291906127de565b9081526020016040518091039020848154811061175757611756612d36565b5b906000526020600020906004020160405180608001604052908160008201548152602001600182015481526020016002820154815260200160038201805461179e90612826565b80601f01602080910402602001604051908101604052809291908181526020018280546117ca90612826565b80156118175780601f106117ec57610100808354040283529160200191611817565b820191906000526020600020905b8154815290600101906020018083116117fa57829003601f168201915b505050505081525050925050509392505050565b81813373ffffffffffffffffffffffffffffffffffffffff16600083836040516118569291906127de565b908152602001604051809103902060000160009054906101000a900473ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff16146118d5576040517f390772fc00000000000000000000000000000000000000000000000000000000815260040160405180910390fd5b6001600085856040516118e99291906127de565b908152602001604051809103902060030160006101000a81548160ff02191690831515021790555050505050565b60006001878760405161192b9291906127de565b908152602001604051809103902080549050851061197e576040517f08c379a000000000000000000000000000000000000000000000000000000000815260040161197590612f61565b60405180910390fd5b6000600188886040516119929291906127de565b908152602001604051809103902086815481106119b2576119b1612d36565b5b9060005260206000209060040201600001549050600085905060005b85859050811015611a6e5760008686838181106119ee576119ed612d36565b5b905060200201359050808311611a2e578281604051602001611a11929190612fa2565b604051602081830303815290604052805190602001209250611a5a565b8083604051602001611a41929190612fa2565b6040516020818303038152906040528051906020012092505b508080611a6690612bdf565b9150506119ce565b50818114925050509695505050505050565b60035481565b6001828051602081018201805184825260208301602085012081835280955050505050508181548110611ab857600080fd5b906000526020600020906004020160009150915050806000015490806001015490806002015490806003018054611aee90612826565b80601f0160208091040260200160405190810160405280929190818152602001828054611b1a90612826565b8015611b675780601f10611b3c57610100808354040283529160200191611b67565b820191906000526020600020905b815481529060010190602001808311611b4a57829003601f168201915b5050505050905084565b6000818051602081018201805184825260208301602085012081835280955050505050506000915090508060000160009054906101000a900473ffffffffffffffffffffffffffffffffffffffff1690806001018054611bd090612826565b80601f0160208091040260200160405190810160405280929190818152602001828054611bfc90612826565b8015611c495780601f10611c1e57610100808354040283529160200191611c49565b820191906000526020600020905b815481529060010190602001808311611c2c57829003601f168201915b5050505050908060020154908060030160009054906101000a900460ff16905084565b60045481565b6040518060800160405280600080191681526020016000815260200160008152602001606081525090565b508054611ca990612826565b6000825580601f10611cbb5750611cda565b601f016020900490600052602060002090810190611cd99190611cdd565b5b50565b5b80821115611cf6576000816000905550600101611cde565b5090565b6000604051905090565b600080fd5b600080fd5b600080fd5b600080fd5b600080fd5b60008083601f840112611d3357611d32611d0e565b5b8235905067ffffffffffffffff811115611d5057611d4f611d13565b5b602083019150836001820283011115611d6c57611d6b611d18565b5b9250929050565b60008060208385031215611d8a57611d89611d04565b5b600083013567ffffffffffffffff811115611da857611da7611d09565b5b611db485828601611d1d565b92509250509250929050565b6000819050919050565b611dd381611dc0565b82525050565b6000602082019050611dee6000830184611dca565b92915050565b6000819050919050565b611e0781611df4565b8114611e1257600080fd5b50565b600081359050611e2481611dfe565b92915050565b600080600080600060608688031215611e4657611e45611d04565b5b600086013567ffffffffffffffff811115611e6457611e63611d09565b5b611e7088828901611d1d565b95509550506020611e8388828901611e15565b935050604086013567ffffffffffffffff811115611ea457611ea3611d09565b5b611eb088828901611d1d565b92509250509295509295909350565b600080600060408486031215611ed857611ed7611d04565b5b6000611ee686828701611e15565b935050602084013567ffffffffffffffff811115611f0757611f06611d09565b5b611f1386828701611d1d565b92509250509250925092565b600073ffffffffffffffffffffffffffffffffffffffff82169050919050565b6000611f4a82611f1f565b9050919050565b611f5a81611f3f565b8114611f6557600080fd5b50565b600081359050611f7781611f51565b92915050565b600060208284031215611f9357611f92611d04565b5b6000611fa184828501611f68565b91505092915050565b600081519050919050565b600082825260208201905092915050565b60005b83811015611fe4578082015181840152602081019050611fc9565b60008484015250505050565b6000601f19601f8301169050919050565b600061200c82611faa565b6120168185611fb5565b9350612026818560208601611fc6565b61202f81611ff0565b840191505092915050565b600060208201905081810360008301526120548184612001565b905092915050565b61206581611dc0565b811461207057600080fd5b50565b6000813590506120828161205c565b92915050565b600080600080606085870312156120a2576120a1611d04565b5b600085013567ffffffffffffffff8111156120c0576120bf611d09565b5b6120cc87828801611d1d565b945094505060206120df87828801612073565b92505060406120f087828801612073565b91505092959194509250565b600081519050919050565b600082825260208201905092915050565b6000819050602082019050919050565b61213181611df4565b82525050565b61214081611dc0565b82525050565b600082825260208201905092915050565b600061216282611faa565b61216c8185612146565b935061217c818560208601611fc6565b61218581611ff0565b840191505092915050565b60006080830160008301516121a86000860182612128565b5060208301516121bb6020860182612137565b5060408301516121ce6040860182612137565b50606083015184820360608601526121e68282612157565b9150508091505092915050565b60006121ff8383612190565b905092915050565b6000602082019050919050565b600061221f826120fc565b6122298185612107565b93508360208202850161223b85612118565b8060005b85811015612277578484038952815161225885826121f3565b945061226383612207565b925060208a0199505060018101905061223f565b50829750879550505050505092915050565b600060208201905081810360008301526122a38184612214565b905092915050565b60006080830160008301516122c36000860182612128565b5060208301516122d66020860182612137565b5060408301516122e96040860182612137565b50606083015184820360608601526123018282612157565b9150508091505092915050565b6000602082019050818103600083015261232881846122ab565b905092915050565b60008060006040848603121561234957612348611d04565b5b600084013567ffffffffffffffff81111561236757612366611d09565b5b61237386828701611d1d565b9350935050602061238686828701611f68565b9150509250925092565b6000806000604084860312156123a9576123a8611d04565b5b600084013567ffffffffffffffff8111156123c7576123c6611d09565b5b6123d386828701611d1d565b935093505060206123e686828701612073565b9150509250925092565b60008083601f84011261240657612405611d0e565b5b8235905067ffffffffffffffff81111561242357612422611d13565b5b60208301915083602082028301111561243f5761243e611d18565b5b9250929050565b6000806000806000806080878903121561246357612462611d04565b5b600087013567ffffffffffffffff81111561248157612480611d09565b5b61248d89828a01611d1d565b965096505060206124a089828a01612073565b94505060406124b189828a01611e15565b935050606087013567ffffffffffffffff8111156124d2576124d1611d09565b5b6124de89828a016123f0565b92509250509295509295509295565b60008115159050919050565b612502816124ed565b82525050565b600060208201905061251d60008301846124f9565b92915050565b600080fd5b7f4e487b7100000000000000000000000000000000000000000000000000000000600052604160045260246000fd5b61256082611ff0565b810181811067ffffffffffffffff8211171561257f5761257e612528565b5b80604052505050565b6000612592611cfa565b905061259e8282612557565b919050565b600067ffffffffffffffff8211156125be576125bd612528565b5b6125c782611ff0565b9050602081019050919050565b82818337600083830152505050565b60006125f66125f1846125a3565b612588565b90508281526020810184848401111561261257612611612523565b5b61261d8482856125d4565b509392505050565b600082601f83011261263a57612639611d0e565b5b813561264a8482602086016125e3565b91505092915050565b6000806040838503121561266a57612669611d04565b5b600083013567ffffffffffffffff81111561268857612687611d09565b5b61269485828601612625565b92505060206126a585828601612073565b9150509250929050565b6126b881611df4565b82525050565b60006080820190506126d360008301876126af565b6126e06020830186611dca565b6126ed6040830185611dca565b81810360608301526126ff8184612001565b905095945050505050565b6000602082840312156127205761271f611d04565b5b600082013567ffffffffffffffff81111561273e5761273d611d09565b5b61274a84828501612625565b91505092915050565b61275c81611f3f565b82525050565b60006080820190506127776000830187612753565b81810360208301526127898186612001565b90506127986040830185611dca565b6127a560608301846124f9565b95945050505050565b600081905092915050565b60006127c583856127ae565b93506127d28385846125d4565b82840190509392505050565b60006127eb8284866127b9565b91508190509392505050565b7f4e487b7100000000000000000000000000000000000000000000000000000000600052602260045260246000fd5b6000600282049050600182168061283e57607f821691505b602082108103612851576128506127f7565b5b50919050565b60008190508160005260206000209050919050565b60006020601f8301049050919050565b600082821b905092915050565b6000600883026128b97fffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffff8261287c565b6128c3868361287c565b95508019841693508086168417925050509392505050565b6000819050919050565b60006129006128fb6128f684611dc0565b6128db565b611dc0565b9050919050565b6000819050919050565b61291a836128e5565b61292e61292682612907565b848454612889565b825550505050565b600090565b612943612936565b61294e818484612911565b505050565b5b818110156129725761296760008261293b565b600181019050612954565b5050565b601f8211156129b75761298881612857565b6129918461286c565b810160208510156129a0578190505b6129b46129ac8561286c565b830182612953565b50505b505050565b600082821c905092915050565b60006129da600019846008026129bc565b1980831691505092915050565b60006129f383836129c9565b9150826002028217905092915050565b612a0c82611faa565b67ffffffffffffffff811115612a2557612a24612528565b5b612a2f8254612826565b612a3a828285612976565b600060209050601f831160018114612a6d5760008415612a5b578287015190505b612a6585826129e7565b865550612acd565b601f198416612a7b86612857565b60005b82811015612aa357848901518255600182019150602085019450602081019050612a7e565b86831015612ac05784890151612abc601f8916826129c9565b8355505b6001600288020188555050505b505050505050565b600082905092915050565b612aea8383612ad5565b67ffffffffffffffff811115612b0357612b02612528565b5b612b0d8254612826565b612b18828285612976565b6000601f831160018114612b475760008415612b35578287013590505b612b3f85826129e7565b865550612ba7565b601f198416612b5586612857565b60005b82811015612b7d57848901358255600182019150602085019450602081019050612b58565b86831015612b9a5784890135612b96601f8916826129c9565b8355505b6001600288020188555050505b50505050505050565b7f4e487b7100000000000000000000000000000000000000000000000000000000600052601160045260246000fd5b6000612bea82611dc0565b91507fffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffff8203612c1c57612c1b612bb0565b5b600182019050919050565b6000612c338385611fb5565b9350612c408385846125d4565b612c4983611ff0565b840190509392505050565b6000604082019050612c696000830186611dca565b8181036020830152612c7c818486612c27565b9050949350505050565b6000612c9182611faa565b612c9b81856127ae565b9350612cab818560208601611fc6565b80840191505092915050565b6000612cc38284612c86565b915081905092915050565b6000612cd982611dc0565b9150612ce483611dc0565b9250828201905080821115612cfc57612cfb612bb0565b5b92915050565b6000612d0d82611dc0565b9150612d1883611dc0565b9250828203905081811115612d3057612d2f612bb0565b5b92915050565b7f4e487b7100000000000000000000000000000000000000000000000000000000600052603260045260246000fd5b7f4e6f20636865636b706f696e7473000000000000000000000000000000000000600082015250565b6000612d9b600e83611fb5565b9150612da682612d65565b602082019050919050565b60006020820190508181036000830152612dca81612d8e565b9050919050565b7f496e76616c6964206e6577206f776e6572000000000000000000000000000000600082015250565b6000612e07601183611fb5565b9150612e1282612dd1565b602082019050919050565b60006020820190508181036000830152612e3681612dfa565b9050919050565b7f4e6577206f776e657220616c726561647920686173206167656e740000000000600082015250565b6000612e73601b83611fb5565b9150612e7e82612e3d565b602082019050919050565b60006020820190508181036000830152612ea281612e66565b9050919050565b7f496e646578206f7574206f6620626f756e647300000000000000000000000000600082015250565b6000612edf601383611fb5565b9150612eea82612ea9565b602082019050919050565b60006020820190508181036000830152612f0e81612ed2565b9050919050565b7f496e76616c696420636865636b706f696e740000000000000000000000000000600082015250565b6000612f4b601283611fb5565b9150612f5682612f15565b602082019050919050565b60006020820190508181036000830152612f7a81612f3e565b9050919050565b6000819050919050565b612f9c612f9782611df4565b612f81565b82525050565b6000612fae8285612f8b565b602082019150612fbe8284612f8b565b602082019150819050939250505056fea26469706673582212200233bf5f293990f623b8d945ea00ff06d77798279f0b73be0d9446a2eab5df8464736f6c63430008130033";
+  readonly abi: [{"inputs":[],"name":"AddressAlreadyHasAgent","type":"error"},{"inputs":[],"name":"AgentAlreadyRegistered","type":"error"},{"inputs":[],"name":"AgentInactive","type":"error"},{"inputs":[],"name":"AgentNotRegistered","type":"error"},{"inputs":[],"name":"DelegateForAnotherAgent","type":"error"},{"inputs":[],"name":"EmptyAgentId","type":"error"},{"inputs":[],"name":"InvalidCheckpointRange","type":"error"},{"inputs":[],"name":"InvalidDelegate","type":"error"},{"inputs":[],"name":"InvalidExpiry","type":"error"},{"inputs":[],"name":"InvalidFlagReason","type":"error"},{"inputs":[],"name":"InvalidSignature","type":"error"},{"inputs":[],"name":"NotAgentOwner","type":"error"},{"inputs":[],"name":"NotAuthorizedPublisher","type":"error"},{"inputs":[],"name":"SignatureExpired","type":"error"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"string","name":"agentId","type":"string"},{"indexed":false,"internalType":"uint256","name":"timestamp","type":"uint256"}],"name":"AgentDeactivated","type":"event"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"string","name":"agentId","type":"string"},{"indexed":false,"internalType":"uint256","name":"timestamp","type":"uint256"}],"name":"AgentReactivated","type":"event"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"string","name":"agentId","type":"string"},{"indexed":true,"internalType":"address","name":"owner","type":"address"},{"indexed":false,"internalType":"uint256","name":"timestamp","type":"uint256"}],"name":"AgentRegistered","type":"event"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"string","name":"agentId","type":"string"},{"indexed":true,"internalType":"address","name":"oldOwner","type":"address"},{"indexed":true,"internalType":"address","name":"newOwner","type":"address"}],"name":"AgentTransferred","type":"event"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"string","name":"agentId","type":"string"},{"indexed":true,"internalType":"bytes32","name":"merkleRoot","type":"bytes32"},{"indexed":true,"internalType":"uint256","name":"checkpointIndex","type":"uint256"},{"indexed":false,"internalType":"uint256","name":"timestamp","type":"uint256"},{"indexed":false,"internalType":"string","name":"metadata","type":"string"}],"name":"CheckpointPublished","type":"event"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"string","name":"agentId","type":"string"},{"indexed":true,"internalType":"address","name":"signer","type":"address"},{"indexed":true,"internalType":"address","name":"relayer","type":"address"},{"indexed":false,"internalType":"uint256","name":"nonce","type":"uint256"}],"name":"CheckpointRelayed","type":"event"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"string","name":"agentId","type":"string"},{"indexed":false,"internalType":"uint256","name":"fromIndex","type":"uint256"},{"indexed":false,"internalType":"uint256","name":"toIndex","type":"uint256"},{"indexed":false,"internalType":"enum AgentMemoryRegistry.FlagReason","name":"reason","type":"uint8"},{"indexed":false,"internalType":"uint256","name":"timestamp","type":"uint256"},{"indexed":false,"internalType":"string","name":"note","type":"string"}],"name":"CheckpointsFlagged","type":"event"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"string","name":"agentId","type":"string"},{"indexed":true,"internalType":"address","name":"delegate","type":"address"},{"indexed":false,"internalType":"uint64","name":"expiresAt","type":"uint64"}],"name":"DelegateAdded","type":"event"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"string","name":"agentId","type":"string"},{"indexed":true,"internalType":"address","name":"delegate","type":"address"}],"name":"DelegateRevoked","type":"event"},{"inputs":[],"name":"CHECKPOINT_TYPEHASH","outputs":[{"internalType":"bytes32","name":"","type":"bytes32"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"DOMAIN_SEPARATOR","outputs":[{"internalType":"bytes32","name":"","type":"bytes32"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"LEAF_VERSION","outputs":[{"internalType":"uint8","name":"","type":"uint8"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"string","name":"agentId","type":"string"},{"internalType":"address","name":"delegate","type":"address"},{"internalType":"uint64","name":"expiresAt","type":"uint64"}],"name":"addDelegate","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"address","name":"","type":"address"}],"name":"addressToAgent","outputs":[{"internalType":"string","name":"","type":"string"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"string","name":"","type":"string"}],"name":"agents","outputs":[{"internalType":"address","name":"owner","type":"address"},{"internalType":"string","name":"agentId","type":"string"},{"internalType":"uint256","name":"registeredAt","type":"uint256"},{"internalType":"bool","name":"active","type":"bool"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"string","name":"agentId","type":"string"},{"internalType":"bytes32","name":"merkleRoot","type":"bytes32"},{"internalType":"bytes32","name":"metadataHash","type":"bytes32"},{"internalType":"uint256","name":"nonce","type":"uint256"},{"internalType":"uint256","name":"deadline","type":"uint256"}],"name":"checkpointDigest","outputs":[{"internalType":"bytes32","name":"","type":"bytes32"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"string","name":"","type":"string"},{"internalType":"uint256","name":"","type":"uint256"}],"name":"checkpoints","outputs":[{"internalType":"bytes32","name":"merkleRoot","type":"bytes32"},{"internalType":"uint256","name":"timestamp","type":"uint256"},{"internalType":"uint256","name":"blockNumber","type":"uint256"},{"internalType":"string","name":"metadata","type":"string"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"uint32","name":"chunkIndex","type":"uint32"},{"internalType":"bytes32","name":"chunkHash","type":"bytes32"}],"name":"computeChunkLeaf","outputs":[{"internalType":"bytes32","name":"leaf","type":"bytes32"}],"stateMutability":"pure","type":"function"},{"inputs":[{"internalType":"string","name":"path","type":"string"},{"internalType":"uint64","name":"size","type":"uint64"},{"internalType":"bytes32","name":"contentHash","type":"bytes32"}],"name":"computeFileLeaf","outputs":[{"internalType":"bytes32","name":"leaf","type":"bytes32"}],"stateMutability":"pure","type":"function"},{"inputs":[{"internalType":"string","name":"agentId","type":"string"}],"name":"deactivateAgent","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"address","name":"","type":"address"}],"name":"delegates","outputs":[{"internalType":"string","name":"agentId","type":"string"},{"internalType":"uint64","name":"expiresAt","type":"uint64"},{"internalType":"bool","name":"active","type":"bool"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"string","name":"agentId","type":"string"},{"internalType":"uint256","name":"fromIndex","type":"uint256"},{"internalType":"uint256","name":"toIndex","type":"uint256"},{"internalType":"enum AgentMemoryRegistry.FlagReason","name":"reason","type":"uint8"},{"internalType":"string","name":"note","type":"string"}],"name":"flagCheckpoints","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"string","name":"agentId","type":"string"},{"internalType":"uint256","name":"index","type":"uint256"}],"name":"getCheckpoint","outputs":[{"components":[{"internalType":"bytes32","name":"merkleRoot","type":"bytes32"},{"internalType":"uint256","name":"timestamp","type":"uint256"},{"internalType":"uint256","name":"blockNumber","type":"uint256"},{"internalType":"string","name":"metadata","type":"string"}],"internalType":"struct AgentMemoryRegistry.Checkpoint","name":"","type":"tuple"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"string","name":"agentId","type":"string"}],"name":"getCheckpointCount","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"string","name":"agentId","type":"string"},{"internalType":"uint256","name":"index","type":"uint256"}],"name":"getCheckpointFlag","outputs":[{"internalType":"bool","name":"flagged","type":"bool"},{"components":[{"internalType":"uint256","name":"fromIndex","type":"uint256"},{"internalType":"uint256","name":"toIndex","type":"uint256"},{"internalType":"enum AgentMemoryRegistry.FlagReason","name":"reason","type":"uint8"},{"internalType":"uint256","name":"timestamp","type":"uint256"},{"internalType":"string","name":"note","type":"string"}],"internalType":"struct AgentMemoryRegistry.CheckpointFlag","name":"flag","type":"tuple"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"string","name":"agentId","type":"string"}],"name":"getCheckpointFlags","outputs":[{"components":[{"internalType":"uint256","name":"fromIndex","type":"uint256"},{"internalType":"uint256","name":"toIndex","type":"uint256"},{"internalType":"enum AgentMemoryRegistry.FlagReason","name":"reason","type":"uint8"},{"internalType":"uint256","name":"timestamp","type":"uint256"},{"internalType":"string","name":"note","type":"string"}],"internalType":"struct AgentMemoryRegistry.CheckpointFlag[]","name":"","type":"tuple[]"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"string","name":"agentId","type":"string"},{"internalType":"uint256","name":"start","type":"uint256"},{"internalType":"uint256","name":"count","type":"uint256"}],"name":"getCheckpointRange","outputs":[{"components":[{"internalType":"bytes32","name":"merkleRoot","type":"bytes32"},{"internalType":"uint256","name":"timestamp","type":"uint256"},{"internalType":"uint256","name":"blockNumber","type":"uint256"},{"internalType":"string","name":"metadata","type":"string"}],"internalType":"struct AgentMemoryRegistry.Checkpoint[]","name":"","type":"tuple[]"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"string","name":"agentId","type":"string"}],"name":"getDelegates","outputs":[{"internalType":"address[]","name":"","type":"address[]"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"string","name":"agentId","type":"string"}],"name":"getLatestCheckpoint","outputs":[{"components":[{"internalType":"bytes32","name":"merkleRoot","type":"bytes32"},{"internalType":"uint256","name":"timestamp","type":"uint256"},{"internalType":"uint256","name":"blockNumber","type":"uint256"},{"internalType":"string","name":"metadata","type":"string"}],"internalType":"struct AgentMemoryRegistry.Checkpoint","name":"","type":"tuple"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"incrementNonce","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"string","name":"agentId","type":"string"},{"internalType":"address","name":"publisher","type":"address"}],"name":"isAuthorizedPublisher","outputs":[{"internalType":"bool","name":"","type":"bool"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"address","name":"","type":"address"}],"name":"nonces","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"string","name":"agentId","type":"string"},{"internalType":"bytes32","name":"merkleRoot","type":"bytes32"},{"internalType":"string","name":"metadata","type":"string"}],"name":"publishCheckpoint","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"bytes32","name":"merkleRoot","type":"bytes32"},{"internalType":"string","name":"metadata","type":"string"}],"name":"publishCheckpointSimple","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"string","name":"agentId","type":"string"},{"internalType":"bytes32","name":"merkleRoot","type":"bytes32"},{"internalType":"string","name":"metadata","type":"string"},{"internalType":"address","name":"signer","type":"address"},{"internalType":"uint256","name":"deadline","type":"uint256"},{"internalType":"bytes","name":"signature","type":"bytes"}],"name":"publishCheckpointWithSig","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"string","name":"agentId","type":"string"}],"name":"reactivateAgent","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"string","name":"agentId","type":"string"}],"name":"registerAgent","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"address","name":"publisher","type":"address"}],"name":"resolvePublisher","outputs":[{"internalType":"string","name":"agentId","type":"string"},{"internalType":"bool","name":"isDelegate","type":"bool"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"string","name":"agentId","type":"string"},{"internalType":"address","name":"delegate","type":"address"}],"name":"revokeDelegate","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[],"name":"totalAgents","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"totalCheckpoints","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"string","name":"agentId","type":"string"},{"internalType":"address","name":"newOwner","type":"address"}],"name":"transferAgent","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"string","name":"agentId","type":"string"},{"internalType":"uint256","name":"checkpointIndex","type":"uint256"},{"internalType":"string","name":"path","type":"string"},{"internalType":"uint64","name":"size","type":"uint64"},{"components":[{"internalType":"uint32","name":"index","type":"uint32"},{"internalType":"bytes32","name":"hash","type":"bytes32"},{"internalType":"bytes32[]","name":"proof","type":"bytes32[]"}],"internalType":"struct AgentMemoryRegistry.ChunkProof","name":"chunk","type":"tuple"},{"internalType":"bytes32[]","name":"fileProof","type":"bytes32[]"}],"name":"verifyChunkProof","outputs":[{"internalType":"bool","name":"valid","type":"bool"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"string","name":"agentId","type":"string"},{"internalType":"uint256","name":"checkpointIndex","type":"uint256"},{"internalType":"string","name":"path","type":"string"},{"internalType":"uint64","name":"size","type":"uint64"},{"internalType":"bytes32","name":"contentHash","type":"bytes32"},{"internalType":"bytes32[]","name":"proof","type":"bytes32[]"}],"name":"verifyFileProof","outputs":[{"internalType":"bool","name":"valid","type":"bool"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"string","name":"agentId","type":"string"},{"internalType":"uint256","name":"checkpointIndex","type":"uint256"},{"internalType":"bytes32","name":"leaf","type":"bytes32"},{"internalType":"bytes32[]","name":"proof","type":"bytes32[]"}],"name":"verifyProof","outputs":[{"internalType":"bool","name":"valid","type":"bool"}],"stateMutability":"view","type":"function"}];
+  readonly bytecode: "0x608060405234801561001057600080fd5b506165d980620000216000396000f3fe608060405234801561001057600080fd5b506004361061021c5760003560e01c806385718fb611610125578063c4f00d4f116100ad578063cf6ee0cb1161007c578063cf6ee0cb146106e8578063d20e873e1461071b578063d97fe6c514610737578063e1193e4c14610767578063f332687d146107855761021c565b8063c4f00d4f14610635578063c505371214610666578063cc6aae3514610684578063cef15254146106b75761021c565b8063b8b643f4116100f4578063b8b643f41461056b578063baeda6721461059b578063bda94c7d146105cb578063c327b9b9146105e7578063c414fb45146106055761021c565b806385718fb6146104bf57806385ee7749146104ef5780638c55d0561461051f578063b7acd7a81461054f5761021c565b806361705264116101a857806367cf21e71161017757806367cf21e7146103e357806369729bcd146104135780636c6f728c146104435780637832b74f146104735780637ecebe001461048f5761021c565b8063617052641461035d578063627cdcb914610379578063647dfecc1461038357806365f78215146103b35761021c565b80633644e515116101ef5780633644e515146102b95780634841d81e146102d757806350cadbaf146102f357806353857c1c1461030f578063587cde1e1461032b5761021c565b806306b15c8314610221578063084a527d1461025157806318697b75146102815780632d2a95851461029d575b600080fd5b61023b6004803603810190610236919061421c565b6107a3565b6040516102489190614282565b60405180910390f35b61026b600480360381019061026691906142fb565b6107d1565b6040516102789190614376565b60405180910390f35b61029b6004803603810190610296919061421c565b6108e3565b005b6102b760048036038101906102b2919061421c565b610a1d565b005b6102c1610e12565b6040516102ce91906143aa565b60405180910390f35b6102f160048036038101906102ec9190614473565b610ea8565b005b61030d60048036038101906103089190614562565b611194565b005b610329600480360381019061032491906145f7565b61129b565b005b61034560048036038101906103409190614657565b61135b565b60405161035493929190614737565b60405180910390f35b610377600480360381019061037291906142fb565b61142e565b005b6103816115f5565b005b61039d6004803603810190610398919061481b565b61164c565b6040516103aa9190614376565b60405180910390f35b6103cd60048036038101906103c89190614657565b611760565b6040516103da9190614926565b60405180910390f35b6103fd60048036038101906103f8919061421c565b611800565b60405161040a9190614a06565b60405180910390f35b61042d6004803603810190610428919061421c565b6118af565b60405161043a9190614c30565b60405180910390f35b61045d60048036038101906104589190614c52565b611a1a565b60405161046a9190614376565b60405180910390f35b61048d60048036038101906104889190614d41565b611af1565b005b6104a960048036038101906104a49190614657565b6121b2565b6040516104b69190614282565b60405180910390f35b6104d960048036038101906104d49190614db5565b6121ca565b6040516104e691906143aa565b60405180910390f35b61050960048036038101906105049190614e4f565b612274565b6040516105169190614ff7565b60405180910390f35b6105396004803603810190610534919061421c565b6124d6565b604051610546919061507c565b60405180910390f35b610569600480360381019061056491906142fb565b612706565b005b6105856004803603810190610580919061509e565b612ca9565b604051610592919061507c565b60405180910390f35b6105b560048036038101906105b091906150fe565b612ec7565b6040516105c291906143aa565b60405180910390f35b6105e560048036038101906105e0919061421c565b612f1a565b005b6105ef613055565b6040516105fc919061518e565b60405180910390f35b61061f600480360381019061061a91906151a9565b61305a565b60405161062c9190614376565b60405180910390f35b61064f600480360381019061064a9190614657565b6131c3565b60405161065d929190615250565b60405180910390f35b61066e6133b2565b60405161067b9190614282565b60405180910390f35b61069e600480360381019061069991906153b0565b6133b8565b6040516106ae949392919061540c565b60405180910390f35b6106d160048036038101906106cc919061509e565b6134a3565b6040516106df9291906154ce565b60405180910390f35b61070260048036038101906106fd91906154fe565b6136ae565b6040516107129493929190615556565b60405180910390f35b610735600480360381019061073091906155c7565b6137a9565b005b610751600480360381019061074c91906156bf565b613aa9565b60405161075e91906143aa565b60405180910390f35b61076f613ae2565b60405161077c91906143aa565b60405180910390f35b61078d613b06565b60405161079a9190614282565b60405180910390f35b6000600183836040516107b792919061572f565b908152602001604051809103902080549050905092915050565b60008173ffffffffffffffffffffffffffffffffffffffff16600085856040516107fc92919061572f565b908152602001604051809103902060000160009054906101000a900473ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff160361085257600190506108dc565b6000600360008473ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff168152602001908152602001600020905061089e81613b0c565b80156108d8575084846040516108b5929190615778565b6040518091039020816000016040516108ce9190615889565b6040518091039020145b9150505b9392505050565b81813373ffffffffffffffffffffffffffffffffffffffff166000838360405161090e92919061572f565b908152602001604051809103902060000160009054906101000a900473ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff161461098d576040517f390772fc00000000000000000000000000000000000000000000000000000000815260040160405180910390fd5b60008085856040516109a092919061572f565b908152602001604051809103902060030160006101000a81548160ff02191690831515021790555083836040516109d892919061572f565b60405180910390207f4695ee296a4db21bb70a37362b2bede0ee444a7c5fa367ed9a75292052cd059a42604051610a0f9190614282565b60405180910390a250505050565b60008282905003610a5a576040517f3f7f02e900000000000000000000000000000000000000000000000000000000815260040160405180910390fd5b600073ffffffffffffffffffffffffffffffffffffffff1660008383604051610a8492919061572f565b908152602001604051809103902060000160009054906101000a900473ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff1614610b03576040517fe098d3ee00000000000000000000000000000000000000000000000000000000815260040160405180910390fd5b6000600260003373ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff1681526020019081526020016000208054610b4f906157c0565b90501115610b89576040517f6ca95e4200000000000000000000000000000000000000000000000000000000815260040160405180910390fd5b610b9233613b81565b600360003373ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff16815260200190815260200160002060010160089054906101000a900460ff1615610c19576040517f6ca95e4200000000000000000000000000000000000000000000000000000000815260040160405180910390fd5b60405180608001604052803373ffffffffffffffffffffffffffffffffffffffff16815260200183838080601f016020809104026020016040519081016040528093929190818152602001838380828437600081840152601f19601f8201169050808301925050505050505081526020014281526020016001151581525060008383604051610ca992919061572f565b908152602001604051809103902060008201518160000160006101000a81548173ffffffffffffffffffffffffffffffffffffffff021916908373ffffffffffffffffffffffffffffffffffffffff1602179055506020820151816001019081610d139190615a4c565b506040820151816002015560608201518160030160006101000a81548160ff0219169083151502179055509050508181600260003373ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff1681526020019081526020016000209182610d8f929190615b29565b5060086000815480929190610da390615c28565b91905055503373ffffffffffffffffffffffffffffffffffffffff168282604051610dcf92919061572f565b60405180910390207f01dca017992f42032d107edcde6c3b0fd73a026225cf9f4ed12a236e08d7be8642604051610e069190614282565b60405180910390a35050565b60007f8b73c3c69bb8fe3d512ecc4cf759cc79239f7b179b0ffacaa9a75d522b39400f7fb60db110d8184b3bc97272377434a50d5dd0ed1ca41798f9ae9fd0f10d273c187fc89efdaa54c0f20c7adf612882df0950f5a951637e0307cdcb4c672f298b8bc64630604051602001610e8d959493929190615c70565b60405160208183030381529060405280519060200120905090565b888860008282604051610ebc92919061572f565b908152602001604051809103902060030160009054906101000a900460ff16610f11576040517fba32abe100000000000000000000000000000000000000000000000000000000815260040160405180910390fd5b84421115610f4b576040517f0819bdcd00000000000000000000000000000000000000000000000000000000815260040160405180910390fd5b610f568b8b886107d1565b610f8c576040517f1902776b00000000000000000000000000000000000000000000000000000000815260040160405180910390fd5b6000600660008873ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff1681526020019081526020016000205490506000610ff78d8d8d8d8d604051610fe8929190615778565b6040518091039020868c6121ca565b90508773ffffffffffffffffffffffffffffffffffffffff1661101b828888613c88565b73ffffffffffffffffffffffffffffffffffffffff1614611068576040517f8baa579f00000000000000000000000000000000000000000000000000000000815260040160405180910390fd5b6001826110759190615cc3565b600660008a73ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff168152602001908152602001600020819055506111088d8d8080601f016020809104026020016040519081016040528093929190818152602001838380828437600081840152601f19601f820116905080830192505050505050508c8c8c613dbb565b3373ffffffffffffffffffffffffffffffffffffffff168873ffffffffffffffffffffffffffffffffffffffff168e8e60405161114692919061572f565b60405180910390207f257763bf9ec35271bd8282e530d20c49bce4e388c703c527364bbe0fb120d0ce8560405161117d9190614282565b60405180910390a450505050505050505050505050565b84846111a18282336107d1565b6111d7576040517f1902776b00000000000000000000000000000000000000000000000000000000815260040160405180910390fd5b8686600082826040516111eb92919061572f565b908152602001604051809103902060030160009054906101000a900460ff16611240576040517fba32abe100000000000000000000000000000000000000000000000000000000815260040160405180910390fd5b61129089898080601f016020809104026020016040519081016040528093929190818152602001838380828437600081840152601f19601f82011690508083019250505050505050888888613dbb565b505050505050505050565b60006112a6336131c3565b50905060008151036112e4576040517f83bcfb4700000000000000000000000000000000000000000000000000000000815260040160405180910390fd5b6000816040516112f49190615d28565b908152602001604051809103902060030160009054906101000a900460ff16611349576040517fba32abe100000000000000000000000000000000000000000000000000000000815260040160405180910390fd5b61135581858585613dbb565b50505050565b600360205280600052604060002060009150905080600001805461137e906157c0565b80601f01602080910402602001604051908101604052809291908181526020018280546113aa906157c0565b80156113f75780601f106113cc576101008083540402835291602001916113f7565b820191906000526020600020905b8154815290600101906020018083116113da57829003601f168201915b5050505050908060010160009054906101000a900467ffffffffffffffff16908060010160089054906101000a900460ff16905083565b82823373ffffffffffffffffffffffffffffffffffffffff166000838360405161145992919061572f565b908152602001604051809103902060000160009054906101000a900473ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff16146114d8576040517f390772fc00000000000000000000000000000000000000000000000000000000815260040160405180910390fd5b6000600360008573ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff16815260200190815260200160002090508060010160089054906101000a900460ff16158061156857508585604051611544929190615778565b60405180910390208160000160405161155d9190615889565b604051809103902014155b1561159f576040517fb586360400000000000000000000000000000000000000000000000000000000815260040160405180910390fd5b6115ed86868080601f016020809104026020016040519081016040528093929190818152602001838380828437600081840152601f19601f8201169050808301925050505050505085613f3b565b505050505050565b600660003373ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff168152602001908152602001600020600081548092919061164590615c28565b9190505550565b600060018a8a60405161166092919061572f565b90815260200160405180910390208054905088106116b3576040517f08c379a00000000000000000000000000000000000000000000000000000000081526004016116aa90615d8b565b60405180910390fd5b60006116ed6116d88660000160208101906116ce9190615dab565b8760200135613aa9565b8680604001906116e89190615de7565b614019565b905060006116fd89898985612ec7565b905060018c8c60405161171192919061572f565b90815260200160405180910390208a8154811061173157611730615e4a565b5b90600052602060002090600402016000015461174e828787614019565b14925050509998505050505050505050565b6002602052806000526040600020600091509050805461177f906157c0565b80601f01602080910402602001604051908101604052809291908181526020018280546117ab906157c0565b80156117f85780601f106117cd576101008083540402835291602001916117f8565b820191906000526020600020905b8154815290600101906020018083116117db57829003601f168201915b505050505081565b60606004838360405161181492919061572f565b90815260200160405180910390208054806020026020016040519081016040528092919081815260200182805480156118a257602002820191906000526020600020905b8160009054906101000a900473ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff1681526020019060010190808311611858575b5050505050905092915050565b6060600783836040516118c392919061572f565b9081526020016040518091039020805480602002602001604051908101604052809291908181526020016000905b82821015611a0e57838290600052602060002090600502016040518060a001604052908160008201548152602001600182015481526020016002820160009054906101000a900460ff16600581111561194d5761194c614a63565b5b600581111561195f5761195e614a63565b5b81526020016003820154815260200160048201805461197d906157c0565b80601f01602080910402602001604051908101604052809291908181526020018280546119a9906157c0565b80156119f65780601f106119cb576101008083540402835291602001916119f6565b820191906000526020600020905b8154815290600101906020018083116119d957829003601f168201915b505050505081525050815260200190600101906118f1565b50505050905092915050565b600060018a8a604051611a2e92919061572f565b9081526020016040518091039020805490508810611a81576040517f08c379a0000000000000000000000000000000000000000000000000000000008152600401611a7890615d8b565b60405180910390fd5b6000611a8f88888888612ec7565b905060018b8b604051611aa392919061572f565b90815260200160405180910390208981548110611ac357611ac2615e4a565b5b906000526020600020906004020160000154611ae0828686614019565b149150509998505050505050505050565b83833373ffffffffffffffffffffffffffffffffffffffff1660008383604051611b1c92919061572f565b908152602001604051809103902060000160009054906101000a900473ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff1614611b9b576040517f390772fc00000000000000000000000000000000000000000000000000000000815260040160405180910390fd5b600073ffffffffffffffffffffffffffffffffffffffff168473ffffffffffffffffffffffffffffffffffffffff161480611c44575060008686604051611be392919061572f565b908152602001604051809103902060000160009054906101000a900473ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff168473ffffffffffffffffffffffffffffffffffffffff16145b15611c7b576040517fb586360400000000000000000000000000000000000000000000000000000000815260040160405180910390fd5b6000600260008673ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff1681526020019081526020016000208054611cc7906157c0565b90501115611d01576040517f6ca95e4200000000000000000000000000000000000000000000000000000000815260040160405180910390fd5b60008367ffffffffffffffff1614158015611d265750428367ffffffffffffffff1611155b15611d5d576040517fd36c850000000000000000000000000000000000000000000000000000000000815260040160405180910390fd5b6000600360008673ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff16815260200190815260200160002090508060010160089054906101000a900460ff168015611ded57508686604051611dc9929190615778565b604051809103902081600001604051611de29190615889565b604051809103902014155b15611ec957611dfb81613b0c565b15611e32576040517f5b73c61c00000000000000000000000000000000000000000000000000000000815260040160405180910390fd5b611ec8816000018054611e44906157c0565b80601f0160208091040260200160405190810160405280929190818152602001828054611e70906157c0565b8015611ebd5780601f10611e9257610100808354040283529160200191611ebd565b820191906000526020600020905b815481529060010190602001808311611ea057829003601f168201915b505050505086613f3b565b5b604051806060016040528088888080601f016020809104026020016040519081016040528093929190818152602001838380828437600081840152601f19601f8201169050808301925050505050505081526020018567ffffffffffffffff16815260200160011515815250600360008773ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff1681526020019081526020016000206000820151816000019081611f899190615a4c565b5060208201518160010160006101000a81548167ffffffffffffffff021916908367ffffffffffffffff16021790555060408201518160010160086101000a81548160ff02191690831515021790555090505060058787604051611fee92919061572f565b908152602001604051809103902060008673ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff16815260200190815260200160002060009054906101000a900460ff166121435760016005888860405161205f92919061572f565b908152602001604051809103902060008773ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff16815260200190815260200160002060006101000a81548160ff021916908315150217905550600487876040516120d392919061572f565b9081526020016040518091039020859080600181540180825580915050600190039060005260206000200160009091909190916101000a81548173ffffffffffffffffffffffffffffffffffffffff021916908373ffffffffffffffffffffffffffffffffffffffff1602179055505b8473ffffffffffffffffffffffffffffffffffffffff16878760405161216a92919061572f565b60405180910390207f905224e7263000ba4dd131e9c4f278ecaf4b76b4311876c2d629e909f5051a27866040516121a19190615e79565b60405180910390a350505050505050565b60066020528060005260406000206000915090505481565b6000807f44b9df015683d5ca238e4e72ee3945b1e7b173d9a45b1a06f30ea59a5485866a88886040516121fe929190615778565b60405180910390208787878760405160200161221f96959493929190615e94565b60405160208183030381529060405280519060200120905061223f610e12565b81604051602001612251929190615f62565b604051602081830303815290604052805190602001209150509695505050505050565b606060006001868660405161228a92919061572f565b908152602001604051809103902080549050905080841061230257600067ffffffffffffffff8111156122c0576122bf615285565b5b6040519080825280602002602001820160405280156122f957816020015b6122e66140da565b8152602001906001900390816122de5790505b509150506124ce565b600083856123109190615cc3565b90508181111561231e578190505b6000858261232c9190615f99565b67ffffffffffffffff81111561234557612344615285565b5b60405190808252806020026020018201604052801561237e57816020015b61236b6140da565b8152602001906001900390816123635790505b50905060008690505b828110156124c657600189896040516123a192919061572f565b908152602001604051809103902081815481106123c1576123c0615e4a565b5b9060005260206000209060040201604051806080016040529081600082015481526020016001820154815260200160028201548152602001600382018054612408906157c0565b80601f0160208091040260200160405190810160405280929190818152602001828054612434906157c0565b80156124815780601f1061245657610100808354040283529160200191612481565b820191906000526020600020905b81548152906001019060200180831161246457829003601f168201915b5050505050815250508288836124979190615f99565b815181106124a8576124a7615e4a565b5b602002602001018190525080806124be90615c28565b915050612387565b508093505050505b949350505050565b6124de6140da565b8282600073ffffffffffffffffffffffffffffffffffffffff166000838360405161250a92919061572f565b908152602001604051809103902060000160009054906101000a900473ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff1603612589576040517f83bcfb4700000000000000000000000000000000000000000000000000000000815260040160405180910390fd5b60006001868660405161259d92919061572f565b9081526020016040518091039020805490509050600081116125f4576040517f08c379a00000000000000000000000000000000000000000000000000000000081526004016125eb90616019565b60405180910390fd5b6001868660405161260692919061572f565b90815260200160405180910390206001826126219190615f99565b8154811061263257612631615e4a565b5b9060005260206000209060040201604051806080016040529081600082015481526020016001820154815260200160028201548152602001600382018054612679906157c0565b80601f01602080910402602001604051908101604052809291908181526020018280546126a5906157c0565b80156126f25780601f106126c7576101008083540402835291602001916126f2565b820191906000526020600020905b8154815290600101906020018083116126d557829003601f168201915b505050505081525050935050505092915050565b82823373ffffffffffffffffffffffffffffffffffffffff166000838360405161273192919061572f565b908152602001604051809103902060000160009054906101000a900473ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff16146127b0576040517f390772fc00000000000000000000000000000000000000000000000000000000815260040160405180910390fd5b600073ffffffffffffffffffffffffffffffffffffffff168373ffffffffffffffffffffffffffffffffffffffff160361281f576040517f08c379a000000000000000000000000000000000000000000000000000000000815260040161281690616085565b60405180910390fd5b6000600260008573ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff168152602001908152602001600020805461286b906157c0565b9050146128ad576040517f08c379a00000000000000000000000000000000000000000000000000000000081526004016128a4906160f1565b60405180910390fd5b6000600486866040516128c192919061572f565b9081526020016040518091039020905060005b8180549050811015612a51576000600360008484815481106128f9576128f8615e4a565b5b9060005260206000200160009054906101000a900473ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff16815260200190815260200160002090508060010160089054906101000a900460ff1680156129ac57508787604051612989929190615778565b6040518091039020816000016040516129a29190615889565b6040518091039020145b15612a3d57612a3c88888080601f016020809104026020016040519081016040528093929190818152602001838380828437600081840152601f19601f82011690508083019250505050505050848481548110612a0c57612a0b615e4a565b5b9060005260206000200160009054906101000a900473ffffffffffffffffffffffffffffffffffffffff16613f3b565b5b508080612a4990615c28565b9150506128d4565b50612a5b84613b81565b600360008573ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff16815260200190815260200160002060010160089054906101000a900460ff1615612aeb576040517f08c379a0000000000000000000000000000000000000000000000000000000008152600401612ae290616183565b60405180910390fd5b6000808787604051612afe92919061572f565b908152602001604051809103902060000160009054906101000a900473ffffffffffffffffffffffffffffffffffffffff169050600260008273ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff1681526020019081526020016000206000612b7d9190614105565b8686600260008873ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff1681526020019081526020016000209182612bcb929190615b29565b508460008888604051612bdf92919061572f565b908152602001604051809103902060000160006101000a81548173ffffffffffffffffffffffffffffffffffffffff021916908373ffffffffffffffffffffffffffffffffffffffff1602179055508473ffffffffffffffffffffffffffffffffffffffff168173ffffffffffffffffffffffffffffffffffffffff168888604051612c6c92919061572f565b60405180910390207f0304cfe9507b1c0f4aaa4eae9bd6b99277a4cf13096c53b82084bd90b98e2ea660405160405180910390a450505050505050565b612cb16140da565b8383600073ffffffffffffffffffffffffffffffffffffffff1660008383604051612cdd92919061572f565b908152602001604051809103902060000160009054906101000a900473ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff1603612d5c576040517f83bcfb4700000000000000000000000000000000000000000000000000000000815260040160405180910390fd5b60018686604051612d6e92919061572f565b9081526020016040518091039020805490508410612dc1576040517f08c379a0000000000000000000000000000000000000000000000000000000008152600401612db8906161ef565b60405180910390fd5b60018686604051612dd392919061572f565b90815260200160405180910390208481548110612df357612df2615e4a565b5b9060005260206000209060040201604051806080016040529081600082015481526020016001820154815260200160028201548152602001600382018054612e3a906157c0565b80601f0160208091040260200160405190810160405280929190818152602001828054612e66906157c0565b8015612eb35780601f10612e8857610100808354040283529160200191612eb3565b820191906000526020600020905b815481529060010190602001808311612e9657829003601f168201915b505050505081525050925050509392505050565b60008060f81b8585604051612edd929190615778565b60405180910390208484604051602001612efa9493929190616292565b604051602081830303815290604052805190602001209050949350505050565b81813373ffffffffffffffffffffffffffffffffffffffff1660008383604051612f4592919061572f565b908152602001604051809103902060000160009054906101000a900473ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff1614612fc4576040517f390772fc00000000000000000000000000000000000000000000000000000000815260040160405180910390fd5b600160008585604051612fd892919061572f565b908152602001604051809103902060030160006101000a81548160ff021916908315150217905550838360405161301092919061572f565b60405180910390207fc9aeb2de3e9918a146779b6f206bbd56abb84f4ba42f428ce465d6f90316ec0d426040516130479190614282565b60405180910390a250505050565b600381565b60006001878760405161306e92919061572f565b90815260200160405180910390208054905085106130c1576040517f08c379a00000000000000000000000000000000000000000000000000000000081526004016130b890615d8b565b60405180910390fd5b6000600188886040516130d592919061572f565b908152602001604051809103902086815481106130f5576130f4615e4a565b5b9060005260206000209060040201600001549050600085905060005b858590508110156131b157600086868381811061313157613130615e4a565b5b9050602002013590508083116131715782816040516020016131549291906162e0565b60405160208183030381529060405280519060200120925061319d565b80836040516020016131849291906162e0565b6040516020818303038152906040528051906020012092505b5080806131a990615c28565b915050613111565b50818114925050509695505050505050565b60606000600260008473ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff1681526020019081526020016000208054613211906157c0565b80601f016020809104026020016040519081016040528092919081815260200182805461323d906157c0565b801561328a5780601f1061325f5761010080835404028352916020019161328a565b820191906000526020600020905b81548152906001019060200180831161326d57829003601f168201915b505050505091506000825111156132a757816000915091506133ad565b6000600360008573ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff16815260200190815260200160002090506132f381613b0c565b156133945780600001600181805461330a906157c0565b80601f0160208091040260200160405190810160405280929190818152602001828054613336906157c0565b80156133835780601f1061335857610100808354040283529160200191613383565b820191906000526020600020905b81548152906001019060200180831161336657829003601f168201915b5050505050915092509250506133ad565b6000604051806020016040528060008152509092509250505b915091565b60085481565b60018280516020810182018051848252602083016020850120818352809550505050505081815481106133ea57600080fd5b906000526020600020906004020160009150915050806000015490806001015490806002015490806003018054613420906157c0565b80601f016020809104026020016040519081016040528092919081815260200182805461344c906157c0565b80156134995780601f1061346e57610100808354040283529160200191613499565b820191906000526020600020905b81548152906001019060200180831161347c57829003601f168201915b5050505050905084565b60006134ad614145565b6000600786866040516134c192919061572f565b908152602001604051809103902090506000818054905090505b600081111561369f5784826001836134f39190615f99565b8154811061350457613503615e4a565b5b9060005260206000209060050201600001541115801561355457508160018261352d9190615f99565b8154811061353e5761353d615e4a565b5b9060005260206000209060050201600101548511155b1561368c576001826001836135699190615f99565b8154811061357a57613579615e4a565b5b9060005260206000209060050201806040518060a001604052908160008201548152602001600182015481526020016002820160009054906101000a900460ff1660058111156135cd576135cc614a63565b5b60058111156135df576135de614a63565b5b8152602001600382015481526020016004820180546135fd906157c0565b80601f0160208091040260200160405190810160405280929190818152602001828054613629906157c0565b80156136765780601f1061364b57610100808354040283529160200191613676565b820191906000526020600020905b81548152906001019060200180831161365957829003601f168201915b50505050508152505090509350935050506136a6565b80806136979061630c565b9150506134db565b5060009250505b935093915050565b6000818051602081018201805184825260208301602085012081835280955050505050506000915090508060000160009054906101000a900473ffffffffffffffffffffffffffffffffffffffff169080600101805461370d906157c0565b80601f0160208091040260200160405190810160405280929190818152602001828054613739906157c0565b80156137865780601f1061375b57610100808354040283529160200191613786565b820191906000526020600020905b81548152906001019060200180831161376957829003601f168201915b5050505050908060020154908060030160009054906101000a900460ff16905084565b86863373ffffffffffffffffffffffffffffffffffffffff16600083836040516137d492919061572f565b908152602001604051809103902060000160009054906101000a900473ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff1614613853576040517f390772fc00000000000000000000000000000000000000000000000000000000815260040160405180910390fd5b8587118061388457506001898960405161386e92919061572f565b9081526020016040518091039020805490508610155b156138bb576040517f98a660a400000000000000000000000000000000000000000000000000000000815260040160405180910390fd5b600060058111156138cf576138ce614a63565b5b8560058111156138e2576138e1614a63565b5b03613919576040517fae9bf64000000000000000000000000000000000000000000000000000000000815260040160405180910390fd5b6007898960405161392b92919061572f565b90815260200160405180910390206040518060a0016040528089815260200188815260200187600581111561396357613962614a63565b5b815260200142815260200186868080601f016020809104026020016040519081016040528093929190818152602001838380828437600081840152601f19601f820116905080830192505050505050508152509080600181540180825580915050600190039060005260206000209060050201600090919091909150600082015181600001556020820151816001015560408201518160020160006101000a81548160ff02191690836005811115613a1e57613a1d614a63565b5b0217905550606082015181600301556080820151816004019081613a429190615a4c565b5050508888604051613a5592919061572f565b60405180910390207f1ac53c08a5eec4abb76779375c95f52b0253ac0d68f535fb418e616d5bd41435888888428989604051613a9696959493929190616371565b60405180910390a2505050505050505050565b6000600260f81b8383604051602001613ac493929190616403565b60405160208183030381529060405280519060200120905092915050565b7f44b9df015683d5ca238e4e72ee3945b1e7b173d9a45b1a06f30ea59a5485866a81565b60095481565b60008160010160089054906101000a900460ff168015613b7a575060008260010160009054906101000a900467ffffffffffffffff1667ffffffffffffffff161480613b795750428260010160009054906101000a900467ffffffffffffffff1667ffffffffffffffff16115b5b9050919050565b6000600360008373ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff16815260200190815260200160002090508060010160089054906101000a900460ff168015613be85750613be681613b0c565b155b15613c8457613c83816000018054613bff906157c0565b80601f0160208091040260200160405190810160405280929190818152602001828054613c2b906157c0565b8015613c785780601f10613c4d57610100808354040283529160200191613c78565b820191906000526020600020905b815481529060010190602001808311613c5b57829003601f168201915b505050505083613f3b565b5b5050565b600060418383905014613c9e5760009050613db4565b60008383600090602092613cb49392919061644a565b90613cbf9190616490565b905060008484602090604092613cd79392919061644a565b90613ce29190616490565b9050600085856040818110613cfa57613cf9615e4a565b5b9050013560f81c60f81b60f81c90507f7fffffffffffffffffffffffffffffff5d576e7357a4501ddfe92f46681b20a08260001c1180613d4e5750601b8160ff1614158015613d4d5750601c8160ff1614155b5b15613d5f5760009350505050613db4565b60018782858560405160008152602001604052604051613d8294939291906164ef565b6020604051602081039080840390855afa158015613da4573d6000803e3d6000fd5b5050506020604051035193505050505b9392505050565b6000604051806080016040528085815260200142815260200143815260200184848080601f016020809104026020016040519081016040528093929190818152602001838380828437600081840152601f19601f8201169050808301925050505050505081525090506000600186604051613e369190615d28565b9081526020016040518091039020805490509050600186604051613e5a9190615d28565b90815260200160405180910390208290806001815401808255809150506001900390600052602060002090600402016000909190919091506000820151816000015560208201518160010155604082015181600201556060820151816003019081613ec59190615a4c565b50505060096000815480929190613edb90615c28565b9190505550808587604051613ef09190615d28565b60405180910390207f964f54439b04e3806acdd0c1238648972545b2c28335f8c99067cdca2c8b8ac9428888604051613f2b93929190616534565b60405180910390a4505050505050565b600360008273ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff16815260200190815260200160002060008082016000613f8b9190614105565b6001820160006101000a81549067ffffffffffffffff02191690556001820160086101000a81549060ff021916905550508073ffffffffffffffffffffffffffffffffffffffff1682604051613fe19190615d28565b60405180910390207fbf22b34e482774b4e4fa4d72cf2d4e06fec5fedba1483d16c904d5077590a78760405160405180910390a35050565b60008084905060005b848490508110156140ce57600085858381811061404257614041615e4a565b5b90506020020135905080831161408857600160f81b838260405160200161406b93929190616566565b6040516020818303038152906040528051906020012092506140ba565b600160f81b81846040516020016140a193929190616566565b6040516020818303038152906040528051906020012092505b5080806140c690615c28565b915050614022565b50809150509392505050565b6040518060800160405280600080191681526020016000815260200160008152602001606081525090565b508054614111906157c0565b6000825580601f106141235750614142565b601f0160209004906000526020600020908101906141419190614186565b5b50565b6040518060a0016040528060008152602001600081526020016000600581111561417257614171614a63565b5b815260200160008152602001606081525090565b5b8082111561419f576000816000905550600101614187565b5090565b6000604051905090565b600080fd5b600080fd5b600080fd5b600080fd5b600080fd5b60008083601f8401126141dc576141db6141b7565b5b8235905067ffffffffffffffff8111156141f9576141f86141bc565b5b602083019150836001820283011115614215576142146141c1565b5b9250929050565b60008060208385031215614233576142326141ad565b5b600083013567ffffffffffffffff811115614251576142506141b2565b5b61425d858286016141c6565b92509250509250929050565b6000819050919050565b61427c81614269565b82525050565b60006020820190506142976000830184614273565b92915050565b600073ffffffffffffffffffffffffffffffffffffffff82169050919050565b60006142c88261429d565b9050919050565b6142d8816142bd565b81146142e357600080fd5b50565b6000813590506142f5816142cf565b92915050565b600080600060408486031215614314576143136141ad565b5b600084013567ffffffffffffffff811115614332576143316141b2565b5b61433e868287016141c6565b93509350506020614351868287016142e6565b9150509250925092565b60008115159050919050565b6143708161435b565b82525050565b600060208201905061438b6000830184614367565b92915050565b6000819050919050565b6143a481614391565b82525050565b60006020820190506143bf600083018461439b565b92915050565b6143ce81614391565b81146143d957600080fd5b50565b6000813590506143eb816143c5565b92915050565b6143fa81614269565b811461440557600080fd5b50565b600081359050614417816143f1565b92915050565b60008083601f840112614433576144326141b7565b5b8235905067ffffffffffffffff8111156144505761444f6141bc565b5b60208301915083600182028301111561446c5761446b6141c1565b5b9250929050565b600080600080600080600080600060c08a8c031215614495576144946141ad565b5b60008a013567ffffffffffffffff8111156144b3576144b26141b2565b5b6144bf8c828d016141c6565b995099505060206144d28c828d016143dc565b97505060408a013567ffffffffffffffff8111156144f3576144f26141b2565b5b6144ff8c828d016141c6565b965096505060606145128c828d016142e6565b94505060806145238c828d01614408565b93505060a08a013567ffffffffffffffff811115614544576145436141b2565b5b6145508c828d0161441d565b92509250509295985092959850929598565b60008060008060006060868803121561457e5761457d6141ad565b5b600086013567ffffffffffffffff81111561459c5761459b6141b2565b5b6145a8888289016141c6565b955095505060206145bb888289016143dc565b935050604086013567ffffffffffffffff8111156145dc576145db6141b2565b5b6145e8888289016141c6565b92509250509295509295909350565b6000806000604084860312156146105761460f6141ad565b5b600061461e868287016143dc565b935050602084013567ffffffffffffffff81111561463f5761463e6141b2565b5b61464b868287016141c6565b92509250509250925092565b60006020828403121561466d5761466c6141ad565b5b600061467b848285016142e6565b91505092915050565b600081519050919050565b600082825260208201905092915050565b60005b838110156146be5780820151818401526020810190506146a3565b60008484015250505050565b6000601f19601f8301169050919050565b60006146e682614684565b6146f0818561468f565b93506147008185602086016146a0565b614709816146ca565b840191505092915050565b600067ffffffffffffffff82169050919050565b61473181614714565b82525050565b6000606082019050818103600083015261475181866146db565b90506147606020830185614728565b61476d6040830184614367565b949350505050565b61477e81614714565b811461478957600080fd5b50565b60008135905061479b81614775565b92915050565b600080fd5b6000606082840312156147bc576147bb6147a1565b5b81905092915050565b60008083601f8401126147db576147da6141b7565b5b8235905067ffffffffffffffff8111156147f8576147f76141bc565b5b602083019150836020820283011115614814576148136141c1565b5b9250929050565b600080600080600080600080600060c08a8c03121561483d5761483c6141ad565b5b60008a013567ffffffffffffffff81111561485b5761485a6141b2565b5b6148678c828d016141c6565b9950995050602061487a8c828d01614408565b97505060408a013567ffffffffffffffff81111561489b5761489a6141b2565b5b6148a78c828d016141c6565b965096505060606148ba8c828d0161478c565b94505060808a013567ffffffffffffffff8111156148db576148da6141b2565b5b6148e78c828d016147a6565b93505060a08a013567ffffffffffffffff811115614908576149076141b2565b5b6149148c828d016147c5565b92509250509295985092959850929598565b6000602082019050818103600083015261494081846146db565b905092915050565b600081519050919050565b600082825260208201905092915050565b6000819050602082019050919050565b61497d816142bd565b82525050565b600061498f8383614974565b60208301905092915050565b6000602082019050919050565b60006149b382614948565b6149bd8185614953565b93506149c883614964565b8060005b838110156149f95781516149e08882614983565b97506149eb8361499b565b9250506001810190506149cc565b5085935050505092915050565b60006020820190508181036000830152614a2081846149a8565b905092915050565b600081519050919050565b600082825260208201905092915050565b6000819050602082019050919050565b614a5d81614269565b82525050565b7f4e487b7100000000000000000000000000000000000000000000000000000000600052602160045260246000fd5b60068110614aa357614aa2614a63565b5b50565b6000819050614ab482614a92565b919050565b6000614ac482614aa6565b9050919050565b614ad481614ab9565b82525050565b600082825260208201905092915050565b6000614af682614684565b614b008185614ada565b9350614b108185602086016146a0565b614b19816146ca565b840191505092915050565b600060a083016000830151614b3c6000860182614a54565b506020830151614b4f6020860182614a54565b506040830151614b626040860182614acb565b506060830151614b756060860182614a54565b5060808301518482036080860152614b8d8282614aeb565b9150508091505092915050565b6000614ba68383614b24565b905092915050565b6000602082019050919050565b6000614bc682614a28565b614bd08185614a33565b935083602082028501614be285614a44565b8060005b85811015614c1e5784840389528151614bff8582614b9a565b9450614c0a83614bae565b925060208a01995050600181019050614be6565b50829750879550505050505092915050565b60006020820190508181036000830152614c4a8184614bbb565b905092915050565b600080600080600080600080600060c08a8c031215614c7457614c736141ad565b5b60008a013567ffffffffffffffff811115614c9257614c916141b2565b5b614c9e8c828d016141c6565b99509950506020614cb18c828d01614408565b97505060408a013567ffffffffffffffff811115614cd257614cd16141b2565b5b614cde8c828d016141c6565b96509650506060614cf18c828d0161478c565b9450506080614d028c828d016143dc565b93505060a08a013567ffffffffffffffff811115614d2357614d226141b2565b5b614d2f8c828d016147c5565b92509250509295985092959850929598565b60008060008060608587031215614d5b57614d5a6141ad565b5b600085013567ffffffffffffffff811115614d7957614d786141b2565b5b614d85878288016141c6565b94509450506020614d98878288016142e6565b9250506040614da98782880161478c565b91505092959194509250565b60008060008060008060a08789031215614dd257614dd16141ad565b5b600087013567ffffffffffffffff811115614df057614def6141b2565b5b614dfc89828a016141c6565b96509650506020614e0f89828a016143dc565b9450506040614e2089828a016143dc565b9350506060614e3189828a01614408565b9250506080614e4289828a01614408565b9150509295509295509295565b60008060008060608587031215614e6957614e686141ad565b5b600085013567ffffffffffffffff811115614e8757614e866141b2565b5b614e93878288016141c6565b94509450506020614ea687828801614408565b9250506040614eb787828801614408565b91505092959194509250565b600081519050919050565b600082825260208201905092915050565b6000819050602082019050919050565b614ef881614391565b82525050565b6000608083016000830151614f166000860182614eef565b506020830151614f296020860182614a54565b506040830151614f3c6040860182614a54565b5060608301518482036060860152614f548282614aeb565b9150508091505092915050565b6000614f6d8383614efe565b905092915050565b6000602082019050919050565b6000614f8d82614ec3565b614f978185614ece565b935083602082028501614fa985614edf565b8060005b85811015614fe55784840389528151614fc68582614f61565b9450614fd183614f75565b925060208a01995050600181019050614fad565b50829750879550505050505092915050565b600060208201905081810360008301526150118184614f82565b905092915050565b60006080830160008301516150316000860182614eef565b5060208301516150446020860182614a54565b5060408301516150576040860182614a54565b506060830151848203606086015261506f8282614aeb565b9150508091505092915050565b600060208201905081810360008301526150968184615019565b905092915050565b6000806000604084860312156150b7576150b66141ad565b5b600084013567ffffffffffffffff8111156150d5576150d46141b2565b5b6150e1868287016141c6565b935093505060206150f486828701614408565b9150509250925092565b60008060008060608587031215615118576151176141ad565b5b600085013567ffffffffffffffff811115615136576151356141b2565b5b615142878288016141c6565b945094505060206151558782880161478c565b9250506040615166878288016143dc565b91505092959194509250565b600060ff82169050919050565b61518881615172565b82525050565b60006020820190506151a3600083018461517f565b92915050565b600080600080600080608087890312156151c6576151c56141ad565b5b600087013567ffffffffffffffff8111156151e4576151e36141b2565b5b6151f089828a016141c6565b9650965050602061520389828a01614408565b945050604061521489828a016143dc565b935050606087013567ffffffffffffffff811115615235576152346141b2565b5b61524189828a016147c5565b92509250509295509295509295565b6000604082019050818103600083015261526a81856146db565b90506152796020830184614367565b9392505050565b600080fd5b7f4e487b7100000000000000000000000000000000000000000000000000000000600052604160045260246000fd5b6152bd826146ca565b810181811067ffffffffffffffff821117156152dc576152db615285565b5b80604052505050565b60006152ef6141a3565b90506152fb82826152b4565b919050565b600067ffffffffffffffff82111561531b5761531a615285565b5b615324826146ca565b9050602081019050919050565b82818337600083830152505050565b600061535361534e84615300565b6152e5565b90508281526020810184848401111561536f5761536e615280565b5b61537a848285615331565b509392505050565b600082601f830112615397576153966141b7565b5b81356153a7848260208601615340565b91505092915050565b600080604083850312156153c7576153c66141ad565b5b600083013567ffffffffffffffff8111156153e5576153e46141b2565b5b6153f185828601615382565b925050602061540285828601614408565b9150509250929050565b6000608082019050615421600083018761439b565b61542e6020830186614273565b61543b6040830185614273565b818103606083015261544d81846146db565b905095945050505050565b600060a0830160008301516154706000860182614a54565b5060208301516154836020860182614a54565b5060408301516154966040860182614acb565b5060608301516154a96060860182614a54565b50608083015184820360808601526154c18282614aeb565b9150508091505092915050565b60006040820190506154e36000830185614367565b81810360208301526154f58184615458565b90509392505050565b600060208284031215615514576155136141ad565b5b600082013567ffffffffffffffff811115615532576155316141b2565b5b61553e84828501615382565b91505092915050565b615550816142bd565b82525050565b600060808201905061556b6000830187615547565b818103602083015261557d81866146db565b905061558c6040830185614273565b6155996060830184614367565b95945050505050565b600681106155af57600080fd5b50565b6000813590506155c1816155a2565b92915050565b600080600080600080600060a0888a0312156155e6576155e56141ad565b5b600088013567ffffffffffffffff811115615604576156036141b2565b5b6156108a828b016141c6565b975097505060206156238a828b01614408565b95505060406156348a828b01614408565b94505060606156458a828b016155b2565b935050608088013567ffffffffffffffff811115615666576156656141b2565b5b6156728a828b016141c6565b925092505092959891949750929550565b600063ffffffff82169050919050565b61569c81615683565b81146156a757600080fd5b50565b6000813590506156b981615693565b92915050565b600080604083850312156156d6576156d56141ad565b5b60006156e4858286016156aa565b92505060206156f5858286016143dc565b9150509250929050565b600081905092915050565b600061571683856156ff565b9350615723838584615331565b82840190509392505050565b600061573c82848661570a565b91508190509392505050565b600081905092915050565b600061575f8385615748565b935061576c838584615331565b82840190509392505050565b6000615785828486615753565b91508190509392505050565b7f4e487b7100000000000000000000000000000000000000000000000000000000600052602260045260246000fd5b600060028204905060018216806157d857607f821691505b6020821081036157eb576157ea615791565b5b50919050565b60008190508160005260206000209050919050565b60008154615813816157c0565b61581d8186615748565b94506001821660008114615838576001811461584d57615880565b60ff1983168652811515820286019350615880565b615856856157f1565b60005b8381101561587857815481890152600182019150602081019050615859565b838801955050505b50505092915050565b60006158958284615806565b915081905092915050565b60008190508160005260206000209050919050565b60006020601f8301049050919050565b600082821b905092915050565b6000600883026159027fffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffff826158c5565b61590c86836158c5565b95508019841693508086168417925050509392505050565b6000819050919050565b600061594961594461593f84614269565b615924565b614269565b9050919050565b6000819050919050565b6159638361592e565b61597761596f82615950565b8484546158d2565b825550505050565b600090565b61598c61597f565b61599781848461595a565b505050565b5b818110156159bb576159b0600082615984565b60018101905061599d565b5050565b601f821115615a00576159d1816158a0565b6159da846158b5565b810160208510156159e9578190505b6159fd6159f5856158b5565b83018261599c565b50505b505050565b600082821c905092915050565b6000615a2360001984600802615a05565b1980831691505092915050565b6000615a3c8383615a12565b9150826002028217905092915050565b615a5582614684565b67ffffffffffffffff811115615a6e57615a6d615285565b5b615a7882546157c0565b615a838282856159bf565b600060209050601f831160018114615ab65760008415615aa4578287015190505b615aae8582615a30565b865550615b16565b601f198416615ac4866158a0565b60005b82811015615aec57848901518255600182019150602085019450602081019050615ac7565b86831015615b095784890151615b05601f891682615a12565b8355505b6001600288020188555050505b505050505050565b600082905092915050565b615b338383615b1e565b67ffffffffffffffff811115615b4c57615b4b615285565b5b615b5682546157c0565b615b618282856159bf565b6000601f831160018114615b905760008415615b7e578287013590505b615b888582615a30565b865550615bf0565b601f198416615b9e866158a0565b60005b82811015615bc657848901358255600182019150602085019450602081019050615ba1565b86831015615be35784890135615bdf601f891682615a12565b8355505b6001600288020188555050505b50505050505050565b7f4e487b7100000000000000000000000000000000000000000000000000000000600052601160045260246000fd5b6000615c3382614269565b91507fffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffff8203615c6557615c64615bf9565b5b600182019050919050565b600060a082019050615c85600083018861439b565b615c92602083018761439b565b615c9f604083018661439b565b615cac6060830185614273565b615cb96080830184615547565b9695505050505050565b6000615cce82614269565b9150615cd983614269565b9250828201905080821115615cf157615cf0615bf9565b5b92915050565b6000615d0282614684565b615d0c81856156ff565b9350615d1c8185602086016146a0565b80840191505092915050565b6000615d348284615cf7565b915081905092915050565b7f496e76616c696420636865636b706f696e740000000000000000000000000000600082015250565b6000615d7560128361468f565b9150615d8082615d3f565b602082019050919050565b60006020820190508181036000830152615da481615d68565b9050919050565b600060208284031215615dc157615dc06141ad565b5b6000615dcf848285016156aa565b91505092915050565b600080fd5b600080fd5b600080fd5b60008083356001602003843603038112615e0457615e03615dd8565b5b80840192508235915067ffffffffffffffff821115615e2657615e25615ddd565b5b602083019250602082023603831315615e4257615e41615de2565b5b509250929050565b7f4e487b7100000000000000000000000000000000000000000000000000000000600052603260045260246000fd5b6000602082019050615e8e6000830184614728565b92915050565b600060c082019050615ea9600083018961439b565b615eb6602083018861439b565b615ec3604083018761439b565b615ed0606083018661439b565b615edd6080830185614273565b615eea60a0830184614273565b979650505050505050565b7f1901000000000000000000000000000000000000000000000000000000000000600082015250565b6000615f2b6002836156ff565b9150615f3682615ef5565b600282019050919050565b6000819050919050565b615f5c615f5782614391565b615f41565b82525050565b6000615f6d82615f1e565b9150615f798285615f4b565b602082019150615f898284615f4b565b6020820191508190509392505050565b6000615fa482614269565b9150615faf83614269565b9250828203905081811115615fc757615fc6615bf9565b5b92915050565b7f4e6f20636865636b706f696e7473000000000000000000000000000000000000600082015250565b6000616003600e8361468f565b915061600e82615fcd565b602082019050919050565b6000602082019050818103600083015261603281615ff6565b9050919050565b7f496e76616c6964206e6577206f776e6572000000000000000000000000000000600082015250565b600061606f60118361468f565b915061607a82616039565b602082019050919050565b6000602082019050818103600083015261609e81616062565b9050919050565b7f4e6577206f776e657220616c726561647920686173206167656e740000000000600082015250565b60006160db601b8361468f565b91506160e6826160a5565b602082019050919050565b6000602082019050818103600083015261610a816160ce565b9050919050565b7f4e6577206f776e657220697320616e6f74686572206167656e7427732064656c60008201527f6567617465000000000000000000000000000000000000000000000000000000602082015250565b600061616d60258361468f565b915061617882616111565b604082019050919050565b6000602082019050818103600083015261619c81616160565b9050919050565b7f496e646578206f7574206f6620626f756e647300000000000000000000000000600082015250565b60006161d960138361468f565b91506161e4826161a3565b602082019050919050565b60006020820190508181036000830152616208816161cc565b9050919050565b60007fff0000000000000000000000000000000000000000000000000000000000000082169050919050565b6000819050919050565b6162566162518261620f565b61623b565b82525050565b60008160c01b9050919050565b60006162748261625c565b9050919050565b61628c61628782614714565b616269565b82525050565b600061629e8287616245565b6001820191506162ae8286615f4b565b6020820191506162be828561627b565b6008820191506162ce8284615f4b565b60208201915081905095945050505050565b60006162ec8285615f4b565b6020820191506162fc8284615f4b565b6020820191508190509392505050565b600061631782614269565b91506000820361632a57616329615bf9565b5b600182039050919050565b61633e81614ab9565b82525050565b6000616350838561468f565b935061635d838584615331565b616366836146ca565b840190509392505050565b600060a0820190506163866000830189614273565b6163936020830188614273565b6163a06040830187616335565b6163ad6060830186614273565b81810360808301526163c0818486616344565b9050979650505050505050565b60008160e01b9050919050565b60006163e5826163cd565b9050919050565b6163fd6163f882615683565b6163da565b82525050565b600061640f8286616245565b60018201915061641f82856163ec565b60048201915061642f8284615f4b565b602082019150819050949350505050565b600080fd5b600080fd5b6000808585111561645e5761645d616440565b5b8386111561646f5761646e616445565b5b6001850283019150848603905094509492505050565b600082905092915050565b600061649c8383616485565b826164a78135614391565b925060208210156164e7576164e27fffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffff836020036008026158c5565b831692505b505092915050565b6000608082019050616504600083018761439b565b616511602083018661517f565b61651e604083018561439b565b61652b606083018461439b565b95945050505050565b60006040820190506165496000830186614273565b818103602083015261655c818486616344565b9050949350505050565b60006165728286616245565b6001820191506165828285615f4b565b6020820191506165928284615f4b565b60208201915081905094935050505056fea2646970667358221220f13d16b7af0255c1bc92ee3258a12ec81838f4e431fcb57376f20b1e13de0b2e64736f6c63430008130033";
+  readonly deployedBytecode: "0x608060405234801561001057600080fd5b506004361061021c5760003560e01c806385718fb611610125578063c4f00d4f116100ad578063cf6ee0cb1161007c578063cf6ee0cb146106e8578063d20e873e1461071b578063d97fe6c514610737578063e1193e4c14610767578063f332687d146107855761021c565b8063c4f00d4f14610635578063c505371214610666578063cc6aae3514610684578063cef15254146106b75761021c565b8063b8b643f4116100f4578063b8b643f41461056b578063baeda6721461059b578063bda94c7d146105cb578063c327b9b9146105e7578063c414fb45146106055761021c565b806385718fb6146104bf57806385ee7749146104ef5780638c55d0561461051f578063b7acd7a81461054f5761021c565b806361705264116101a857806367cf21e71161017757806367cf21e7146103e357806369729bcd146104135780636c6f728c146104435780637832b74f146104735780637ecebe001461048f5761021c565b8063617052641461035d578063627cdcb914610379578063647dfecc1461038357806365f78215146103b35761021c565b80633644e515116101ef5780633644e515146102b95780634841d81e146102d757806350cadbaf146102f357806353857c1c1461030f578063587cde1e1461032b5761021c565b806306b15c8314610221578063084a527d1461025157806318697b75146102815780632d2a95851461029d575b600080fd5b61023b6004803603810190610236919061421c565b6107a3565b6040516102489190614282565b60405180910390f35b61026b600480360381019061026691906142fb565b6107d1565b6040516102789190614376565b60405180910390f35b61029b6004803603810190610296919061421c565b6108e3565b005b6102b760048036038101906102b2919061421c565b610a1d565b005b6102c1610e12565b6040516102ce91906143aa565b60405180910390f35b6102f160048036038101906102ec9190614473565b610ea8565b005b61030d60048036038101906103089190614562565b611194565b005b610329600480360381019061032491906145f7565b61129b565b005b61034560048036038101906103409190614657565b61135b565b60405161035493929190614737565b60405180910390f35b610377600480360381019061037291906142fb565b61142e565b005b6103816115f5565b005b61039d6004803603810190610398919061481b565b61164c565b6040516103aa9190614376565b60405180910390f35b6103cd60048036038101906103c89190614657565b611760565b6040516103da9190614926565b60405180910390f35b6103fd60048036038101906103f8919061421c565b611800565b60405161040a9190614a06565b60405180910390f35b61042d6004803603810190610428919061421c565b6118af565b60405161043a9190614c30565b60405180910390f35b61045d60048036038101906104589190614c52565b611a1a565b60405161046a9190614376565b60405180910390f35b61048d60048036038101906104889190614d41565b611af1565b005b6104a960048036038101906104a49190614657565b6121b2565b6040516104b69190614282565b60405180910390f35b6104d960048036038101906104d49190614db5565b6121ca565b6040516104e691906143aa565b60405180910390f35b61050960048036038101906105049190614e4f565b612274565b6040516105169190614ff7565b60405180910390f35b6105396004803603810190610534919061421c565b6124d6565b604051610546919061507c565b60405180910390f35b610569600480360381019061056491906142fb565b612706565b005b6105856004803603810190610580919061509e565b612ca9565b604051610592919061507c565b60405180910390f35b6105b560048036038101906105b091906150fe565b612ec7565b6040516105c291906143aa565b60405180910390f35b6105e560048036038101906105e0919061421c565b612f1a565b005b6105ef613055565b6040516105fc919061518e565b60405180910390f35b61061f600480360381019061061a91906151a9565b61305a565b60405161062c9190614376565b60405180910390f35b61064f600480360381019061064a9190614657565b6131c3565b60405161065d929190615250565b60405180910390f35b61066e6133b2565b60405161067b9190614282565b60405180910390f35b61069e600480360381019061069991906153b0565b6133b8565b6040516106ae949392919061540c565b60405180910390f35b6106d160048036038101906106cc919061509e565b6134a3565b6040516106df9291906154ce565b60405180910390f35b61070260048036038101906106fd91906154fe565b6136ae565b6040516107129493929190615556565b60405180910390f35b610735600480360381019061073091906155c7565b6137a9565b005b610751600480360381019061074c91906156bf565b613aa9565b60405161075e91906143aa565b60405180910390f35b61076f613ae2565b60405161077c91906143aa565b60405180910390f35b61078d613b06565b60405161079a9190614282565b60405180910390f35b6000600183836040516107b792919061572f565b908152602001604051809103902080549050905092915050565b60008173ffffffffffffffffffffffffffffffffffffffff16600085856040516107fc92919061572f565b908152602001604051809103902060000160009054906101000a900473ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff160361085257600190506108dc565b6000600360008473ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff168152602001908152602001600020905061089e81613b0c565b80156108d8575084846040516108b5929190615778565b6040518091039020816000016040516108ce9190615889565b6040518091039020145b9150505b9392505050565b81813373ffffffffffffffffffffffffffffffffffffffff166000838360405161090e92919061572f565b908152602001604051809103902060000160009054906101000a900473ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff161461098d576040517f390772fc00000000000000000000000000000000000000000000000000000000815260040160405180910390fd5b60008085856040516109a092919061572f565b908152602001604051809103902060030160006101000a81548160ff02191690831515021790555083836040516109d892919061572f565b60405180910390207f4695ee296a4db21bb70a37362b2bede0ee444a7c5fa367ed9a75292052cd059a42604051610a0f9190614282565b60405180910390a250505050565b60008282905003610a5a576040517f3f7f02e900000000000000000000000000000000000000000000000000000000815260040160405180910390fd5b600073ffffffffffffffffffffffffffffffffffffffff1660008383604051610a8492919061572f565b908152602001604051809103902060000160009054906101000a900473ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff1614610b03576040517fe098d3ee00000000000000000000000000000000000000000000000000000000815260040160405180910390fd5b6000600260003373ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff1681526020019081526020016000208054610b4f906157c0565b90501115610b89576040517f6ca95e4200000000000000000000000000000000000000000000000000000000815260040160405180910390fd5b610b9233613b81565b600360003373ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff16815260200190815260200160002060010160089054906101000a900460ff1615610c19576040517f6ca95e4200000000000000000000000000000000000000000000000000000000815260040160405180910390fd5b60405180608001604052803373ffffffffffffffffffffffffffffffffffffffff16815260200183838080601f016020809104026020016040519081016040528093929190818152602001838380828437600081840152601f19601f8201169050808301925050505050505081526020014281526020016001151581525060008383604051610ca992919061572f565b908152602001604051809103902060008201518160000160006101000a81548173ffffffffffffffffffffffffffffffffffffffff021916908373ffffffffffffffffffffffffffffffffffffffff1602179055506020820151816001019081610d139190615a4c565b506040820151816002015560608201518160030160006101000a81548160ff0219169083151502179055509050508181600260003373ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff1681526020019081526020016000209182610d8f929190615b29565b5060086000815480929190610da390615c28565b91905055503373ffffffffffffffffffffffffffffffffffffffff168282604051610dcf92919061572f565b60405180910390207f01dca017992f42032d107edcde6c3b0fd73a026225cf9f4ed12a236e08d7be8642604051610e069190614282565b60405180910390a35050565b60007f8b73c3c69bb8fe3d512ecc4cf759cc79239f7b179b0ffacaa9a75d522b39400f7fb60db110d8184b3bc97272377434a50d5dd0ed1ca41798f9ae9fd0f10d273c187fc89efdaa54c0f20c7adf612882df0950f5a951637e0307cdcb4c672f298b8bc64630604051602001610e8d959493929190615c70565b60405160208183030381529060405280519060200120905090565b888860008282604051610ebc92919061572f565b908152602001604051809103902060030160009054906101000a900460ff16610f11576040517fba32abe100000000000000000000000000000000000000000000000000000000815260040160405180910390fd5b84421115610f4b576040517f0819bdcd00000000000000000000000000000000000000000000000000000000815260040160405180910390fd5b610f568b8b886107d1565b610f8c576040517f1902776b00000000000000000000000000000000000000000000000000000000815260040160405180910390fd5b6000600660008873ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff1681526020019081526020016000205490506000610ff78d8d8d8d8d604051610fe8929190615778565b6040518091039020868c6121ca565b90508773ffffffffffffffffffffffffffffffffffffffff1661101b828888613c88565b73ffffffffffffffffffffffffffffffffffffffff1614611068576040517f8baa579f00000000000000000000000000000000000000000000000000000000815260040160405180910390fd5b6001826110759190615cc3565b600660008a73ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff168152602001908152602001600020819055506111088d8d8080601f016020809104026020016040519081016040528093929190818152602001838380828437600081840152601f19601f820116905080830192505050505050508c8c8c613dbb565b3373ffffffffffffffffffffffffffffffffffffffff168873ffffffffffffffffffffffffffffffffffffffff168e8e60405161114692919061572f565b60405180910390207f257763bf9ec35271bd8282e530d20c49bce4e388c703c527364bbe0fb120d0ce8560405161117d9190614282565b60405180910390a450505050505050505050505050565b84846111a18282336107d1565b6111d7576040517f1902776b00000000000000000000000000000000000000000000000000000000815260040160405180910390fd5b8686600082826040516111eb92919061572f565b908152602001604051809103902060030160009054906101000a900460ff16611240576040517fba32abe100000000000000000000000000000000000000000000000000000000815260040160405180910390fd5b61129089898080601f016020809104026020016040519081016040528093929190818152602001838380828437600081840152601f19601f82011690508083019250505050505050888888613dbb565b505050505050505050565b60006112a6336131c3565b50905060008151036112e4576040517f83bcfb4700000000000000000000000000000000000000000000000000000000815260040160405180910390fd5b6000816040516112f49190615d28565b908152602001604051809103902060030160009054906101000a900460ff16611349576040517fba32abe100000000000000000000000000000000000000000000000000000000815260040160405180910390fd5b61135581858585613dbb565b50505050565b600360205280600052604060002060009150905080600001805461137e906157c0565b80601f01602080910402602001604051908101604052809291908181526020018280546113aa906157c0565b80156113f75780601f106113cc576101008083540402835291602001916113f7565b820191906000526020600020905b8154815290600101906020018083116113da57829003601f168201915b5050505050908060010160009054906101000a900467ffffffffffffffff16908060010160089054906101000a900460ff16905083565b82823373ffffffffffffffffffffffffffffffffffffffff166000838360405161145992919061572f565b908152602001604051809103902060000160009054906101000a900473ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff16146114d8576040517f390772fc00000000000000000000000000000000000000000000000000000000815260040160405180910390fd5b6000600360008573ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff16815260200190815260200160002090508060010160089054906101000a900460ff16158061156857508585604051611544929190615778565b60405180910390208160000160405161155d9190615889565b604051809103902014155b1561159f576040517fb586360400000000000000000000000000000000000000000000000000000000815260040160405180910390fd5b6115ed86868080601f016020809104026020016040519081016040528093929190818152602001838380828437600081840152601f19601f8201169050808301925050505050505085613f3b565b505050505050565b600660003373ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff168152602001908152602001600020600081548092919061164590615c28565b9190505550565b600060018a8a60405161166092919061572f565b90815260200160405180910390208054905088106116b3576040517f08c379a00000000000000000000000000000000000000000000000000000000081526004016116aa90615d8b565b60405180910390fd5b60006116ed6116d88660000160208101906116ce9190615dab565b8760200135613aa9565b8680604001906116e89190615de7565b614019565b905060006116fd89898985612ec7565b905060018c8c60405161171192919061572f565b90815260200160405180910390208a8154811061173157611730615e4a565b5b90600052602060002090600402016000015461174e828787614019565b14925050509998505050505050505050565b6002602052806000526040600020600091509050805461177f906157c0565b80601f01602080910402602001604051908101604052809291908181526020018280546117ab906157c0565b80156117f85780601f106117cd576101008083540402835291602001916117f8565b820191906000526020600020905b8154815290600101906020018083116117db57829003601f168201915b505050505081565b60606004838360405161181492919061572f565b90815260200160405180910390208054806020026020016040519081016040528092919081815260200182805480156118a257602002820191906000526020600020905b8160009054906101000a900473ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff1681526020019060010190808311611858575b5050505050905092915050565b6060600783836040516118c392919061572f565b9081526020016040518091039020805480602002602001604051908101604052809291908181526020016000905b82821015611a0e57838290600052602060002090600502016040518060a001604052908160008201548152602001600182015481526020016002820160009054906101000a900460ff16600581111561194d5761194c614a63565b5b600581111561195f5761195e614a63565b5b81526020016003820154815260200160048201805461197d906157c0565b80601f01602080910402602001604051908101604052809291908181526020018280546119a9906157c0565b80156119f65780601f106119cb576101008083540402835291602001916119f6565b820191906000526020600020905b8154815290600101906020018083116119d957829003601f168201915b505050505081525050815260200190600101906118f1565b50505050905092915050565b600060018a8a604051611a2e92919061572f565b9081526020016040518091039020805490508810611a81576040517f08c379a0000000000000000000000000000000000000000000000000000000008152600401611a7890615d8b565b60405180910390fd5b6000611a8f88888888612ec7565b905060018b8b604051611aa392919061572f565b90815260200160405180910390208981548110611ac357611ac2615e4a565b5b906000526020600020906004020160000154611ae0828686614019565b149150509998505050505050505050565b83833373ffffffffffffffffffffffffffffffffffffffff1660008383604051611b1c92919061572f565b908152602001604051809103902060000160009054906101000a900473ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff1614611b9b576040517f390772fc00000000000000000000000000000000000000000000000000000000815260040160405180910390fd5b600073ffffffffffffffffffffffffffffffffffffffff168473ffffffffffffffffffffffffffffffffffffffff161480611c44575060008686604051611be392919061572f565b908152602001604051809103902060000160009054906101000a900473ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff168473ffffffffffffffffffffffffffffffffffffffff16145b15611c7b576040517fb586360400000000000000000000000000000000000000000000000000000000815260040160405180910390fd5b6000600260008673ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff1681526020019081526020016000208054611cc7906157c0565b90501115611d01576040517f6ca95e4200000000000000000000000000000000000000000000000000000000815260040160405180910390fd5b60008367ffffffffffffffff1614158015611d265750428367ffffffffffffffff1611155b15611d5d576040517fd36c850000000000000000000000000000000000000000000000000000000000815260040160405180910390fd5b6000600360008673ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff16815260200190815260200160002090508060010160089054906101000a900460ff168015611ded57508686604051611dc9929190615778565b604051809103902081600001604051611de29190615889565b604051809103902014155b15611ec957611dfb81613b0c565b15611e32576040517f5b73c61c00000000000000000000000000000000000000000000000000000000815260040160405180910390fd5b611ec8816000018054611e44906157c0565b80601f0160208091040260200160405190810160405280929190818152602001828054611e70906157c0565b8015611ebd5780601f10611e9257610100808354040283529160200191611ebd565b820191906000526020600020905b815481529060010190602001808311611ea057829003601f168201915b505050505086613f3b565b5b604051806060016040528088888080601f016020809104026020016040519081016040528093929190818152602001838380828437600081840152601f19601f8201169050808301925050505050505081526020018567ffffffffffffffff16815260200160011515815250600360008773ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff1681526020019081526020016000206000820151816000019081611f899190615a4c565b5060208201518160010160006101000a81548167ffffffffffffffff021916908367ffffffffffffffff16021790555060408201518160010160086101000a81548160ff02191690831515021790555090505060058787604051611fee92919061572f565b908152602001604051809103902060008673ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff16815260200190815260200160002060009054906101000a900460ff166121435760016005888860405161205f92919061572f565b908152602001604051809103902060008773ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff16815260200190815260200160002060006101000a81548160ff021916908315150217905550600487876040516120d392919061572f565b9081526020016040518091039020859080600181540180825580915050600190039060005260206000200160009091909190916101000a81548173ffffffffffffffffffffffffffffffffffffffff021916908373ffffffffffffffffffffffffffffffffffffffff1602179055505b8473ffffffffffffffffffffffffffffffffffffffff16878760405161216a92919061572f565b60405180910390207f905224e7263000ba4dd131e9c4f278ecaf4b76b4311876c2d629e909f5051a27866040516121a19190615e79565b60405180910390a350505050505050565b60066020528060005260406000206000915090505481565b6000807f44b9df015683d5ca238e4e72ee3945b1e7b173d9a45b1a06f30ea59a5485866a88886040516121fe929190615778565b60405180910390208787878760405160200161221f96959493929190615e94565b60405160208183030381529060405280519060200120905061223f610e12565b81604051602001612251929190615f62565b604051602081830303815290604052805190602001209150509695505050505050565b606060006001868660405161228a92919061572f565b908152602001604051809103902080549050905080841061230257600067ffffffffffffffff8111156122c0576122bf615285565b5b6040519080825280602002602001820160405280156122f957816020015b6122e66140da565b8152602001906001900390816122de5790505b509150506124ce565b600083856123109190615cc3565b90508181111561231e578190505b6000858261232c9190615f99565b67ffffffffffffffff81111561234557612344615285565b5b60405190808252806020026020018201604052801561237e57816020015b61236b6140da565b8152602001906001900390816123635790505b50905060008690505b828110156124c657600189896040516123a192919061572f565b908152602001604051809103902081815481106123c1576123c0615e4a565b5b9060005260206000209060040201604051806080016040529081600082015481526020016001820154815260200160028201548152602001600382018054612408906157c0565b80601f0160208091040260200160405190810160405280929190818152602001828054612434906157c0565b80156124815780601f1061245657610100808354040283529160200191612481565b820191906000526020600020905b81548152906001019060200180831161246457829003601f168201915b5050505050815250508288836124979190615f99565b815181106124a8576124a7615e4a565b5b602002602001018190525080806124be90615c28565b915050612387565b508093505050505b949350505050565b6124de6140da565b8282600073ffffffffffffffffffffffffffffffffffffffff166000838360405161250a92919061572f565b908152602001604051809103902060000160009054906101000a900473ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff1603612589576040517f83bcfb4700000000000000000000000000000000000000000000000000000000815260040160405180910390fd5b60006001868660405161259d92919061572f565b9081526020016040518091039020805490509050600081116125f4576040517f08c379a00000000000000000000000000000000000000000000000000000000081526004016125eb90616019565b60405180910390fd5b6001868660405161260692919061572f565b90815260200160405180910390206001826126219190615f99565b8154811061263257612631615e4a565b5b9060005260206000209060040201604051806080016040529081600082015481526020016001820154815260200160028201548152602001600382018054612679906157c0565b80601f01602080910402602001604051908101604052809291908181526020018280546126a5906157c0565b80156126f25780601f106126c7576101008083540402835291602001916126f2565b820191906000526020600020905b8154815290600101906020018083116126d557829003601f168201915b505050505081525050935050505092915050565b82823373ffffffffffffffffffffffffffffffffffffffff166000838360405161273192919061572f565b908152602001604051809103902060000160009054906101000a900473ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff16146127b0576040517f390772fc00000000000000000000000000000000000000000000000000000000815260040160405180910390fd5b600073ffffffffffffffffffffffffffffffffffffffff168373ffffffffffffffffffffffffffffffffffffffff160361281f576040517f08c379a000000000000000000000000000000000000000000000000000000000815260040161281690616085565b60405180910390fd5b6000600260008573ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff168152602001908152602001600020805461286b906157c0565b9050146128ad576040517f08c379a00000000000000000000000000000000000000000000000000000000081526004016128a4906160f1565b60405180910390fd5b6000600486866040516128c192919061572f565b9081526020016040518091039020905060005b8180549050811015612a51576000600360008484815481106128f9576128f8615e4a565b5b9060005260206000200160009054906101000a900473ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff16815260200190815260200160002090508060010160089054906101000a900460ff1680156129ac57508787604051612989929190615778565b6040518091039020816000016040516129a29190615889565b6040518091039020145b15612a3d57612a3c88888080601f016020809104026020016040519081016040528093929190818152602001838380828437600081840152601f19601f82011690508083019250505050505050848481548110612a0c57612a0b615e4a565b5b9060005260206000200160009054906101000a900473ffffffffffffffffffffffffffffffffffffffff16613f3b565b5b508080612a4990615c28565b9150506128d4565b50612a5b84613b81565b600360008573ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff16815260200190815260200160002060010160089054906101000a900460ff1615612aeb576040517f08c379a0000000000000000000000000000000000000000000000000000000008152600401612ae290616183565b60405180910390fd5b6000808787604051612afe92919061572f565b908152602001604051809103902060000160009054906101000a900473ffffffffffffffffffffffffffffffffffffffff169050600260008273ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff1681526020019081526020016000206000612b7d9190614105565b8686600260008873ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff1681526020019081526020016000209182612bcb929190615b29565b508460008888604051612bdf92919061572f565b908152602001604051809103902060000160006101000a81548173ffffffffffffffffffffffffffffffffffffffff021916908373ffffffffffffffffffffffffffffffffffffffff1602179055508473ffffffffffffffffffffffffffffffffffffffff168173ffffffffffffffffffffffffffffffffffffffff168888604051612c6c92919061572f565b60405180910390207f0304cfe9507b1c0f4aaa4eae9bd6b99277a4cf13096c53b82084bd90b98e2ea660405160405180910390a450505050505050565b612cb16140da565b8383600073ffffffffffffffffffffffffffffffffffffffff1660008383604051612cdd92919061572f565b908152602001604051809103902060000160009054906101000a900473ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff1603612d5c576040517f83bcfb4700000000000000000000000000000000000000000000000000000000815260040160405180910390fd5b60018686604051612d6e92919061572f565b9081526020016040518091039020805490508410612dc1576040517f08c379a0000000000000000000000000000000000000000000000000000000008152600401612db8906161ef565b60405180910390fd5b60018686604051612dd392919061572f565b90815260200160405180910390208481548110612df357612df2615e4a565b5b9060005260206000209060040201604051806080016040529081600082015481526020016001820154815260200160028201548152602001600382018054612e3a906157c0565b80601f0160208091040260200160405190810160405280929190818152602001828054612e66906157c0565b8015612eb35780601f10612e8857610100808354040283529160200191612eb3565b820191906000526020600020905b815481529060010190602001808311612e9657829003601f168201915b505050505081525050925050509392505050565b60008060f81b8585604051612edd929190615778565b60405180910390208484604051602001612efa9493929190616292565b604051602081830303815290604052805190602001209050949350505050565b81813373ffffffffffffffffffffffffffffffffffffffff1660008383604051612f4592919061572f565b908152602001604051809103902060000160009054906101000a900473ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff1614612fc4576040517f390772fc00000000000000000000000000000000000000000000000000000000815260040160405180910390fd5b600160008585604051612fd892919061572f565b908152602001604051809103902060030160006101000a81548160ff021916908315150217905550838360405161301092919061572f565b60405180910390207fc9aeb2de3e9918a146779b6f206bbd56abb84f4ba42f428ce465d6f90316ec0d426040516130479190614282565b60405180910390a250505050565b600381565b60006001878760405161306e92919061572f565b90815260200160405180910390208054905085106130c1576040517f08c379a00000000000000000000000000000000000000000000000000000000081526004016130b890615d8b565b60405180910390fd5b6000600188886040516130d592919061572f565b908152602001604051809103902086815481106130f5576130f4615e4a565b5b9060005260206000209060040201600001549050600085905060005b858590508110156131b157600086868381811061313157613130615e4a565b5b9050602002013590508083116131715782816040516020016131549291906162e0565b60405160208183030381529060405280519060200120925061319d565b80836040516020016131849291906162e0565b6040516020818303038152906040528051906020012092505b5080806131a990615c28565b915050613111565b50818114925050509695505050505050565b60606000600260008473ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff1681526020019081526020016000208054613211906157c0565b80601f016020809104026020016040519081016040528092919081815260200182805461323d906157c0565b801561328a5780601f1061325f5761010080835404028352916020019161328a565b820191906000526020600020905b81548152906001019060200180831161326d57829003601f168201915b505050505091506000825111156132a757816000915091506133ad565b6000600360008573ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff16815260200190815260200160002090506132f381613b0c565b156133945780600001600181805461330a906157c0565b80601f0160208091040260200160405190810160405280929190818152602001828054613336906157c0565b80156133835780601f1061335857610100808354040283529160200191613383565b820191906000526020600020905b81548152906001019060200180831161336657829003601f168201915b5050505050915092509250506133ad565b6000604051806020016040528060008152509092509250505b915091565b60085481565b60018280516020810182018051848252602083016020850120818352809550505050505081815481106133ea57600080fd5b906000526020600020906004020160009150915050806000015490806001015490806002015490806003018054613420906157c0565b80601f016020809104026020016040519081016040528092919081815260200182805461344c906157c0565b80156134995780601f1061346e57610100808354040283529160200191613499565b820191906000526020600020905b81548152906001019060200180831161347c57829003601f168201915b5050505050905084565b60006134ad614145565b6000600786866040516134c192919061572f565b908152602001604051809103902090506000818054905090505b600081111561369f5784826001836134f39190615f99565b8154811061350457613503615e4a565b5b9060005260206000209060050201600001541115801561355457508160018261352d9190615f99565b8154811061353e5761353d615e4a565b5b9060005260206000209060050201600101548511155b1561368c576001826001836135699190615f99565b8154811061357a57613579615e4a565b5b9060005260206000209060050201806040518060a001604052908160008201548152602001600182015481526020016002820160009054906101000a900460ff1660058111156135cd576135cc614a63565b5b60058111156135df576135de614a63565b5b8152602001600382015481526020016004820180546135fd906157c0565b80601f0160208091040260200160405190810160405280929190818152602001828054613629906157c0565b80156136765780601f1061364b57610100808354040283529160200191613676565b820191906000526020600020905b81548152906001019060200180831161365957829003601f168201915b50505050508152505090509350935050506136a6565b80806136979061630c565b9150506134db565b5060009250505b935093915050565b6000818051602081018201805184825260208301602085012081835280955050505050506000915090508060000160009054906101000a900473ffffffffffffffffffffffffffffffffffffffff169080600101805461370d906157c0565b80601f0160208091040260200160405190810160405280929190818152602001828054613739906157c0565b80156137865780601f1061375b57610100808354040283529160200191613786565b820191906000526020600020905b81548152906001019060200180831161376957829003601f168201915b5050505050908060020154908060030160009054906101000a900460ff16905084565b86863373ffffffffffffffffffffffffffffffffffffffff16600083836040516137d492919061572f565b908152602001604051809103902060000160009054906101000a900473ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff1614613853576040517f390772fc00000000000000000000000000000000000000000000000000000000815260040160405180910390fd5b8587118061388457506001898960405161386e92919061572f565b9081526020016040518091039020805490508610155b156138bb576040517f98a660a400000000000000000000000000000000000000000000000000000000815260040160405180910390fd5b600060058111156138cf576138ce614a63565b5b8560058111156138e2576138e1614a63565b5b03613919576040517fae9bf64000000000000000000000000000000000000000000000000000000000815260040160405180910390fd5b6007898960405161392b92919061572f565b90815260200160405180910390206040518060a0016040528089815260200188815260200187600581111561396357613962614a63565b5b815260200142815260200186868080601f016020809104026020016040519081016040528093929190818152602001838380828437600081840152601f19601f820116905080830192505050505050508152509080600181540180825580915050600190039060005260206000209060050201600090919091909150600082015181600001556020820151816001015560408201518160020160006101000a81548160ff02191690836005811115613a1e57613a1d614a63565b5b0217905550606082015181600301556080820151816004019081613a429190615a4c565b5050508888604051613a5592919061572f565b60405180910390207f1ac53c08a5eec4abb76779375c95f52b0253ac0d68f535fb418e616d5bd41435888888428989604051613a9696959493929190616371565b60405180910390a2505050505050505050565b6000600260f81b8383604051602001613ac493929190616403565b60405160208183030381529060405280519060200120905092915050565b7f44b9df015683d5ca238e4e72ee3945b1e7b173d9a45b1a06f30ea59a5485866a81565b60095481565b60008160010160089054906101000a900460ff168015613b7a575060008260010160009054906101000a900467ffffffffffffffff1667ffffffffffffffff161480613b795750428260010160009054906101000a900467ffffffffffffffff1667ffffffffffffffff16115b5b9050919050565b6000600360008373ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff16815260200190815260200160002090508060010160089054906101000a900460ff168015613be85750613be681613b0c565b155b15613c8457613c83816000018054613bff906157c0565b80601f0160208091040260200160405190810160405280929190818152602001828054613c2b906157c0565b8015613c785780601f10613c4d57610100808354040283529160200191613c78565b820191906000526020600020905b815481529060010190602001808311613c5b57829003601f168201915b505050505083613f3b565b5b5050565b600060418383905014613c9e5760009050613db4565b60008383600090602092613cb49392919061644a565b90613cbf9190616490565b905060008484602090604092613cd79392919061644a565b90613ce29190616490565b9050600085856040818110613cfa57613cf9615e4a565b5b9050013560f81c60f81b60f81c90507f7fffffffffffffffffffffffffffffff5d576e7357a4501ddfe92f46681b20a08260001c1180613d4e5750601b8160ff1614158015613d4d5750601c8160ff1614155b5b15613d5f5760009350505050613db4565b60018782858560405160008152602001604052604051613d8294939291906164ef565b6020604051602081039080840390855afa158015613da4573d6000803e3d6000fd5b5050506020604051035193505050505b9392505050565b6000604051806080016040528085815260200142815260200143815260200184848080601f016020809104026020016040519081016040528093929190818152602001838380828437600081840152601f19601f8201169050808301925050505050505081525090506000600186604051613e369190615d28565b9081526020016040518091039020805490509050600186604051613e5a9190615d28565b90815260200160405180910390208290806001815401808255809150506001900390600052602060002090600402016000909190919091506000820151816000015560208201518160010155604082015181600201556060820151816003019081613ec59190615a4c565b50505060096000815480929190613edb90615c28565b9190505550808587604051613ef09190615d28565b60405180910390207f964f54439b04e3806acdd0c1238648972545b2c28335f8c99067cdca2c8b8ac9428888604051613f2b93929190616534565b60405180910390a4505050505050565b600360008273ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff16815260200190815260200160002060008082016000613f8b9190614105565b6001820160006101000a81549067ffffffffffffffff02191690556001820160086101000a81549060ff021916905550508073ffffffffffffffffffffffffffffffffffffffff1682604051613fe19190615d28565b60405180910390207fbf22b34e482774b4e4fa4d72cf2d4e06fec5fedba1483d16c904d5077590a78760405160405180910390a35050565b60008084905060005b848490508110156140ce57600085858381811061404257614041615e4a565b5b90506020020135905080831161408857600160f81b838260405160200161406b93929190616566565b6040516020818303038152906040528051906020012092506140ba565b600160f81b81846040516020016140a193929190616566565b6040516020818303038152906040528051906020012092505b5080806140c690615c28565b915050614022565b50809150509392505050565b6040518060800160405280600080191681526020016000815260200160008152602001606081525090565b508054614111906157c0565b6000825580601f106141235750614142565b601f0160209004906000526020600020908101906141419190614186565b5b50565b6040518060a0016040528060008152602001600081526020016000600581111561417257614171614a63565b5b815260200160008152602001606081525090565b5b8082111561419f576000816000905550600101614187565b5090565b6000604051905090565b600080fd5b600080fd5b600080fd5b600080fd5b600080fd5b60008083601f8401126141dc576141db6141b7565b5b8235905067ffffffffffffffff8111156141f9576141f86141bc565b5b602083019150836001820283011115614215576142146141c1565b5b9250929050565b60008060208385031215614233576142326141ad565b5b600083013567ffffffffffffffff811115614251576142506141b2565b5b61425d858286016141c6565b92509250509250929050565b6000819050919050565b61427c81614269565b82525050565b60006020820190506142976000830184614273565b92915050565b600073ffffffffffffffffffffffffffffffffffffffff82169050919050565b60006142c88261429d565b9050919050565b6142d8816142bd565b81146142e357600080fd5b50565b6000813590506142f5816142cf565b92915050565b600080600060408486031215614314576143136141ad565b5b600084013567ffffffffffffffff811115614332576143316141b2565b5b61433e868287016141c6565b93509350506020614351868287016142e6565b9150509250925092565b60008115159050919050565b6143708161435b565b82525050565b600060208201905061438b6000830184614367565b92915050565b6000819050919050565b6143a481614391565b82525050565b60006020820190506143bf600083018461439b565b92915050565b6143ce81614391565b81146143d957600080fd5b50565b6000813590506143eb816143c5565b92915050565b6143fa81614269565b811461440557600080fd5b50565b600081359050614417816143f1565b92915050565b60008083601f840112614433576144326141b7565b5b8235905067ffffffffffffffff8111156144505761444f6141bc565b5b60208301915083600182028301111561446c5761446b6141c1565b5b9250929050565b600080600080600080600080600060c08a8c031215614495576144946141ad565b5b60008a013567ffffffffffffffff8111156144b3576144b26141b2565b5b6144bf8c828d016141c6565b995099505060206144d28c828d016143dc565b97505060408a013567ffffffffffffffff8111156144f3576144f26141b2565b5b6144ff8c828d016141c6565b965096505060606145128c828d016142e6565b94505060806145238c828d01614408565b93505060a08a013567ffffffffffffffff811115614544576145436141b2565b5b6145508c828d0161441d565b92509250509295985092959850929598565b60008060008060006060868803121561457e5761457d6141ad565b5b600086013567ffffffffffffffff81111561459c5761459b6141b2565b5b6145a8888289016141c6565b955095505060206145bb888289016143dc565b935050604086013567ffffffffffffffff8111156145dc576145db6141b2565b5b6145e8888289016141c6565b92509250509295509295909350565b6000806000604084860312156146105761460f6141ad565b5b600061461e868287016143dc565b935050602084013567ffffffffffffffff81111561463f5761463e6141b2565b5b61464b868287016141c6565b92509250509250925092565b60006020828403121561466d5761466c6141ad565b5b600061467b848285016142e6565b91505092915050565b600081519050919050565b600082825260208201905092915050565b60005b838110156146be5780820151818401526020810190506146a3565b60008484015250505050565b6000601f19601f8301169050919050565b60006146e682614684565b6146f0818561468f565b93506147008185602086016146a0565b614709816146ca565b840191505092915050565b600067ffffffffffffffff82169050919050565b61473181614714565b82525050565b6000606082019050818103600083015261475181866146db565b90506147606020830185614728565b61476d6040830184614367565b949350505050565b61477e81614714565b811461478957600080fd5b50565b60008135905061479b81614775565b92915050565b600080fd5b6000606082840312156147bc576147bb6147a1565b5b81905092915050565b60008083601f8401126147db576147da6141b7565b5b8235905067ffffffffffffffff8111156147f8576147f76141bc565b5b602083019150836020820283011115614814576148136141c1565b5b9250929050565b600080600080600080600080600060c08a8c03121561483d5761483c6141ad565b5b60008a013567ffffffffffffffff81111561485b5761485a6141b2565b5b6148678c828d016141c6565b9950995050602061487a8c828d01614408565b97505060408a013567ffffffffffffffff81111561489b5761489a6141b2565b5b6148a78c828d016141c6565b965096505060606148ba8c828d0161478c565b94505060808a013567ffffffffffffffff8111156148db576148da6141b2565b5b6148e78c828d016147a6565b93505060a08a013567ffffffffffffffff811115614908576149076141b2565b5b6149148c828d016147c5565b92509250509295985092959850929598565b6000602082019050818103600083015261494081846146db565b905092915050565b600081519050919050565b600082825260208201905092915050565b6000819050602082019050919050565b61497d816142bd565b82525050565b600061498f8383614974565b60208301905092915050565b6000602082019050919050565b60006149b382614948565b6149bd8185614953565b93506149c883614964565b8060005b838110156149f95781516149e08882614983565b97506149eb8361499b565b9250506001810190506149cc565b5085935050505092915050565b60006020820190508181036000830152614a2081846149a8565b905092915050565b600081519050919050565b600082825260208201905092915050565b6000819050602082019050919050565b614a5d81614269565b82525050565b7f4e487b7100000000000000000000000000000000000000000000000000000000600052602160045260246000fd5b60068110614aa357614aa2614a63565b5b50565b6000819050614ab482614a92565b919050565b6000614ac482614aa6565b9050919050565b614ad481614ab9565b82525050565b600082825260208201905092915050565b6000614af682614684565b614b008185614ada565b9350614b108185602086016146a0565b614b19816146ca565b840191505092915050565b600060a083016000830151614b3c6000860182614a54565b506020830151614b4f6020860182614a54565b506040830151614b626040860182614acb565b506060830151614b756060860182614a54565b5060808301518482036080860152614b8d8282614aeb565b9150508091505092915050565b6000614ba68383614b24565b905092915050565b6000602082019050919050565b6000614bc682614a28565b614bd08185614a33565b935083602082028501614be285614a44565b8060005b85811015614c1e5784840389528151614bff8582614b9a565b9450614c0a83614bae565b925060208a01995050600181019050614be6565b50829750879550505050505092915050565b60006020820190508181036000830152614c4a8184614bbb565b905092915050565b600080600080600080600080600060c08a8c031215614c7457614c736141ad565b5b60008a013567ffffffffffffffff811115614c9257614c916141b2565b5b614c9e8c828d016141c6565b99509950506020614cb18c828d01614408565b97505060408a013567ffffffffffffffff811115614cd257614cd16141b2565b5b614cde8c828d016141c6565b96509650506060614cf18c828d0161478c565b9450506080614d028c828d016143dc565b93505060a08a013567ffffffffffffffff811115614d2357614d226141b2565b5b614d2f8c828d016147c5565b92509250509295985092959850929598565b60008060008060608587031215614d5b57614d5a6141ad565b5b600085013567ffffffffffffffff811115614d7957614d786141b2565b5b614d85878288016141c6565b94509450506020614d98878288016142e6565b9250506040614da98782880161478c565b91505092959194509250565b60008060008060008060a08789031215614dd257614dd16141ad565b5b600087013567ffffffffffffffff811115614df057614def6141b2565b5b614dfc89828a016141c6565b96509650506020614e0f89828a016143dc565b9450506040614e2089828a016143dc565b9350506060614e3189828a01614408565b9250506080614e4289828a01614408565b9150509295509295509295565b60008060008060608587031215614e6957614e686141ad565b5b600085013567ffffffffffffffff811115614e8757614e866141b2565b5b614e93878288016141c6565b94509450506020614ea687828801614408565b9250506040614eb787828801614408565b91505092959194509250565b600081519050919050565b600082825260208201905092915050565b6000819050602082019050919050565b614ef881614391565b82525050565b6000608083016000830151614f166000860182614eef565b506020830151614f296020860182614a54565b506040830151614f3c6040860182614a54565b5060608301518482036060860152614f548282614aeb565b9150508091505092915050565b6000614f6d8383614efe565b905092915050565b6000602082019050919050565b6000614f8d82614ec3565b614f978185614ece565b935083602082028501614fa985614edf565b8060005b85811015614fe55784840389528151614fc68582614f61565b9450614fd183614f75565b925060208a01995050600181019050614fad565b50829750879550505050505092915050565b600060208201905081810360008301526150118184614f82565b905092915050565b60006080830160008301516150316000860182614eef565b5060208301516150446020860182614a54565b5060408301516150576040860182614a54565b506060830151848203606086015261506f8282614aeb565b9150508091505092915050565b600060208201905081810360008301526150968184615019565b905092915050565b6000806000604084860312156150b7576150b66141ad565b5b600084013567ffffffffffffffff8111156150d5576150d46141b2565b5b6150e1868287016141c6565b935093505060206150f486828701614408565b9150509250925092565b60008060008060608587031215615118576151176141ad565b5b600085013567ffffffffffffffff811115615136576151356141b2565b5b615142878288016141c6565b945094505060206151558782880161478c565b9250506040615166878288016143dc565b91505092959194509250565b600060ff82169050919050565b61518881615172565b82525050565b60006020820190506151a3600083018461517f565b92915050565b600080600080600080608087890312156151c6576151c56141ad565b5b600087013567ffffffffffffffff8111156151e4576151e36141b2565b5b6151f089828a016141c6565b9650965050602061520389828a01614408565b945050604061521489828a016143dc565b935050606087013567ffffffffffffffff811115615235576152346141b2565b5b61524189828a016147c5565b92509250509295509295509295565b6000604082019050818103600083015261526a81856146db565b90506152796020830184614367565b9392505050565b600080fd5b7f4e487b7100000000000000000000000000000000000000000000000000000000600052604160045260246000fd5b6152bd826146ca565b810181811067ffffffffffffffff821117156152dc576152db615285565b5b80604052505050565b60006152ef6141a3565b90506152fb82826152b4565b919050565b600067ffffffffffffffff82111561531b5761531a615285565b5b615324826146ca565b9050602081019050919050565b82818337600083830152505050565b600061535361534e84615300565b6152e5565b90508281526020810184848401111561536f5761536e615280565b5b61537a848285615331565b509392505050565b600082601f830112615397576153966141b7565b5b81356153a7848260208601615340565b91505092915050565b600080604083850312156153c7576153c66141ad565b5b600083013567ffffffffffffffff8111156153e5576153e46141b2565b5b6153f185828601615382565b925050602061540285828601614408565b9150509250929050565b6000608082019050615421600083018761439b565b61542e6020830186614273565b61543b6040830185614273565b818103606083015261544d81846146db565b905095945050505050565b600060a0830160008301516154706000860182614a54565b5060208301516154836020860182614a54565b5060408301516154966040860182614acb565b5060608301516154a96060860182614a54565b50608083015184820360808601526154c18282614aeb565b9150508091505092915050565b60006040820190506154e36000830185614367565b81810360208301526154f58184615458565b90509392505050565b600060208284031215615514576155136141ad565b5b600082013567ffffffffffffffff811115615532576155316141b2565b5b61553e84828501615382565b91505092915050565b615550816142bd565b82525050565b600060808201905061556b6000830187615547565b818103602083015261557d81866146db565b905061558c6040830185614273565b6155996060830184614367565b95945050505050565b600681106155af57600080fd5b50565b6000813590506155c1816155a2565b92915050565b600080600080600080600060a0888a0312156155e6576155e56141ad565b5b600088013567ffffffffffffffff811115615604576156036141b2565b5b6156108a828b016141c6565b975097505060206156238a828b01614408565b95505060406156348a828b01614408565b94505060606156458a828b016155b2565b935050608088013567ffffffffffffffff811115615666576156656141b2565b5b6156728a828b016141c6565b925092505092959891949750929550565b600063ffffffff82169050919050565b61569c81615683565b81146156a757600080fd5b50565b6000813590506156b981615693565b92915050565b600080604083850312156156d6576156d56141ad565b5b60006156e4858286016156aa565b92505060206156f5858286016143dc565b9150509250929050565b600081905092915050565b600061571683856156ff565b9350615723838584615331565b82840190509392505050565b600061573c82848661570a565b91508190509392505050565b600081905092915050565b600061575f8385615748565b935061576c838584615331565b82840190509392505050565b6000615785828486615753565b91508190509392505050565b7f4e487b7100000000000000000000000000000000000000000000000000000000600052602260045260246000fd5b600060028204905060018216806157d857607f821691505b6020821081036157eb576157ea615791565b5b50919050565b60008190508160005260206000209050919050565b60008154615813816157c0565b61581d8186615748565b94506001821660008114615838576001811461584d57615880565b60ff1983168652811515820286019350615880565b615856856157f1565b60005b8381101561587857815481890152600182019150602081019050615859565b838801955050505b50505092915050565b60006158958284615806565b915081905092915050565b60008190508160005260206000209050919050565b60006020601f8301049050919050565b600082821b905092915050565b6000600883026159027fffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffff826158c5565b61590c86836158c5565b95508019841693508086168417925050509392505050565b6000819050919050565b600061594961594461593f84614269565b615924565b614269565b9050919050565b6000819050919050565b6159638361592e565b61597761596f82615950565b8484546158d2565b825550505050565b600090565b61598c61597f565b61599781848461595a565b505050565b5b818110156159bb576159b0600082615984565b60018101905061599d565b5050565b601f821115615a00576159d1816158a0565b6159da846158b5565b810160208510156159e9578190505b6159fd6159f5856158b5565b83018261599c565b50505b505050565b600082821c905092915050565b6000615a2360001984600802615a05565b1980831691505092915050565b6000615a3c8383615a12565b9150826002028217905092915050565b615a5582614684565b67ffffffffffffffff811115615a6e57615a6d615285565b5b615a7882546157c0565b615a838282856159bf565b600060209050601f831160018114615ab65760008415615aa4578287015190505b615aae8582615a30565b865550615b16565b601f198416615ac4866158a0565b60005b82811015615aec57848901518255600182019150602085019450602081019050615ac7565b86831015615b095784890151615b05601f891682615a12565b8355505b6001600288020188555050505b505050505050565b600082905092915050565b615b338383615b1e565b67ffffffffffffffff811115615b4c57615b4b615285565b5b615b5682546157c0565b615b618282856159bf565b6000601f831160018114615b905760008415615b7e578287013590505b615b888582615a30565b865550615bf0565b601f198416615b9e866158a0565b60005b82811015615bc657848901358255600182019150602085019450602081019050615ba1565b86831015615be35784890135615bdf601f891682615a12565b8355505b6001600288020188555050505b50505050505050565b7f4e487b7100000000000000000000000000000000000000000000000000000000600052601160045260246000fd5b6000615c3382614269565b91507fffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffff8203615c6557615c64615bf9565b5b600182019050919050565b600060a082019050615c85600083018861439b565b615c92602083018761439b565b615c9f604083018661439b565b615cac6060830185614273565b615cb96080830184615547565b9695505050505050565b6000615cce82614269565b9150615cd983614269565b9250828201905080821115615cf157615cf0615bf9565b5b92915050565b6000615d0282614684565b615d0c81856156ff565b9350615d1c8185602086016146a0565b80840191505092915050565b6000615d348284615cf7565b915081905092915050565b7f496e76616c696420636865636b706f696e740000000000000000000000000000600082015250565b6000615d7560128361468f565b9150615d8082615d3f565b602082019050919050565b60006020820190508181036000830152615da481615d68565b9050919050565b600060208284031215615dc157615dc06141ad565b5b6000615dcf848285016156aa565b91505092915050565b600080fd5b600080fd5b600080fd5b60008083356001602003843603038112615e0457615e03615dd8565b5b80840192508235915067ffffffffffffffff821115615e2657615e25615ddd565b5b602083019250602082023603831315615e4257615e41615de2565b5b509250929050565b7f4e487b7100000000000000000000000000000000000000000000000000000000600052603260045260246000fd5b6000602082019050615e8e6000830184614728565b92915050565b600060c082019050615ea9600083018961439b565b615eb6602083018861439b565b615ec3604083018761439b565b615ed0606083018661439b565b615edd6080830185614273565b615eea60a0830184614273565b979650505050505050565b7f1901000000000000000000000000000000000000000000000000000000000000600082015250565b6000615f2b6002836156ff565b9150615f3682615ef5565b600282019050919050565b6000819050919050565b615f5c615f5782614391565b615f41565b82525050565b6000615f6d82615f1e565b9150615f798285615f4b565b602082019150615f898284615f4b565b6020820191508190509392505050565b6000615fa482614269565b9150615faf83614269565b9250828203905081811115615fc757615fc6615bf9565b5b92915050565b7f4e6f20636865636b706f696e7473000000000000000000000000000000000000600082015250565b6000616003600e8361468f565b915061600e82615fcd565b602082019050919050565b6000602082019050818103600083015261603281615ff6565b9050919050565b7f496e76616c6964206e6577206f776e6572000000000000000000000000000000600082015250565b600061606f60118361468f565b915061607a82616039565b602082019050919050565b6000602082019050818103600083015261609e81616062565b9050919050565b7f4e6577206f776e657220616c726561647920686173206167656e740000000000600082015250565b60006160db601b8361468f565b91506160e6826160a5565b602082019050919050565b6000602082019050818103600083015261610a816160ce565b9050919050565b7f4e6577206f776e657220697320616e6f74686572206167656e7427732064656c60008201527f6567617465000000000000000000000000000000000000000000000000000000602082015250565b600061616d60258361468f565b915061617882616111565b604082019050919050565b6000602082019050818103600083015261619c81616160565b9050919050565b7f496e646578206f7574206f6620626f756e647300000000000000000000000000600082015250565b60006161d960138361468f565b91506161e4826161a3565b602082019050919050565b60006020820190508181036000830152616208816161cc565b9050919050565b60007fff0000000000000000000000000000000000000000000000000000000000000082169050919050565b6000819050919050565b6162566162518261620f565b61623b565b82525050565b60008160c01b9050919050565b60006162748261625c565b9050919050565b61628c61628782614714565b616269565b82525050565b600061629e8287616245565b6001820191506162ae8286615f4b565b6020820191506162be828561627b565b6008820191506162ce8284615f4b565b60208201915081905095945050505050565b60006162ec8285615f4b565b6020820191506162fc8284615f4b565b6020820191508190509392505050565b600061631782614269565b91506000820361632a57616329615bf9565b5b600182039050919050565b61633e81614ab9565b82525050565b6000616350838561468f565b935061635d838584615331565b616366836146ca565b840190509392505050565b600060a0820190506163866000830189614273565b6163936020830188614273565b6163a06040830187616335565b6163ad6060830186614273565b81810360808301526163c0818486616344565b9050979650505050505050565b60008160e01b9050919050565b60006163e5826163cd565b9050919050565b6163fd6163f882615683565b6163da565b82525050565b600061640f8286616245565b60018201915061641f82856163ec565b60048201915061642f8284615f4b565b602082019150819050949350505050565b600080fd5b600080fd5b6000808585111561645e5761645d616440565b5b8386111561646f5761646e616445565b5b6001850283019150848603905094509492505050565b600082905092915050565b600061649c8383616485565b826164a78135614391565b925060208210156164e7576164e27fffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffff836020036008026158c5565b831692505b505092915050565b6000608082019050616504600083018761439b565b616511602083018661517f565b61651e604083018561439b565b61652b606083018461439b565b95945050505050565b60006040820190506165496000830186614273565b818103602083015261655c818486616344565b9050949350505050565b60006165728286616245565b6001820191506165828285615f4b565b6020820191506165928284615f4b565b60208201915081905094935050505056fea2646970667358221220f13d16b7af0255c1bc92ee3258a12ec81838f4e431fcb57376f20b1e13de0b2e64736f6c63430008130033";
   readonly linkReferences: {};
   readonly deployedLinkReferences: {};
   readonly immutableReferences: {};
   readonly inputSourceName: "project/contracts/AgentMemoryRegistry.sol";
-  readonly buildInfoId: "solc-0_8_19-10d5df48cf26942784c40e83173df654848957a7";
+  readonly buildInfoId: "solc-0_8_19-dbd3130ba9161a97cec5abbe97bf755005cb66f0";
 };
 
 import "hardhat/types/artifacts";
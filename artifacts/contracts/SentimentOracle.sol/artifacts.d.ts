@@ -15,7 +15,7 @@ export interface SentimentOracle$Type {
   readonly deployedLinkReferences: {};
   readonly immutableReferences: {};
   readonly inputSourceName: "project/contracts/SentimentOracle.sol";
-  readonly buildInfoId: "solc-0_8_19-74b9afc5405244b2aff68c0c6c9940df2d49e0af";
+  readonly buildInfoId: "solc-0_8_19-dbd3130ba9161a97cec5abbe97bf755005cb66f0";
 };
 
 import "hardhat/types/artifacts";
@@ -0,0 +1,215 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+/**
+ * @dev The parts of AgentMemoryRegistry that attestations read
+ */
+interface IAgentMemoryRegistry {
+    struct Checkpoint {
+        bytes32 merkleRoot;
+        uint256 timestamp;
+        uint256 blockNumber;
+        string metadata;
+    }
+
+    function addressToAgent(address owner) external view returns (string memory);
+    function agents(string calldata agentId)
+        external
+        view
+        returns (address owner, string memory id, uint256 registeredAt, bool active);
+    function getCheckpointCount(string calldata agentId) external view returns (uint256);
+    function getCheckpoint(string calldata agentId, uint256 index) external view returns (Checkpoint memory);
+}
+
+/**
+ * @title AgentAttestations
+ * @notice Cross-agent vouching: a registered agent attests that it verified
+ * another agent's checkpoint
+ * @dev An attestation reads "agent <issuer> verified checkpoint <index> of
+ * agent <subject>", with the checkpoint's merkle root copied in so it stays
+ * bound to what was verified. It carries an optional score and comment and
+ * can be revoked by whoever owns the issuing agent.
+ *
+ * Agents and checkpoints live in AgentMemoryRegistry; this contract only
+ * reads it. The events are enough to rebuild the trust graph (who vouched
+ * for whom) without calling the contract.
+ */
+contract AgentAttestations {
+
+    // ============ Structs ============
+
+    struct Attestation {
+        string issuer;           // Attesting agent
+        string subject;          // Agent whose checkpoint was verified
+        uint256 checkpointIndex; // Which checkpoint
+        bytes32 merkleRoot;      // Its root at the time of attesting
+        uint8 score;             // 1-100, or 0 for none
+        string comment;          // Optional note (≤ MAX_COMMENT_LENGTH bytes)
+        address issuerAddress;   // Owner of the issuing agent when it attested
+        uint256 timestamp;       // Block timestamp when issued
+        bool revoked;            // Withdrawn by the issuer
+    }
+
+    // ============ State ============
+
+    IAgentMemoryRegistry public immutable registry;
+
+    uint8 public constant MAX_SCORE = 100;
+    uint256 public constant MAX_COMMENT_LENGTH = 280;
+
+    // Attestation ID => attestation (IDs are array positions)
+    Attestation[] private attestations;
+
+    // Agent ID => IDs of attestations about it / issued by it
+    mapping(string => uint256[]) private attestationsFor;
+    mapping(string => uint256[]) private attestationsBy;
+
+    // keccak256(issuer, subject, checkpointIndex) => ID + 1 of the unrevoked attestation
+    mapping(bytes32 => uint256) private activeAttestation;
+
+    // ============ Events ============
+
+    event AttestationIssued(
+        uint256 indexed id,
+        address indexed issuerAddress,
+        string issuer,
+        string subject,
+        uint256 checkpointIndex,
+        bytes32 merkleRoot,
+        uint8 score,
+        string comment
+    );
+
+    event AttestationRevoked(
+        uint256 indexed id,
+        address indexed issuerAddress,
+        string issuer,
+        string subject
+    );
+
+    // ============ Errors ============
+
+    error NotRegisteredAgent();
+    error IssuerInactive();
+    error SelfAttestation();
+    error CheckpointNotFound();
+    error InvalidScore();
+    error CommentTooLong();
+    error AlreadyAttested();
+    error AttestationNotFound();
+    error NotIssuer();
+    error AlreadyRevoked();
+
+    constructor(address registryAddress) {
+        registry = IAgentMemoryRegistry(registryAddress);
+    }
+
+    // ============ Attesting ============
+
+    /**
+     * @notice Attest that the caller's agent verified another agent's checkpoint
+     * @param subject The agent whose checkpoint was verified
+     * @param checkpointIndex The checkpoint
+     * @param score 1-100, or 0 for no score
+     * @param comment Optional note
+     * @return id The new attestation's ID
+     * @dev One unrevoked attestation per issuer, subject and checkpoint
+     */
+    function attest(
+        string calldata subject,
+        uint256 checkpointIndex,
+        uint8 score,
+        string calldata comment
+    ) external returns (uint256 id) {
+        string memory issuer = registry.addressToAgent(msg.sender);
+        if (bytes(issuer).length == 0) revert NotRegisteredAgent();
+        (, , , bool active) = registry.agents(issuer);
+        if (!active) revert IssuerInactive();
+        if (keccak256(bytes(issuer)) == keccak256(bytes(subject))) revert SelfAttestation();
+        if (score > MAX_SCORE) revert InvalidScore();
+        if (bytes(comment).length > MAX_COMMENT_LENGTH) revert CommentTooLong();
+        if (checkpointIndex >= registry.getCheckpointCount(subject)) revert CheckpointNotFound();
+
+        bytes32 key = _key(issuer, subject, checkpointIndex);
+        if (activeAttestation[key] != 0) revert AlreadyAttested();
+
+        bytes32 merkleRoot = registry.getCheckpoint(subject, checkpointIndex).merkleRoot;
+
+        id = attestations.length;
+        attestations.push(Attestation({
+            issuer: issuer,
+            subject: subject,
+            checkpointIndex: checkpointIndex,
+            merkleRoot: merkleRoot,
+            score: score,
+            comment: comment,
+            issuerAddress: msg.sender,
+            timestamp: block.timestamp,
+            revoked: false
+        }));
+        attestationsFor[subject].push(id);
+        attestationsBy[issuer].push(id);
+        activeAttestation[key] = id + 1;
+
+        emit AttestationIssued(id, msg.sender, issuer, subject, checkpointIndex, merkleRoot, score, comment);
+    }
+
+    /**
+     * @notice Withdraw an attestation
+     * @param id The attestation to revoke
+     * @dev Callable by the current owner of the issuing agent
+     */
+    function revoke(uint256 id) external {
+        if (id >= attestations.length) revert AttestationNotFound();
+        Attestation storage a = attestations[id];
+        if (keccak256(bytes(registry.addressToAgent(msg.sender))) != keccak256(bytes(a.issuer))) revert NotIssuer();
+        if (a.revoked) revert AlreadyRevoked();
+
+        a.revoked = true;
+        delete activeAttestation[_key(a.issuer, a.subject, a.checkpointIndex)];
+
+        emit AttestationRevoked(id, msg.sender, a.issuer, a.subject);
+    }
+
+    // ============ Queries ============
+
+    function getAttestation(uint256 id) external view returns (Attestation memory) {
+        if (id >= attestations.length) revert AttestationNotFound();
+        return attestations[id];
+    }
+
+    function attestationCount() external view returns (uint256) {
+        return attestations.length;
+    }
+
+    /**
+     * @notice IDs of all attestations about an agent, revoked ones included
+     */
+    function getAttestationsFor(string calldata subject) external view returns (uint256[] memory) {
+        return attestationsFor[subject];
+    }
+
+    /**
+     * @notice IDs of all attestations an agent issued, revoked ones included
+     */
+    function getAttestationsBy(string calldata issuer) external view returns (uint256[] memory) {
+        return attestationsBy[issuer];
+    }
+
+    /**
+     * @notice The unrevoked attestation by `issuer` for a checkpoint, if any
+     */
+    function findAttestation(string calldata issuer, string calldata subject, uint256 checkpointIndex)
+        external
+        view
+        returns (bool found, uint256 id)
+    {
+        uint256 stored = activeAttestation[_key(issuer, subject, checkpointIndex)];
+        if (stored == 0) return (false, 0);
+        return (true, stored - 1);
+    }
+
+    function _key(string memory issuer, string memory subject, uint256 checkpointIndex) internal pure returns (bytes32) {
+        return keccak256(abi.encode(issuer, subject, checkpointIndex));
+    }
+}
@@ -1,6 +1,8 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.19;
 
+import "./MemoryProofs.sol";
+
 /**
  * @title AgentMemoryRegistry
  * @author b0tresch (an AI agent)
@@ -18,6 +20,15 @@ contract AgentMemoryRegistry {
     
     // ============ Structs ============
     
+    enum FlagReason {
+        None,                    // Not flagged
+        KeyCompromised,          // A publishing key leaked
+        WorkspacePoisoned,       // Memory files were tampered with before publishing
+        Superseded,              // Replaced by a later, corrected checkpoint
+        PublishedInError,        // Wrong workspace, test run, etc.
+        Other                    // See the note
+    }
+    
     struct Checkpoint {
         bytes32 merkleRoot;      // Root hash of memory state
         uint256 timestamp;       // Block timestamp when published
@@ -32,6 +43,20 @@ contract AgentMemoryRegistry {
         bool active;             // Can publish checkpoints
     }
     
+    struct DelegateInfo {
+        string agentId;          // Agent this address may publish for
+        uint64 expiresAt;        // Unix time the authorization lapses (0 = never)
+        bool active;             // False once revoked
+    }
+    
+    struct CheckpointFlag {
+        uint256 fromIndex;       // First flagged checkpoint
+        uint256 toIndex;         // Last flagged checkpoint (inclusive)
+        FlagReason reason;       // Why the range is not to be trusted
+        uint256 timestamp;       // Block timestamp when flagged
+        string note;             // Optional detail
+    }
+    
     // ============ State ============
     
     // Agent ID (string) => Agent Info
@@ -43,10 +68,47 @@ contract AgentMemoryRegistry {
     // Address => Agent ID (reverse lookup)
     mapping(address => string) public addressToAgent;
     
+    // Delegate publisher address => the agent it publishes for
+    mapping(address => DelegateInfo) public delegates;
+    
+    // Agent ID => its delegates until revoked (expired ones until cleared)
+    mapping(string => address[]) private agentDelegates;
+    // Delegate => its position in agentDelegates, plus one (0 = not listed)
+    mapping(address => uint256) private delegateSlot;
+    
+    // Publisher address => next nonce for publishCheckpointWithSig
+    mapping(address => uint256) public nonces;
+    
+    // Agent ID => checkpoint ranges its owner flagged, in the order flagged
+    mapping(string => CheckpointFlag[]) private checkpointFlags;
+    
     // Registry stats
     uint256 public totalAgents;
     uint256 public totalCheckpoints;
     
+    // ============ Leaf Format ============
+    
+    // Current leaf format (v1 = legacy verifyProof). v2 and v3 share the file
+    // leaf layout; in v3 the content commitment is the root of a per-file
+    // subtree over the file's chunks, verifiable with verifyChunkProof.
+    uint8 public constant LEAF_VERSION = 3;
+    
+    // Delegates an agent can have at once, so transferAgent's revocations stay bounded
+    uint256 public constant MAX_DELEGATES = 16;
+    
+    // ============ EIP-712 ============
+    
+    bytes32 private constant DOMAIN_TYPEHASH =
+        keccak256("EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)");
+    
+    // What an owner or delegate signs so that anyone can submit the checkpoint
+    bytes32 public constant CHECKPOINT_TYPEHASH =
+        keccak256("Checkpoint(string agentId,bytes32 merkleRoot,bytes32 metadataHash,uint256 nonce,uint256 deadline)");
+    
+    // Upper bound for s in a non-malleable signature (secp256k1n / 2)
+    uint256 private constant MAX_SIGNATURE_S =
+        0x7FFFFFFFFFFFFFFFFFFFFFFFFFFFFFFF5D576E7357A4501DDFE92F46681B20A0;
+    
     // ============ Events ============
     
     event AgentRegistered(
@@ -69,6 +131,43 @@ contract AgentMemoryRegistry {
         address indexed newOwner
     );
     
+    event AgentDeactivated(
+        string indexed agentId,
+        uint256 timestamp
+    );
+    
+    event AgentReactivated(
+        string indexed agentId,
+        uint256 timestamp
+    );
+    
+    event DelegateAdded(
+        string indexed agentId,
+        address indexed delegate,
+        uint64 expiresAt
+    );
+    
+    event DelegateRevoked(
+        string indexed agentId,
+        address indexed delegate
+    );
+    
+    event CheckpointRelayed(
+        string indexed agentId,
+        address indexed signer,
+        address indexed relayer,
+        uint256 nonce
+    );
+    
+    event CheckpointsFlagged(
+        string indexed agentId,
+        uint256 fromIndex,
+        uint256 toIndex,
+        FlagReason reason,
+        uint256 timestamp,
+        string note
+    );
+    
     // ============ Errors ============
     
     error AgentAlreadyRegistered();
@@ -77,6 +176,15 @@ contract AgentMemoryRegistry {
     error AddressAlreadyHasAgent();
     error EmptyAgentId();
     error AgentInactive();
+    error NotAuthorizedPublisher();
+    error InvalidDelegate();
+    error DelegateForAnotherAgent();
+    error InvalidExpiry();
+    error TooManyDelegates();
+    error SignatureExpired();
+    error InvalidSignature();
+    error InvalidCheckpointRange();
+    error InvalidFlagReason();
     
     // ============ Modifiers ============
     
@@ -95,6 +203,11 @@ contract AgentMemoryRegistry {
         _;
     }
     
+    modifier onlyPublisher(string calldata agentId) {
+        if (!isAuthorizedPublisher(agentId, msg.sender)) revert NotAuthorizedPublisher();
+        _;
+    }
+    
     // ============ Registration ============
     
     /**
@@ -105,6 +218,8 @@ contract AgentMemoryRegistry {
         if (bytes(agentId).length == 0) revert EmptyAgentId();
         if (agents[agentId].owner != address(0)) revert AgentAlreadyRegistered();
         if (bytes(addressToAgent[msg.sender]).length > 0) revert AddressAlreadyHasAgent();
+        _releaseLapsedDelegate(msg.sender);
+        if (delegates[msg.sender].active) revert AddressAlreadyHasAgent();
         
         agents[agentId] = AgentInfo({
             owner: msg.sender,
@@ -126,35 +241,18 @@ contract AgentMemoryRegistry {
      * @param agentId The agent publishing the checkpoint
      * @param merkleRoot Root hash of the memory state merkle tree
      * @param metadata Optional description (file count, session info, etc.)
+     * @dev Callable by the owner or an active, unexpired delegate
      */
     function publishCheckpoint(
         string calldata agentId,
         bytes32 merkleRoot,
         string calldata metadata
-    ) external onlyAgentOwner(agentId) agentActive(agentId) {
-        
-        Checkpoint memory cp = Checkpoint({
-            merkleRoot: merkleRoot,
-            timestamp: block.timestamp,
-            blockNumber: block.number,
-            metadata: metadata
-        });
-        
-        uint256 index = checkpoints[agentId].length;
-        checkpoints[agentId].push(cp);
-        totalCheckpoints++;
-        
-        emit CheckpointPublished(
-            agentId,
-            merkleRoot,
-            index,
-            block.timestamp,
-            metadata
-        );
+    ) external onlyPublisher(agentId) agentActive(agentId) {
+        _publish(agentId, merkleRoot, metadata);
     }
     
     /**
-     * @notice Publish checkpoint using msg.sender's registered agent ID
+     * @notice Publish checkpoint for the agent msg.sender owns or is a delegate of
      * @param merkleRoot Root hash of the memory state merkle tree
      * @param metadata Optional description
      */
@@ -162,10 +260,14 @@ contract AgentMemoryRegistry {
         bytes32 merkleRoot,
         string calldata metadata
     ) external {
-        string memory agentId = addressToAgent[msg.sender];
+        (string memory agentId, ) = resolvePublisher(msg.sender);
         if (bytes(agentId).length == 0) revert AgentNotRegistered();
         if (!agents[agentId].active) revert AgentInactive();
         
+        _publish(agentId, merkleRoot, metadata);
+    }
+    
+    function _publish(string memory agentId, bytes32 merkleRoot, string calldata metadata) internal {
         Checkpoint memory cp = Checkpoint({
             merkleRoot: merkleRoot,
             timestamp: block.timestamp,
@@ -186,6 +288,269 @@ contract AgentMemoryRegistry {
         );
     }
     
+    // ============ Relayed Publishing ============
+    
+    /**
+     * @notice Publish a checkpoint signed off-chain (EIP-712) by the agent's
+     * owner or a delegate, so a relayer pays the gas
+     * @param agentId The agent publishing the checkpoint
+     * @param merkleRoot Root hash of the memory state merkle tree
+     * @param metadata Metadata string; the signature covers its keccak256
+     * @param signer Owner or delegate who signed
+     * @param deadline Unix time after which the signature can't be used
+     * @param signature 65-byte signature over the Checkpoint typed data
+     * @dev Each signature is usable once: it commits to nonces[signer], which
+     * is incremented on use. The signer must still be authorized when relayed.
+     */
+    function publishCheckpointWithSig(
+        string calldata agentId,
+        bytes32 merkleRoot,
+        string calldata metadata,
+        address signer,
+        uint256 deadline,
+        bytes calldata signature
+    ) external agentActive(agentId) {
+        if (block.timestamp > deadline) revert SignatureExpired();
+        if (!isAuthorizedPublisher(agentId, signer)) revert NotAuthorizedPublisher();
+        
+        uint256 nonce = nonces[signer];
+        bytes32 digest = checkpointDigest(agentId, merkleRoot, keccak256(bytes(metadata)), nonce, deadline);
+        if (_recover(digest, signature) != signer) revert InvalidSignature();
+        nonces[signer] = nonce + 1;
+        
+        _publish(agentId, merkleRoot, metadata);
+        emit CheckpointRelayed(agentId, signer, msg.sender, nonce);
+    }
+    
+    /**
+     * @notice Invalidate the caller's outstanding signed checkpoints
+     * @dev Skips the current nonce, so a queued signature for it can't be relayed
+     */
+    function incrementNonce() external {
+        nonces[msg.sender]++;
+    }
+    
+    /**
+     * @notice EIP-712 domain separator (name "AgentMemoryRegistry", version "1")
+     */
+    function DOMAIN_SEPARATOR() public view returns (bytes32) {
+        return keccak256(abi.encode(
+            DOMAIN_TYPEHASH,
+            keccak256("AgentMemoryRegistry"),
+            keccak256("1"),
+            block.chainid,
+            address(this)
+        ));
+    }
+    
+    /**
+     * @notice The EIP-712 digest a publisher signs for publishCheckpointWithSig
+     */
+    function checkpointDigest(
+        string calldata agentId,
+        bytes32 merkleRoot,
+        bytes32 metadataHash,
+        uint256 nonce,
+        uint256 deadline
+    ) public view returns (bytes32) {
+        bytes32 structHash = keccak256(abi.encode(
+            CHECKPOINT_TYPEHASH,
+            keccak256(bytes(agentId)),
+            merkleRoot,
+            metadataHash,
+            nonce,
+            deadline
+        ));
+        return keccak256(abi.encodePacked("\x19\x01", DOMAIN_SEPARATOR(), structHash));
+    }
+    
+    function _recover(bytes32 digest, bytes calldata signature) internal pure returns (address) {
+        if (signature.length != 65) return address(0);
+        bytes32 r = bytes32(signature[0:32]);
+        bytes32 s = bytes32(signature[32:64]);
+        uint8 v = uint8(signature[64]);
+        if (uint256(s) > MAX_SIGNATURE_S || (v != 27 && v != 28)) return address(0);
+        return ecrecover(digest, v, r, s);
+    }
+    
+    // ============ Delegates ============
+    
+    /**
+     * @notice Authorize another address to publish checkpoints for an agent
+     * @param agentId The agent
+     * @param delegate Publisher address (e.g. a key on another host)
+     * @param expiresAt Unix time the authorization lapses, or 0 for no expiry
+     * @dev Calling again for an existing delegate updates its expiry. An
+     * address can publish for one agent only, and never for its own; an
+     * expired delegation for another agent is revoked to make way. At most
+     * MAX_DELEGATES at once - expired ones count until revoked.
+     */
+    function addDelegate(string calldata agentId, address delegate, uint64 expiresAt)
+        external
+        onlyAgentOwner(agentId)
+    {
+        if (delegate == address(0) || delegate == agents[agentId].owner) revert InvalidDelegate();
+        if (bytes(addressToAgent[delegate]).length > 0) revert AddressAlreadyHasAgent();
+        if (expiresAt != 0 && expiresAt <= block.timestamp) revert InvalidExpiry();
+        
+        DelegateInfo storage info = delegates[delegate];
+        if (info.active && keccak256(bytes(info.agentId)) != keccak256(bytes(agentId))) {
+            // An expired delegation elsewhere doesn't hold the address
+            if (_isStanding(info)) revert DelegateForAnotherAgent();
+            _revokeDelegate(info.agentId, delegate);
+        }
+        
+        if (delegateSlot[delegate] == 0) {
+            address[] storage listed = agentDelegates[agentId];
+            if (listed.length >= MAX_DELEGATES) revert TooManyDelegates();
+            listed.push(delegate);
+            delegateSlot[delegate] = listed.length;
+        }
+        delegates[delegate] = DelegateInfo({ agentId: agentId, expiresAt: expiresAt, active: true });
+        
+        emit DelegateAdded(agentId, delegate, expiresAt);
+    }
+    
+    /**
+     * @notice Revoke a delegate's authorization to publish
+     * @param agentId The agent
+     * @param delegate The delegate to revoke
+     */
+    function revokeDelegate(string calldata agentId, address delegate)
+        external
+        onlyAgentOwner(agentId)
+    {
+        DelegateInfo storage info = delegates[delegate];
+        if (!info.active || keccak256(bytes(info.agentId)) != keccak256(bytes(agentId))) revert InvalidDelegate();
+        
+        _revokeDelegate(agentId, delegate);
+    }
+    
+    function _revokeDelegate(string memory agentId, address delegate) internal {
+        // Swap-and-pop, so the list only ever holds current delegates
+        address[] storage listed = agentDelegates[agentId];
+        uint256 slot = delegateSlot[delegate];
+        address last = listed[listed.length - 1];
+        listed[slot - 1] = last;
+        delegateSlot[last] = slot;
+        listed.pop();
+        delete delegateSlot[delegate];
+        
+        delete delegates[delegate];
+        emit DelegateRevoked(agentId, delegate);
+    }
+    
+    function _isStanding(DelegateInfo storage info) internal view returns (bool) {
+        return info.active && (info.expiresAt == 0 || info.expiresAt > block.timestamp);
+    }
+    
+    /**
+     * @dev An expired delegation is as good as revoked: clear it (with its
+     * DelegateRevoked event) so it doesn't keep the address from being used
+     */
+    function _releaseLapsedDelegate(address delegate) internal {
+        DelegateInfo storage info = delegates[delegate];
+        if (info.active && !_isStanding(info)) _revokeDelegate(info.agentId, delegate);
+    }
+    
+    /**
+     * @notice Whether an address may publish checkpoints for an agent right now
+     */
+    function isAuthorizedPublisher(string calldata agentId, address publisher) public view returns (bool) {
+        if (agents[agentId].owner == publisher) return true;
+        DelegateInfo storage info = delegates[publisher];
+        return _isStanding(info) && keccak256(bytes(info.agentId)) == keccak256(bytes(agentId));
+    }
+    
+    /**
+     * @notice The agent an address publishes for, as owner or delegate
+     * @return agentId Empty if the address is neither (or its delegation expired)
+     * @return isDelegate True if the address is a delegate rather than the owner
+     */
+    function resolvePublisher(address publisher) public view returns (string memory agentId, bool isDelegate) {
+        agentId = addressToAgent[publisher];
+        if (bytes(agentId).length > 0) return (agentId, false);
+        
+        DelegateInfo storage info = delegates[publisher];
+        if (_isStanding(info)) {
+            return (info.agentId, true);
+        }
+        return ("", false);
+    }
+    
+    /**
+     * @notice An agent's delegates, in no particular order
+     * @dev Revoked delegates are dropped; expired ones stay until something
+     * clears them, so check delegates(address) for each one's expiry. Past
+     * delegations are in the DelegateAdded / DelegateRevoked events.
+     */
+    function getDelegates(string calldata agentId) external view returns (address[] memory) {
+        return agentDelegates[agentId];
+    }
+    
+    // ============ Flagging ============
+    
+    /**
+     * @notice Mark a range of checkpoints as not to be trusted
+     * @param agentId The agent
+     * @param fromIndex First checkpoint to flag
+     * @param toIndex Last checkpoint to flag (inclusive; equal to fromIndex for one)
+     * @param reason Why (anything but None)
+     * @param note Optional detail, e.g. how the key leaked
+     * @dev Checkpoints stay on-chain and proofs against them still verify;
+     * the flag tells verifiers not to rely on them. Flags are permanent, so a
+     * stolen owner key can add flags but never clear one. Owner only, and
+     * allowed while the agent is deactivated.
+     */
+    function flagCheckpoints(
+        string calldata agentId,
+        uint256 fromIndex,
+        uint256 toIndex,
+        FlagReason reason,
+        string calldata note
+    ) external onlyAgentOwner(agentId) {
+        if (fromIndex > toIndex || toIndex >= checkpoints[agentId].length) revert InvalidCheckpointRange();
+        if (reason == FlagReason.None) revert InvalidFlagReason();
+        
+        checkpointFlags[agentId].push(CheckpointFlag({
+            fromIndex: fromIndex,
+            toIndex: toIndex,
+            reason: reason,
+            timestamp: block.timestamp,
+            note: note
+        }));
+        
+        emit CheckpointsFlagged(agentId, fromIndex, toIndex, reason, block.timestamp, note);
+    }
+    
+    /**
+     * @notice Every range an agent's owner has flagged, oldest first
+     */
+    function getCheckpointFlags(string calldata agentId) external view returns (CheckpointFlag[] memory) {
+        return checkpointFlags[agentId];
+    }
+    
+    /**
+     * @notice Whether a checkpoint is flagged
+     * @param agentId The agent to query
+     * @param index The checkpoint index
+     * @return flagged True if any flagged range covers the checkpoint
+     * @return flag The most recent flag covering it (reason None if not flagged)
+     */
+    function getCheckpointFlag(string calldata agentId, uint256 index)
+        external
+        view
+        returns (bool flagged, CheckpointFlag memory flag)
+    {
+        CheckpointFlag[] storage flags = checkpointFlags[agentId];
+        for (uint256 i = flags.length; i > 0; i--) {
+            if (flags[i - 1].fromIndex <= index && index <= flags[i - 1].toIndex) {
+                return (true, flags[i - 1]);
+            }
+        }
+        return (false, flag);
+    }
+    
     // ============ Queries ============
     
     /**
@@ -269,8 +634,9 @@ contract AgentMemoryRegistry {
      * @param proof The merkle proof (array of sibling hashes)
      * @return valid True if the proof is valid
      * 
-     * @dev Standard merkle proof verification. The leaf should be the keccak256
-     * hash of the memory content being verified.
+     * @dev Legacy (v1) merkle proof verification. The leaf should be the keccak256
+     * hash of the memory content being verified. Checkpoints published with
+     * leafVersion 2 or 3 metadata must be verified with verifyFileProof instead.
      */
     function verifyProof(
         string calldata agentId,
@@ -278,22 +644,84 @@ contract AgentMemoryRegistry {
         bytes32 leaf,
         bytes32[] calldata proof
     ) external view returns (bool valid) {
+        return MemoryProofs.verifyLegacyProof(_checkpointRoot(agentId, checkpointIndex), leaf, proof);
+    }
+    
+    /**
+     * @notice Compute the v2/v3 leaf for a memory file
+     * @param path File path relative to the workspace root (e.g., "memory/2026-02-03.md")
+     * @param size File size in bytes
+     * @param contentHash keccak256 of the file content (v2) or its chunk root (v3)
+     * @return leaf keccak256(0x00 ‖ keccak256(path) ‖ uint64 size ‖ contentHash)
+     */
+    function computeFileLeaf(
+        string calldata path,
+        uint64 size,
+        bytes32 contentHash
+    ) external pure returns (bytes32 leaf) {
+        return MemoryProofs.computeFileLeaf(path, size, contentHash);
+    }
+    
+    /**
+     * @notice Compute the v3 leaf for one chunk of a memory file
+     * @param chunkIndex Position of the chunk within its file
+     * @param chunkHash keccak256 of the chunk bytes
+     * @return leaf keccak256(0x02 ‖ uint32 chunkIndex ‖ chunkHash)
+     */
+    function computeChunkLeaf(uint32 chunkIndex, bytes32 chunkHash) external pure returns (bytes32 leaf) {
+        return MemoryProofs.computeChunkLeaf(chunkIndex, chunkHash);
+    }
+    
+    /**
+     * @notice Verify a v2/v3 merkle proof that a file existed at a path in a checkpoint
+     * @param agentId The agent whose checkpoint to verify against
+     * @param checkpointIndex Which checkpoint to use
+     * @param path File path relative to the workspace root
+     * @param size File size in bytes
+     * @param contentHash keccak256 of the file content (v2) or its chunk root (v3)
+     * @param proof The merkle proof (array of sibling hashes)
+     * @return valid True if the proof is valid
+     * 
+     * @dev Internal nodes are keccak256(0x01 ‖ sorted pair), so neither an
+     * internal node nor a legacy leaf can be passed off as a v2 leaf.
+     */
+    function verifyFileProof(
+        string calldata agentId,
+        uint256 checkpointIndex,
+        string calldata path,
+        uint64 size,
+        bytes32 contentHash,
+        bytes32[] calldata proof
+    ) external view returns (bool valid) {
+        return MemoryProofs.verifyFileProof(_checkpointRoot(agentId, checkpointIndex), path, size, contentHash, proof);
+    }
+    
+    /**
+     * @notice Verify a two-level v3 proof that a chunk of a file was in a checkpoint
+     * @param agentId The agent whose checkpoint to verify against
+     * @param checkpointIndex Which checkpoint to use
+     * @param path File path relative to the workspace root
+     * @param size File size in bytes
+     * @param chunk The chunk's index, hash and proof up to the file's chunk root
+     * @param fileProof Sibling hashes from the file leaf up to the checkpoint root
+     * @return valid True if the proof is valid
+     * 
+     * @dev Proves one passage without revealing the rest of the file.
+     */
+    function verifyChunkProof(
+        string calldata agentId,
+        uint256 checkpointIndex,
+        string calldata path,
+        uint64 size,
+        MemoryProofs.ChunkProof calldata chunk,
+        bytes32[] calldata fileProof
+    ) external view returns (bool valid) {
+        return MemoryProofs.verifyChunkProof(_checkpointRoot(agentId, checkpointIndex), path, size, chunk, fileProof);
+    }
+    
+    function _checkpointRoot(string calldata agentId, uint256 checkpointIndex) internal view returns (bytes32) {
         require(checkpointIndex < checkpoints[agentId].length, "Invalid checkpoint");
-        
-        bytes32 root = checkpoints[agentId][checkpointIndex].merkleRoot;
-        bytes32 computedHash = leaf;
-        
-        for (uint256 i = 0; i < proof.length; i++) {
-            bytes32 proofElement = proof[i];
-            
-            if (computedHash <= proofElement) {
-                computedHash = keccak256(abi.encodePacked(computedHash, proofElement));
-            } else {
-                computedHash = keccak256(abi.encodePacked(proofElement, computedHash));
-            }
-        }
-        
-        return computedHash == root;
+        return checkpoints[agentId][checkpointIndex].merkleRoot;
     }
     
     // ============ Admin Functions ============
@@ -302,6 +730,8 @@ contract AgentMemoryRegistry {
      * @notice Transfer agent ownership to a new address
      * @param agentId The agent to transfer
      * @param newOwner The new owner address
+     * @dev Revokes all delegates (at most MAX_DELEGATES): the new owner
+     * authorizes its own publishers
      */
     function transferAgent(string calldata agentId, address newOwner) 
         external 
@@ -310,6 +740,13 @@ contract AgentMemoryRegistry {
         require(newOwner != address(0), "Invalid new owner");
         require(bytes(addressToAgent[newOwner]).length == 0, "New owner already has agent");
         
+        address[] storage listed = agentDelegates[agentId];
+        while (listed.length > 0) {
+            _revokeDelegate(agentId, listed[listed.length - 1]);
+        }
+        _releaseLapsedDelegate(newOwner);
+        require(!delegates[newOwner].active, "New owner is another agent's delegate");
+        
         address oldOwner = agents[agentId].owner;
         
         delete addressToAgent[oldOwner];
@@ -328,6 +765,8 @@ contract AgentMemoryRegistry {
         onlyAgentOwner(agentId) 
     {
         agents[agentId].active = false;
+        
+        emit AgentDeactivated(agentId, block.timestamp);
     }
     
     /**
@@ -339,5 +778,7 @@ contract AgentMemoryRegistry {
         onlyAgentOwner(agentId) 
     {
         agents[agentId].active = true;
+        
+        emit AgentReactivated(agentId, block.timestamp);
     }
 }
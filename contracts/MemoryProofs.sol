@@ -0,0 +1,113 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+/**
+ * @title MemoryProofs
+ * @author b0tresch (an AI agent)
+ * @notice Merkle proof verification for AgentMemoryRegistry checkpoints
+ * @dev Deployed once and linked into the registry, which keeps the registry
+ * under the EIP-170 code size limit. Pure functions over a root, so anyone
+ * can also call them directly.
+ *
+ *   v1 (legacy)  node = keccak256(sorted pair)
+ *   v2/v3        leaf = keccak256(0x00 ‖ keccak256(path) ‖ uint64 size ‖ contentHash)
+ *                node = keccak256(0x01 ‖ sorted pair)
+ *   v3 chunks    leaf = keccak256(0x02 ‖ uint32 index ‖ chunkHash)
+ */
+library MemoryProofs {
+
+    struct ChunkProof {
+        uint32 index;            // Position of the chunk within its file
+        bytes32 hash;            // keccak256 of the chunk bytes
+        bytes32[] proof;         // Siblings from the chunk leaf up to the file's chunk root
+    }
+
+    // Domain separation so an internal node can never pass for a leaf
+    bytes1 private constant LEAF_PREFIX = 0x00;
+    bytes1 private constant NODE_PREFIX = 0x01;
+    bytes1 private constant CHUNK_PREFIX = 0x02;
+
+    /**
+     * @notice Verify a legacy (v1) proof: unprefixed, sorted-pair nodes
+     * @param root The checkpoint root
+     * @param leaf keccak256 of the memory content
+     * @param proof Sibling hashes from the leaf up to the root
+     */
+    function verifyLegacyProof(bytes32 root, bytes32 leaf, bytes32[] calldata proof) external pure returns (bool) {
+        bytes32 computedHash = leaf;
+
+        for (uint256 i = 0; i < proof.length; i++) {
+            bytes32 proofElement = proof[i];
+
+            if (computedHash <= proofElement) {
+                computedHash = keccak256(abi.encodePacked(computedHash, proofElement));
+            } else {
+                computedHash = keccak256(abi.encodePacked(proofElement, computedHash));
+            }
+        }
+
+        return computedHash == root;
+    }
+
+    /**
+     * @notice Compute the v2/v3 leaf for a memory file
+     * @return leaf keccak256(0x00 ‖ keccak256(path) ‖ uint64 size ‖ contentHash)
+     */
+    function computeFileLeaf(string calldata path, uint64 size, bytes32 contentHash) public pure returns (bytes32 leaf) {
+        return keccak256(abi.encodePacked(LEAF_PREFIX, keccak256(bytes(path)), size, contentHash));
+    }
+
+    /**
+     * @notice Compute the v3 leaf for one chunk of a memory file
+     * @return leaf keccak256(0x02 ‖ uint32 chunkIndex ‖ chunkHash)
+     */
+    function computeChunkLeaf(uint32 chunkIndex, bytes32 chunkHash) public pure returns (bytes32 leaf) {
+        return keccak256(abi.encodePacked(CHUNK_PREFIX, chunkIndex, chunkHash));
+    }
+
+    /**
+     * @notice Verify a v2/v3 proof that a file existed at a path under a root
+     */
+    function verifyFileProof(
+        bytes32 root,
+        string calldata path,
+        uint64 size,
+        bytes32 contentHash,
+        bytes32[] calldata proof
+    ) external pure returns (bool) {
+        return _processProof(computeFileLeaf(path, size, contentHash), proof) == root;
+    }
+
+    /**
+     * @notice Verify a two-level v3 proof (chunk → file chunk root → root)
+     */
+    function verifyChunkProof(
+        bytes32 root,
+        string calldata path,
+        uint64 size,
+        ChunkProof calldata chunk,
+        bytes32[] calldata fileProof
+    ) external pure returns (bool) {
+        bytes32 chunkRoot = _processProof(computeChunkLeaf(chunk.index, chunk.hash), chunk.proof);
+        return _processProof(computeFileLeaf(path, size, chunkRoot), fileProof) == root;
+    }
+
+    /**
+     * @dev Fold a v2/v3 proof (prefixed, sorted-pair nodes) into the root it implies
+     */
+    function _processProof(bytes32 leaf, bytes32[] calldata proof) private pure returns (bytes32) {
+        bytes32 computedHash = leaf;
+
+        for (uint256 i = 0; i < proof.length; i++) {
+            bytes32 proofElement = proof[i];
+
+            if (computedHash <= proofElement) {
+                computedHash = keccak256(abi.encodePacked(NODE_PREFIX, computedHash, proofElement));
+            } else {
+                computedHash = keccak256(abi.encodePacked(NODE_PREFIX, proofElement, computedHash));
+            }
+        }
+
+        return computedHash;
+    }
+}
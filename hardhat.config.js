@@ -1,24 +1,35 @@
-import fs from 'fs';
-import os from 'os';
-import "@nomicfoundation/hardhat-toolbox";
+import { configVariable } from "hardhat/config";
+import hardhatToolboxMochaEthers from "@nomicfoundation/hardhat-toolbox-mocha-ethers";
 
-// Load wallet
-const wallet = JSON.parse(fs.readFileSync(os.homedir() + '/.evm-wallet.json', 'utf8'));
+// Resolved only when a network is used, so compiling needs no key
+const deployerKey = configVariable("WALLET_PRIVATE_KEY");
 
 export default {
-  solidity: "0.8.19",
+  plugins: [hardhatToolboxMochaEthers],
+  solidity: {
+    version: "0.8.19",
+    // Keeps the registry under the 24KB contract size limit (EIP-170)
+    settings: { optimizer: { enabled: true, runs: 200 } }
+  },
   networks: {
     monadTestnet: {
       type: "http",
       url: "https://testnet-rpc.monad.xyz",
       chainId: 10143,
-      accounts: [wallet.privateKey]
+      accounts: [deployerKey]
     },
     monadMainnet: {
       type: "http", 
       url: "https://rpc.monad.xyz",
       chainId: 143,
-      accounts: [wallet.privateKey]
+      accounts: [deployerKey]
+    },
+    // `npx hardhat node` - the scripts' --network=local
+    localhost: {
+      type: "http",
+      url: "http://127.0.0.1:8545",
+      chainId: 31337,
+      accounts: [deployerKey]
     }
   },
   paths: {
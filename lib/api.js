@@ -0,0 +1,272 @@
+/**
+ * Verification API
+ *
+ * The "verify me" endpoint: a small JSON-over-HTTP front to the registry and
+ * this host's checkpoint records, so other agents can check an agent's
+ * history and proofs without cloning the repo. Read-only - it never signs.
+ *
+ *   GET  /health
+ *   GET  /agents/:agentId                              owner, status, checkpoint count, delegates, flags
+ *   GET  /agents/:agentId/checkpoints?offset=&limit=   history, oldest first
+ *   GET  /agents/:agentId/checkpoints/latest           latest checkpoint, with authorship and flags
+ *   GET  /agents/:agentId/checkpoints/:index           the same for checkpoint N
+ *   GET  /agents/:agentId/checkpoints/:index/proof?file=PATH
+ *                                                      proof package (lib/proof-package.js) for a file
+ *   POST /verify                                       check a proof package against the chain
+ *
+ * Proofs come from local records, so only checkpoints published from this
+ * host can be proven; file contents are never served. On-chain reads are
+ * cached for `cacheTtl`.
+ */
+
+import http from "http";
+import { ethers } from "ethers";
+import { CHECKPOINTS_DIR, findRecordByRoot } from "./records.js";
+import { buildProofPackage, validateProofPackage } from "./proof-package.js";
+import { DEFAULT_PAGE_SIZE } from "./history.js";
+import { fetchDelegates } from "./delegates.js";
+
+export const DEFAULT_CACHE_TTL_MS = 30_000;
+export const MAX_PAGE_SIZE = DEFAULT_PAGE_SIZE;
+const MAX_CACHE_ENTRIES = 1000;
+const MAX_BODY_BYTES = 256 * 1024;
+
+function httpError(status, message, details = {}) {
+  return Object.assign(new Error(message), { status, details });
+}
+
+// A malformed %-escape in the path is the client's mistake, not a failed read
+function decodePathParam(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    throw httpError(400, `Malformed URL encoding in "${value}"`);
+  }
+}
+
+/**
+ * TTL cache of promises, so concurrent requests share one on-chain read.
+ * Failed reads aren't kept.
+ */
+export function createReadCache(ttlMs = DEFAULT_CACHE_TTL_MS, maxEntries = MAX_CACHE_ENTRIES) {
+  const entries = new Map();
+  const cached = (key, load) => {
+    const hit = entries.get(key);
+    if (hit && hit.expires > Date.now()) return hit.value;
+
+    entries.delete(key);
+    if (entries.size >= maxEntries) {
+      // Oldest first: Map keeps insertion order
+      entries.delete(entries.keys().next().value);
+    }
+    const value = Promise.resolve().then(load);
+    entries.set(key, { value, expires: Date.now() + ttlMs });
+    value.catch(() => entries.delete(key));
+    return value;
+  };
+  return cached;
+}
+
+// ============ Handlers ============
+
+function parseIndex(value) {
+  if (value === "latest") return value;
+  if (!/^\d+$/.test(value)) throw httpError(400, `Checkpoint index must be a number or "latest", got "${value}"`);
+  return Number(value);
+}
+
+function parsePageParam(params, name, fallback, max = Infinity) {
+  const value = params.get(name);
+  if (value === null) return fallback;
+  if (!/^\d+$/.test(value) || Number(value) > max) {
+    throw httpError(400, `${name} must be a whole number${max < Infinity ? ` up to ${max}` : ""}`);
+  }
+  return Number(value);
+}
+
+async function readJsonBody(req) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) throw httpError(413, `Body is larger than ${MAX_BODY_BYTES} bytes`);
+    chunks.push(chunk);
+  }
+  try {
+    return JSON.parse(Buffer.concat(chunks).toString("utf8"));
+  } catch {
+    throw httpError(400, "Body is not valid JSON");
+  }
+}
+
+/**
+ * Request handler for the API, for http.createServer() or an existing server.
+ *
+ * @param {Registry} registry Connected registry client (lib/registry.js)
+ * @param {object} [options]
+ * @param {number} [options.cacheTtl] How long on-chain reads are reused, in ms
+ * @param {string} [options.recordsDir] Where the checkpoint records are
+ * @param {function} [options.log] Called with { method, path, status, ms } per request
+ */
+export function createApiHandler(registry, { cacheTtl = DEFAULT_CACHE_TTL_MS, recordsDir = CHECKPOINTS_DIR, log = null } = {}) {
+  const cached = createReadCache(cacheTtl);
+
+  const getAgent = agentId => cached(`agent:${agentId}`, async () => {
+    const agent = await registry.getAgent(agentId);
+    if (!agent) throw httpError(404, `Agent "${agentId}" is not registered`);
+    return agent;
+  });
+
+  const getCheckpoint = (agentId, index) => cached(`checkpoint:${agentId}:${index}`, async () => {
+    await getAgent(agentId);
+    let checkpoint;
+    try {
+      checkpoint = await registry.getCheckpoint(agentId, index);
+    } catch (err) {
+      if (/no checkpoint #/.test(err.message)) throw httpError(404, err.message);
+      throw err;
+    }
+    const { owner, delegates, ...authorship } = await registry.checkAuthorship(agentId, checkpoint);
+    return { agentId, ...checkpoint, authorship };
+  });
+
+  // [method, path pattern, handler({ agentId, index, query, req })]
+  const routes = [
+    ["GET", /^\/health$/, async () => ({
+      ok: true,
+      network: registry.network?.name ?? null,
+      chainId: await registry.chainId(),
+      contract: registry.address,
+    })],
+
+    ["GET", /^\/agents\/(?<agentId>[^/]+)$/, ({ agentId }) => cached(`info:${agentId}`, async () => {
+      const agent = await getAgent(agentId);
+      const [count, delegates, flags] = await Promise.all([
+        registry.contract.getCheckpointCount(agentId),
+        fetchDelegates(registry.contract, agentId),
+        registry.getFlags(agentId),
+      ]);
+      return { ...agent, checkpointCount: Number(count), delegates, flags };
+    })],
+
+    ["GET", /^\/agents\/(?<agentId>[^/]+)\/checkpoints$/, async ({ agentId, query }) => {
+      const offset = parsePageParam(query, "offset", 0);
+      const limit = parsePageParam(query, "limit", 20, MAX_PAGE_SIZE);
+      await getAgent(agentId);
+      const page = await cached(`page:${agentId}:${offset}:${limit}`, () => registry.getCheckpoints(agentId, { offset, limit }));
+      return {
+        agentId,
+        ...page,
+        next: offset + limit < page.total ? `/agents/${encodeURIComponent(agentId)}/checkpoints?offset=${offset + limit}&limit=${limit}` : null,
+      };
+    }],
+
+    ["GET", /^\/agents\/(?<agentId>[^/]+)\/checkpoints\/(?<index>[^/]+)$/, ({ agentId, index }) => getCheckpoint(agentId, parseIndex(index))],
+
+    ["GET", /^\/agents\/(?<agentId>[^/]+)\/checkpoints\/(?<index>[^/]+)\/proof$/, async ({ agentId, index, query }) => {
+      const file = query.get("file");
+      if (!file) throw httpError(400, "Pass the file to prove: ?file=PATH");
+
+      const checkpoint = await getCheckpoint(agentId, parseIndex(index));
+      const record = findRecordByRoot(checkpoint.root, recordsDir);
+      if (!record) {
+        throw httpError(404, `No local record for checkpoint #${checkpoint.index} - this host can only prove checkpoints it published`);
+      }
+      const entry = record.proofs.find(p => p.file === file);
+      if (!entry) {
+        throw httpError(404, `"${file}" is not in checkpoint #${checkpoint.index}`, { files: record.proofs.map(p => p.file) });
+      }
+
+      return buildProofPackage({
+        record,
+        entry,
+        checkpoint: {
+          merkleRoot: checkpoint.root,
+          timestamp: checkpoint.timestamp / 1000,
+          blockNumber: checkpoint.blockNumber,
+          metadata: checkpoint.metadata,
+        },
+        agentId,
+        checkpointIndex: checkpoint.index,
+        chainId: await registry.chainId(),
+        contract: registry.address,
+      });
+    }],
+
+    ["POST", /^\/verify$/, async ({ req }) => {
+      const pkg = await readJsonBody(req);
+      if (!pkg || typeof pkg !== "object" || Array.isArray(pkg)) {
+        throw httpError(400, "Body must be a proof package (from export-proof.js or GET .../proof)");
+      }
+      const problems = validateProofPackage(pkg);
+      if (problems.length > 0) {
+        throw httpError(422, `Malformed proof package: ${problems.join("; ")}`, { problems });
+      }
+      if (ethers.getAddress(pkg.contract) !== ethers.getAddress(registry.address)) {
+        throw httpError(422, `Package is for contract ${pkg.contract}; this server verifies against ${registry.address}`);
+      }
+      // Unknown agents and checkpoints are 404s, not failed reads
+      await getAgent(pkg.agentId);
+      const count = Number(await registry.contract.getCheckpointCount(pkg.agentId));
+      if (pkg.checkpointIndex >= count) {
+        throw httpError(404, `"${pkg.agentId}" has ${count} checkpoint(s); no checkpoint #${pkg.checkpointIndex}`);
+      }
+      const key = `verify:${ethers.id(JSON.stringify(pkg))}`;
+      const result = await cached(key, () => registry.verifyPackage(pkg));
+      return { agentId: pkg.agentId, checkpointIndex: pkg.checkpointIndex, file: pkg.file.path, chunk: pkg.chunk?.lines ?? null, ...result };
+    }],
+  ];
+
+  return async function handle(req, res) {
+    const started = Date.now();
+    const url = new URL(req.url, "http://localhost");
+    let status = 200;
+    let body;
+
+    try {
+      if (req.method === "OPTIONS") {
+        status = 204;
+      } else {
+        const matches = routes.filter(([, pattern]) => pattern.test(url.pathname));
+        const route = matches.find(([method]) => method === req.method);
+        if (!route) {
+          throw matches.length > 0
+            ? httpError(405, `${req.method} not allowed on ${url.pathname}`)
+            : httpError(404, `No such endpoint: ${url.pathname}`);
+        }
+        const [, pattern, handler] = route;
+        const captured = Object.fromEntries(
+          Object.entries(url.pathname.match(pattern).groups ?? {}).map(([name, value]) => [name, decodePathParam(value)])
+        );
+        body = await handler({ ...captured, query: url.searchParams, req });
+      }
+    } catch (err) {
+      status = err.status ?? 502;
+      body = { error: err.status ? err.message : `Registry read failed: ${err.shortMessage ?? err.message}`, ...err.details };
+    }
+
+    res.statusCode = status;
+    res.setHeader("Access-Control-Allow-Origin", "*");
+    res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+    if (status === 204) {
+      res.end();
+    } else {
+      res.setHeader("Content-Type", "application/json; charset=utf-8");
+      res.setHeader("Cache-Control", status === 200 && req.method === "GET" ? `public, max-age=${Math.floor(cacheTtl / 1000)}` : "no-store");
+      res.end(JSON.stringify(body, (k, v) => (typeof v === "bigint" ? v.toString() : v), 2));
+    }
+    log?.({ method: req.method, path: url.pathname, status, ms: Date.now() - started });
+  };
+}
+
+/**
+ * Start the API on a port.
+ * @returns {Promise<http.Server>} Once it's listening
+ */
+export function startApiServer(registry, { port = 8080, host = "127.0.0.1", ...options } = {}) {
+  const server = http.createServer(createApiHandler(registry, options));
+  return new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, host, () => resolve(server));
+  });
+}
@@ -0,0 +1,152 @@
+/**
+ * Attestations
+ *
+ * Cross-agent vouching on the AgentAttestations contract: agent A attests
+ * "I verified checkpoint N of agent B" (bound to that checkpoint's root),
+ * optionally with a 1-100 score and a comment, and can revoke it later.
+ *
+ * The trust graph - who vouched for whom - is built from the contract's
+ * events, followed into the local event index (lib/event-index.js).
+ */
+
+import { ethers } from "ethers";
+
+// What the contract's custom errors mean, for CLI output
+export const ATTESTATION_ERRORS = {
+  NotRegisteredAgent: "the wallet doesn't own a registered agent",
+  IssuerInactive: "your agent is deactivated",
+  SelfAttestation: "an agent can't attest to itself",
+  CheckpointNotFound: "that checkpoint doesn't exist",
+  InvalidScore: "score must be 0-100",
+  CommentTooLong: "comment is longer than 280 bytes",
+  AlreadyAttested: "your agent already attested to this checkpoint",
+  AttestationNotFound: "no attestation with that ID",
+  NotIssuer: "only the issuing agent's owner can revoke it",
+  AlreadyRevoked: "already revoked",
+  AgentNotRegistered: "that agent isn't registered",
+};
+
+/**
+ * Plain object from the contract's Attestation struct.
+ */
+export function normalizeAttestation(id, a) {
+  return {
+    id: Number(id),
+    issuer: a.issuer,
+    subject: a.subject,
+    checkpointIndex: Number(a.checkpointIndex),
+    merkleRoot: a.merkleRoot,
+    score: Number(a.score) || null,
+    comment: a.comment,
+    issuerAddress: ethers.getAddress(a.issuerAddress),
+    timestamp: Number(a.timestamp) * 1000,
+    revoked: a.revoked,
+  };
+}
+
+/**
+ * Attestations by ID, read from the contract.
+ */
+export async function fetchAttestations(contract, ids) {
+  const attestations = [];
+  for (const id of ids) {
+    attestations.push(normalizeAttestation(id, await contract.getAttestation(id)));
+  }
+  return attestations;
+}
+
+/**
+ * Replay AttestationIssued / AttestationRevoked events from the index into
+ * attestations, oldest first. Timestamps in milliseconds.
+ */
+export function attestationsFromEvents(events) {
+  const byId = new Map();
+  for (const e of events) {
+    if (e.type === "AttestationIssued") {
+      byId.set(e.attestationId, {
+        id: e.attestationId,
+        issuer: e.issuer,
+        subject: e.subject,
+        checkpointIndex: e.checkpointIndex,
+        merkleRoot: e.merkleRoot,
+        score: e.score || null,
+        comment: e.comment,
+        issuerAddress: e.issuerAddress,
+        timestamp: e.timestamp * 1000,
+        blockNumber: e.blockNumber,
+        txHash: e.txHash,
+        revoked: false,
+        revokedAt: null,
+      });
+    } else if (e.type === "AttestationRevoked" && byId.has(e.attestationId)) {
+      Object.assign(byId.get(e.attestationId), { revoked: true, revokedAt: e.timestamp * 1000 });
+    }
+  }
+  return [...byId.values()].sort((a, b) => a.id - b.id);
+}
+
+/**
+ * Who vouched for whom. One edge per (issuer, subject) pair, aggregating its
+ * attestations; revoked attestations are left out unless asked for.
+ *
+ * @returns {{nodes: object[], edges: object[]}}
+ *   nodes: { agentId, issued, received, vouchedBy (distinct issuers) }
+ *   edges: { from, to, attestations, checkpoints, meanScore, firstAt, lastAt }
+ */
+export function buildTrustGraph(attestations, { includeRevoked = false } = {}) {
+  const edges = new Map();
+  const nodes = new Map();
+  const node = agentId => {
+    if (!nodes.has(agentId)) nodes.set(agentId, { agentId, issued: 0, received: 0, vouchedBy: new Set() });
+    return nodes.get(agentId);
+  };
+
+  for (const a of attestations) {
+    if (a.revoked && !includeRevoked) continue;
+
+    node(a.issuer).issued++;
+    const subject = node(a.subject);
+    subject.received++;
+    subject.vouchedBy.add(a.issuer);
+
+    const key = `${a.issuer}\n${a.subject}`;
+    if (!edges.has(key)) {
+      edges.set(key, { from: a.issuer, to: a.subject, attestations: 0, checkpoints: [], scores: [], firstAt: a.timestamp, lastAt: a.timestamp });
+    }
+    const edge = edges.get(key);
+    edge.attestations++;
+    edge.checkpoints.push(a.checkpointIndex);
+    if (a.score) edge.scores.push(a.score);
+    edge.firstAt = Math.min(edge.firstAt, a.timestamp);
+    edge.lastAt = Math.max(edge.lastAt, a.timestamp);
+  }
+
+  return {
+    nodes: [...nodes.values()]
+      .map(n => ({ ...n, vouchedBy: n.vouchedBy.size }))
+      .sort((a, b) => b.vouchedBy - a.vouchedBy || a.agentId.localeCompare(b.agentId)),
+    edges: [...edges.values()].map(({ scores, ...edge }) => ({
+      ...edge,
+      checkpoints: [...new Set(edge.checkpoints)].sort((a, b) => a - b),
+      meanScore: scores.length ? Math.round(scores.reduce((sum, s) => sum + s, 0) / scores.length) : null,
+    })),
+  };
+}
+
+/**
+ * Graphviz DOT for a trust graph: an arrow from voucher to vouchee, labelled
+ * with the attestation count and mean score.
+ */
+export function trustGraphToDot(graph) {
+  const quote = text => `"${String(text).replace(/"/g, '\\"')}"`;
+  const lines = ["digraph trust {", "  rankdir=LR;", "  node [shape=box];"];
+  for (const n of graph.nodes) {
+    lines.push(`  ${quote(n.agentId)} [label=${quote(`${n.agentId}\\n${n.vouchedBy} voucher(s)`)}];`);
+  }
+  for (const e of graph.edges) {
+    const label = `${e.attestations}×${e.meanScore !== null ? `, ${e.meanScore}` : ""}`;
+    lines.push(`  ${quote(e.from)} -> ${quote(e.to)} [label=${quote(label)}];`);
+  }
+  lines.push("}");
+  return lines.join("\n") + "\n";
+}
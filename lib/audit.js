@@ -0,0 +1,250 @@
+/**
+ * Memory Audit
+ *
+ * Walks an agent's local checkpoint records in order and flags changes
+ * between consecutive checkpoints that look like a wipe, a reset or
+ * tampering rather than normal work - so a poisoned or reset agent is caught
+ * before it acts on bad memory.
+ *
+ * Findings (each with a severity):
+ *   file-count-drop      the number of files fell sharply
+ *   size-drop            total bytes fell sharply
+ *   core-file-deleted    an identity file (SOUL.md, IDENTITY.md, ...) is gone
+ *   core-file-rewritten  an identity file kept almost none of its content
+ *   daily-log-removed    a dated log (memory/2026-02-19.md) disappeared
+ *   root-reverted        the root went back to an earlier checkpoint's
+ *
+ * Rewrites are judged on content (the share of the old version's chunks that
+ * survive, lib/chunks.js), read from the workspace, object store or bundles;
+ * when either version can't be read, losing most of its size stands in for it.
+ */
+
+import { keccak, toHex } from "./merkle.js";
+import { DEFAULT_CHUNK_MODE, splitChunks } from "./chunks.js";
+import { globToRegExp } from "./manifest.js";
+import { diffRecords } from "./diff.js";
+
+export const SEVERITIES = ["critical", "high", "medium"];
+
+export const DEFAULT_CORE_FILES = ["SOUL.md", "IDENTITY.md", "AGENTS.md", "USER.md", "MEMORY.md"];
+
+// Dated log files: memory/2026-02-19.md, logs/2026-02-19-notes.md
+export const DAILY_LOG_PATTERN = /(^|\/)\d{4}-\d{2}-\d{2}[^/]*\.md$/;
+
+export const AUDIT_THRESHOLDS = {
+  fileCountDrop: { medium: 0.25, high: 0.5, minFiles: 2 },
+  sizeDrop: { medium: 0.3, high: 0.6 },
+  // A core file that keeps at most this share of its old chunks (a heading, say) was rewritten
+  rewrite: { maxKept: 0.25, sizeShrink: 0.5 },
+};
+
+/**
+ * True if `severity` is `min` or worse.
+ */
+export function atLeast(severity, min) {
+  return SEVERITIES.indexOf(severity) <= SEVERITIES.indexOf(min);
+}
+
+function recordRef(record, file = null) {
+  return {
+    checkpointIndex: record.checkpointIndex ?? null,
+    root: record.root,
+    timestamp: record.timestamp,
+    network: record.network ?? null,
+    record: file,
+  };
+}
+
+function dropSeverity(ratio, { medium, high }) {
+  if (ratio >= high) return "high";
+  if (ratio >= medium) return "medium";
+  return null;
+}
+
+function recordTotals(record) {
+  const sizes = record.proofs.map(p => p.size ?? record.files?.find(f => f.relativePath === p.file)?.size ?? null);
+  return {
+    files: record.fileCount ?? record.proofs.length,
+    bytes: record.totalBytes ?? (sizes.includes(null) ? null : sizes.reduce((sum, s) => sum + s, 0)),
+  };
+}
+
+/**
+ * Share of the old version's (non-blank) chunks that are still in the new one.
+ */
+export function keptShare(before, after, mode = DEFAULT_CHUNK_MODE) {
+  const hashes = content => splitChunks(content, mode)
+    .map(c => c.data.toString("utf8").trim())
+    .filter(Boolean)
+    .map(text => toHex(keccak(Buffer.from(text))));
+  const old = hashes(before);
+  if (old.length === 0) return 1;
+  const current = new Set(hashes(after));
+  return old.filter(h => current.has(h)).length / old.length;
+}
+
+// ============ Checks ============
+
+function checkTotals(prev, cur, thresholds) {
+  const findings = [];
+  const a = recordTotals(prev);
+  const b = recordTotals(cur);
+
+  const lostFiles = a.files - b.files;
+  if (lostFiles >= thresholds.fileCountDrop.minFiles) {
+    const ratio = lostFiles / a.files;
+    const severity = dropSeverity(ratio, thresholds.fileCountDrop);
+    if (severity) {
+      findings.push({
+        type: "file-count-drop",
+        severity,
+        message: `File count fell from ${a.files} to ${b.files} (-${Math.round(ratio * 100)}%)`,
+        details: { before: a.files, after: b.files, ratio },
+      });
+    }
+  }
+
+  if (a.bytes && b.bytes !== null && b.bytes < a.bytes) {
+    const ratio = (a.bytes - b.bytes) / a.bytes;
+    const severity = dropSeverity(ratio, thresholds.sizeDrop);
+    if (severity) {
+      findings.push({
+        type: "size-drop",
+        severity,
+        message: `Total size fell from ${a.bytes} to ${b.bytes} bytes (-${Math.round(ratio * 100)}%)`,
+        details: { before: a.bytes, after: b.bytes, ratio },
+      });
+    }
+  }
+  return findings;
+}
+
+function checkFiles(prev, cur, { isCore, dailyLogs, readFile, thresholds }) {
+  const findings = [];
+  const diff = diffRecords(prev, cur);
+
+  for (const f of diff.removed) {
+    if (isCore(f.file)) {
+      findings.push({
+        type: "core-file-deleted",
+        severity: "critical",
+        file: f.file,
+        message: `Core file ${f.file} was deleted`,
+        details: { hash: f.hash, size: f.size },
+      });
+    } else if (dailyLogs.test(f.file)) {
+      findings.push({
+        type: "daily-log-removed",
+        severity: "high",
+        file: f.file,
+        message: `Daily log ${f.file} disappeared`,
+        details: { hash: f.hash, size: f.size },
+      });
+    }
+  }
+
+  for (const f of diff.changed.filter(c => isCore(c.file))) {
+    const before = readFile?.(prev, f.file);
+    const after = readFile?.(cur, f.file);
+    const details = { before: { hash: f.before.hash, size: f.before.size }, after: { hash: f.after.hash, size: f.after.size } };
+
+    if (before && after) {
+      const kept = keptShare(before, after, cur.chunking ?? DEFAULT_CHUNK_MODE);
+      if (kept > thresholds.rewrite.maxKept) continue;
+      const emptied = after.toString("utf8").trim() === "";
+      findings.push({
+        type: "core-file-rewritten",
+        severity: emptied ? "critical" : "high",
+        file: f.file,
+        message: emptied
+          ? `Core file ${f.file} was emptied`
+          : `Core file ${f.file} was rewritten (${Math.round(kept * 100)}% of its content kept)`,
+        details: { ...details, kept, evidence: "content" },
+      });
+      continue;
+    }
+
+    // Contents unavailable: only losing most of the file says anything
+    if (!f.before.size || f.after.size === null) continue;
+    const shrink = (f.before.size - f.after.size) / f.before.size;
+    if (shrink < thresholds.rewrite.sizeShrink) continue;
+    findings.push({
+      type: "core-file-rewritten",
+      severity: f.after.size === 0 ? "critical" : "medium",
+      file: f.file,
+      message: `Core file ${f.file} shrank from ${f.before.size} to ${f.after.size} bytes (contents unavailable to compare)`,
+      details: { ...details, kept: null, evidence: "size" },
+    });
+  }
+
+  return findings;
+}
+
+// ============ Audit ============
+
+/**
+ * Audit consecutive checkpoint records.
+ *
+ * @param {{file: string, record: object}[]} records Oldest first, as listCheckpointRecords() returns them
+ * @param {object} [options]
+ * @param {string[]} [options.coreFiles] Globs (relative paths) of identity files
+ * @param {RegExp} [options.dailyLogs] Paths of daily logs
+ * @param {(record: object, relativePath: string) => Buffer|null} [options.readFile]
+ *   A file's content at a checkpoint; without it rewrites are judged on size
+ * @param {number} [options.last] Only audit the changes into the last N records (earlier ones still count for reverts)
+ * @param {object} [options.thresholds] Overrides for AUDIT_THRESHOLDS, merged per check
+ *   (e.g. { sizeDrop: { high: 0.8 } } keeps sizeDrop.medium)
+ * @returns {{checkpoints: number, audited: number, from: object|null, to: object|null, findings: object[], counts: object}}
+ *   findings oldest first, each { type, severity, message, checkpoint, previous, file?, details }
+ */
+export function auditRecords(records, { coreFiles = DEFAULT_CORE_FILES, dailyLogs = DAILY_LOG_PATTERN, readFile = null, last = null, thresholds = {} } = {}) {
+  // Per check, so overriding one limit keeps the defaults for the others
+  const limits = Object.fromEntries(Object.entries(AUDIT_THRESHOLDS).map(([check, defaults]) =>
+    [check, { ...defaults, ...thresholds[check] }]));
+  const corePatterns = coreFiles.map(globToRegExp);
+  const isCore = file => corePatterns.some(re => re.test(file));
+
+  const findings = [];
+  const seenRoots = new Map();
+  const start = last ? Math.max(1, records.length - last) : 1;
+
+  records.forEach(({ file, record }, i) => {
+    const root = record.root?.toLowerCase();
+    const prev = records[i - 1];
+
+    if (i >= start && prev) {
+      const context = { checkpoint: recordRef(record, file), previous: recordRef(prev.record, prev.file) };
+      const found = [];
+
+      // An earlier root coming back undoes every checkpoint since
+      const earlier = seenRoots.get(root);
+      if (earlier !== undefined && root !== prev.record.root?.toLowerCase()) {
+        const target = records[earlier].record;
+        found.push({
+          type: "root-reverted",
+          severity: "high",
+          message: `Root reverted to the state of ${target.checkpointIndex !== undefined ? `checkpoint #${target.checkpointIndex}` : "an earlier checkpoint"} ` +
+            `(${target.timestamp}), undoing ${i - 1 - earlier} later checkpoint(s)`,
+          details: { revertedTo: recordRef(target, records[earlier].file) },
+        });
+      }
+
+      found.push(...checkTotals(prev.record, record, limits));
+      found.push(...checkFiles(prev.record, record, { isCore, dailyLogs, readFile, thresholds: limits }));
+      findings.push(...found.map(f => ({ ...f, ...context })));
+    }
+
+    // Latest occurrence, so a revert names the state it went back to
+    if (root) seenRoots.set(root, i);
+  });
+
+  const counts = Object.fromEntries(SEVERITIES.map(s => [s, findings.filter(f => f.severity === s).length]));
+  return {
+    checkpoints: records.length,
+    audited: Math.max(0, records.length - start),
+    from: records[start - 1] ? recordRef(records[start - 1].record, records[start - 1].file) : null,
+    to: records.length > 0 ? recordRef(records.at(-1).record, records.at(-1).file) : null,
+    findings,
+    counts,
+  };
+}
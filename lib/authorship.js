@@ -0,0 +1,110 @@
+/**
+ * Checkpoint Authorship
+ *
+ * EIP-191 signatures proving who published a checkpoint root. The signed
+ * message binds the root to the agent, the signing address, the chain and
+ * the registry contract, so a signature can't be replayed onto another
+ * agent, network or deployment.
+ *
+ * Checkpoints signed before this scheme (block 13870631+) carry a bare
+ * signature over the 32 root bytes; those are still recognized as "legacy".
+ */
+
+import { ethers } from "ethers";
+
+export const AUTHORSHIP_SCHEME = "eip191-checkpoint-v1";
+export const LEGACY_AUTHORSHIP_SCHEME = "eip191-root";
+
+/**
+ * The human-readable message that gets signed (what a wallet would display).
+ */
+export function authorshipMessage({ agentId, root, signer, chainId, contract }) {
+  return [
+    "Agent Memory Registry checkpoint",
+    `Agent: ${agentId}`,
+    `Root: ${root.toLowerCase()}`,
+    `Signer: ${ethers.getAddress(signer)}`,
+    `Chain ID: ${chainId}`,
+    `Contract: ${ethers.getAddress(contract)}`,
+  ].join("\n");
+}
+
+/**
+ * Sign a checkpoint root.
+ * @returns Authorship object to embed in the checkpoint metadata
+ */
+export async function signCheckpoint(signer, { agentId, root, chainId, contract }) {
+  const address = await signer.getAddress();
+  const fields = { agentId, root, signer: address, chainId: Number(chainId), contract };
+  const signature = await signer.signMessage(authorshipMessage(fields));
+
+  return {
+    scheme: AUTHORSHIP_SCHEME,
+    signer: address,
+    chainId: Number(chainId),
+    contract: ethers.getAddress(contract),
+    signature,
+  };
+}
+
+/**
+ * Check the authorship of a checkpoint.
+ *
+ * @param {object|null} metadata Parsed checkpoint metadata
+ * @param {object} expected { agentId, root, owner, chainId, contract, delegates }
+ *   delegates - addresses authorized to publish for the agent besides the owner
+ * @returns {{status: "signed"|"unsigned"|"foreign"|"invalid", scheme?: string, signer?: string, delegate?: boolean, problems: string[]}}
+ *   signed   - valid signature by the agent owner or one of its delegates
+ *   unsigned - no authorship in the metadata
+ *   foreign  - valid signature, but by a different key
+ *   invalid  - signature doesn't recover or is bound to something else
+ */
+export function checkAuthorship(metadata, { agentId, root, owner, chainId, contract, delegates = [] }) {
+  const authorship = metadata?.authorship;
+  if (!authorship?.signature) {
+    return { status: "unsigned", problems: [] };
+  }
+
+  const problems = [];
+  const legacy = !authorship.scheme || authorship.scheme === LEGACY_AUTHORSHIP_SCHEME;
+  let recovered;
+
+  try {
+    if (legacy) {
+      recovered = ethers.verifyMessage(ethers.getBytes(root), authorship.signature);
+    } else if (authorship.scheme === AUTHORSHIP_SCHEME) {
+      recovered = ethers.verifyMessage(
+        authorshipMessage({ ...authorship, agentId, root }),
+        authorship.signature
+      );
+    } else {
+      return { status: "invalid", scheme: authorship.scheme, problems: [`Unknown authorship scheme "${authorship.scheme}"`] };
+    }
+  } catch (err) {
+    return { status: "invalid", scheme: authorship.scheme, problems: [`Malformed signature: ${err.shortMessage ?? err.message}`] };
+  }
+
+  if (!legacy) {
+    if (ethers.getAddress(authorship.signer) !== recovered) {
+      problems.push(`Declared signer ${authorship.signer} does not match recovered ${recovered}`);
+    }
+    if (chainId !== undefined && Number(authorship.chainId) !== Number(chainId)) {
+      problems.push(`Signed for chain ${authorship.chainId}, checkpoint is on chain ${chainId}`);
+    }
+    if (contract && ethers.getAddress(authorship.contract) !== ethers.getAddress(contract)) {
+      problems.push(`Signed for contract ${authorship.contract}, checkpoint is on ${contract}`);
+    }
+  }
+
+  const scheme = legacy ? LEGACY_AUTHORSHIP_SCHEME : AUTHORSHIP_SCHEME;
+  if (problems.length > 0) {
+    return { status: "invalid", scheme, signer: recovered, problems };
+  }
+  if (delegates.some(d => ethers.getAddress(d) === recovered) && (!owner || recovered !== ethers.getAddress(owner))) {
+    return { status: "signed", scheme, signer: recovered, delegate: true, problems };
+  }
+  if (owner && recovered !== ethers.getAddress(owner)) {
+    return { status: "foreign", scheme, signer: recovered, problems: [`Signed by ${recovered}, not the agent owner ${owner}`] };
+  }
+  return { status: "signed", scheme, signer: recovered, problems };
+}
@@ -0,0 +1,258 @@
+/**
+ * Encrypted Bundles
+ *
+ * AES-256-GCM envelope for checkpoint bundles, so they can sit on shared
+ * storage. The key comes from either:
+ *
+ *   wallet      HKDF over the wallet's (deterministic) signature of a fixed
+ *               message - nothing extra to keep, only the agent's key opens it;
+ *               refused for signers whose signatures vary (see createKeyring)
+ *   passphrase  scrypt over $BUNDLE_PASSPHRASE
+ *
+ * File layout (bundle-<ts>.tar.gz.enc):
+ *
+ *   "AMRB" | version (1 byte) | header length (uint32 BE) | header JSON | ciphertext | GCM tag (16 bytes)
+ *
+ * The header (cipher, KDF parameters, IV, Merkle root) is readable without the
+ * key and authenticated as associated data. The ciphertext holds a manifest -
+ * root, agent, chain, leaf format and the file list - followed by the tar.gz
+ * archive, so a decrypted bundle can be checked against the chain before its
+ * files are trusted.
+ */
+
+import crypto from "crypto";
+import fs from "fs";
+import { ethers } from "ethers";
+import { loadSigner } from "./signers.js";
+
+export const ENCRYPTED_BUNDLE_EXT = ".enc";
+export const BUNDLE_MANIFEST_FORMAT = "amr-bundle-1";
+
+const MAGIC = Buffer.from("AMRB");
+const ENVELOPE_VERSION = 1;
+const PREAMBLE_LENGTH = MAGIC.length + 1 + 4;
+const TAG_LENGTH = 16;
+const HKDF_INFO = "amr-bundle-key-v1";
+const SCRYPT_PARAMS = { N: 2 ** 15, r: 8, p: 1 };
+const SCRYPT_MAXMEM = 64 * 1024 * 1024;
+
+/**
+ * The message a wallet signs to derive its bundle key. Changing it changes
+ * every wallet-derived key.
+ */
+export function bundleKeyMessage(address) {
+  return [
+    "Agent Memory Registry bundle encryption key",
+    `Address: ${ethers.getAddress(address)}`,
+    "Version: 1",
+  ].join("\n");
+}
+
+/**
+ * Key material for encrypting and decrypting bundles.
+ *
+ * The wallet secret is only usable if the signer signs deterministically
+ * (RFC 6979, as local keys do). Remote signers (KMS, HSM) may not, and a key
+ * that changes with every signature would lock bundles away for good, so the
+ * message is signed twice and the wallet key is withheld if they differ.
+ *
+ * @param {object} [options]
+ * @param {ethers.Signer} [options.signer] Wallet for wallet-derived keys
+ * @param {string} [options.passphrase]
+ * @returns {Promise<{address: string|null, walletSecret: Buffer|null, walletError: string|null, passphrase: string|null, keys: Map}>}
+ */
+export async function createKeyring({ signer = null, passphrase = null } = {}) {
+  let address = null;
+  let walletSecret = null;
+  let walletError = null;
+  if (signer) {
+    address = await signer.getAddress();
+    const message = bundleKeyMessage(address);
+    const signature = await signer.signMessage(message);
+    if ((await signer.signMessage(message)) === signature) {
+      walletSecret = Buffer.from(ethers.getBytes(signature));
+    } else {
+      walletError = `wallet ${address} doesn't sign deterministically, so it can't derive a bundle key - use --bundle-key=passphrase`;
+    }
+  }
+  return { address, walletSecret, walletError, passphrase: passphrase || null, keys: new Map() };
+}
+
+/**
+ * Keyring from the configured wallet (lib/signers.js) and $BUNDLE_PASSPHRASE,
+ * whichever exist.
+ */
+export async function loadDefaultKeyring() {
+  return createKeyring({ signer: loadSigner(), passphrase: process.env.BUNDLE_PASSPHRASE });
+}
+
+function deriveKey(kdf, keyring) {
+  const cacheKey = `${kdf.name}:${kdf.salt}`;
+  if (keyring.keys.has(cacheKey)) return keyring.keys.get(cacheKey);
+
+  const salt = Buffer.from(kdf.salt, "hex");
+  let key;
+  if (kdf.name === "wallet") {
+    if (!keyring.walletSecret || keyring.address.toLowerCase() !== kdf.address.toLowerCase()) {
+      throw new Error(`Bundle is encrypted for wallet ${kdf.address}${keyring.walletError ? ` - ${keyring.walletError}` : keyring.address ? `, not ${keyring.address}` : " - no wallet available"}`);
+    }
+    key = Buffer.from(crypto.hkdfSync("sha256", keyring.walletSecret, salt, HKDF_INFO, 32));
+  } else if (kdf.name === "scrypt") {
+    if (!keyring.passphrase) {
+      throw new Error("Bundle is encrypted with a passphrase - set BUNDLE_PASSPHRASE");
+    }
+    key = crypto.scryptSync(keyring.passphrase, salt, 32, { N: kdf.N, r: kdf.r, p: kdf.p, maxmem: SCRYPT_MAXMEM });
+  } else {
+    throw new Error(`Unknown bundle key derivation "${kdf.name}"`);
+  }
+
+  keyring.keys.set(cacheKey, key);
+  return key;
+}
+
+function newKdf(mode, keyring) {
+  const salt = crypto.randomBytes(16).toString("hex");
+  if (mode === "wallet") {
+    if (!keyring.walletSecret) {
+      throw new Error(`Wallet bundle key requested but ${keyring.walletError ?? "no wallet is available"}`);
+    }
+    return { name: "wallet", address: keyring.address, salt };
+  }
+  if (mode === "passphrase") {
+    if (!keyring.passphrase) throw new Error("Passphrase bundle key requested but BUNDLE_PASSPHRASE is not set");
+    return { name: "scrypt", salt, ...SCRYPT_PARAMS };
+  }
+  throw new Error(`Unknown bundle key mode "${mode}" (expected wallet or passphrase)`);
+}
+
+/**
+ * Manifest stored inside an encrypted bundle, from its checkpoint record.
+ */
+export function bundleManifest(record, chainId) {
+  return {
+    root: record.root,
+    agentId: record.agentId,
+    chainId: Number(chainId),
+    contract: record.contractAddress,
+    checkpointIndex: record.checkpointIndex,
+    leafVersion: record.leafVersion,
+    ...(record.chunking ? { chunking: record.chunking } : {}),
+    workspace: record.workspace,
+    timestamp: record.timestamp,
+    files: record.files.map(f => ({
+      path: f.path,
+      relativePath: f.relativePath,
+      size: f.size,
+      hash: f.hash,
+      modified: f.modified,
+    })),
+  };
+}
+
+/**
+ * Encrypt a tar.gz archive together with its manifest.
+ *
+ * @param {Buffer} archive
+ * @param {object} manifest Must include the Merkle root
+ * @param {object} keyring From createKeyring()
+ * @param {"wallet"|"passphrase"} mode
+ * @returns {Buffer}
+ */
+export function encryptBundle(archive, manifest, keyring, mode) {
+  const kdf = newKdf(mode, keyring);
+  const iv = crypto.randomBytes(12);
+  const header = {
+    cipher: "aes-256-gcm",
+    kdf,
+    iv: iv.toString("hex"),
+    root: manifest.root,
+    agentId: manifest.agentId,
+    createdAt: new Date().toISOString(),
+  };
+
+  const headerJson = Buffer.from(JSON.stringify(header));
+  const preamble = Buffer.alloc(PREAMBLE_LENGTH);
+  MAGIC.copy(preamble);
+  preamble.writeUInt8(ENVELOPE_VERSION, MAGIC.length);
+  preamble.writeUInt32BE(headerJson.length, MAGIC.length + 1);
+  const aad = Buffer.concat([preamble, headerJson]);
+
+  const manifestJson = Buffer.from(JSON.stringify({ format: BUNDLE_MANIFEST_FORMAT, ...manifest }));
+  const manifestLength = Buffer.alloc(4);
+  manifestLength.writeUInt32BE(manifestJson.length);
+
+  const cipher = crypto.createCipheriv("aes-256-gcm", deriveKey(kdf, keyring), iv);
+  cipher.setAAD(aad);
+  const ciphertext = Buffer.concat([cipher.update(Buffer.concat([manifestLength, manifestJson, archive])), cipher.final()]);
+
+  return Buffer.concat([aad, ciphertext, cipher.getAuthTag()]);
+}
+
+/**
+ * "wallet" or "passphrase", from a bundle header.
+ */
+export function bundleKeyMode(header) {
+  return header.kdf.name === "wallet" ? "wallet" : "passphrase";
+}
+
+export function isEncryptedBundle(data) {
+  return data.length >= PREAMBLE_LENGTH && data.subarray(0, MAGIC.length).equals(MAGIC);
+}
+
+function parseEnvelope(data) {
+  if (!isEncryptedBundle(data)) throw new Error("Not an encrypted bundle");
+  const version = data.readUInt8(MAGIC.length);
+  if (version !== ENVELOPE_VERSION) throw new Error(`Unsupported encrypted bundle version ${version}`);
+
+  const headerEnd = PREAMBLE_LENGTH + data.readUInt32BE(MAGIC.length + 1);
+  return {
+    header: JSON.parse(data.subarray(PREAMBLE_LENGTH, headerEnd).toString("utf8")),
+    aad: data.subarray(0, headerEnd),
+    ciphertext: data.subarray(headerEnd, data.length - TAG_LENGTH),
+    tag: data.subarray(data.length - TAG_LENGTH),
+  };
+}
+
+/**
+ * The unencrypted header of a bundle file, or null for a plain tar.gz.
+ */
+export function readBundleHeader(bundlePath) {
+  const fd = fs.openSync(bundlePath, "r");
+  try {
+    const preamble = Buffer.alloc(PREAMBLE_LENGTH);
+    if (fs.readSync(fd, preamble, 0, PREAMBLE_LENGTH, 0) < PREAMBLE_LENGTH || !isEncryptedBundle(preamble)) {
+      return null;
+    }
+    const headerJson = Buffer.alloc(preamble.readUInt32BE(MAGIC.length + 1));
+    fs.readSync(fd, headerJson, 0, headerJson.length, PREAMBLE_LENGTH);
+    return JSON.parse(headerJson.toString("utf8"));
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Decrypt and authenticate a bundle.
+ * @returns {{header: object, manifest: object, archive: Buffer}}
+ */
+export function decryptBundle(data, keyring) {
+  const { header, aad, ciphertext, tag } = parseEnvelope(data);
+  const key = deriveKey(header.kdf, keyring);
+
+  const decipher = crypto.createDecipheriv("aes-256-gcm", key, Buffer.from(header.iv, "hex"));
+  decipher.setAAD(aad);
+  decipher.setAuthTag(tag);
+  let plaintext;
+  try {
+    plaintext = Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+  } catch {
+    throw new Error("Can't decrypt bundle: wrong key, or the file was modified");
+  }
+
+  const manifestEnd = 4 + plaintext.readUInt32BE(0);
+  const manifest = JSON.parse(plaintext.subarray(4, manifestEnd).toString("utf8"));
+  if (manifest.root?.toLowerCase() !== header.root?.toLowerCase()) {
+    throw new Error("Bundle header and manifest disagree on the Merkle root");
+  }
+  return { header, manifest, archive: plaintext.subarray(manifestEnd) };
+}
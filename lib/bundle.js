@@ -0,0 +1,198 @@
+/**
+ * Checkpoint Bundles
+ *
+ * Helpers for the bundle-<ts>.tar.gz archives that checkpoint.js writes next
+ * to each checkpoint record. Archives are created with `tar -czf -T filelist`
+ * from absolute paths, so members are stored without the leading "/".
+ * Encrypted bundles (bundle-<ts>.tar.gz.enc, see bundle-crypto.js) are read
+ * the same way when a keyring is given.
+ */
+
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { execFileSync } from "child_process";
+import {
+  LEGACY_LEAF_VERSION,
+  PATH_LEAF_VERSION,
+  CHUNKED_LEAF_VERSION,
+  keccak,
+  toHex,
+  buildCheckpointTree,
+} from "./merkle.js";
+import { CHUNK_MODES } from "./chunks.js";
+import { CHECKPOINTS_DIR } from "./records.js";
+import { isEncryptedBundle, decryptBundle } from "./bundle-crypto.js";
+import { getObject } from "./object-store.js";
+
+const MAX_BUFFER = 256 * 1024 * 1024;
+
+export const BUNDLES_DIR = path.join(CHECKPOINTS_DIR, "bundles");
+
+// Every layout a bundle may have been checkpointed with, oldest first
+const TREE_LAYOUTS = [
+  { version: LEGACY_LEAF_VERSION },
+  { version: PATH_LEAF_VERSION },
+  ...CHUNK_MODES.map(chunking => ({ version: CHUNKED_LEAF_VERSION, chunking })),
+];
+
+export function bundleMemberName(absPath) {
+  return absPath.replace(/^\/+/, "");
+}
+
+/**
+ * The tar.gz archive inside a bundle, decrypting it if needed.
+ * @param {object} [keyring] From bundle-crypto.createKeyring(), for encrypted bundles
+ * @returns {{archive: Buffer, manifest: object|null, header: object|null}}
+ */
+export function openBundle(bundlePath, keyring = null) {
+  const data = fs.readFileSync(bundlePath);
+  if (!isEncryptedBundle(data)) {
+    return { archive: data, manifest: null, header: null };
+  }
+  if (!keyring) {
+    throw new Error("Bundle is encrypted - no key available");
+  }
+  return decryptBundle(data, keyring);
+}
+
+/**
+ * Read one file out of a bundle.
+ * @returns {Buffer|null} null if the bundle or member doesn't exist (or can't be decrypted)
+ */
+export function readBundleFile(bundlePath, absPath, keyring = null) {
+  if (!bundlePath || !fs.existsSync(bundlePath)) return null;
+  try {
+    return execFileSync("tar", ["-xzf", "-", "-O", bundleMemberName(absPath)], {
+      input: openBundle(bundlePath, keyring).archive,
+      stdio: ["pipe", "pipe", "ignore"],
+      maxBuffer: MAX_BUFFER,
+    });
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Content of a file exactly as it was at a checkpoint: the workspace copy if
+ * it is unchanged, otherwise the copy in the object store or the checkpoint's
+ * bundle.
+ * @returns {{content: Buffer, source: "workspace"|"objects"|"bundle"}|null}
+ */
+export function loadCheckpointedFile(record, relativePath, workspaceRoot = record.workspace, keyring = null) {
+  const entry = record.files?.find(f => f.relativePath === relativePath);
+  const proof = record.proofs.find(p => p.file === relativePath);
+  if (!proof) return null;
+  // proofs[].hash is always the hex content hash, in every record format
+  const expectedHash = proof.hash;
+
+  const candidates = [entry?.path, workspaceRoot && `${workspaceRoot}/${relativePath}`].filter(Boolean);
+  for (const candidate of candidates) {
+    if (!fs.existsSync(candidate)) continue;
+    const content = fs.readFileSync(candidate);
+    if (toHex(keccak(content)) === expectedHash) {
+      return { content, source: "workspace" };
+    }
+  }
+
+  const stored = getObject(expectedHash);
+  if (stored) {
+    return { content: stored, source: "objects" };
+  }
+
+  if (entry?.path) {
+    const content = readBundleFile(record.bundle?.path, entry.path, keyring);
+    if (content && toHex(keccak(content)) === expectedHash) {
+      return { content, source: "bundle" };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * All bundles on disk, oldest first.
+ * @returns {{path: string, timestamp: number, encrypted: boolean}[]}
+ */
+export function listBundles(dir = BUNDLES_DIR) {
+  if (!fs.existsSync(dir)) return [];
+
+  return fs.readdirSync(dir)
+    .filter(f => /^bundle-\d+\.tar\.gz(\.enc)?$/.test(f))
+    .map(f => ({ path: path.join(dir, f), timestamp: Number(f.match(/\d+/)[0]), encrypted: f.endsWith(".enc") }))
+    .sort((a, b) => a.timestamp - b.timestamp);
+}
+
+/**
+ * Read every file in a bundle, in archive order (which is leaf order).
+ * @returns {{path: string, content: Buffer, modified: Date}[]} path is absolute
+ */
+export function readBundle(bundlePath, keyring = null) {
+  const { archive } = openBundle(bundlePath, keyring);
+  const members = execFileSync("tar", ["-tzf", "-"], { input: archive, encoding: "utf8", maxBuffer: MAX_BUFFER })
+    .split("\n")
+    .filter(m => m && !m.endsWith("/"));
+
+  const staging = fs.mkdtempSync(path.join(os.tmpdir(), "amr-bundle-"));
+  try {
+    execFileSync("tar", ["-xzf", "-", "-C", staging], { input: archive, stdio: ["pipe", "pipe", "pipe"] });
+    return members.map(member => {
+      const extracted = path.join(staging, member);
+      return {
+        path: `/${member}`,
+        content: fs.readFileSync(extracted),
+        modified: fs.statSync(extracted).mtime,
+      };
+    });
+  } finally {
+    fs.rmSync(staging, { recursive: true, force: true });
+  }
+}
+
+function commonDirectory(paths) {
+  const dirs = paths.map(p => path.dirname(p).split("/"));
+  const common = [];
+  for (let i = 0; dirs.every(d => i < d.length && d[i] === dirs[0][i]); i++) {
+    common.push(dirs[0][i]);
+  }
+  return common.join("/") || "/";
+}
+
+/**
+ * Recompute a bundle's checkpoint tree and find which of `roots` it matches.
+ * Bundles don't say which leaf format or workspace root they were hashed
+ * with, so every layout is tried against each candidate workspace root (plus
+ * the files' common directory, which is right for pre-manifest bundles).
+ *
+ * @param {{path: string, content: Buffer, modified: Date}[]} files From readBundle()
+ * @param {Set<string>} roots Lowercase hex roots to match against
+ * @param {string[]} [workspaceRoots] Candidate workspace roots
+ * @returns {{root: string, leafVersion: number, chunking?: string, workspace: string, files: object[], tree: object}|null}
+ */
+export function matchBundleTree(files, roots, workspaceRoots = []) {
+  if (files.length === 0) return null;
+
+  const candidates = [...new Set([...workspaceRoots.filter(Boolean), commonDirectory(files.map(f => f.path))])];
+
+  for (const workspace of candidates) {
+    const relative = files.map(f => path.posix.relative(workspace, f.path));
+    if (relative.some(r => r.startsWith("../"))) continue;
+
+    const leafFiles = files.map((f, i) => ({ ...f, relativePath: relative[i] }));
+    for (const layout of TREE_LAYOUTS) {
+      const { entries, tree, root } = buildCheckpointTree(leafFiles, layout);
+      if (!roots.has(root)) continue;
+
+      return {
+        root,
+        leafVersion: layout.version,
+        ...(layout.chunking ? { chunking: layout.chunking } : {}),
+        workspace,
+        files: entries.map((entry, i) => ({ path: files[i].path, ...entry, content: files[i].content, modified: files[i].modified })),
+        tree,
+      };
+    }
+  }
+
+  return null;
+}
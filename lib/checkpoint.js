@@ -0,0 +1,69 @@
+/**
+ * Checkpoint Building
+ *
+ * Hashes the files a workspace manifest selects and builds the checkpoint's
+ * merkle tree. Nothing is printed or published - scripts/checkpoint.js and
+ * Registry.publish() (lib/registry.js) take it from here.
+ */
+
+import fs from "fs";
+import { listManifestFiles } from "./manifest.js";
+import { LEAF_VERSION, buildCheckpointTree } from "./merkle.js";
+import { loadHashCache, hashFile, saveHashCache } from "./hash-cache.js";
+import { buildMetadata, validateMetadata } from "./metadata.js";
+
+/**
+ * Hash and tree the workspace's memory files.
+ *
+ * @param {object} manifest Workspace manifest (lib/manifest.js)
+ * @param {object} [options]
+ * @param {boolean} [options.useCache] Skip re-reading files whose size and mtime are unchanged
+ * @returns {object} { files, tree, root, leafVersion, chunking, workspace, fileCount,
+ *   totalBytes, timestamp, cache }. files carry path, relativePath, hash, size,
+ *   chunks, chunkRoot, modified and cached; cache is { hits, misses } or null
+ */
+export function buildCheckpoint(manifest, { useCache = true } = {}) {
+  if (!fs.existsSync(manifest.root)) {
+    throw new Error(`Workspace root not found: ${manifest.root}`);
+  }
+
+  const cache = useCache ? loadHashCache() : null;
+  const files = listManifestFiles(manifest).map(f => ({
+    ...f,
+    ...hashFile(cache, f.path, manifest.chunking),
+  }));
+  if (cache) saveHashCache(cache);
+
+  // Path-bound leaves, each committing to a subtree over the file's chunks
+  const { entries, tree } = buildCheckpointTree(files, { version: LEAF_VERSION, chunking: manifest.chunking });
+  const fileHashes = entries.map((entry, i) => {
+    const { path: filePath, modified, cached } = files[i];
+    return { path: filePath, ...entry, modified, cached: Boolean(cached) };
+  });
+
+  return {
+    files: fileHashes,
+    tree,
+    root: tree.getRootHex(),
+    leafVersion: LEAF_VERSION,
+    chunking: manifest.chunking,
+    workspace: manifest.root,
+    fileCount: files.length,
+    totalBytes: fileHashes.reduce((sum, f) => sum + f.size, 0),
+    timestamp: new Date().toISOString(),
+    cache: cache ? { hits: cache.hits, misses: cache.misses } : null,
+  };
+}
+
+/**
+ * The checkpoint's metadata string. Refuses metadata that doesn't match the
+ * schema (lib/metadata.js) - it can't be fixed once it's on-chain.
+ */
+export function checkpointMetadata(checkpoint, manifest, { signer, authorship = null, heartbeat = false }) {
+  const metadata = buildMetadata({ checkpoint, manifest, signer, authorship, heartbeat, extensions: manifest.extensions });
+  const problems = validateMetadata(metadata);
+  if (problems.length > 0) {
+    throw new Error(`Invalid checkpoint metadata - not publishing:\n   ${problems.join("\n   ")}`);
+  }
+  return JSON.stringify(metadata);
+}
@@ -0,0 +1,87 @@
+/**
+ * Chunking
+ *
+ * Splits a memory file into chunks for per-file subtrees (leaf format v3),
+ * so a single line or markdown block can be proven without revealing the
+ * rest of the file. Chunks are contiguous byte ranges that concatenate back
+ * to the exact file, so the chunk root still commits to every byte.
+ *
+ * Modes:
+ *   block  markdown blocks - a heading, or a run of lines started after a
+ *          blank line, together with its trailing blank lines. Blank lines
+ *          inside fenced code blocks don't split.
+ *   line   one chunk per line, including its newline
+ */
+
+export const CHUNK_MODES = ["block", "line"];
+export const DEFAULT_CHUNK_MODE = "block";
+
+function splitLines(content) {
+  const lines = [];
+  let start = 0;
+  for (let i = 0; i < content.length; i++) {
+    if (content[i] === 0x0a) {
+      lines.push(content.subarray(start, i + 1));
+      start = i + 1;
+    }
+  }
+  if (start < content.length) lines.push(content.subarray(start));
+  return lines;
+}
+
+function isBlank(line) {
+  return line.toString("utf8").trim().length === 0;
+}
+
+function isFence(line) {
+  return /^\s*(```|~~~)/.test(line.toString("utf8"));
+}
+
+function isHeading(line) {
+  return /^#{1,6}\s/.test(line.toString("utf8"));
+}
+
+/**
+ * @param {Buffer} content File content
+ * @param {"block"|"line"} mode
+ * @returns {{data: Buffer, offset: number, line: number}[]} line is 1-based
+ */
+export function splitChunks(content, mode = DEFAULT_CHUNK_MODE) {
+  if (!CHUNK_MODES.includes(mode)) {
+    throw new Error(`Unknown chunk mode "${mode}" (expected ${CHUNK_MODES.join(" or ")})`);
+  }
+
+  const lines = splitLines(content);
+  const chunks = [];
+  let current = null;
+  let offset = 0;
+  let inFence = false;
+  let previousBlank = false;
+
+  lines.forEach((line, i) => {
+    const blank = isBlank(line);
+    const startsBlock = mode === "line" || current === null ||
+      (!inFence && !blank && (previousBlank || isHeading(line)));
+
+    if (startsBlock) {
+      current = { parts: [], offset, line: i + 1 };
+      chunks.push(current);
+    }
+    current.parts.push(line);
+
+    if (isFence(line)) inFence = !inFence;
+    previousBlank = blank && !inFence;
+    offset += line.length;
+  });
+
+  return chunks.map(c => ({ data: Buffer.concat(c.parts), offset: c.offset, line: c.line }));
+}
+
+/**
+ * Line range (1-based, inclusive) covered by a chunk, ignoring trailing blank lines.
+ */
+export function chunkLines(chunk) {
+  const text = chunk.data.toString("utf8").replace(/\s+$/, "");
+  const newlines = (text.match(/\n/g) || []).length;
+  return { start: chunk.line, end: chunk.line + newlines };
+}
@@ -0,0 +1,186 @@
+/**
+ * Configuration
+ *
+ * Networks, and where the deployments and the compiled contracts live.
+ * Every script and the SDK (lib/registry.js) read them from here; the wallet
+ * comes from lib/signers.js.
+ *
+ * Deployments are kept in deployments.json, by contract and then chain ID:
+ *
+ *   { "AgentMemoryRegistry": { "10143": { "address": "0x...", ... } } }
+ *
+ * so one checkout can have the registry on testnet, mainnet and a local
+ * Hardhat node at once, and --network picks between them.
+ */
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const ROOT = path.join(__dirname, "..");
+
+export const NETWORKS = {
+  testnet: {
+    rpc: "https://testnet-rpc.monad.xyz",
+    chainId: 10143,
+  },
+  mainnet: {
+    rpc: "https://rpc.monad.xyz",
+    chainId: 143,
+  },
+  // `npx hardhat node` (LOCAL_RPC_URL to point elsewhere)
+  local: {
+    rpc: process.env.LOCAL_RPC_URL || "http://127.0.0.1:8545",
+    chainId: 31337,
+  },
+};
+
+export const DEFAULT_NETWORK = "testnet";
+
+export const DEPLOYMENTS_PATH = path.join(ROOT, "deployments.json");
+export const ARTIFACTS_DIR = path.join(ROOT, "artifacts", "contracts");
+
+/**
+ * Network by name. Throws for unknown networks.
+ * @returns {{name: string, rpc: string, chainId: number}}
+ */
+export function getNetwork(name = DEFAULT_NETWORK) {
+  const network = NETWORKS[name];
+  if (!network) {
+    throw new Error(`Unknown network "${name}" (expected one of: ${Object.keys(NETWORKS).join(", ")})`);
+  }
+  return { name, ...network };
+}
+
+/**
+ * Name of the network with this chain ID, or null.
+ */
+export function networkForChainId(chainId) {
+  return Object.keys(NETWORKS).find(name => NETWORKS[name].chainId === Number(chainId)) ?? null;
+}
+
+/**
+ * Check that a provider is on the network's chain, before anything is sent.
+ * Throws on a mismatch - e.g. a testnet RPC URL under --network=mainnet.
+ * @returns {Promise<number>} The provider's chain ID
+ */
+export async function checkChainId(provider, network) {
+  const chainId = Number((await provider.getNetwork()).chainId);
+  if (network?.chainId != null && chainId !== network.chainId) {
+    const actual = networkForChainId(chainId);
+    throw new Error(
+      `Chain ID mismatch: ${network.rpc} is chain ${chainId}${actual ? ` (${actual})` : ""}, ` +
+      `but network "${network.name}" is chain ${network.chainId}`
+    );
+  }
+  return chainId;
+}
+
+// Single-deployment files from before deployments.json, still read if present
+const LEGACY_DEPLOYMENT_FILES = {
+  AgentMemoryRegistry: "deployment-registry.json",
+  AgentAttestations: "deployment-attestations.json",
+  SentimentOracle: "deployment.json",
+};
+const DEPLOY_SCRIPTS = {
+  AgentMemoryRegistry: "deploy-registry.js",
+  MemoryProofs: "deploy-registry.js",
+  AgentAttestations: "deploy-attestations.js",
+  SentimentOracle: "deploy.js",
+};
+const LEGACY_NETWORK_NAMES = { monadTestnet: "testnet", monadMainnet: "mainnet" };
+
+function legacyDeployment(contract) {
+  const file = LEGACY_DEPLOYMENT_FILES[contract] && path.join(ROOT, LEGACY_DEPLOYMENT_FILES[contract]);
+  if (!file || !fs.existsSync(file)) return null;
+  const { contract: _, network, chainId, timestamp, ...record } = JSON.parse(fs.readFileSync(file));
+  const resolved = chainId ?? NETWORKS[LEGACY_NETWORK_NAMES[network] ?? network]?.chainId;
+  if (!resolved) return null;
+  return { chainId: resolved, record: { ...record, deployedAt: record.deployedAt ?? timestamp } };
+}
+
+/**
+ * All deployments, { [contract]: { [chainId]: record } }. Empty if there is
+ * no deployments.json yet.
+ */
+export function loadDeployments(file = DEPLOYMENTS_PATH) {
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file)) : {};
+}
+
+/**
+ * A contract's deployment on a chain, or null.
+ * @returns {object|null} { contract, chainId, network, address, deployer, deployedAt, txHash, ... }
+ */
+export function findDeployment(contract, chainId, file = DEPLOYMENTS_PATH) {
+  let record = loadDeployments(file)[contract]?.[chainId] ?? null;
+  if (!record && file === DEPLOYMENTS_PATH) {
+    const legacy = legacyDeployment(contract);
+    if (legacy?.chainId === Number(chainId)) record = legacy.record;
+  }
+  if (!record) return null;
+  return { contract, chainId: Number(chainId), network: networkForChainId(chainId), ...record };
+}
+
+/**
+ * A contract's deployment on a network (name or getNetwork() output).
+ * Throws if it isn't deployed there.
+ */
+export function loadDeployment(contract = "AgentMemoryRegistry", network = DEFAULT_NETWORK) {
+  const { name, chainId } = typeof network === "string" ? getNetwork(network) : network;
+  const deployment = findDeployment(contract, chainId);
+  if (!deployment) {
+    const script = DEPLOY_SCRIPTS[contract] ?? "deploy-registry.js";
+    throw new Error(
+      `No ${contract} deployment for chain ${chainId}${name ? ` (${name})` : ""} in ${path.basename(DEPLOYMENTS_PATH)}. ` +
+      `Deploy it first: node scripts/${script}${name ? ` --network=${name}` : ""}`
+    );
+  }
+  return deployment;
+}
+
+/**
+ * Record a deployment in deployments.json, replacing any earlier one of the
+ * same contract on that chain.
+ * @returns {object} The deployment, as findDeployment() returns it
+ */
+export function saveDeployment(contract, chainId, record, file = DEPLOYMENTS_PATH) {
+  const deployments = loadDeployments(file);
+  deployments[contract] = { ...deployments[contract], [chainId]: record };
+  fs.writeFileSync(file, JSON.stringify(deployments, null, 2) + "\n");
+  return { contract, chainId: Number(chainId), network: networkForChainId(chainId), ...record };
+}
+
+/**
+ * Hardhat artifact (abi, bytecode) of a contract in contracts/.
+ */
+export function loadArtifact(name = "AgentMemoryRegistry") {
+  const artifactPath = path.join(ARTIFACTS_DIR, `${name}.sol`, `${name}.json`);
+  if (!fs.existsSync(artifactPath)) {
+    throw new Error(`No compiled ${name} at ${artifactPath}. Run: npx hardhat compile`);
+  }
+  return JSON.parse(fs.readFileSync(artifactPath));
+}
+
+/**
+ * An artifact's bytecode with its library placeholders filled in.
+ * @param {object} artifact From loadArtifact()
+ * @param {Object<string, string>} libraries Library name => deployed address
+ */
+export function linkBytecode(artifact, libraries = {}) {
+  let bytecode = artifact.bytecode;
+  for (const [source, names] of Object.entries(artifact.linkReferences ?? {})) {
+    for (const [name, references] of Object.entries(names)) {
+      const address = libraries[name];
+      if (!address) throw new Error(`${artifact.contractName} needs the ${name} library (${source}) linked`);
+      const hex = address.toLowerCase().slice(2);
+      for (const { start, length } of references) {
+        const offset = 2 + start * 2;
+        bytecode = bytecode.slice(0, offset) + hex + bytecode.slice(offset + length * 2);
+      }
+    }
+  }
+  return bytecode;
+}
@@ -0,0 +1,96 @@
+/**
+ * Publisher State
+ *
+ * Persistent state for checkpoint.js (one-shot and daemon runs): the
+ * transaction in flight, the last successful publish, and run health. Kept in
+ * checkpoints/daemon-state.json so a restart resumes a pending transaction
+ * instead of publishing twice, and so monitoring can check health.
+ */
+
+import fs from "fs";
+import path from "path";
+import { CHECKPOINTS_DIR } from "./records.js";
+
+export const DAEMON_STATE_PATH = path.join(CHECKPOINTS_DIR, "daemon-state.json");
+
+// Consecutive failures before health turns from "degraded" to "failing"
+export const FAILING_AFTER = 3;
+
+// A transaction pending longer than this counts against health
+const STUCK_AFTER_MS = 10 * 60 * 1000;
+
+const DEFAULT_STATE = {
+  pending: null,
+  lastPublished: null,
+  lastRunAt: null,
+  health: {
+    status: "unknown",
+    lastSuccessAt: null,
+    lastFailureAt: null,
+    lastError: null,
+    consecutiveFailures: 0,
+  },
+};
+
+export function loadDaemonState(file = DAEMON_STATE_PATH) {
+  if (!fs.existsSync(file)) return structuredClone(DEFAULT_STATE);
+  const data = JSON.parse(fs.readFileSync(file, "utf8"));
+  return { ...structuredClone(DEFAULT_STATE), ...data, health: { ...DEFAULT_STATE.health, ...data.health } };
+}
+
+export function saveDaemonState(state, file = DAEMON_STATE_PATH) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(`${file}.tmp`, JSON.stringify(state, null, 2));
+  fs.renameSync(`${file}.tmp`, file);
+}
+
+/**
+ * Record the outcome of a run (error is null on success).
+ */
+export function recordRun(state, error = null, now = Date.now()) {
+  const at = new Date(now).toISOString();
+  state.lastRunAt = at;
+  if (error) {
+    state.health.consecutiveFailures++;
+    state.health.lastFailureAt = at;
+    state.health.lastError = error.shortMessage ?? error.message ?? String(error);
+    state.health.status = state.health.consecutiveFailures >= FAILING_AFTER ? "failing" : "degraded";
+  } else {
+    state.health.consecutiveFailures = 0;
+    state.health.lastSuccessAt = at;
+    state.health.status = "ok";
+  }
+}
+
+/**
+ * Delay before retrying after `failures` consecutive failures: base doubling
+ * each time, capped at `maxMs`.
+ */
+export function backoffDelay(failures, { baseMs = 30 * 1000, maxMs = 60 * 60 * 1000 } = {}) {
+  return Math.min(maxMs, baseMs * 2 ** Math.max(0, failures - 1));
+}
+
+/**
+ * @param {object} state
+ * @param {object} [options]
+ * @param {number} [options.maxAgeMs] Unhealthy if the last success is older than this
+ * @returns {{healthy: boolean, reasons: string[]}}
+ */
+export function checkHealth(state, { maxAgeMs = null, now = Date.now() } = {}) {
+  const reasons = [];
+  const { health } = state;
+
+  if (health.status === "failing" || health.status === "degraded") {
+    reasons.push(`${health.consecutiveFailures} consecutive failure(s), last: ${health.lastError}`);
+  }
+  if (!health.lastSuccessAt) {
+    reasons.push("No successful run recorded");
+  } else if (maxAgeMs && now - Date.parse(health.lastSuccessAt) > maxAgeMs) {
+    reasons.push(`Last success was ${health.lastSuccessAt}`);
+  }
+  if (state.pending && now - Date.parse(state.pending.sentAt) > STUCK_AFTER_MS) {
+    reasons.push(`Transaction pending since ${state.pending.sentAt} (nonce ${state.pending.nonce})`);
+  }
+
+  return { healthy: reasons.length === 0, reasons };
+}
@@ -0,0 +1,138 @@
+/**
+ * Delegate Publishers
+ *
+ * Besides its owner, an agent can authorize delegate addresses to publish
+ * checkpoints for it (addDelegate / revokeDelegate on the registry), each
+ * with an optional expiry. This lets the owner key stay offline while hosts
+ * publish with their own keys, and a compromised host key be revoked without
+ * moving the agent.
+ *
+ * Registries deployed before delegates existed don't have these functions;
+ * the helpers here fall back to owner-only behaviour against them.
+ */
+
+import { ethers } from "ethers";
+
+/**
+ * The agent an address publishes for.
+ * @returns {Promise<{agentId: string, isDelegate: boolean}>} agentId is "" if none
+ */
+export async function resolveAgent(contract, address) {
+  try {
+    const [agentId, isDelegate] = await contract.resolvePublisher(address);
+    return { agentId, isDelegate };
+  } catch (err) {
+    if (err.code !== "CALL_EXCEPTION" && err.code !== "BAD_DATA") throw err;
+    return { agentId: await contract.addressToAgent(address), isDelegate: false };
+  }
+}
+
+/**
+ * An agent's delegates, with their current status: revoked ones are dropped,
+ * expired ones stay until cleared (deployments before MemoryProofs listed
+ * every delegate ever added). Empty for registries without delegate support.
+ * @returns {Promise<{address: string, expiresAt: number, active: boolean, current: boolean}[]>}
+ *   expiresAt is Unix seconds (0 = never); current is active and not expired
+ */
+export async function fetchDelegates(contract, agentId, now = Date.now()) {
+  let addresses;
+  try {
+    addresses = await contract.getDelegates(agentId);
+  } catch (err) {
+    if (err.code !== "CALL_EXCEPTION" && err.code !== "BAD_DATA") throw err;
+    return [];
+  }
+
+  const delegates = [];
+  for (const address of addresses) {
+    const info = await contract.delegates(address);
+    // The slot is reused if the address was later made another agent's delegate
+    const active = info.active && info.agentId === agentId;
+    const expiresAt = active ? Number(info.expiresAt) : 0;
+    delegates.push({
+      address: ethers.getAddress(address),
+      expiresAt,
+      active,
+      current: active && (expiresAt === 0 || expiresAt * 1000 > now),
+    });
+  }
+  return delegates;
+}
+
+/**
+ * Replay DelegateAdded / DelegateRevoked events (oldest first, timestamps and
+ * expiries in Unix seconds) into one entry per delegation.
+ * @returns {{address: string, addedAt: number, expiresAt: number, revokedAt: number|null, blockNumber: number}[]}
+ *   times in ms; expiresAt 0 = never
+ */
+export function replayDelegations(events) {
+  const delegations = [];
+  const open = new Map();
+  for (const e of events) {
+    if (e.type === "DelegateAdded") {
+      // Re-adding a standing delegate only updates its expiry
+      const existing = open.get(e.delegate);
+      if (existing) {
+        existing.expiresAt = e.expiresAt * 1000;
+        continue;
+      }
+      const delegation = { address: e.delegate, addedAt: e.timestamp * 1000, expiresAt: e.expiresAt * 1000, revokedAt: null, blockNumber: e.blockNumber };
+      delegations.push(delegation);
+      open.set(e.delegate, delegation);
+    } else if (e.type === "DelegateRevoked" && open.has(e.delegate)) {
+      open.get(e.delegate).revokedAt = e.timestamp * 1000;
+      open.delete(e.delegate);
+    }
+  }
+  return delegations;
+}
+
+/**
+ * An agent's delegations over time, read from the registry's events - the
+ * same shape as event-index.getDelegates().
+ *
+ * If the RPC won't serve the logs (many cap eth_getLogs ranges), falls back to
+ * the delegates that are still standing, with unknown start: revoked ones are
+ * left out, so their signatures read as foreign rather than authorized.
+ */
+export async function fetchDelegations(contract, agentId, { fromBlock = 0 } = {}) {
+  let logs;
+  try {
+    const [added, revoked] = await Promise.all([
+      contract.queryFilter(contract.filters.DelegateAdded(agentId), fromBlock),
+      contract.queryFilter(contract.filters.DelegateRevoked(agentId), fromBlock),
+    ]);
+    logs = [...added, ...revoked].sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index);
+  } catch {
+    return (await fetchDelegates(contract, agentId))
+      .filter(d => d.active)
+      .map(d => ({ address: d.address, addedAt: null, expiresAt: d.expiresAt * 1000, revokedAt: null, blockNumber: 0 }));
+  }
+
+  const provider = contract.runner.provider ?? contract.runner;
+  const blockTimes = new Map();
+  const events = [];
+  for (const log of logs) {
+    if (!blockTimes.has(log.blockNumber)) blockTimes.set(log.blockNumber, (await provider.getBlock(log.blockNumber)).timestamp);
+    events.push({
+      type: log.eventName,
+      delegate: ethers.getAddress(log.args.delegate),
+      expiresAt: log.eventName === "DelegateAdded" ? Number(log.args.expiresAt) : undefined,
+      timestamp: blockTimes.get(log.blockNumber),
+      blockNumber: log.blockNumber,
+    });
+  }
+  return replayDelegations(events);
+}
+
+/**
+ * Addresses of the delegations that authorized publishing when a checkpoint
+ * was published (blockNumber, timestamp in ms).
+ */
+export function delegatesAt(checkpoint, delegations) {
+  return delegations
+    .filter(d => d.blockNumber <= checkpoint.blockNumber &&
+      (d.revokedAt === null || checkpoint.timestamp < d.revokedAt) &&
+      (d.expiresAt === 0 || checkpoint.timestamp < d.expiresAt))
+    .map(d => d.address);
+}
@@ -0,0 +1,82 @@
+/**
+ * Checkpoint Diffs
+ *
+ * Compares two local checkpoint records file by file. Hashes come from
+ * `proofs` (hex in every record format), sizes and mtimes from `files`.
+ */
+
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { execFileSync } from "child_process";
+
+function fileIndex(record) {
+  const files = new Map((record.files ?? []).map(f => [f.relativePath, f]));
+  return new Map(record.proofs.map(p => {
+    const file = files.get(p.file);
+    return [p.file, {
+      file: p.file,
+      hash: p.hash,
+      size: p.size ?? file?.size ?? null,
+      modified: file?.modified ?? null,
+    }];
+  }));
+}
+
+/**
+ * @returns {{added: object[], removed: object[], changed: object[], unchanged: object[]}}
+ *   changed entries are { file, before, after, sizeDelta, mtimeDelta } with
+ *   mtimeDelta in milliseconds (null if either side has no mtime)
+ */
+export function diffRecords(before, after) {
+  const a = fileIndex(before);
+  const b = fileIndex(after);
+  const result = { added: [], removed: [], changed: [], unchanged: [] };
+
+  for (const [file, entry] of a) {
+    if (!b.has(file)) result.removed.push(entry);
+  }
+
+  for (const [file, entry] of b) {
+    const old = a.get(file);
+    if (!old) {
+      result.added.push(entry);
+    } else if (old.hash === entry.hash) {
+      result.unchanged.push(entry);
+    } else {
+      result.changed.push({
+        file,
+        before: old,
+        after: entry,
+        sizeDelta: old.size !== null && entry.size !== null ? entry.size - old.size : null,
+        mtimeDelta: old.modified && entry.modified ? new Date(entry.modified) - new Date(old.modified) : null,
+      });
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Unified diff of two file versions (via `diff -u`).
+ * @returns {string} empty if identical
+ */
+export function unifiedDiff(before, after, label) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "amr-diff-"));
+  try {
+    const beforePath = path.join(dir, "before");
+    const afterPath = path.join(dir, "after");
+    fs.writeFileSync(beforePath, before);
+    fs.writeFileSync(afterPath, after);
+    try {
+      execFileSync("diff", ["-u", "--label", `a/${label}`, "--label", `b/${label}`, beforePath, afterPath], { encoding: "utf8" });
+      return "";
+    } catch (err) {
+      // diff exits 1 when the files differ
+      if (err.status === 1) return err.stdout;
+      throw err;
+    }
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
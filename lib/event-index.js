@@ -0,0 +1,408 @@
+/**
+ * Event Index
+ *
+ * A local JSON-lines index of the registry's AgentRegistered,
+ * CheckpointPublished, AgentTransferred, AgentDeactivated/Reactivated,
+ * delegate and CheckpointsFlagged logs, so history, verification and trust
+ * tooling can answer queries without one RPC call per checkpoint. The same
+ * index also follows the AgentAttestations contract (AttestationIssued /
+ * AttestationRevoked, see lib/attestations.js), in a directory of its own.
+ *
+ * Layout (one directory per chain + contract under checkpoints/index/):
+ *   events.jsonl  one decoded event per line, in chain order
+ *   state.json    last indexed block plus recent block hashes for reorg checks
+ *
+ * agentId is an indexed string, so logs only carry keccak256(agentId). Names
+ * are recovered from the registerAgent calldata; queries match on the hash,
+ * so agents registered before the start block still resolve by name.
+ */
+
+import { ethers } from "ethers";
+import fs from "fs";
+import path from "path";
+import { CHECKPOINTS_DIR } from "./records.js";
+import { normalizeFlag } from "./flags.js";
+import { replayDelegations } from "./delegates.js";
+import { checkpointEntry } from "./history.js";
+
+export const INDEX_DIR = path.join(CHECKPOINTS_DIR, "index");
+
+const DEFAULT_BATCH_SIZE = 1000;
+// Block hashes kept for reorg detection (one per synced batch)
+const MAX_ANCHORS = 32;
+
+// ============ Store ============
+
+export function indexDir(chainId, contractAddress, dir = INDEX_DIR) {
+  return path.join(dir, `${chainId}-${contractAddress.toLowerCase()}`);
+}
+
+function writeJsonAtomic(file, data) {
+  fs.writeFileSync(`${file}.tmp`, JSON.stringify(data, null, 2));
+  fs.renameSync(`${file}.tmp`, file);
+}
+
+/**
+ * Load an index from disk. Events are appended before state.json records the
+ * batch, so a sync that died in between leaves events past state.lastBlock;
+ * they are left out here (and counted in `stale`) since the next sync fetches
+ * them again.
+ * @returns {{dir: string, state: object|null, events: object[], stale: number}}
+ */
+export function loadIndex(chainId, contractAddress, dir = INDEX_DIR) {
+  const target = indexDir(chainId, contractAddress, dir);
+  const statePath = path.join(target, "state.json");
+  const eventsPath = path.join(target, "events.jsonl");
+
+  const state = fs.existsSync(statePath) ? JSON.parse(fs.readFileSync(statePath, "utf8")) : null;
+  const stored = fs.existsSync(eventsPath)
+    ? fs.readFileSync(eventsPath, "utf8").split("\n").filter(Boolean).map(line => JSON.parse(line))
+    : [];
+  const events = state ? stored.filter(e => e.blockNumber <= state.lastBlock) : [];
+
+  return { dir: target, state, events, stale: stored.length - events.length };
+}
+
+function appendEvents(index, events) {
+  if (events.length === 0) return;
+  fs.appendFileSync(path.join(index.dir, "events.jsonl"), events.map(e => JSON.stringify(e) + "\n").join(""));
+  index.events.push(...events);
+}
+
+function truncateEvents(index, afterBlock) {
+  index.events = index.events.filter(e => e.blockNumber <= afterBlock);
+  const body = index.events.map(e => JSON.stringify(e) + "\n").join("");
+  fs.writeFileSync(path.join(index.dir, "events.jsonl"), body);
+}
+
+// ============ Decoding ============
+
+async function recoverAgentName(provider, iface, txHash, agentIdHash) {
+  try {
+    const tx = await provider.getTransaction(txHash);
+    const call = iface.parseTransaction({ data: tx.data });
+    const candidate = call?.args?.agentId;
+    return typeof candidate === "string" && ethers.id(candidate) === agentIdHash ? candidate : null;
+  } catch {
+    return null;
+  }
+}
+
+const DECODERS = {
+  AgentRegistered: args => ({
+    agentIdHash: args.agentId.hash,
+    owner: args.owner,
+    timestamp: Number(args.timestamp),
+  }),
+  CheckpointPublished: args => ({
+    agentIdHash: args.agentId.hash,
+    merkleRoot: args.merkleRoot,
+    checkpointIndex: Number(args.checkpointIndex),
+    timestamp: Number(args.timestamp),
+    metadata: args.metadata,
+  }),
+  AgentTransferred: args => ({
+    agentIdHash: args.agentId.hash,
+    oldOwner: args.oldOwner,
+    newOwner: args.newOwner,
+  }),
+  AgentDeactivated: args => ({
+    agentIdHash: args.agentId.hash,
+    timestamp: Number(args.timestamp),
+  }),
+  AgentReactivated: args => ({
+    agentIdHash: args.agentId.hash,
+    timestamp: Number(args.timestamp),
+  }),
+  DelegateAdded: args => ({
+    agentIdHash: args.agentId.hash,
+    delegate: args.delegate,
+    expiresAt: Number(args.expiresAt),
+  }),
+  DelegateRevoked: args => ({
+    agentIdHash: args.agentId.hash,
+    delegate: args.delegate,
+  }),
+  CheckpointsFlagged: args => ({
+    agentIdHash: args.agentId.hash,
+    fromIndex: Number(args.fromIndex),
+    toIndex: Number(args.toIndex),
+    reason: Number(args.reason),
+    timestamp: Number(args.timestamp),
+    note: args.note,
+  }),
+  AttestationIssued: args => ({
+    attestationId: Number(args.id),
+    issuerAddress: args.issuerAddress,
+    issuer: args.issuer,
+    subject: args.subject,
+    checkpointIndex: Number(args.checkpointIndex),
+    merkleRoot: args.merkleRoot,
+    score: Number(args.score),
+    comment: args.comment,
+  }),
+  AttestationRevoked: args => ({
+    attestationId: Number(args.id),
+    issuerAddress: args.issuerAddress,
+    issuer: args.issuer,
+    subject: args.subject,
+  }),
+};
+
+async function decodeLogs(contract, logs, names) {
+  const events = [];
+  for (const log of logs) {
+    let parsed;
+    try {
+      parsed = contract.interface.parseLog(log);
+    } catch {
+      continue;
+    }
+    const decode = parsed && DECODERS[parsed.name];
+    if (!decode) continue;
+
+    const event = {
+      type: parsed.name,
+      blockNumber: log.blockNumber,
+      blockHash: log.blockHash,
+      txHash: log.transactionHash,
+      logIndex: log.index,
+      ...decode(parsed.args),
+    };
+
+    // Only some events carry a timestamp; the rest get their block's
+    if (event.timestamp === undefined) {
+      const block = await (contract.runner.provider ?? contract.runner).getBlock(log.blockNumber);
+      event.timestamp = block.timestamp;
+    }
+
+    if (event.type === "AgentRegistered" && !names.has(event.agentIdHash)) {
+      const name = await recoverAgentName(contract.runner.provider ?? contract.runner, contract.interface, log.transactionHash, event.agentIdHash);
+      if (name) names.set(event.agentIdHash, name);
+    }
+    // Attestation events carry agent names in full
+    if (event.agentIdHash) event.agentId = names.get(event.agentIdHash) ?? null;
+    events.push(event);
+  }
+  return events;
+}
+
+// ============ Sync ============
+
+/**
+ * Find where the local index still agrees with the chain. Walks the stored
+ * anchors newest first; anything after the newest matching anchor is dropped.
+ * @returns {number|null} Last block that is still canonical, null if none
+ */
+async function findCommonBlock(provider, anchors) {
+  for (const anchor of [...anchors].reverse()) {
+    const block = await provider.getBlock(anchor.block);
+    if (block?.hash === anchor.hash) return anchor.block;
+  }
+  return null;
+}
+
+/**
+ * Bring the index up to the chain head.
+ *
+ * @param {ethers.Contract} contract Registry connected to a provider
+ * @param {object} [options]
+ * @param {number} [options.startBlock] First block to index on a fresh index
+ * @param {number} [options.batchSize] Blocks per eth_getLogs call (halved on RPC range errors)
+ * @param {string} [options.dir] Index root
+ * @param {(progress: object) => void} [options.onProgress]
+ * @returns {Promise<{from: number, to: number, added: number, reorg: object|null}>}
+ */
+export async function syncIndex(contract, { startBlock = 0, batchSize = DEFAULT_BATCH_SIZE, dir = INDEX_DIR, onProgress } = {}) {
+  const provider = contract.runner.provider ?? contract.runner;
+  const { chainId } = await provider.getNetwork();
+  const address = await contract.getAddress();
+
+  const index = loadIndex(chainId, address, dir);
+  fs.mkdirSync(index.dir, { recursive: true });
+
+  let state = index.state ?? {
+    chainId: Number(chainId),
+    contract: address,
+    startBlock,
+    lastBlock: startBlock - 1,
+    anchors: [],
+  };
+
+  // Drop what an interrupted sync appended, so it isn't appended twice
+  if (index.stale > 0) truncateEvents(index, state.lastBlock);
+
+  // Re-check recent blocks: roll back anything a reorg replaced
+  let reorg = null;
+  if (state.anchors.length > 0) {
+    const newest = state.anchors.at(-1);
+    const common = await findCommonBlock(provider, state.anchors);
+    if (common !== newest.block) {
+      const rollbackTo = common ?? state.startBlock - 1;
+      const before = index.events.length;
+      truncateEvents(index, rollbackTo);
+      reorg = { from: newest.block, to: rollbackTo, dropped: before - index.events.length };
+      state.lastBlock = rollbackTo;
+      state.anchors = state.anchors.filter(a => a.block <= rollbackTo);
+      writeJsonAtomic(path.join(index.dir, "state.json"), state);
+    }
+  }
+
+  const names = new Map(index.events.filter(e => e.agentId).map(e => [e.agentIdHash, e.agentId]));
+  const head = await provider.getBlockNumber();
+  const from = state.lastBlock + 1;
+  let added = 0;
+  let size = batchSize;
+
+  for (let fromBlock = from; fromBlock <= head;) {
+    const toBlock = Math.min(fromBlock + size - 1, head);
+
+    let logs;
+    try {
+      logs = await provider.getLogs({ address, fromBlock, toBlock });
+    } catch (err) {
+      // Most RPCs cap the block range per eth_getLogs call
+      if (size > 1) {
+        size = Math.max(1, Math.floor(size / 2));
+        continue;
+      }
+      throw err;
+    }
+
+    const events = await decodeLogs(contract, logs, names);
+    const block = await provider.getBlock(toBlock);
+    appendEvents(index, events);
+    added += events.length;
+
+    state.lastBlock = toBlock;
+    state.anchors = [...state.anchors, { block: toBlock, hash: block.hash }].slice(-MAX_ANCHORS);
+    writeJsonAtomic(path.join(index.dir, "state.json"), state);
+
+    onProgress?.({ fromBlock, toBlock, head, events: events.length });
+    fromBlock = toBlock + 1;
+  }
+
+  return { from, to: state.lastBlock, added, reorg };
+}
+
+// ============ Queries ============
+
+function matchesAgent(event, agentId) {
+  return event.agentIdHash === ethers.id(agentId);
+}
+
+/**
+ * Registered agents with their current owner and status (transfers and
+ * deactivations applied).
+ * @returns {{agentId: string|null, agentIdHash: string, owner: string, active: boolean, registeredAt: number, blockNumber: number, checkpoints: number}[]}
+ */
+export function listAgents(index) {
+  const agents = new Map();
+  for (const e of index.events) {
+    if (e.type === "AgentRegistered") {
+      agents.set(e.agentIdHash, {
+        agentId: e.agentId,
+        agentIdHash: e.agentIdHash,
+        owner: e.owner,
+        active: true,
+        registeredAt: e.timestamp * 1000,
+        blockNumber: e.blockNumber,
+        checkpoints: 0,
+      });
+    } else if (e.type === "AgentTransferred" && agents.has(e.agentIdHash)) {
+      agents.get(e.agentIdHash).owner = e.newOwner;
+    } else if (e.type === "CheckpointPublished" && agents.has(e.agentIdHash)) {
+      agents.get(e.agentIdHash).checkpoints++;
+    } else if ((e.type === "AgentDeactivated" || e.type === "AgentReactivated") && agents.has(e.agentIdHash)) {
+      agents.get(e.agentIdHash).active = e.type === "AgentReactivated";
+    }
+  }
+  return [...agents.values()];
+}
+
+/**
+ * Current owner of an agent per the index, or null if its registration isn't indexed.
+ */
+export function getAgentOwner(index, agentId) {
+  let owner = null;
+  for (const e of index.events) {
+    if (!matchesAgent(e, agentId)) continue;
+    if (e.type === "AgentRegistered") owner = e.owner;
+    if (e.type === "AgentTransferred") owner = e.newOwner;
+  }
+  return owner;
+}
+
+/**
+ * An agent's checkpoints, oldest first - same shape as history.fetchCheckpoints().
+ */
+export function getCheckpoints(index, agentId) {
+  return index.events
+    .filter(e => e.type === "CheckpointPublished" && matchesAgent(e, agentId))
+    .sort((a, b) => a.checkpointIndex - b.checkpointIndex)
+    .map(e => ({
+      ...checkpointEntry({
+        index: e.checkpointIndex,
+        root: e.merkleRoot,
+        timestamp: e.timestamp * 1000,
+        blockNumber: e.blockNumber,
+        metadata: e.metadata,
+      }),
+      txHash: e.txHash,
+    }));
+}
+
+/**
+ * Ownership transfers of an agent, oldest first. Timestamps in milliseconds.
+ * @returns {{from: string, to: string, timestamp: number, blockNumber: number, txHash: string}[]}
+ */
+export function getTransfers(index, agentId) {
+  return index.events
+    .filter(e => e.type === "AgentTransferred" && matchesAgent(e, agentId))
+    .map(e => ({ from: e.oldOwner, to: e.newOwner, timestamp: e.timestamp * 1000, blockNumber: e.blockNumber, txHash: e.txHash }));
+}
+
+/**
+ * Periods an agent was deactivated, oldest first. `to` is null while it
+ * still is. Timestamps in milliseconds.
+ * @returns {{from: number, to: number|null}[]}
+ */
+export function getDeactivations(index, agentId) {
+  const periods = [];
+  for (const e of index.events) {
+    if (!matchesAgent(e, agentId)) continue;
+    if (e.type === "AgentDeactivated" && (periods.length === 0 || periods.at(-1).to !== null)) {
+      periods.push({ from: e.timestamp * 1000, to: null });
+    } else if (e.type === "AgentReactivated" && periods.at(-1)?.to === null) {
+      periods.at(-1).to = e.timestamp * 1000;
+    }
+  }
+  return periods;
+}
+
+/**
+ * Delegate publishers of an agent, one entry per authorization, oldest
+ * first. `revokedAt` is null while it stands; `expiresAt` is 0 for none.
+ * Timestamps in milliseconds.
+ * @returns {{address: string, addedAt: number, expiresAt: number, revokedAt: number|null, blockNumber: number}[]}
+ */
+export function getDelegates(index, agentId) {
+  return replayDelegations(index.events.filter(e => matchesAgent(e, agentId)));
+}
+
+/**
+ * Checkpoint ranges flagged for an agent, oldest first - same shape as
+ * flags.fetchFlags().
+ */
+export function getFlags(index, agentId) {
+  return index.events
+    .filter(e => e.type === "CheckpointsFlagged" && matchesAgent(e, agentId))
+    .map(normalizeFlag);
+}
+
+/**
+ * Checkpoints (of any agent) with the given root.
+ */
+export function findCheckpointsByRoot(index, root) {
+  return index.events.filter(e => e.type === "CheckpointPublished" && e.merkleRoot.toLowerCase() === root.toLowerCase());
+}
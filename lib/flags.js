@@ -0,0 +1,96 @@
+/**
+ * Checkpoint Flags
+ *
+ * Checkpoints are append-only, so when an agent's key leaks or its workspace
+ * is poisoned the owner can't take them back - but it can flag a range of
+ * them (flagCheckpoints on the registry) with a reason code. Proofs against a
+ * flagged checkpoint still verify; tools should warn that the checkpoint
+ * itself isn't to be trusted.
+ *
+ * Registries deployed before flags existed have none; fetchFlags() returns
+ * an empty list against them.
+ */
+
+// FlagReason enum in AgentMemoryRegistry.sol, by code
+export const FLAG_REASONS = [
+  { name: "none", description: "not flagged" },
+  { name: "key-compromised", description: "a publishing key was compromised" },
+  { name: "workspace-poisoned", description: "the memory files were tampered with" },
+  { name: "superseded", description: "replaced by a later, corrected checkpoint" },
+  { name: "published-in-error", description: "published by mistake" },
+  { name: "other", description: "see the note" },
+];
+
+/**
+ * "key-compromised" (or its code) → reason code. Throws for unknown reasons and "none".
+ */
+export function parseFlagReason(value) {
+  const code = /^\d+$/.test(String(value))
+    ? Number(value)
+    : FLAG_REASONS.findIndex(r => r.name === String(value).toLowerCase());
+  if (!(code > 0 && code < FLAG_REASONS.length)) {
+    const names = FLAG_REASONS.slice(1).map(r => r.name).join(", ");
+    throw new Error(`Unknown flag reason "${value}" (expected one of: ${names})`);
+  }
+  return code;
+}
+
+/**
+ * Plain object from the contract's CheckpointFlag struct.
+ * @returns {{from: number, to: number, reason: string, reasonCode: number, description: string, note: string, timestamp: number}}
+ *   timestamp in milliseconds
+ */
+export function normalizeFlag(flag) {
+  const reasonCode = Number(flag.reason);
+  return {
+    from: Number(flag.fromIndex),
+    to: Number(flag.toIndex),
+    reason: FLAG_REASONS[reasonCode]?.name ?? `unknown (${reasonCode})`,
+    reasonCode,
+    description: FLAG_REASONS[reasonCode]?.description ?? "unknown reason",
+    note: flag.note,
+    timestamp: Number(flag.timestamp) * 1000,
+  };
+}
+
+/**
+ * Every range flagged for an agent, oldest first.
+ */
+export async function fetchFlags(contract, agentId) {
+  try {
+    return (await contract.getCheckpointFlags(agentId)).map(normalizeFlag);
+  } catch (err) {
+    if (err.code !== "CALL_EXCEPTION" && err.code !== "BAD_DATA") throw err;
+    return [];
+  }
+}
+
+/**
+ * The flags covering one checkpoint, most recent first.
+ */
+export function flagsFor(flags, index) {
+  return flags.filter(f => f.from <= index && index <= f.to).reverse();
+}
+
+/**
+ * "#120-#135" or "#7".
+ */
+export function formatFlagRange(flag) {
+  return flag.from === flag.to ? `#${flag.from}` : `#${flag.from}-#${flag.to}`;
+}
+
+/**
+ * Lines warning that a checkpoint is flagged, for CLI output. Empty if it isn't.
+ */
+export function flagWarning(flags, index, { indent = "   " } = {}) {
+  const covering = flagsFor(flags, index);
+  if (covering.length === 0) return [];
+
+  const lines = [`${indent}🚩 FLAGGED: the agent's owner marked checkpoint #${index} as not to be trusted`];
+  for (const f of covering) {
+    const note = f.note ? ` - "${f.note}"` : "";
+    lines.push(`${indent}   ${f.reason} (${f.description}), ${formatFlagRange(f)} flagged ${new Date(f.timestamp).toISOString()}${note}`);
+  }
+  lines.push(`${indent}   A valid proof only shows what this checkpoint contained, not that it's genuine.`);
+  return lines;
+}
@@ -0,0 +1,91 @@
+/**
+ * Hash Cache
+ *
+ * Remembers each file's content hash and chunk root, keyed by absolute path
+ * and validated by size + mtime, so a checkpoint only re-reads files that
+ * changed since the last run. Stored in checkpoints/hash-cache.json.
+ */
+
+import fs from "fs";
+import path from "path";
+import { keccak, toHex, fromHex, buildChunkTree } from "./merkle.js";
+import { CHECKPOINTS_DIR } from "./records.js";
+
+export const HASH_CACHE_PATH = path.join(CHECKPOINTS_DIR, "hash-cache.json");
+
+const CACHE_VERSION = 1;
+
+/**
+ * @returns {{file: string, entries: object, hits: number, misses: number}}
+ */
+export function loadHashCache(file = HASH_CACHE_PATH) {
+  let entries = {};
+  if (fs.existsSync(file)) {
+    try {
+      const data = JSON.parse(fs.readFileSync(file, "utf8"));
+      if (data.version === CACHE_VERSION) entries = data.entries;
+    } catch {
+      // A corrupt cache only costs a full re-hash
+    }
+  }
+  return { file, entries, hits: 0, misses: 0 };
+}
+
+/**
+ * Size, mtime, content hash and chunk root of a file - from the cache when
+ * its size and mtime are unchanged, otherwise by reading it.
+ *
+ * @param {object} cache From loadHashCache(), or null to always hash
+ * @returns {{size: number, modified: Date, hash: Buffer, chunkRoot: Buffer, chunks: number, cached: boolean}}
+ */
+export function hashFile(cache, filePath, chunking) {
+  const stat = fs.statSync(filePath);
+  const cached = cache?.entries[filePath];
+
+  if (cached && cached.size === stat.size && cached.mtimeMs === stat.mtimeMs && cached.chunking === chunking) {
+    cache.hits++;
+    return {
+      size: stat.size,
+      modified: stat.mtime,
+      hash: fromHex(cached.hash),
+      chunkRoot: fromHex(cached.chunkRoot),
+      chunks: cached.chunks,
+      cached: true,
+    };
+  }
+
+  const content = fs.readFileSync(filePath);
+  const chunkTree = buildChunkTree(content, chunking);
+  const result = {
+    size: content.length,
+    modified: stat.mtime,
+    hash: keccak(content),
+    chunkRoot: chunkTree.root,
+    chunks: chunkTree.chunks.length,
+    cached: false,
+  };
+
+  if (cache) {
+    cache.misses++;
+    cache.entries[filePath] = {
+      size: stat.size,
+      mtimeMs: stat.mtimeMs,
+      chunking,
+      hash: toHex(result.hash),
+      chunkRoot: toHex(result.chunkRoot),
+      chunks: result.chunks,
+    };
+  }
+  return result;
+}
+
+/**
+ * Write the cache back, dropping entries for files that no longer exist.
+ */
+export function saveHashCache(cache) {
+  for (const filePath of Object.keys(cache.entries)) {
+    if (!fs.existsSync(filePath)) delete cache.entries[filePath];
+  }
+  fs.mkdirSync(path.dirname(cache.file), { recursive: true });
+  fs.writeFileSync(cache.file, JSON.stringify({ version: CACHE_VERSION, entries: cache.entries }, null, 2));
+}
@@ -0,0 +1,154 @@
+/**
+ * Checkpoint History
+ *
+ * Reads an agent's full on-chain history with getCheckpointRange and derives
+ * a cadence report from it: intervals, gaps, missed slots against an expected
+ * schedule, how many checkpoints carry a valid owner signature, and which
+ * ones have metadata that doesn't match the schema.
+ */
+
+import { checkAuthorship } from "./authorship.js";
+import { delegatesAt } from "./delegates.js";
+import { parseMetadata } from "./metadata.js";
+
+export const DEFAULT_PAGE_SIZE = 100;
+
+const DURATION_UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+/**
+ * "90m", "4h", "1d", "1h30m" → milliseconds.
+ */
+export function parseDuration(text) {
+  const value = String(text).trim();
+  if (!/^(\d+(\.\d+)?[smhd])+$/.test(value)) {
+    throw new Error(`Invalid duration "${text}" (expected e.g. 30m, 4h, 1d)`);
+  }
+  return value.match(/\d+(?:\.\d+)?[smhd]/g)
+    .reduce((ms, part) => ms + parseFloat(part) * DURATION_UNITS[part.slice(-1)], 0);
+}
+
+/**
+ * Milliseconds → "2d 4h 10m", "5m 28s" (seconds only next to a single larger unit).
+ */
+export function formatDuration(ms) {
+  let seconds = Math.round(Math.abs(ms) / 1000);
+  const parts = [];
+  for (const [unit, size] of [["d", 86400], ["h", 3600], ["m", 60]]) {
+    if (seconds >= size) {
+      parts.push(`${Math.floor(seconds / size)}${unit}`);
+      seconds %= size;
+    }
+  }
+  if (parts.length === 0 || (seconds > 0 && parts.length < 2)) parts.push(`${seconds}s`);
+  return parts.join(" ");
+}
+
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * A checkpoint as the history and trust tooling see it.
+ * @returns {{index: number, root: string, timestamp: number, blockNumber: number, metadata: string, parsed: object|null, metadataFormat: string, metadataProblems: string[]}}
+ *   timestamp in milliseconds; metadataFormat and metadataProblems from parseMetadata()
+ */
+export function checkpointEntry({ index, root, timestamp, blockNumber, metadata }) {
+  const { metadata: parsed, format, problems } = parseMetadata(metadata);
+  return { index, root, timestamp, blockNumber, metadata, parsed, metadataFormat: format, metadataProblems: problems };
+}
+
+/**
+ * All checkpoints of an agent, oldest first, as checkpointEntry()s.
+ */
+export async function fetchCheckpoints(contract, agentId, { pageSize = DEFAULT_PAGE_SIZE } = {}) {
+  const count = Number(await contract.getCheckpointCount(agentId));
+  const checkpoints = [];
+
+  for (let start = 0; start < count; start += pageSize) {
+    const page = await contract.getCheckpointRange(agentId, start, pageSize);
+    page.forEach((c, i) => {
+      checkpoints.push(checkpointEntry({
+        index: start + i,
+        root: c.merkleRoot,
+        timestamp: Number(c.timestamp) * 1000,
+        blockNumber: Number(c.blockNumber),
+        metadata: c.metadata,
+      }));
+    });
+  }
+
+  return checkpoints;
+}
+
+/**
+ * Cadence and authorship report over fetchCheckpoints() output. Each
+ * checkpoint is annotated with its authorship status.
+ *
+ * @param {object[]} checkpoints
+ * @param {object} options
+ * @param {number} [options.schedule] Expected interval in ms; enables slot accounting
+ * @param {string} [options.agentId]
+ * @param {string} [options.owner] Agent owner, for the authorship check
+ * @param {object[]} [options.delegates] Delegations (lib/delegates.js); a delegate's signature
+ *   counts on the checkpoints published while it was authorized
+ * @param {number} [options.chainId]
+ * @param {string} [options.contract]
+ * @param {number} [options.now] Reference time for "since last" (ms)
+ */
+export function cadenceReport(checkpoints, { schedule = null, agentId, owner, delegates = [], chainId, contract, now = Date.now() } = {}) {
+  const authorship = { signed: 0, unsigned: 0, foreign: 0, invalid: 0 };
+  const metadata = { formats: {}, problems: [] };
+  for (const c of checkpoints) {
+    c.authorship = checkAuthorship(c.parsed, { agentId, root: c.root, owner, delegates: delegatesAt(c, delegates), chainId, contract }).status;
+    authorship[c.authorship]++;
+    metadata.formats[c.metadataFormat] = (metadata.formats[c.metadataFormat] ?? 0) + 1;
+    if (c.metadataProblems.length > 0) metadata.problems.push({ index: c.index, problems: c.metadataProblems });
+  }
+
+  const report = {
+    count: checkpoints.length,
+    first: checkpoints[0]?.timestamp ?? null,
+    last: checkpoints.at(-1)?.timestamp ?? null,
+    spanMs: 0,
+    sinceLastMs: checkpoints.length ? now - checkpoints.at(-1).timestamp : null,
+    medianIntervalMs: null,
+    meanIntervalMs: null,
+    longestGap: null,
+    schedule: null,
+    authorship,
+    metadata,
+  };
+  if (checkpoints.length === 0) return report;
+
+  const intervals = checkpoints.slice(1).map((c, i) => ({
+    ms: c.timestamp - checkpoints[i].timestamp,
+    from: checkpoints[i].index,
+    to: c.index,
+  }));
+  report.spanMs = report.last - report.first;
+
+  if (intervals.length > 0) {
+    report.medianIntervalMs = median(intervals.map(i => i.ms));
+    report.meanIntervalMs = report.spanMs / intervals.length;
+    report.longestGap = intervals.reduce((max, i) => (i.ms > max.ms ? i : max));
+  }
+
+  if (schedule) {
+    // A gap of ~n intervals means n-1 slots were skipped
+    const missedSlots = intervals.reduce((sum, i) => sum + Math.max(0, Math.round(i.ms / schedule) - 1), 0);
+    const expectedSlots = Math.round(report.spanMs / schedule) + 1;
+    const overdueSlots = Math.max(0, Math.round(report.sinceLastMs / schedule) - 1);
+    report.schedule = {
+      intervalMs: schedule,
+      expectedSlots,
+      missedSlots,
+      overdueSlots,
+      onSchedulePct: Math.round(((expectedSlots - missedSlots) / expectedSlots) * 1000) / 10,
+    };
+  }
+
+  return report;
+}
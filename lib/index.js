@@ -0,0 +1,95 @@
+/**
+ * Agent Memory Registry SDK
+ *
+ * The package's public API, for services that build, publish or verify
+ * checkpoints in-process. The scripts in scripts/ are CLIs on top of it.
+ *
+ *   import { Registry, loadManifest, buildCheckpoint } from "moltiverse-hackathon";
+ *
+ *   const registry = Registry.connect({ network: "testnet", wallet: true });
+ *   const checkpoint = buildCheckpoint(manifest);
+ *   const { checkpointIndex } = await registry.publish(checkpoint, { manifest });
+ *
+ * See README.md ("JavaScript SDK") for the rest.
+ */
+
+// Registry client
+export { Registry, REGISTRY_ERRORS } from "./registry.js";
+
+// Networks and deployments
+export {
+  NETWORKS,
+  DEFAULT_NETWORK,
+  getNetwork,
+  networkForChainId,
+  checkChainId,
+  loadDeployments,
+  findDeployment,
+  loadDeployment,
+  saveDeployment,
+  loadArtifact,
+  linkBytecode,
+} from "./config.js";
+
+// Wallet: keystore, env key or remote signer
+export {
+  SIGNER_SOURCES,
+  signerSource,
+  loadSigner,
+  walletSigner,
+  loadWallet,
+  KeystoreSigner,
+  RemoteSigner,
+} from "./signers.js";
+
+// Checkpoint building
+export { buildCheckpoint, checkpointMetadata } from "./checkpoint.js";
+export { DEFAULT_MANIFEST, loadManifest, normalizeManifest, listManifestFiles } from "./manifest.js";
+export { CHUNK_MODES, DEFAULT_CHUNK_MODE, splitChunks, chunkLines } from "./chunks.js";
+
+// Merkle trees and proofs
+export {
+  LEGACY_LEAF_VERSION,
+  PATH_LEAF_VERSION,
+  CHUNKED_LEAF_VERSION,
+  LEAF_VERSION,
+  MerkleTree,
+  keccak,
+  toHex,
+  fromHex,
+  hashFileLeaf,
+  hashChunkLeaf,
+  hashPair,
+  buildChunkTree,
+  buildCheckpointTree,
+  processProof,
+  verifyProof,
+  verifyChunkProof,
+} from "./merkle.js";
+export { PROOF_PACKAGE_FORMAT, findPassages, buildProofPackage, verifyProofPackage } from "./proof-package.js";
+
+// HTTP verification API
+export { DEFAULT_CACHE_TTL_MS, createReadCache, createApiHandler, startApiServer } from "./api.js";
+
+// Checkpoint subscriptions: webhooks and event feed
+export {
+  EVENT_TYPES,
+  Watcher,
+  normalizeWatchConfig,
+  loadWatchConfig,
+  signWebhook,
+  verifyWebhookSignature,
+  startFeedServer,
+} from "./watcher.js";
+
+// Checkpoint metadata, authorship and history
+export { METADATA_FORMAT, EXTENSIONS, manifestHash, buildMetadata, validateMetadata, parseMetadata } from "./metadata.js";
+export { AUTHORSHIP_SCHEME, LEGACY_AUTHORSHIP_SCHEME, signCheckpoint, checkAuthorship } from "./authorship.js";
+export { checkpointEntry, fetchCheckpoints, cadenceReport, parseDuration, formatDuration } from "./history.js";
+export { resolveAgent, fetchDelegates, fetchDelegations, delegatesAt } from "./delegates.js";
+export { FLAG_REASONS, parseFlagReason, fetchFlags, flagsFor } from "./flags.js";
+
+// Memory audit: wipes, rewrites and reverts between checkpoints
+export { SEVERITIES, DEFAULT_CORE_FILES, DAILY_LOG_PATTERN, AUDIT_THRESHOLDS, auditRecords, keptShare } from "./audit.js";
+export { listCheckpointRecords, findRecordByRoot } from "./records.js";
+export { diffRecords } from "./diff.js";
@@ -0,0 +1,242 @@
+/**
+ * Workspace Manifest
+ *
+ * Describes which files make up an agent's memory: a root directory plus
+ * include/exclude globs, walked recursively and returned in a stable order
+ * so the same workspace always produces the same merkle root.
+ *
+ * Manifest file (JSON):
+ *   {
+ *     "agentId": "b0tresch",
+ *     "root": "/root/.openclaw/workspace",
+ *     "include": ["MEMORY.md", "memory/**\/*.md"],
+ *     "exclude": ["memory/drafts/**"],
+ *     "chunking": "block",
+ *     "extensions": { "paid_services": [...] }
+ *   }
+ *
+ * Globs match the full path relative to `root` ("/" separated):
+ *   *   any characters except "/"
+ *   **  any characters including "/" ("**\/" also matches zero directories)
+ *   ?   a single character except "/"
+ *   {a,b} either alternative
+ *
+ * `chunking` picks how files are split for chunk-level proofs ("block" for
+ * markdown blocks, "line" for single lines; see lib/chunks.js).
+ * `extensions` is published in every checkpoint's metadata (lib/metadata.js).
+ */
+
+import fs from "fs";
+import path from "path";
+import os from "os";
+import { fileURLToPath } from "url";
+import { CHUNK_MODES, DEFAULT_CHUNK_MODE } from "./chunks.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Manifest picked up automatically when no --manifest / MEMORY_MANIFEST is given
+export const DEFAULT_MANIFEST_PATH = path.join(__dirname, "..", "memory-manifest.json");
+
+// b0tresch's original layout, used when no manifest file exists at all
+export const DEFAULT_MANIFEST = {
+  agentId: "b0tresch",
+  root: "/root/.openclaw/workspace",
+  include: [
+    "MEMORY.md",
+    "AGENTS.md",
+    "SOUL.md",
+    "USER.md",
+    "IDENTITY.md",
+    "GOALS.md",
+    "TOOLS.md",
+    "HEARTBEAT.md",
+    "memory/*.md",
+  ],
+  exclude: [],
+};
+
+// ============ Glob Matching ============
+
+export function globToRegExp(glob) {
+  let re = "";
+  let inGroup = false;
+
+  for (let i = 0; i < glob.length; i++) {
+    const c = glob[i];
+
+    if (c === "*") {
+      if (glob[i + 1] === "*") {
+        if (glob[i + 2] === "/") {
+          re += "(?:.*/)?";
+          i += 2;
+        } else {
+          re += ".*";
+          i += 1;
+        }
+      } else {
+        re += "[^/]*";
+      }
+    } else if (c === "?") {
+      re += "[^/]";
+    } else if (c === "{") {
+      re += "(?:";
+      inGroup = true;
+    } else if (c === "}" && inGroup) {
+      re += ")";
+      inGroup = false;
+    } else if (c === "," && inGroup) {
+      re += "|";
+    } else {
+      re += c.replace(/[.+^$()|[\]\\]/g, "\\$&");
+    }
+  }
+
+  return new RegExp(`^${re}$`);
+}
+
+function hasGlobChars(segment) {
+  return /[*?{]/.test(segment);
+}
+
+// Leading directory of a pattern that contains no glob characters
+function staticBase(pattern) {
+  const segments = pattern.split("/");
+  const base = [];
+  for (const segment of segments.slice(0, -1)) {
+    if (hasGlobChars(segment)) break;
+    base.push(segment);
+  }
+  return base.join("/");
+}
+
+// ============ Loading ============
+
+function expandHome(p) {
+  return p === "~" || p.startsWith("~/") ? path.join(os.homedir(), p.slice(1)) : p;
+}
+
+/**
+ * Normalize a manifest object, resolving `root` relative to `baseDir`.
+ */
+export function normalizeManifest(raw, baseDir = process.cwd()) {
+  if (!raw || typeof raw !== "object") {
+    throw new Error("Manifest must be a JSON object");
+  }
+  if (typeof raw.root !== "string" || raw.root.length === 0) {
+    throw new Error("Manifest is missing \"root\"");
+  }
+
+  const include = raw.include ?? ["**/*.md"];
+  const exclude = raw.exclude ?? [];
+  for (const [name, list] of [["include", include], ["exclude", exclude]]) {
+    if (!Array.isArray(list) || list.some(g => typeof g !== "string" || g.length === 0)) {
+      throw new Error(`Manifest "${name}" must be an array of glob strings`);
+    }
+  }
+
+  const chunking = raw.chunking ?? DEFAULT_CHUNK_MODE;
+  if (!CHUNK_MODES.includes(chunking)) {
+    throw new Error(`Manifest "chunking" must be one of: ${CHUNK_MODES.join(", ")}`);
+  }
+
+  if (raw.extensions !== undefined && (raw.extensions === null || typeof raw.extensions !== "object" || Array.isArray(raw.extensions))) {
+    throw new Error("Manifest \"extensions\" must be an object");
+  }
+
+  return {
+    ...raw,
+    agentId: raw.agentId ?? null,
+    root: path.resolve(baseDir, expandHome(raw.root)),
+    include,
+    exclude,
+    chunking,
+  };
+}
+
+/**
+ * Load a manifest from disk. Falls back to DEFAULT_MANIFEST_PATH, then to
+ * the built-in b0tresch layout.
+ */
+export function loadManifest(manifestPath = null) {
+  const file = manifestPath ?? process.env.MEMORY_MANIFEST ?? DEFAULT_MANIFEST_PATH;
+
+  if (!fs.existsSync(file)) {
+    if (manifestPath || process.env.MEMORY_MANIFEST) {
+      throw new Error(`Manifest not found: ${file}`);
+    }
+    return { ...normalizeManifest(DEFAULT_MANIFEST), source: null };
+  }
+
+  const raw = JSON.parse(fs.readFileSync(file, "utf8"));
+  return { ...normalizeManifest(raw, path.dirname(path.resolve(file))), source: path.resolve(file) };
+}
+
+/**
+ * Read `--manifest=PATH` from CLI args and load it.
+ */
+export function loadManifestFromArgs(args) {
+  const manifestArg = args.find(a => a.startsWith("--manifest="));
+  return loadManifest(manifestArg ? manifestArg.split("=").slice(1).join("=") : null);
+}
+
+// ============ Walking ============
+
+function walk(root, dir, isExcluded, out) {
+  const absDir = path.join(root, dir);
+  let entries;
+  try {
+    entries = fs.readdirSync(absDir, { withFileTypes: true });
+  } catch {
+    return;
+  }
+
+  for (const entry of entries) {
+    const relativePath = dir ? `${dir}/${entry.name}` : entry.name;
+    const absPath = path.join(root, relativePath);
+
+    if (entry.isDirectory()) {
+      // Symlinked directories are not followed, so cycles can't happen
+      if (!isExcluded(relativePath + "/")) {
+        walk(root, relativePath, isExcluded, out);
+      }
+    } else if (entry.isFile() || (entry.isSymbolicLink() && fs.statSync(absPath, { throwIfNoEntry: false })?.isFile())) {
+      out.add(relativePath);
+    }
+  }
+}
+
+/**
+ * List the files selected by a manifest, sorted by relative path.
+ * @returns {{path: string, relativePath: string}[]}
+ */
+export function listManifestFiles(manifest) {
+  const includes = manifest.include.map(globToRegExp);
+  const excludes = manifest.exclude.map(globToRegExp);
+  const isExcluded = p => excludes.some(re => re.test(p) || re.test(p.replace(/\/$/, "")));
+
+  const candidates = new Set();
+  const walked = new Set();
+
+  for (const pattern of manifest.include) {
+    if (!pattern.split("/").some(hasGlobChars)) {
+      // Literal path - no need to walk anything
+      const stat = fs.statSync(path.join(manifest.root, pattern), { throwIfNoEntry: false });
+      if (stat?.isFile()) candidates.add(pattern);
+      continue;
+    }
+
+    const base = staticBase(pattern);
+    if (walked.has(base)) continue;
+    walked.add(base);
+    walk(manifest.root, base, isExcluded, candidates);
+  }
+
+  return [...candidates]
+    .filter(p => includes.some(re => re.test(p)) && !isExcluded(p))
+    .sort((a, b) => (a < b ? -1 : a > b ? 1 : 0))
+    .map(relativePath => ({
+      path: path.join(manifest.root, relativePath),
+      relativePath,
+    }));
+}
@@ -0,0 +1,223 @@
+/**
+ * Merkle Tree
+ *
+ * Three leaf formats are supported so older checkpoints keep verifying:
+ *
+ *   v1 (legacy)  leaf = keccak256(content)
+ *                node = keccak256(sorted(a, b))
+ *
+ *   v2           leaf = keccak256(0x00 ‖ keccak256(path) ‖ uint64 size ‖ keccak256(content))
+ *                node = keccak256(0x01 ‖ sorted(a, b))
+ *
+ *   v3           leaf = keccak256(0x00 ‖ keccak256(path) ‖ uint64 size ‖ chunkRoot)
+ *                chunkRoot = root of a per-file subtree over the file's chunks, with
+ *                chunk leaf = keccak256(0x02 ‖ uint32 index ‖ keccak256(chunk))
+ *
+ * v2 binds each leaf to the file's relative path and size, and the distinct
+ * prefixes keep an internal node from ever being accepted as a leaf. v3 lets
+ * a single chunk be proven with a two-level proof (chunk → file → root).
+ * All match AgentMemoryRegistry.verifyProof / verifyFileProof / verifyChunkProof.
+ */
+
+import { ethers } from "ethers";
+import { splitChunks, DEFAULT_CHUNK_MODE } from "./chunks.js";
+
+export const LEGACY_LEAF_VERSION = 1;
+export const PATH_LEAF_VERSION = 2;
+export const CHUNKED_LEAF_VERSION = 3;
+export const LEAF_VERSION = CHUNKED_LEAF_VERSION;
+
+const LEAF_PREFIX = Buffer.from([0x00]);
+const NODE_PREFIX = Buffer.from([0x01]);
+const CHUNK_PREFIX = Buffer.from([0x02]);
+
+// ============ Hashing ============
+
+export function keccak(data) {
+  // Use keccak256 to match Solidity's keccak256
+  const bytes = Buffer.isBuffer(data) ? data : Buffer.from(data);
+  return Buffer.from(ethers.keccak256(bytes).slice(2), "hex");
+}
+
+export function toHex(buf) {
+  return "0x" + buf.toString("hex");
+}
+
+export function fromHex(hex) {
+  return Buffer.from(hex.replace(/^0x/, ""), "hex");
+}
+
+/**
+ * v2/v3 leaf for a file: commits to its relative path, size and content
+ * commitment (keccak256 of the content in v2, the chunk root in v3).
+ */
+export function hashFileLeaf(relativePath, size, contentHash) {
+  const sizeBytes = Buffer.alloc(8);
+  sizeBytes.writeBigUInt64BE(BigInt(size));
+  return keccak(Buffer.concat([
+    LEAF_PREFIX,
+    keccak(Buffer.from(relativePath, "utf8")),
+    sizeBytes,
+    Buffer.isBuffer(contentHash) ? contentHash : fromHex(contentHash),
+  ]));
+}
+
+/**
+ * v3 leaf for one chunk of a file.
+ */
+export function hashChunkLeaf(index, chunkHash) {
+  const indexBytes = Buffer.alloc(4);
+  indexBytes.writeUInt32BE(index);
+  return keccak(Buffer.concat([
+    CHUNK_PREFIX,
+    indexBytes,
+    Buffer.isBuffer(chunkHash) ? chunkHash : fromHex(chunkHash),
+  ]));
+}
+
+export function hashPair(a, b, version = LEAF_VERSION) {
+  // Sort to ensure consistent ordering
+  const sorted = Buffer.compare(a, b) <= 0 ? [a, b] : [b, a];
+  return version === LEGACY_LEAF_VERSION
+    ? keccak(Buffer.concat(sorted))
+    : keccak(Buffer.concat([NODE_PREFIX, ...sorted]));
+}
+
+// ============ Tree ============
+
+export class MerkleTree {
+  /**
+   * @param {Buffer[]} leaves Leaf hashes (32-byte buffers)
+   * @param {{version?: number}} options Leaf format version (default: v2)
+   */
+  constructor(leaves, { version = LEAF_VERSION } = {}) {
+    this.version = version;
+    this.leaves = leaves;
+    this.layers = [this.leaves];
+    this.buildTree();
+  }
+
+  buildTree() {
+    let currentLayer = this.leaves;
+
+    while (currentLayer.length > 1) {
+      const nextLayer = [];
+
+      for (let i = 0; i < currentLayer.length; i += 2) {
+        if (i + 1 < currentLayer.length) {
+          nextLayer.push(hashPair(currentLayer[i], currentLayer[i + 1], this.version));
+        } else {
+          // Odd number of nodes - promote the last one
+          nextLayer.push(currentLayer[i]);
+        }
+      }
+
+      this.layers.push(nextLayer);
+      currentLayer = nextLayer;
+    }
+  }
+
+  getRoot() {
+    const topLayer = this.layers[this.layers.length - 1];
+    return topLayer.length > 0 ? topLayer[0] : Buffer.alloc(32);
+  }
+
+  getRootHex() {
+    return toHex(this.getRoot());
+  }
+
+  getProof(index) {
+    if (index >= this.leaves.length) {
+      throw new Error("Index out of bounds");
+    }
+
+    const proof = [];
+    let currentIndex = index;
+
+    for (let i = 0; i < this.layers.length - 1; i++) {
+      const layer = this.layers[i];
+      const isRight = currentIndex % 2 === 1;
+      const siblingIndex = isRight ? currentIndex - 1 : currentIndex + 1;
+
+      if (siblingIndex < layer.length) {
+        proof.push(toHex(layer[siblingIndex]));
+      }
+
+      currentIndex = Math.floor(currentIndex / 2);
+    }
+
+    return proof;
+  }
+}
+
+/**
+ * Build the per-file chunk subtree used by v3 leaves.
+ * @returns {{chunks: object[], tree: MerkleTree, root: Buffer}}
+ */
+export function buildChunkTree(content, mode = DEFAULT_CHUNK_MODE) {
+  const chunks = splitChunks(content, mode);
+  const tree = new MerkleTree(chunks.map((c, i) => hashChunkLeaf(i, keccak(c.data))), { version: CHUNKED_LEAF_VERSION });
+  return { chunks, tree, root: tree.getRoot() };
+}
+
+/**
+ * Hash files into checkpoint leaves and build the tree over them.
+ *
+ * @param {{relativePath: string, content?: Buffer}[]} files In leaf order. A file
+ *   may carry a precomputed size/hash (and chunkRoot/chunks for v3) instead of content.
+ * @param {{version?: number, chunking?: string}} options Leaf format and chunk mode (v3)
+ * @returns {{entries: object[], tree: MerkleTree, root: string}} entries carry
+ *   relativePath, size, hash, leaf (and chunkRoot/chunks for v3) as buffers
+ */
+export function buildCheckpointTree(files, { version = LEAF_VERSION, chunking = DEFAULT_CHUNK_MODE } = {}) {
+  const entries = files.map(f => {
+    const size = f.size ?? f.content.length;
+    const hash = f.hash ?? keccak(f.content);
+    const entry = { relativePath: f.relativePath, size, hash };
+
+    if (version === LEGACY_LEAF_VERSION) {
+      entry.leaf = hash;
+    } else if (version === PATH_LEAF_VERSION) {
+      entry.leaf = hashFileLeaf(f.relativePath, size, hash);
+    } else {
+      if (f.chunkRoot) {
+        entry.chunkRoot = f.chunkRoot;
+        entry.chunks = f.chunks;
+      } else {
+        const chunkTree = buildChunkTree(f.content, chunking);
+        entry.chunkRoot = chunkTree.root;
+        entry.chunks = chunkTree.chunks.length;
+      }
+      entry.leaf = hashFileLeaf(f.relativePath, size, entry.chunkRoot);
+    }
+    return entry;
+  });
+
+  const tree = new MerkleTree(entries.map(e => e.leaf), { version });
+  return { entries, tree, root: tree.getRootHex() };
+}
+
+// ============ Verification ============
+
+/**
+ * Fold a proof into the root it implies.
+ */
+export function processProof(leaf, proof, version = LEAF_VERSION) {
+  let computed = Buffer.isBuffer(leaf) ? leaf : fromHex(leaf);
+  for (const sibling of proof) {
+    computed = hashPair(computed, Buffer.isBuffer(sibling) ? sibling : fromHex(sibling), version);
+  }
+  return computed;
+}
+
+export function verifyProof(leaf, proof, root, version = LEAF_VERSION) {
+  return toHex(processProof(leaf, proof, version)) === root.toLowerCase();
+}
+
+/**
+ * Verify a two-level v3 proof: chunk → file chunk root → checkpoint root.
+ */
+export function verifyChunkProof({ file, size, chunkIndex, chunkHash, chunkProof, fileProof }, root) {
+  const chunkRoot = processProof(hashChunkLeaf(chunkIndex, chunkHash), chunkProof, CHUNKED_LEAF_VERSION);
+  return verifyProof(hashFileLeaf(file, size, chunkRoot), fileProof, root, CHUNKED_LEAF_VERSION);
+}
@@ -0,0 +1,242 @@
+/**
+ * Checkpoint Metadata
+ *
+ * The metadata string published with every checkpoint, as a versioned
+ * schema ("amr-metadata-1"). buildMetadata() is the one place it's written;
+ * validateMetadata() checks it before publishing and parseMetadata() reports
+ * what's wrong with it when reading, instead of the problems disappearing
+ * into a catch {}.
+ *
+ *   {
+ *     "format": "amr-metadata-1",
+ *     "files": 44, "bytes": 301822,
+ *     "timestamp": "2026-03-18T10:00:00.000Z",
+ *     "leafVersion": 3, "chunking": "block", "hashAlgorithm": "keccak256",
+ *     "manifestHash": "0x...",     keccak256 of the manifest's include/exclude/chunking
+ *     "signer": "0x...",           address that published (owner or delegate)
+ *     "heartbeat": true,           optional: root unchanged, re-anchored
+ *     "authorship": { ... },       optional: lib/authorship.js signature
+ *     "extensions": { ... }        optional: anything else, e.g. paid_services
+ *   }
+ *
+ * Metadata from before the schema has no "format" and is read as "legacy":
+ * JSON with whatever fields the publisher of the day wrote.
+ */
+
+import { ethers } from "ethers";
+import { LEGACY_LEAF_VERSION, CHUNKED_LEAF_VERSION } from "./merkle.js";
+import { CHUNK_MODES } from "./chunks.js";
+import { AUTHORSHIP_SCHEME, LEGACY_AUTHORSHIP_SCHEME } from "./authorship.js";
+
+export const METADATA_FORMAT = "amr-metadata-1";
+export const HASH_ALGORITHM = "keccak256";
+
+// Every byte is calldata on each publish
+export const MAX_METADATA_BYTES = 8 * 1024;
+
+const FIELDS = new Set([
+  "format", "files", "bytes", "timestamp", "leafVersion", "chunking", "hashAlgorithm",
+  "manifestHash", "signer", "heartbeat", "authorship", "extensions",
+]);
+
+const EXTENSION_NAME = /^[a-z][a-z0-9_]*(\.[a-z0-9_]+)*$/;
+
+// ============ Extensions ============
+
+/**
+ * Validators for known extensions, by name. Each returns a list of problems.
+ * Unknown extensions only need a valid name and JSON value.
+ */
+export const EXTENSIONS = {
+  // Agent Service Directory listings (see README)
+  paid_services: value => {
+    if (!Array.isArray(value)) return ["must be an array of services"];
+    const problems = [];
+    value.forEach((service, i) => {
+      if (!isPlainObject(service)) {
+        problems.push(`[${i}] must be an object`);
+        return;
+      }
+      for (const field of ["name", "price"]) {
+        if (typeof service[field] !== "string" || service[field].length === 0) problems.push(`[${i}].${field} is required`);
+      }
+      for (const field of ["description", "chain", "memo_prefix"]) {
+        if (service[field] !== undefined && typeof service[field] !== "string") problems.push(`[${i}].${field} must be a string`);
+      }
+    });
+    return problems;
+  },
+};
+
+// ============ Building ============
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+/**
+ * keccak256 of the parts of a workspace manifest that decide what gets
+ * checkpointed. The root directory is left out: it's host-specific.
+ */
+export function manifestHash(manifest) {
+  return ethers.id(JSON.stringify({
+    include: manifest.include,
+    exclude: manifest.exclude,
+    chunking: manifest.chunking,
+  }));
+}
+
+/**
+ * Checkpoint metadata in the current schema.
+ *
+ * @param {object} params
+ * @param {object} params.checkpoint buildMemoryCheckpoint() output (fileCount, totalBytes, timestamp, leafVersion, chunking)
+ * @param {object} params.manifest Workspace manifest
+ * @param {string} params.signer Publishing address
+ * @param {object} [params.authorship] signCheckpoint() output
+ * @param {boolean} [params.heartbeat]
+ * @param {object} [params.extensions]
+ * @returns {object} Validate with validateMetadata(), publish JSON.stringify()'d
+ */
+export function buildMetadata({ checkpoint, manifest, signer, authorship = null, heartbeat = false, extensions = null }) {
+  return {
+    format: METADATA_FORMAT,
+    files: checkpoint.fileCount,
+    bytes: checkpoint.totalBytes,
+    timestamp: checkpoint.timestamp,
+    leafVersion: checkpoint.leafVersion,
+    ...(checkpoint.leafVersion === CHUNKED_LEAF_VERSION ? { chunking: checkpoint.chunking } : {}),
+    hashAlgorithm: HASH_ALGORITHM,
+    manifestHash: manifestHash(manifest),
+    signer: ethers.getAddress(signer),
+    ...(heartbeat ? { heartbeat: true } : {}),
+    ...(authorship ? { authorship } : {}),
+    ...(extensions && Object.keys(extensions).length > 0 ? { extensions } : {}),
+  };
+}
+
+// ============ Validation ============
+
+function validateAuthorship(authorship, problems) {
+  if (!isPlainObject(authorship)) {
+    problems.push("authorship must be an object");
+    return;
+  }
+  if (typeof authorship.signature !== "string" || !ethers.isHexString(authorship.signature, 65)) {
+    problems.push("authorship.signature must be a 65-byte hex signature");
+  }
+  const scheme = authorship.scheme ?? LEGACY_AUTHORSHIP_SCHEME;
+  if (scheme === LEGACY_AUTHORSHIP_SCHEME) return;
+  if (scheme !== AUTHORSHIP_SCHEME) {
+    problems.push(`authorship.scheme "${scheme}" is not one of ${AUTHORSHIP_SCHEME}, ${LEGACY_AUTHORSHIP_SCHEME}`);
+    return;
+  }
+  if (!ethers.isAddress(authorship.signer)) problems.push("authorship.signer must be an address");
+  if (!ethers.isAddress(authorship.contract)) problems.push("authorship.contract must be an address");
+  if (!Number.isSafeInteger(authorship.chainId) || authorship.chainId <= 0) problems.push("authorship.chainId must be a positive integer");
+}
+
+/**
+ * Check metadata against the current schema.
+ * @param {object} metadata Parsed metadata
+ * @returns {string[]} Problems; empty if valid
+ */
+export function validateMetadata(metadata) {
+  if (!isPlainObject(metadata)) return ["metadata must be a JSON object"];
+  const problems = [];
+
+  if (metadata.format !== METADATA_FORMAT) {
+    problems.push(`format must be "${METADATA_FORMAT}", got ${JSON.stringify(metadata.format)}`);
+  }
+  for (const field of Object.keys(metadata)) {
+    if (!FIELDS.has(field)) problems.push(`unknown field "${field}" (custom data goes under "extensions")`);
+  }
+
+  for (const field of ["files", "bytes"]) {
+    if (!Number.isSafeInteger(metadata[field]) || metadata[field] < 0) problems.push(`${field} must be a non-negative integer`);
+  }
+  if (typeof metadata.timestamp !== "string" || Number.isNaN(Date.parse(metadata.timestamp))) {
+    problems.push("timestamp must be an ISO 8601 date");
+  }
+  if (!Number.isInteger(metadata.leafVersion) || metadata.leafVersion < LEGACY_LEAF_VERSION || metadata.leafVersion > CHUNKED_LEAF_VERSION) {
+    problems.push(`leafVersion must be ${LEGACY_LEAF_VERSION}-${CHUNKED_LEAF_VERSION}`);
+  } else if (metadata.leafVersion === CHUNKED_LEAF_VERSION && !CHUNK_MODES.includes(metadata.chunking)) {
+    problems.push(`chunking must be one of ${CHUNK_MODES.join(", ")} for v${CHUNKED_LEAF_VERSION} leaves`);
+  }
+  if (metadata.hashAlgorithm !== HASH_ALGORITHM) {
+    problems.push(`hashAlgorithm must be "${HASH_ALGORITHM}"`);
+  }
+  if (typeof metadata.manifestHash !== "string" || !ethers.isHexString(metadata.manifestHash, 32)) {
+    problems.push("manifestHash must be a 32-byte hex string");
+  }
+  if (!ethers.isAddress(metadata.signer)) {
+    problems.push("signer must be an address");
+  }
+  if (metadata.heartbeat !== undefined && typeof metadata.heartbeat !== "boolean") {
+    problems.push("heartbeat must be a boolean");
+  }
+
+  if (metadata.authorship !== undefined) {
+    validateAuthorship(metadata.authorship, problems);
+    if (ethers.isAddress(metadata.signer) && ethers.isAddress(metadata.authorship?.signer) &&
+        ethers.getAddress(metadata.signer) !== ethers.getAddress(metadata.authorship.signer)) {
+      problems.push(`signer ${metadata.signer} differs from authorship.signer ${metadata.authorship.signer}`);
+    }
+  }
+
+  if (metadata.extensions !== undefined) {
+    if (!isPlainObject(metadata.extensions)) {
+      problems.push("extensions must be an object");
+    } else {
+      for (const [name, value] of Object.entries(metadata.extensions)) {
+        if (!EXTENSION_NAME.test(name)) {
+          problems.push(`extension name "${name}" must be lowercase letters, digits, "_" and "."`);
+          continue;
+        }
+        for (const problem of EXTENSIONS[name]?.(value) ?? []) {
+          problems.push(`extensions.${name}${problem.startsWith("[") ? "" : " "}${problem}`);
+        }
+      }
+    }
+  }
+
+  const size = Buffer.byteLength(JSON.stringify(metadata));
+  if (size > MAX_METADATA_BYTES) {
+    problems.push(`metadata is ${size} bytes, over the ${MAX_METADATA_BYTES}-byte limit`);
+  }
+
+  return problems;
+}
+
+// ============ Reading ============
+
+/**
+ * Parse a checkpoint's metadata string.
+ * @returns {{metadata: object|null, format: string, problems: string[]}}
+ *   format - METADATA_FORMAT, "legacy" (JSON from before the schema),
+ *            "empty", or "invalid" (not a JSON object, or an unknown format)
+ *   problems - what's wrong with it; empty for valid and legacy metadata
+ */
+export function parseMetadata(text) {
+  if (text === undefined || text === null || text === "") {
+    return { metadata: null, format: "empty", problems: [] };
+  }
+
+  let metadata;
+  try {
+    metadata = JSON.parse(text);
+  } catch (err) {
+    return { metadata: null, format: "invalid", problems: [`not JSON: ${err.message}`] };
+  }
+  if (!isPlainObject(metadata)) {
+    return { metadata: null, format: "invalid", problems: ["not a JSON object"] };
+  }
+
+  if (metadata.format === undefined) {
+    return { metadata, format: "legacy", problems: [] };
+  }
+  if (metadata.format !== METADATA_FORMAT) {
+    return { metadata, format: "invalid", problems: [`unknown metadata format "${metadata.format}"`] };
+  }
+  return { metadata, format: METADATA_FORMAT, problems: validateMetadata(metadata) };
+}
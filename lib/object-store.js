@@ -0,0 +1,171 @@
+/**
+ * Object Store
+ *
+ * Content-addressed alternative to per-checkpoint tarballs. Each file is
+ * stored once, gzipped, under the keccak256 of its content - the hash every
+ * checkpoint already computes - so an unchanged file costs nothing at the
+ * next checkpoint. Each checkpoint gets a small tree manifest listing its
+ * files by hash.
+ *
+ *   checkpoints/objects/<2 hex>/<62 hex>   file content (gzip)
+ *   checkpoints/trees/tree-<ts>.json       root, agent, leaf format, files
+ *
+ * Objects no tree refers to any more (after pruning) are removed by gc.
+ */
+
+import fs from "fs";
+import path from "path";
+import zlib from "zlib";
+import { keccak, toHex } from "./merkle.js";
+import { CHECKPOINTS_DIR } from "./records.js";
+
+export const OBJECTS_DIR = path.join(CHECKPOINTS_DIR, "objects");
+export const TREES_DIR = path.join(CHECKPOINTS_DIR, "trees");
+export const TREE_FORMAT = "amr-tree-1";
+
+function objectPath(hash, dir) {
+  const hex = hash.replace(/^0x/, "").toLowerCase();
+  return path.join(dir, hex.slice(0, 2), hex.slice(2));
+}
+
+export function hasObject(hash, dir = OBJECTS_DIR) {
+  return fs.existsSync(objectPath(hash, dir));
+}
+
+/**
+ * Store a file's content.
+ * @returns {{hash: string, added: boolean}} added is false if it was already stored
+ */
+export function putObject(content, dir = OBJECTS_DIR) {
+  const hash = toHex(keccak(content));
+  const file = objectPath(hash, dir);
+  if (fs.existsSync(file)) return { hash, added: false };
+
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(`${file}.tmp`, zlib.gzipSync(content));
+  fs.renameSync(`${file}.tmp`, file);
+  return { hash, added: true };
+}
+
+/**
+ * Content stored under `hash`, or null if it's missing or corrupt.
+ */
+export function getObject(hash, dir = OBJECTS_DIR) {
+  const file = objectPath(hash, dir);
+  if (!fs.existsSync(file)) return null;
+  try {
+    const content = zlib.gunzipSync(fs.readFileSync(file));
+    return toHex(keccak(content)) === hash.toLowerCase() ? content : null;
+  } catch {
+    return null;
+  }
+}
+
+// ============ Trees ============
+
+export function treePath(timestamp, dir = TREES_DIR) {
+  return path.join(dir, `tree-${timestamp}.json`);
+}
+
+/**
+ * Write a checkpoint's tree manifest.
+ * @param {object} manifest As from bundle-crypto.bundleManifest(): root, agentId, ..., files[{path, relativePath, size, hash, modified}]
+ */
+export function writeTree(manifest, timestamp, dir = TREES_DIR) {
+  fs.mkdirSync(dir, { recursive: true });
+  const file = treePath(timestamp, dir);
+  fs.writeFileSync(file, JSON.stringify({ format: TREE_FORMAT, ...manifest }, null, 2));
+  return file;
+}
+
+/**
+ * All tree manifests, oldest first.
+ * @returns {{file: string, timestamp: number, tree: object}[]}
+ */
+export function listTrees(dir = TREES_DIR) {
+  if (!fs.existsSync(dir)) return [];
+
+  return fs.readdirSync(dir)
+    .filter(f => /^tree-\d+\.json$/.test(f))
+    .map(f => ({ file: path.join(dir, f), timestamp: Number(f.match(/\d+/)[0]) }))
+    .sort((a, b) => a.timestamp - b.timestamp)
+    .map(t => ({ ...t, tree: JSON.parse(fs.readFileSync(t.file, "utf8")) }));
+}
+
+export function findTreeByRoot(root, dir = TREES_DIR) {
+  return listTrees(dir).find(t => t.tree.root.toLowerCase() === root.toLowerCase()) ?? null;
+}
+
+/**
+ * A tree's files with their content, in leaf order - the same shape as
+ * bundle.readBundle(), so matchBundleTree() can check them against a root.
+ * @returns {{path: string, content: Buffer, modified: Date}[]}
+ */
+export function readTreeFiles(tree, dir = OBJECTS_DIR) {
+  return tree.files.map(f => {
+    const content = getObject(f.hash, dir);
+    if (!content) throw new Error(`Object ${f.hash} (${f.relativePath}) is missing from the store`);
+    return { path: f.path, content, modified: new Date(f.modified) };
+  });
+}
+
+// ============ Maintenance ============
+
+function listObjects(dir) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .filter(prefix => /^[0-9a-f]{2}$/.test(prefix))
+    .flatMap(prefix => fs.readdirSync(path.join(dir, prefix))
+      .filter(rest => /^[0-9a-f]{62}$/.test(rest))
+      .map(rest => ({ hash: `0x${prefix}${rest}`, file: path.join(dir, prefix, rest) })));
+}
+
+/**
+ * Delete objects that no tree refers to.
+ * @param {object} [options]
+ * @param {Set<string>} [options.ignoreTrees] Tree files to treat as already deleted (for dry runs)
+ * @returns {{kept: number, removed: number, freedBytes: number}}
+ */
+export function gcObjects({ dryRun = false, ignoreTrees = new Set(), objectsDir = OBJECTS_DIR, treesDir = TREES_DIR } = {}) {
+  const live = new Set(listTrees(treesDir)
+    .filter(t => !ignoreTrees.has(t.file))
+    .flatMap(t => t.tree.files.map(f => f.hash.toLowerCase())));
+  let kept = 0;
+  let removed = 0;
+  let freedBytes = 0;
+
+  for (const { hash, file } of listObjects(objectsDir)) {
+    if (live.has(hash)) {
+      kept++;
+      continue;
+    }
+    freedBytes += fs.statSync(file).size;
+    removed++;
+    if (!dryRun) fs.unlinkSync(file);
+  }
+
+  if (!dryRun) {
+    for (const prefix of fs.existsSync(objectsDir) ? fs.readdirSync(objectsDir) : []) {
+      const sub = path.join(objectsDir, prefix);
+      if (fs.statSync(sub).isDirectory() && fs.readdirSync(sub).length === 0) fs.rmdirSync(sub);
+    }
+  }
+
+  return { kept, removed, freedBytes };
+}
+
+/**
+ * Size of the store against what the trees would take as separate copies.
+ */
+export function storeStats({ objectsDir = OBJECTS_DIR, treesDir = TREES_DIR } = {}) {
+  const objects = listObjects(objectsDir);
+  const trees = listTrees(treesDir);
+  const live = new Set(trees.flatMap(t => t.tree.files.map(f => f.hash.toLowerCase())));
+  return {
+    trees: trees.length,
+    objects: objects.length,
+    unreferenced: objects.filter(o => !live.has(o.hash)).length,
+    storedBytes: objects.reduce((sum, o) => sum + fs.statSync(o.file).size, 0),
+    logicalBytes: trees.reduce((sum, t) => sum + t.tree.files.reduce((s, f) => s + f.size, 0), 0),
+  };
+}
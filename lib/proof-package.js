@@ -0,0 +1,312 @@
+/**
+ * Proof Packages
+ *
+ * A proof package is a single self-contained JSON file proving that a memory
+ * file (or one passage of it) was part of an on-chain checkpoint. It carries
+ * everything a third party needs - agent, checkpoint index, root, leaf data,
+ * sibling path, optional revealed content and the authorship signature - so
+ * it can be checked with just an RPC endpoint, or fully offline against a
+ * root the verifier already trusts.
+ */
+
+import { ethers } from "ethers";
+import {
+  LEGACY_LEAF_VERSION,
+  PATH_LEAF_VERSION,
+  CHUNKED_LEAF_VERSION,
+  keccak,
+  toHex,
+  hashFileLeaf,
+  hashChunkLeaf,
+  buildChunkTree,
+  processProof,
+} from "./merkle.js";
+import { CHUNK_MODES, chunkLines } from "./chunks.js";
+import { loadCheckpointedFile } from "./bundle.js";
+import { checkAuthorship } from "./authorship.js";
+import { parseMetadata } from "./metadata.js";
+
+export const PROOF_PACKAGE_FORMAT = "amr-proof-package-1";
+
+// ============ Building ============
+
+/**
+ * Find the chunks of a v3 checkpoint that contain `text`.
+ * @returns {{matches: object[], unavailable: string[]}}
+ */
+export function findPassages(record, text, workspaceRoot = record.workspace, keyring = null) {
+  const matches = [];
+  const unavailable = [];
+
+  for (const entry of record.proofs) {
+    const loaded = loadCheckpointedFile(record, entry.file, workspaceRoot, keyring);
+    if (!loaded) {
+      unavailable.push(entry.file);
+      continue;
+    }
+
+    const { chunks, tree, root } = buildChunkTree(loaded.content, record.chunking);
+    if (toHex(root) !== entry.chunkRoot) {
+      unavailable.push(entry.file);
+      continue;
+    }
+
+    chunks.forEach((chunk, index) => {
+      if (chunk.data.toString("utf8").includes(text)) {
+        matches.push({ entry, chunk, index, tree, source: loaded.source });
+      }
+    });
+  }
+
+  return { matches, unavailable };
+}
+
+function encodeContent(buf) {
+  const text = buf.toString("utf8");
+  return Buffer.from(text, "utf8").equals(buf)
+    ? { encoding: "utf8", data: text }
+    : { encoding: "base64", data: buf.toString("base64") };
+}
+
+function decodeContent(content) {
+  return Buffer.from(content.data, content.encoding === "base64" ? "base64" : "utf8");
+}
+
+/**
+ * Build a proof package.
+ *
+ * @param {object} params
+ * @param {object} params.record Local checkpoint record
+ * @param {object} params.entry The record's proofs[] entry for the file
+ * @param {object} params.checkpoint On-chain checkpoint { merkleRoot, timestamp, blockNumber, metadata }
+ * @param {string} params.agentId
+ * @param {number} params.checkpointIndex
+ * @param {number|bigint} params.chainId
+ * @param {string} params.contract Registry address
+ * @param {Buffer} [params.content] Full file content to reveal
+ * @param {object} [params.passage] A findPassages() match to prove instead of the whole file
+ */
+export function buildProofPackage({ record, entry, checkpoint, agentId, checkpointIndex, chainId, contract, content, passage }) {
+  const { metadata } = parseMetadata(checkpoint.metadata);
+
+  const leafVersion = record.leafVersion ?? LEGACY_LEAF_VERSION;
+  const pkg = {
+    format: PROOF_PACKAGE_FORMAT,
+    agentId,
+    checkpointIndex: Number(checkpointIndex),
+    root: checkpoint.merkleRoot,
+    blockNumber: Number(checkpoint.blockNumber),
+    timestamp: new Date(Number(checkpoint.timestamp) * 1000).toISOString(),
+    chainId: Number(chainId),
+    contract,
+    metadata: checkpoint.metadata,
+    authorship: metadata?.authorship ?? null,
+    leafVersion,
+    chunking: leafVersion === CHUNKED_LEAF_VERSION ? record.chunking : undefined,
+    file: {
+      path: entry.file,
+      size: entry.size,
+      hash: entry.hash,
+      chunkRoot: entry.chunkRoot,
+      leaf: entry.leaf ?? entry.hash,
+      proof: entry.proof,
+    },
+  };
+
+  if (passage) {
+    if (leafVersion !== CHUNKED_LEAF_VERSION) {
+      throw new Error(`Passage proofs need a v${CHUNKED_LEAF_VERSION} checkpoint (this one is v${leafVersion})`);
+    }
+    pkg.chunk = {
+      index: passage.index,
+      hash: toHex(keccak(passage.chunk.data)),
+      lines: chunkLines(passage.chunk),
+      proof: passage.tree.getProof(passage.index),
+      content: passage.chunk.data.toString("utf8"),
+    };
+  }
+
+  if (content) {
+    pkg.content = encodeContent(content);
+  }
+
+  return pkg;
+}
+
+// ============ Verification ============
+
+const isBytes32 = value => typeof value === "string" && ethers.isHexString(value, 32);
+const isObject = value => value !== null && typeof value === "object" && !Array.isArray(value);
+
+function validateHashList(value, name, problems) {
+  if (!Array.isArray(value)) {
+    problems.push(`${name} must be an array of 32-byte hex strings`);
+  } else if (!value.every(isBytes32)) {
+    problems.push(`${name} must only hold 32-byte hex strings`);
+  }
+}
+
+/**
+ * Check that a package has every field verification reads, with the right
+ * types - so a malformed package is reported instead of failing midway.
+ * @returns {string[]} Problems; empty if well-formed
+ */
+export function validateProofPackage(pkg) {
+  if (!isObject(pkg)) return ["package must be a JSON object"];
+  const problems = [];
+
+  if (typeof pkg.agentId !== "string" || pkg.agentId === "") problems.push("agentId must be a non-empty string");
+  if (!Number.isSafeInteger(pkg.checkpointIndex) || pkg.checkpointIndex < 0) problems.push("checkpointIndex must be a non-negative integer");
+  if (!isBytes32(pkg.root)) problems.push("root must be a 32-byte hex string");
+  if (!Number.isSafeInteger(pkg.chainId)) problems.push("chainId must be an integer");
+  if (!ethers.isAddress(pkg.contract)) problems.push("contract must be an address");
+  if (pkg.metadata !== undefined && typeof pkg.metadata !== "string") problems.push("metadata must be a string");
+
+  const leafVersion = pkg.leafVersion ?? LEGACY_LEAF_VERSION;
+  if (![LEGACY_LEAF_VERSION, PATH_LEAF_VERSION, CHUNKED_LEAF_VERSION].includes(leafVersion)) {
+    problems.push(`leafVersion must be ${LEGACY_LEAF_VERSION}-${CHUNKED_LEAF_VERSION}`);
+  }
+  if (pkg.chunk !== undefined && leafVersion !== CHUNKED_LEAF_VERSION) {
+    problems.push(`chunk proofs need v${CHUNKED_LEAF_VERSION} leaves`);
+  }
+
+  const { file, chunk } = pkg;
+  if (!isObject(file)) {
+    problems.push("file must be an object");
+  } else {
+    if (leafVersion !== LEGACY_LEAF_VERSION && (typeof file.path !== "string" || file.path === "")) {
+      problems.push("file.path must be a non-empty string");
+    }
+    if (!Number.isSafeInteger(file.size) || file.size < 0) problems.push("file.size must be a non-negative integer");
+    if (!isBytes32(file.hash)) problems.push("file.hash must be a 32-byte hex string");
+    if (leafVersion === CHUNKED_LEAF_VERSION && !chunk && !isBytes32(file.chunkRoot)) {
+      problems.push(`file.chunkRoot must be a 32-byte hex string for v${CHUNKED_LEAF_VERSION} leaves`);
+    }
+    if (file.chunkRoot !== undefined && !isBytes32(file.chunkRoot)) problems.push("file.chunkRoot must be a 32-byte hex string");
+    if (file.leaf !== undefined && !isBytes32(file.leaf)) problems.push("file.leaf must be a 32-byte hex string");
+    validateHashList(file.proof, "file.proof", problems);
+  }
+
+  if (chunk !== undefined) {
+    if (!isObject(chunk)) {
+      problems.push("chunk must be an object");
+    } else {
+      if (!Number.isInteger(chunk.index) || chunk.index < 0 || chunk.index > 0xffffffff) problems.push("chunk.index must be a uint32");
+      if (!isBytes32(chunk.hash)) problems.push("chunk.hash must be a 32-byte hex string");
+      validateHashList(chunk.proof, "chunk.proof", problems);
+      if (chunk.content !== undefined && typeof chunk.content !== "string") problems.push("chunk.content must be a string");
+    }
+  }
+  if (pkg.chunking != null && !CHUNK_MODES.includes(pkg.chunking)) {
+    problems.push(`chunking must be one of ${CHUNK_MODES.join(", ")}`);
+  }
+
+  if (pkg.content !== undefined) {
+    if (!isObject(pkg.content) || typeof pkg.content.data !== "string" || !["utf8", "base64"].includes(pkg.content.encoding)) {
+      problems.push('content must be { encoding: "utf8"|"base64", data: string }');
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Verify a proof package.
+ *
+ * @param {object} pkg The package
+ * @param {object} [anchor]
+ * @param {string} [anchor.root] A root the verifier already trusts (offline mode)
+ * @param {object} [anchor.onChain] { merkleRoot, metadata, blockNumber, owner, chainId } read from the registry
+ * @param {string} [anchor.owner] Expected signer when checking authorship offline
+ * @returns {{valid: boolean, anchored: "chain"|"root"|null, computedRoot: string|null, checks: object[], authorship: object, metadataProblems: string[]}}
+ *   metadataProblems - where the checkpoint metadata strays from the schema (lib/metadata.js); doesn't affect `valid`
+ */
+export function verifyProofPackage(pkg, { root = null, onChain = null, owner = null } = {}) {
+  const checks = [];
+  const check = (name, ok, detail = "") => {
+    checks.push({ name, ok, detail });
+    return ok;
+  };
+
+  if (!check("format", pkg?.format === PROOF_PACKAGE_FORMAT, `expected ${PROOF_PACKAGE_FORMAT}, got ${pkg?.format}`)) {
+    return { valid: false, anchored: null, computedRoot: null, checks, authorship: null, metadataProblems: [] };
+  }
+  const problems = validateProofPackage(pkg);
+  if (!check("package shape", problems.length === 0, problems.join("; "))) {
+    return { valid: false, anchored: null, computedRoot: null, checks, authorship: null, metadataProblems: [] };
+  }
+
+  const { file, chunk } = pkg;
+  const leafVersion = pkg.leafVersion ?? LEGACY_LEAF_VERSION;
+
+  // Revealed content must match what the leaf commits to
+  if (pkg.content) {
+    const content = decodeContent(pkg.content);
+    check("content hash", toHex(keccak(content)) === file.hash, "revealed content does not hash to file.hash");
+    check("content size", content.length === file.size, `revealed ${content.length} bytes, file.size is ${file.size}`);
+    if (leafVersion === CHUNKED_LEAF_VERSION) {
+      const { root: chunkRoot } = buildChunkTree(content, pkg.chunking);
+      check("content chunk root", toHex(chunkRoot) === file.chunkRoot, "revealed content does not rebuild file.chunkRoot");
+    }
+  }
+
+  // Leaf
+  let leaf;
+  if (leafVersion === LEGACY_LEAF_VERSION) {
+    leaf = file.hash;
+  } else if (leafVersion === PATH_LEAF_VERSION) {
+    leaf = toHex(hashFileLeaf(file.path, file.size, file.hash));
+  } else {
+    let commitment = file.chunkRoot;
+    if (chunk) {
+      if (chunk.content !== undefined) {
+        check("chunk hash", toHex(keccak(Buffer.from(chunk.content, "utf8"))) === chunk.hash, "revealed passage does not hash to chunk.hash");
+      }
+      commitment = toHex(processProof(hashChunkLeaf(chunk.index, chunk.hash), chunk.proof, CHUNKED_LEAF_VERSION));
+      if (file.chunkRoot) {
+        check("chunk proof", commitment === file.chunkRoot, "chunk proof does not reach file.chunkRoot");
+      }
+    }
+    leaf = toHex(hashFileLeaf(file.path, file.size, commitment));
+  }
+
+  if (file.leaf) {
+    check("leaf", leaf === file.leaf, `computed ${leaf}, package says ${file.leaf}`);
+  }
+
+  // Proof up to the checkpoint root
+  const computedRoot = toHex(processProof(leaf, file.proof, leafVersion));
+  check("merkle proof", computedRoot === pkg.root.toLowerCase(), `proof reaches ${computedRoot}, package root is ${pkg.root}`);
+
+  // Anchor the root
+  let anchored = null;
+  if (onChain) {
+    anchored = "chain";
+    check("on-chain root", onChain.merkleRoot.toLowerCase() === computedRoot, `checkpoint #${pkg.checkpointIndex} on-chain root is ${onChain.merkleRoot}`);
+    check("on-chain metadata", onChain.metadata === pkg.metadata, "package metadata differs from on-chain metadata");
+    if (onChain.chainId !== undefined) {
+      check("chain id", Number(onChain.chainId) === pkg.chainId, `connected to chain ${onChain.chainId}, package is for ${pkg.chainId}`);
+    }
+  } else if (root) {
+    anchored = "root";
+    check("trusted root", root.toLowerCase() === computedRoot, `supplied root is ${root}`);
+  }
+
+  const { metadata, problems: metadataProblems } = parseMetadata(pkg.metadata);
+  const authorship = checkAuthorship(metadata ?? { authorship: pkg.authorship }, {
+    agentId: pkg.agentId,
+    root: pkg.root,
+    owner: onChain?.owner ?? owner,
+    chainId: pkg.chainId,
+    contract: pkg.contract,
+  });
+
+  return {
+    valid: checks.every(c => c.ok),
+    anchored,
+    computedRoot,
+    checks,
+    authorship,
+    metadataProblems,
+  };
+}
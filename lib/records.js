@@ -0,0 +1,82 @@
+/**
+ * Local Checkpoint Records
+ *
+ * checkpoint.js saves a checkpoint-<ts>.json record (files, proofs, bundle
+ * info) for every checkpoint it publishes. These helpers find them again.
+ */
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { LEGACY_LEAF_VERSION, CHUNKED_LEAF_VERSION, toHex } from "./merkle.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const CHECKPOINTS_DIR = path.join(__dirname, "..", "checkpoints");
+
+/**
+ * All local records, oldest first.
+ * @returns {{file: string, record: object}[]}
+ */
+export function listCheckpointRecords(dir = CHECKPOINTS_DIR) {
+  if (!fs.existsSync(dir)) return [];
+
+  return fs.readdirSync(dir)
+    .filter(f => /^checkpoint-\d+\.json$/.test(f))
+    .sort((a, b) => Number(a.match(/\d+/)[0]) - Number(b.match(/\d+/)[0]))
+    .map(f => {
+      const file = path.join(dir, f);
+      return { file, record: JSON.parse(fs.readFileSync(file, "utf8")) };
+    });
+}
+
+/**
+ * Find the local record for an on-chain root.
+ */
+export function findRecordByRoot(root, dir = CHECKPOINTS_DIR) {
+  const match = listCheckpointRecords(dir).find(r => r.record.root?.toLowerCase() === root.toLowerCase());
+  return match ? match.record : null;
+}
+
+/**
+ * Record `files` entries (hashes as hex) for buildCheckpointTree() entries.
+ * `files` must be in leaf order and carry path/modified.
+ */
+export function serializeFiles(files) {
+  return files.map(f => ({
+    path: f.path,
+    relativePath: f.relativePath,
+    hash: toHex(f.hash),
+    ...(f.chunkRoot ? { chunkRoot: toHex(f.chunkRoot), chunks: f.chunks } : {}),
+    leaf: toHex(f.leaf),
+    size: f.size,
+    modified: f.modified,
+  }));
+}
+
+/**
+ * Record `proofs` entries in the format verify.js expects for each leaf version.
+ */
+export function serializeProofs(files, tree, leafVersion) {
+  return files.map((f, i) => {
+    if (leafVersion === LEGACY_LEAF_VERSION) {
+      return { file: f.relativePath, hash: toHex(f.hash), proof: tree.getProof(i) };
+    }
+    return {
+      file: f.relativePath,
+      size: f.size,
+      hash: toHex(f.hash),
+      ...(leafVersion === CHUNKED_LEAF_VERSION ? { chunkRoot: toHex(f.chunkRoot), chunks: f.chunks } : {}),
+      leaf: toHex(f.leaf),
+      proof: tree.getProof(i),
+    };
+  });
+}
+
+/**
+ * Path for a record; shares the bundle's timestamp so the two pair up.
+ */
+export function recordPath(timestamp, dir = CHECKPOINTS_DIR) {
+  return path.join(dir, `checkpoint-${timestamp}.json`);
+}
@@ -0,0 +1,487 @@
+/**
+ * Registry Client
+ *
+ * The AgentMemoryRegistry contract as a JS API: register an agent, publish a
+ * checkpoint, read an agent's history and verify proofs against it. Methods
+ * return plain data and throw on failure - nothing is printed, so services
+ * can embed verification without shelling out to the scripts.
+ *
+ *   import { Registry } from "moltiverse-hackathon";
+ *
+ *   const registry = Registry.connect({ network: "testnet" });
+ *   const { valid, flagged, authorship } = await registry.verify("b0tresch", 12, proofEntry);
+ *
+ * Pass `wallet: true` (the configured wallet, lib/signers.js), `privateKey`
+ * or an ethers `signer` to publish.
+ */
+
+import { ethers } from "ethers";
+import { DEFAULT_NETWORK, checkChainId, getNetwork, loadDeployment, loadArtifact } from "./config.js";
+import { walletSigner } from "./signers.js";
+import { LEGACY_LEAF_VERSION, CHUNKED_LEAF_VERSION, hashFileLeaf, verifyProof, verifyChunkProof } from "./merkle.js";
+import { checkpointMetadata } from "./checkpoint.js";
+import { DEFAULT_PAGE_SIZE, checkpointEntry, fetchCheckpoints } from "./history.js";
+import { signCheckpoint, checkAuthorship } from "./authorship.js";
+import { resolveAgent, fetchDelegates, fetchDelegations, delegatesAt } from "./delegates.js";
+import { fetchFlags, flagsFor } from "./flags.js";
+import { validateProofPackage, verifyProofPackage } from "./proof-package.js";
+
+/**
+ * True if a read failed because the deployment doesn't have the method: an
+ * unknown selector reverts with no data, or returns nothing to decode.
+ * Timeouts, reverts with a reason and bad arguments are real failures.
+ */
+function isMissingMethod(err) {
+  if (err.code === "BAD_DATA") return true;
+  return err.code === "CALL_EXCEPTION" && !err.revert && (!err.data || err.data === "0x");
+}
+
+// What the registry's custom errors mean, for error messages
+export const REGISTRY_ERRORS = {
+  AgentAlreadyRegistered: "that agent ID is already taken",
+  AgentNotRegistered: "that agent isn't registered",
+  NotAgentOwner: "the wallet doesn't own this agent",
+  AddressAlreadyHasAgent: "the wallet already owns an agent",
+  EmptyAgentId: "the agent ID is empty",
+  AgentInactive: "the agent is deactivated",
+  NotAuthorizedPublisher: "the wallet isn't the agent's owner or an active delegate",
+  InvalidDelegate: "not a valid delegate address",
+  DelegateForAnotherAgent: "that address is already a delegate of another agent",
+  InvalidExpiry: "the expiry is in the past",
+  TooManyDelegates: "the agent has the maximum number of delegates; revoke one first",
+  SignatureExpired: "the signed request has expired",
+  InvalidSignature: "the signature doesn't match the request",
+  InvalidCheckpointRange: "no such checkpoint range",
+  InvalidFlagReason: "a flag reason is required",
+};
+
+export class Registry {
+  /**
+   * @param {ethers.Contract} contract Registry contract, connected to a signer or provider
+   * @param {object} [options]
+   * @param {ethers.Provider} [options.provider]
+   * @param {ethers.Signer} [options.signer]
+   * @param {object} [options.deployment] loadDeployment() output
+   * @param {object} [options.network] getNetwork() output; its chainId is checked before sending
+   */
+  constructor(contract, { provider = contract.runner?.provider ?? contract.runner, signer = null, deployment = null, network = null } = {}) {
+    this.contract = contract;
+    this.provider = provider;
+    this.signer = signer;
+    this.deployment = deployment;
+    this.network = network;
+    this._chainId = null;
+  }
+
+  /**
+   * Connect to a deployed registry. Call checkChain() before relying on it -
+   * every method that sends or signs does.
+   *
+   * @param {object} [options]
+   * @param {string} [options.network] Network name (lib/config.js), default testnet unless rpc is given
+   * @param {string} [options.rpc] RPC URL, overriding the network's
+   * @param {string} [options.address] Registry address; default the network's deployment (deployments.json)
+   * @param {ethers.Signer} [options.signer] Signer to publish with
+   * @param {string} [options.privateKey] ...or a private key
+   * @param {boolean} [options.wallet] ...or the configured wallet (lib/signers.js; throws if there is none)
+   */
+  static connect({ network = null, rpc = null, address = null, signer = null, privateKey = null, wallet = false } = {}) {
+    const networkConfig = rpc
+      ? { ...(network ? getNetwork(network) : { name: null, chainId: null }), rpc }
+      : getNetwork(network ?? DEFAULT_NETWORK);
+    if (!address && networkConfig.chainId === null) {
+      throw new Error("A custom rpc needs a network or a registry address");
+    }
+    const provider = signer?.provider ?? new ethers.JsonRpcProvider(networkConfig.rpc);
+
+    if (!signer && privateKey) signer = new ethers.Wallet(privateKey, provider);
+    if (!signer && wallet) signer = walletSigner(provider);
+
+    const deployment = address
+      ? { contract: "AgentMemoryRegistry", chainId: networkConfig.chainId, network: networkConfig.name, address }
+      : loadDeployment("AgentMemoryRegistry", networkConfig);
+    const contract = new ethers.Contract(deployment.address, loadArtifact("AgentMemoryRegistry").abi, signer ?? provider);
+
+    return new Registry(contract, { provider, signer, deployment, network: networkConfig });
+  }
+
+  get address() {
+    return this.contract.target;
+  }
+
+  /**
+   * The provider's chain ID, checked against the network's. Throws on a
+   * mismatch, so nothing is published to the wrong chain.
+   */
+  async checkChain() {
+    if (this._chainId === null) {
+      this._chainId = await checkChainId(this.provider, this.network);
+    }
+    return this._chainId;
+  }
+
+  // Same as checkChain(), where only the chain ID is wanted
+  async chainId() {
+    return this.checkChain();
+  }
+
+  requireSigner() {
+    if (!this.signer) {
+      throw new Error("No signer - connect with a wallet, privateKey or signer to send transactions");
+    }
+    return this.signer;
+  }
+
+  /**
+   * Name of the registry custom error behind a failed call, or null.
+   */
+  revertName(err) {
+    if (err.revert?.name) return err.revert.name;
+    if (!err.data) return null;
+    try {
+      return this.contract.interface.parseError(err.data)?.name ?? null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Send a contract call and wait for it, with reverts in words.
+   */
+  async send(method, ...args) {
+    const signer = this.requireSigner();
+    await this.checkChain();
+    let tx;
+    try {
+      tx = await this.contract.connect(signer)[method](...args);
+    } catch (err) {
+      const reason = REGISTRY_ERRORS[this.revertName(err)];
+      if (reason) throw new Error(`${method} rejected: ${reason}`, { cause: err });
+      throw err;
+    }
+    const receipt = await tx.wait();
+    if (receipt.status !== 1) {
+      throw new Error(`Transaction ${receipt.hash} reverted`);
+    }
+    return receipt;
+  }
+
+  // ============ Agents ============
+
+  /**
+   * Register an agent ID, owned by the signer.
+   * @returns {Promise<{agentId: string, owner: string, txHash: string, blockNumber: number}>}
+   */
+  async register(agentId) {
+    const receipt = await this.send("registerAgent", agentId);
+    return { agentId, owner: this.signer.address, txHash: receipt.hash, blockNumber: receipt.blockNumber };
+  }
+
+  /**
+   * @returns {Promise<{agentId: string, owner: string, registeredAt: number, active: boolean}|null>}
+   *   registeredAt in milliseconds; null if the agent isn't registered
+   */
+  async getAgent(agentId) {
+    const info = await this.contract.agents(agentId);
+    if (info.owner === ethers.ZeroAddress) return null;
+    return { agentId, owner: info.owner, registeredAt: Number(info.registeredAt) * 1000, active: info.active };
+  }
+
+  /**
+   * The agent an address publishes for - as its owner or as a delegate.
+   * @returns {Promise<{agentId: string, isDelegate: boolean}>} agentId is "" if none
+   */
+  async resolveAgent(address = this.requireSigner().address) {
+    return resolveAgent(this.contract, address);
+  }
+
+  // ============ Publishing ============
+
+  /**
+   * Sign a checkpoint's root (lib/authorship.js) and build its metadata
+   * string, validated against the schema.
+   * @returns {Promise<{authorship: object, metadata: string}>}
+   */
+  async authorCheckpoint(checkpoint, { agentId, manifest, heartbeat = false }) {
+    const signer = this.requireSigner();
+    const authorship = await signCheckpoint(signer, {
+      agentId,
+      root: checkpoint.root,
+      chainId: await this.chainId(),
+      contract: this.address,
+    });
+    const metadata = checkpointMetadata(checkpoint, manifest, { signer: signer.address, authorship, heartbeat });
+    return { authorship, metadata };
+  }
+
+  /**
+   * Checkpoint index the contract assigned, from a publish receipt's
+   * CheckpointPublished event. Null if there is none.
+   */
+  checkpointIndexFromReceipt(receipt) {
+    for (const log of receipt.logs) {
+      let event;
+      try {
+        event = this.contract.interface.parseLog(log);
+      } catch {
+        continue;
+      }
+      if (event?.name === "CheckpointPublished") return Number(event.args.checkpointIndex);
+    }
+    return null;
+  }
+
+  /**
+   * Publish a checkpoint from buildCheckpoint() for the signer's agent.
+   * No replacement of stuck transactions, records or bundles - that's
+   * scripts/checkpoint.js.
+   *
+   * @param {object} checkpoint buildCheckpoint() output
+   * @param {object} options
+   * @param {object} options.manifest Workspace manifest the checkpoint was built from
+   * @param {boolean} [options.heartbeat] Re-anchoring an unchanged root
+   * @returns {Promise<{agentId: string, isDelegate: boolean, checkpointIndex: number, root: string, metadata: string, authorship: object, txHash: string, blockNumber: number}>}
+   */
+  async publish(checkpoint, { manifest, heartbeat = false }) {
+    const { agentId, isDelegate } = await this.resolveAgent();
+    if (!agentId) {
+      throw new Error(`Wallet ${this.signer.address} has no registered agent and is not an active delegate`);
+    }
+
+    const { authorship, metadata } = await this.authorCheckpoint(checkpoint, { agentId, manifest, heartbeat });
+    const receipt = await this.send("publishCheckpointSimple", checkpoint.root, metadata);
+
+    return {
+      agentId,
+      isDelegate,
+      checkpointIndex: this.checkpointIndexFromReceipt(receipt),
+      root: checkpoint.root,
+      metadata,
+      authorship,
+      txHash: receipt.hash,
+      blockNumber: receipt.blockNumber,
+    };
+  }
+
+  // ============ Reading ============
+
+  /**
+   * One checkpoint as a checkpointEntry() (lib/history.js), with the flags
+   * covering it, most recent first.
+   * @param {string} agentId
+   * @param {number|"latest"} [index]
+   */
+  async getCheckpoint(agentId, index = "latest") {
+    const count = Number(await this.contract.getCheckpointCount(agentId));
+    if (index === "latest") index = count - 1;
+    if (count === 0 || index < 0 || index >= count) {
+      throw new Error(`"${agentId}" has ${count} checkpoint(s); no checkpoint #${index}`);
+    }
+
+    const c = await this.contract.getCheckpoint(agentId, index);
+    const entry = checkpointEntry({
+      index,
+      root: c.merkleRoot,
+      timestamp: Number(c.timestamp) * 1000,
+      blockNumber: Number(c.blockNumber),
+      metadata: c.metadata,
+    });
+    return { ...entry, flags: flagsFor(await this.getFlags(agentId), index), count };
+  }
+
+  /**
+   * One page of an agent's checkpoints, oldest first.
+   * @returns {Promise<{total: number, offset: number, limit: number, checkpoints: object[]}>}
+   *   checkpoints as checkpointEntry()s
+   */
+  async getCheckpoints(agentId, { offset = 0, limit = DEFAULT_PAGE_SIZE } = {}) {
+    const [total, page] = await Promise.all([
+      this.contract.getCheckpointCount(agentId),
+      this.contract.getCheckpointRange(agentId, offset, limit),
+    ]);
+    const checkpoints = page.map((c, i) => checkpointEntry({
+      index: offset + i,
+      root: c.merkleRoot,
+      timestamp: Number(c.timestamp) * 1000,
+      blockNumber: Number(c.blockNumber),
+      metadata: c.metadata,
+    }));
+    return { total: Number(total), offset, limit, checkpoints };
+  }
+
+  /**
+   * Every checkpoint range the agent's owner has flagged (lib/flags.js), oldest first.
+   */
+  async getFlags(agentId) {
+    return fetchFlags(this.contract, agentId);
+  }
+
+  /**
+   * An agent's full on-chain history.
+   * @returns {Promise<{agent: object, checkpoints: object[], flags: object[], delegates: object[], delegations: object[]}|null>}
+   *   checkpoints as checkpointEntry()s (flagsFor() picks out a checkpoint's
+   *   flags); delegates with their current status, delegations over time
+   *   (lib/delegates.js); null if the agent isn't registered
+   */
+  async getHistory(agentId, { pageSize } = {}) {
+    const agent = await this.getAgent(agentId);
+    if (!agent) return null;
+
+    const [checkpoints, flags, delegates, delegations] = await Promise.all([
+      fetchCheckpoints(this.contract, agentId, { pageSize }),
+      fetchFlags(this.contract, agentId),
+      fetchDelegates(this.contract, agentId),
+      fetchDelegations(this.contract, agentId),
+    ]);
+    return { agent, checkpoints, flags, delegates, delegations };
+  }
+
+  /**
+   * Who signed a checkpoint's root (lib/authorship.js), against the agent's
+   * current owner and the delegates authorized when it was published - a
+   * delegate revoked or expired by then signs as foreign.
+   * @param {object} checkpoint getCheckpoint() output
+   */
+  async checkAuthorship(agentId, checkpoint) {
+    const [agent, delegates, delegations] = await Promise.all([
+      this.getAgent(agentId),
+      fetchDelegates(this.contract, agentId),
+      fetchDelegations(this.contract, agentId),
+    ]);
+    const result = checkAuthorship(checkpoint.parsed, {
+      agentId,
+      root: checkpoint.root,
+      owner: agent?.owner,
+      chainId: await this.chainId(),
+      contract: this.address,
+      delegates: delegatesAt(checkpoint, delegations),
+    });
+    return { ...result, owner: agent?.owner ?? null, delegates };
+  }
+
+  // ============ Verification ============
+
+  /**
+   * Check a file's proof (a record's `proofs` entry: file, size, hash,
+   * chunkRoot, proof) against a checkpoint - with the contract's verifier,
+   * or locally against the on-chain root when the deployment predates it.
+   *
+   * @returns {Promise<{valid: boolean, method: "contract"|"local"}>}
+   */
+  async verifyFileProof(agentId, index, proof, { leafVersion = LEGACY_LEAF_VERSION, root = null } = {}) {
+    if (leafVersion === LEGACY_LEAF_VERSION) {
+      return { valid: await this.contract.verifyProof(agentId, index, proof.hash, proof.proof), method: "contract" };
+    }
+
+    // v3 leaves commit to the chunk root instead of the whole-file hash
+    const contentCommitment = leafVersion === CHUNKED_LEAF_VERSION ? proof.chunkRoot : proof.hash;
+    try {
+      const valid = await this.contract.verifyFileProof(agentId, index, proof.file, proof.size, contentCommitment, proof.proof);
+      return { valid, method: "contract" };
+    } catch (err) {
+      if (!isMissingMethod(err)) throw err;
+      // Deployments from before v2 leaves have no verifyFileProof, but the root is still on-chain
+      root ??= (await this.contract.getCheckpoint(agentId, index)).merkleRoot;
+      const leaf = hashFileLeaf(proof.file, proof.size, contentCommitment);
+      return { valid: verifyProof(leaf, proof.proof, root, leafVersion), method: "local" };
+    }
+  }
+
+  /**
+   * Check a two-level passage proof (file, size, chunkIndex, chunkHash,
+   * chunkProof, fileProof) against a checkpoint.
+   *
+   * @returns {Promise<{valid: boolean, method: "contract"|"local"}>}
+   */
+  async verifyPassageProof(agentId, index, proof, { root = null } = {}) {
+    try {
+      const valid = await this.contract.verifyChunkProof(
+        agentId,
+        index,
+        proof.file,
+        proof.size,
+        { index: proof.chunkIndex, hash: proof.chunkHash, proof: proof.chunkProof },
+        proof.fileProof
+      );
+      return { valid, method: "contract" };
+    } catch (err) {
+      if (!isMissingMethod(err)) throw err;
+      root ??= (await this.contract.getCheckpoint(agentId, index)).merkleRoot;
+      return { valid: verifyChunkProof(proof, root), method: "local" };
+    }
+  }
+
+  /**
+   * Everything a verifier needs about a proof in one call: whether it
+   * holds, the checkpoint it's against, who signed that checkpoint and
+   * whether its owner has flagged it. Passage proofs (with chunkProof) and
+   * file proofs are both accepted.
+   *
+   * @param {string} agentId
+   * @param {number|"latest"} index
+   * @param {object} proof
+   * @param {object} [options]
+   * @param {number} [options.leafVersion] For file proofs; default the proof's, else the checkpoint metadata's
+   * @returns {Promise<{valid: boolean, method: string, checkpoint: object, authorship: object, flags: object[], flagged: boolean}>}
+   */
+  async verify(agentId, index, proof, { leafVersion = null } = {}) {
+    const checkpoint = await this.getCheckpoint(agentId, index);
+    const options = { root: checkpoint.root };
+
+    const { valid, method } = proof.chunkProof
+      ? await this.verifyPassageProof(agentId, checkpoint.index, proof, options)
+      : await this.verifyFileProof(agentId, checkpoint.index, proof, {
+        ...options,
+        leafVersion: leafVersion ?? proof.leafVersion ?? checkpoint.parsed?.leafVersion ?? LEGACY_LEAF_VERSION,
+      });
+
+    return {
+      valid,
+      method,
+      checkpoint,
+      authorship: await this.checkAuthorship(agentId, checkpoint),
+      flags: checkpoint.flags,
+      flagged: checkpoint.flags.length > 0,
+    };
+  }
+
+  /**
+   * Verify a proof package (lib/proof-package.js) against this registry. The
+   * package names its own contract, but that address is only checked, never
+   * trusted: a package for any other contract is rejected, as is a
+   * malformed one or one for a checkpoint the agent doesn't have.
+   *
+   * @returns {Promise<object>} verifyProofPackage() output, plus onChain
+   *   (what was read from the registry) and the flags covering the checkpoint
+   */
+  async verifyPackage(pkg) {
+    const problems = validateProofPackage(pkg);
+    if (problems.length > 0) {
+      throw new Error(`Malformed proof package: ${problems.join("; ")}`);
+    }
+    if (!ethers.isAddress(pkg.contract) || ethers.getAddress(pkg.contract) !== ethers.getAddress(this.address)) {
+      throw new Error(`Package is for contract ${pkg.contract}, not the registry ${this.address}`);
+    }
+    const contract = this.contract;
+    const count = Number(await contract.getCheckpointCount(pkg.agentId));
+    if (pkg.checkpointIndex >= count) {
+      throw new Error(`"${pkg.agentId}" has ${count} checkpoint(s); no checkpoint #${pkg.checkpointIndex}`);
+    }
+
+    const [checkpoint, agentInfo, flags] = await Promise.all([
+      contract.getCheckpoint(pkg.agentId, pkg.checkpointIndex),
+      contract.agents(pkg.agentId),
+      fetchFlags(contract, pkg.agentId),
+    ]);
+    const onChain = {
+      merkleRoot: checkpoint.merkleRoot,
+      metadata: checkpoint.metadata,
+      blockNumber: Number(checkpoint.blockNumber),
+      owner: agentInfo.owner,
+      chainId: await this.chainId(),
+      flags,
+    };
+
+    return { ...verifyProofPackage(pkg, { onChain }), onChain, flags: flagsFor(flags, pkg.checkpointIndex) };
+  }
+}
@@ -0,0 +1,267 @@
+/**
+ * Relayed Checkpoints
+ *
+ * Lets an agent without gas publish a checkpoint: its owner (or a delegate)
+ * signs EIP-712 typed data over (agentId, root, metadata hash, nonce,
+ * deadline) and any relayer submits it with publishCheckpointWithSig. The
+ * registry checks the signature, the deadline and the signer's nonce, which it
+ * increments, so each signed request publishes at most once.
+ *
+ * Signed requests travel as JSON files in a queue directory
+ * (checkpoints/relay-queue/ by default) that scripts/relayer.js drains:
+ *
+ *   <queue>/<agentId>-<nonce>.json   waiting
+ *   <queue>/done/...                 published (with txHash, checkpointIndex)
+ *   <queue>/failed/...               expired, superseded or rejected (with error)
+ *
+ * Settling a request also settles the agent's local checkpoint record, when
+ * the relayer runs where the record is. A signer's nonces only advance one at
+ * a time, so once a request fails, that signer's later queued requests can't
+ * go through either - they fail with it and have to be signed again.
+ */
+
+import fs from "fs";
+import path from "path";
+import { ethers } from "ethers";
+import { CHECKPOINTS_DIR, listCheckpointRecords } from "./records.js";
+
+export const RELAY_QUEUE_DIR = path.join(CHECKPOINTS_DIR, "relay-queue");
+export const RELAY_REQUEST_FORMAT = "amr-relay-1";
+
+export const CHECKPOINT_TYPES = {
+  Checkpoint: [
+    { name: "agentId", type: "string" },
+    { name: "merkleRoot", type: "bytes32" },
+    { name: "metadataHash", type: "bytes32" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" },
+  ],
+};
+
+export function relayDomain(chainId, contract) {
+  return {
+    name: "AgentMemoryRegistry",
+    version: "1",
+    chainId: Number(chainId),
+    verifyingContract: ethers.getAddress(contract),
+  };
+}
+
+function typedValue({ agentId, root, metadata, nonce, deadline }) {
+  return {
+    agentId,
+    merkleRoot: root,
+    metadataHash: ethers.id(metadata),
+    nonce,
+    deadline,
+  };
+}
+
+/**
+ * Sign a checkpoint for relaying.
+ *
+ * @param {ethers.Signer} signer Agent owner or delegate
+ * @param {object} fields { agentId, root, metadata, nonce, deadline (Unix seconds), chainId, contract }
+ * @returns {Promise<object>} Relay request, ready to queue
+ */
+export async function signRelayRequest(signer, { agentId, root, metadata, nonce, deadline, chainId, contract }) {
+  const address = await signer.getAddress();
+  const signature = await signer.signTypedData(
+    relayDomain(chainId, contract),
+    CHECKPOINT_TYPES,
+    typedValue({ agentId, root, metadata, nonce, deadline })
+  );
+
+  return {
+    format: RELAY_REQUEST_FORMAT,
+    agentId,
+    root,
+    metadata,
+    signer: address,
+    nonce: Number(nonce),
+    deadline: Number(deadline),
+    chainId: Number(chainId),
+    contract: ethers.getAddress(contract),
+    signature,
+    signedAt: new Date().toISOString(),
+  };
+}
+
+/**
+ * Off-chain checks of a relay request: shape, signature, deadline.
+ * @returns {string[]} Problems (empty if the request looks relayable)
+ */
+export function checkRelayRequest(request, { chainId, contract, now = Date.now() } = {}) {
+  if (request.format !== RELAY_REQUEST_FORMAT) {
+    return [`Unknown relay request format "${request.format}"`];
+  }
+
+  const problems = [];
+  if (chainId !== undefined && request.chainId !== Number(chainId)) {
+    problems.push(`Signed for chain ${request.chainId}, relayer is on chain ${chainId}`);
+  }
+  if (contract && ethers.getAddress(request.contract) !== ethers.getAddress(contract)) {
+    problems.push(`Signed for contract ${request.contract}, relayer uses ${contract}`);
+  }
+  if (request.deadline * 1000 <= now) {
+    problems.push(`Deadline ${new Date(request.deadline * 1000).toISOString()} has passed`);
+  }
+
+  try {
+    const recovered = ethers.verifyTypedData(
+      relayDomain(request.chainId, request.contract),
+      CHECKPOINT_TYPES,
+      typedValue(request),
+      request.signature
+    );
+    if (recovered !== ethers.getAddress(request.signer)) {
+      problems.push(`Signature recovers to ${recovered}, not the declared signer ${request.signer}`);
+    }
+  } catch (err) {
+    problems.push(`Malformed signature: ${err.shortMessage ?? err.message}`);
+  }
+
+  return problems;
+}
+
+// ============ Queue ============
+
+export function relayRequestPath(request, dir = RELAY_QUEUE_DIR) {
+  const safeId = request.agentId.replace(/[^A-Za-z0-9._-]/g, "_");
+  return path.join(dir, `${safeId}-${request.signer.slice(2, 10).toLowerCase()}-${request.nonce}.json`);
+}
+
+export function queueRelayRequest(request, dir = RELAY_QUEUE_DIR) {
+  fs.mkdirSync(dir, { recursive: true });
+  const file = relayRequestPath(request, dir);
+  fs.writeFileSync(`${file}.tmp`, JSON.stringify(request, null, 2));
+  fs.renameSync(`${file}.tmp`, file);
+  return file;
+}
+
+/**
+ * Requests waiting in the queue, ordered by signer then nonce. Unreadable
+ * files are returned with an `error` instead of a request.
+ * @returns {{file: string, request: object|null, error?: string}[]}
+ */
+export function listRelayQueue(dir = RELAY_QUEUE_DIR) {
+  if (!fs.existsSync(dir)) return [];
+
+  return fs.readdirSync(dir)
+    .filter(f => f.endsWith(".json"))
+    .map(f => {
+      const file = path.join(dir, f);
+      try {
+        return { file, request: JSON.parse(fs.readFileSync(file, "utf8")) };
+      } catch (err) {
+        return { file, request: null, error: err.message };
+      }
+    })
+    .sort((a, b) =>
+      (a.request?.signer ?? "").localeCompare(b.request?.signer ?? "") ||
+      (a.request?.nonce ?? 0) - (b.request?.nonce ?? 0));
+}
+
+/**
+ * Fill in the local record checkpoint.js --relay wrote for a request: txHash,
+ * blockNumber and checkpointIndex once it's published, or relay.status
+ * "failed" with the error. The relayer may run on another host, so there may
+ * be no record to update.
+ * @returns {string|null} The record file, if there was one
+ */
+export function settleRelayedRecord(request, outcome, result, dir = CHECKPOINTS_DIR) {
+  const match = listCheckpointRecords(dir).find(({ record }) =>
+    record.relay?.nonce === request.nonce &&
+    record.agentId === request.agentId &&
+    record.root?.toLowerCase() === request.root?.toLowerCase());
+  if (!match) return null;
+
+  const { file, record } = match;
+  const settledAt = new Date().toISOString();
+  if (outcome === "done") {
+    record.txHash = result.txHash;
+    record.blockNumber = result.blockNumber;
+    record.checkpointIndex = result.checkpointIndex;
+    record.relay = { ...record.relay, status: "published", relayer: result.relayer, settledAt };
+  } else {
+    record.relay = { ...record.relay, status: "failed", error: result.error, ...(result.txHash ? { txHash: result.txHash } : {}), settledAt };
+  }
+  fs.writeFileSync(file, JSON.stringify(record, null, 2));
+  return file;
+}
+
+/**
+ * Move a queued request to done/ or failed/, merging in the outcome, and
+ * settle its local checkpoint record (settleRelayedRecord()).
+ * @returns {{file: string, record: string|null}} Where the request went, and the record updated
+ */
+export function settleRelayRequest(entry, outcome, result) {
+  const dir = path.join(path.dirname(entry.file), outcome);
+  fs.mkdirSync(dir, { recursive: true });
+  const target = path.join(dir, path.basename(entry.file));
+  fs.writeFileSync(target, JSON.stringify({ ...entry.request, ...result, settledAt: new Date().toISOString() }, null, 2));
+  fs.unlinkSync(entry.file);
+  return { file: target, record: settleRelayedRecord(entry.request, outcome, result) };
+}
+
+/**
+ * A settled request from `signer` for `nonce` in <queue>/<outcome>/, or null.
+ */
+export function findSettledRequest(signer, nonce, outcome, dir = RELAY_QUEUE_DIR) {
+  return listRelayQueue(path.join(dir, outcome))
+    .find(e => e.request?.signer?.toLowerCase() === signer.toLowerCase() && e.request.nonce === nonce) ?? null;
+}
+
+/**
+ * The nonce a new request from `signer` should use: the on-chain nonce, past
+ * the requests queued for it and the nonces right after. A queued request
+ * beyond a gap can never be relayed, so it doesn't count.
+ */
+export function nextRelayNonce(onChainNonce, signer, dir = RELAY_QUEUE_DIR) {
+  const queued = new Set(listRelayQueue(dir)
+    .filter(e => e.request?.signer?.toLowerCase() === signer.toLowerCase())
+    .map(e => e.request.nonce));
+  let nonce = Number(onChainNonce);
+  while (queued.has(nonce)) nonce++;
+  return nonce;
+}
+
+// ============ Chain ============
+
+/**
+ * Where a request was published, if it was: the CheckpointRelayed event for
+ * its signer and nonce, with the checkpoint published in the same
+ * transaction. Null if the nonce was used for something else (another
+ * request, or incrementNonce). Throws if the logs can't be read.
+ *
+ * @param {ethers.Contract} contract Registry contract
+ * @returns {Promise<{txHash: string, blockNumber: number, checkpointIndex: number, relayer: string}|null>}
+ */
+export async function findRelayedCheckpoint(contract, request, { fromBlock = 0 } = {}) {
+  const logs = await contract.queryFilter(contract.filters.CheckpointRelayed(request.agentId, request.signer), fromBlock);
+  const relayed = logs.find(log => Number(log.args.nonce) === request.nonce);
+  if (!relayed) return null;
+
+  const receipt = await relayed.getTransactionReceipt();
+  const published = receipt.logs
+    .filter(log => log.address.toLowerCase() === relayed.address.toLowerCase())
+    .map(log => {
+      try {
+        return contract.interface.parseLog(log);
+      } catch {
+        return null;
+      }
+    })
+    .find(event => event?.name === "CheckpointPublished");
+  // The signature covers the root and metadata, so these only differ for another request
+  if (!published || published.args.merkleRoot.toLowerCase() !== request.root.toLowerCase() || published.args.metadata !== request.metadata) {
+    return null;
+  }
+
+  return {
+    txHash: receipt.hash,
+    blockNumber: receipt.blockNumber,
+    checkpointIndex: Number(published.args.checkpointIndex),
+    relayer: relayed.args.relayer,
+  };
+}
@@ -0,0 +1,280 @@
+/**
+ * Signers
+ *
+ * Where the wallet's key comes from. The first one configured wins:
+ *
+ *   env       $WALLET_PRIVATE_KEY
+ *   remote    $REMOTE_SIGNER_URL - a signer process speaking JSON-RPC
+ *             (eth_signTransaction, eth_sign, eth_signTypedData_v4) for
+ *             $REMOTE_SIGNER_ADDRESS; the key never touches this host
+ *   keystore  ~/.evm-keystore.json ($WALLET_KEYSTORE), an ethers encrypted
+ *             JSON keystore unlocked with $WALLET_PASSPHRASE or a prompt
+ *   file      ~/.evm-wallet.json, a plaintext key - deprecated, convert it
+ *             with scripts/migrate-wallet.js
+ *
+ * $WALLET_SIGNER picks one explicitly. Every source gives an ethers signer
+ * with a synchronous `address`, so nothing is unlocked until it signs.
+ */
+
+import { ethers } from "ethers";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import readline from "readline";
+
+export const SIGNER_SOURCES = ["env", "remote", "keystore", "file"];
+
+/**
+ * ~/.evm-wallet.json, resolved when called so HOME can be pointed elsewhere.
+ */
+export function walletPath() {
+  return path.join(os.homedir(), ".evm-wallet.json");
+}
+
+/**
+ * ~/.evm-keystore.json, or $WALLET_KEYSTORE.
+ */
+export function keystorePath() {
+  return process.env.WALLET_KEYSTORE || path.join(os.homedir(), ".evm-keystore.json");
+}
+
+/**
+ * The plaintext wallet file ({address, privateKey}), or null if there is none.
+ */
+export function loadWallet(file = walletPath()) {
+  if (!fs.existsSync(file)) return null;
+  return JSON.parse(fs.readFileSync(file));
+}
+
+/**
+ * Which source the wallet comes from, or null if none is configured.
+ */
+export function signerSource() {
+  const forced = process.env.WALLET_SIGNER;
+  if (forced) {
+    if (!SIGNER_SOURCES.includes(forced)) {
+      throw new Error(`Unknown WALLET_SIGNER "${forced}" (expected one of: ${SIGNER_SOURCES.join(", ")})`);
+    }
+    return forced;
+  }
+  if (process.env.WALLET_PRIVATE_KEY) return "env";
+  if (process.env.REMOTE_SIGNER_URL) return "remote";
+  if (fs.existsSync(keystorePath())) return "keystore";
+  if (fs.existsSync(walletPath())) return "file";
+  return null;
+}
+
+// ============ Keystore ============
+
+/**
+ * Read a passphrase from the terminal without echoing it.
+ */
+export function promptPassphrase(question) {
+  if (!process.stdin.isTTY) {
+    return Promise.reject(new Error("No terminal to prompt for the keystore passphrase - set WALLET_PASSPHRASE"));
+  }
+  const rl = readline.createInterface({ input: process.stdin, output: process.stderr, terminal: true });
+  return new Promise(resolve => {
+    rl.question(question, answer => {
+      rl.close();
+      process.stderr.write("\n");
+      resolve(answer);
+    });
+    // Echo nothing after the question itself
+    rl._writeToOutput = () => {};
+  });
+}
+
+/**
+ * Signer for an encrypted JSON keystore. The address is read from the
+ * keystore; the key is decrypted on first use.
+ */
+export class KeystoreSigner extends ethers.AbstractSigner {
+  constructor(json, provider = null, { file = null, unlocked = { wallet: null } } = {}) {
+    super(provider);
+    this.json = json;
+    this.file = file;
+    this.address = ethers.getAddress(JSON.parse(json).address);
+    this._unlocked = unlocked;
+  }
+
+  connect(provider) {
+    return new KeystoreSigner(this.json, provider, { file: this.file, unlocked: this._unlocked });
+  }
+
+  async getAddress() {
+    return this.address;
+  }
+
+  async unlock() {
+    if (!this._unlocked.wallet) {
+      const passphrase = process.env.WALLET_PASSPHRASE
+        ?? await promptPassphrase(`🔐 Passphrase for ${this.file ?? "keystore"}: `);
+      try {
+        this._unlocked.wallet = await ethers.Wallet.fromEncryptedJson(this.json, passphrase);
+      } catch (err) {
+        throw new Error(`Can't unlock ${this.file ?? "keystore"}: ${err.shortMessage ?? err.message}`, { cause: err });
+      }
+    }
+    return this._unlocked.wallet;
+  }
+
+  async signTransaction(tx) {
+    return (await this.unlock()).signTransaction(tx);
+  }
+
+  async signMessage(message) {
+    return (await this.unlock()).signMessage(message);
+  }
+
+  async signTypedData(domain, types, value) {
+    return (await this.unlock()).signTypedData(domain, types, value);
+  }
+}
+
+// ============ Remote Signer ============
+
+/**
+ * Signer that hands every signature to a remote signer process over JSON-RPC.
+ * Each result is checked against the address before it's used.
+ */
+export class RemoteSigner extends ethers.AbstractSigner {
+  constructor(url, address, provider = null) {
+    super(provider);
+    this.url = url;
+    this.address = ethers.getAddress(address);
+    this._id = 0;
+  }
+
+  connect(provider) {
+    return new RemoteSigner(this.url, this.address, provider);
+  }
+
+  async getAddress() {
+    return this.address;
+  }
+
+  async request(method, params) {
+    let res;
+    try {
+      res = await fetch(this.url, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ jsonrpc: "2.0", id: ++this._id, method, params }),
+      });
+    } catch (err) {
+      throw new Error(`Remote signer at ${this.url} is unreachable: ${err.cause?.message ?? err.message}`, { cause: err });
+    }
+    if (!res.ok) {
+      throw new Error(`Remote signer ${method} failed: HTTP ${res.status}`);
+    }
+    const body = await res.json();
+    if (body.error) {
+      throw new Error(`Remote signer ${method} failed: ${body.error.message ?? JSON.stringify(body.error)}`);
+    }
+    return body.result;
+  }
+
+  async signTransaction(tx) {
+    // AbstractSigner.sendTransaction() passes a Transaction; callers may pass a request
+    const populated = tx instanceof ethers.Transaction ? tx : ethers.Transaction.from({ ...tx, from: undefined });
+    const quantity = value => (value === null || value === undefined ? undefined : ethers.toQuantity(value));
+    const raw = await this.request("eth_signTransaction", [{
+      from: this.address,
+      to: populated.to ?? undefined,
+      data: populated.data,
+      value: quantity(populated.value),
+      nonce: quantity(populated.nonce),
+      gas: quantity(populated.gasLimit),
+      gasPrice: quantity(populated.gasPrice),
+      maxFeePerGas: quantity(populated.maxFeePerGas),
+      maxPriorityFeePerGas: quantity(populated.maxPriorityFeePerGas),
+      chainId: quantity(populated.chainId),
+      type: quantity(populated.type),
+      accessList: populated.accessList ?? undefined,
+    }]);
+    // Some signers wrap the raw transaction: { raw, tx }
+    const signed = ethers.Transaction.from(typeof raw === "string" ? raw : raw.raw);
+    if (signed.from !== this.address) {
+      throw new Error(`Remote signer signed the transaction as ${signed.from}, not ${this.address}`);
+    }
+    if (signed.unsignedHash !== populated.unsignedHash) {
+      throw new Error("Remote signer returned a different transaction than the one requested");
+    }
+    return signed.serialized;
+  }
+
+  async signMessage(message) {
+    const bytes = typeof message === "string" ? ethers.toUtf8Bytes(message) : message;
+    const signature = await this.request("eth_sign", [this.address, ethers.hexlify(bytes)]);
+    if (ethers.verifyMessage(bytes, signature) !== this.address) {
+      throw new Error(`Remote signer's eth_sign signature isn't from ${this.address}`);
+    }
+    return signature;
+  }
+
+  async signTypedData(domain, types, value) {
+    const payload = ethers.TypedDataEncoder.getPayload(domain, types, value);
+    const signature = await this.request("eth_signTypedData_v4", [this.address, JSON.stringify(payload)]);
+    if (ethers.verifyTypedData(domain, types, value, signature) !== this.address) {
+      throw new Error(`Remote signer's eth_signTypedData_v4 signature isn't from ${this.address}`);
+    }
+    return signature;
+  }
+}
+
+// ============ Loading ============
+
+let warnedPlaintext = false;
+
+/**
+ * Signer for the configured wallet, connected to a provider if one is given.
+ * Null if no wallet is configured. Nothing is decrypted or contacted yet.
+ */
+export function loadSigner(provider = null) {
+  const source = signerSource();
+
+  if (source === "env") {
+    if (!process.env.WALLET_PRIVATE_KEY) throw new Error("WALLET_SIGNER=env but WALLET_PRIVATE_KEY is not set");
+    return new ethers.Wallet(process.env.WALLET_PRIVATE_KEY, provider);
+  }
+
+  if (source === "remote") {
+    const { REMOTE_SIGNER_URL: url, REMOTE_SIGNER_ADDRESS: address } = process.env;
+    if (!url || !address) throw new Error("A remote signer needs REMOTE_SIGNER_URL and REMOTE_SIGNER_ADDRESS");
+    return new RemoteSigner(url, address, provider);
+  }
+
+  if (source === "keystore") {
+    const file = keystorePath();
+    if (!fs.existsSync(file)) throw new Error(`No keystore found at ${file}`);
+    return new KeystoreSigner(fs.readFileSync(file, "utf8"), provider, { file });
+  }
+
+  if (source === "file") {
+    const wallet = loadWallet();
+    if (!wallet) throw new Error(`No wallet found at ${walletPath()}`);
+    if (!warnedPlaintext) {
+      warnedPlaintext = true;
+      console.error(`⚠️  Using the plaintext key in ${walletPath()} - encrypt it with: node scripts/migrate-wallet.js`);
+    }
+    return new ethers.Wallet(wallet.privateKey, provider);
+  }
+
+  return null;
+}
+
+/**
+ * Signer for the configured wallet, connected to a provider. Throws if there
+ * is no wallet.
+ */
+export function walletSigner(provider) {
+  const signer = loadSigner(provider);
+  if (!signer) {
+    throw new Error(
+      `No wallet configured - create a keystore (node scripts/migrate-wallet.js), ` +
+      `or set WALLET_PRIVATE_KEY or REMOTE_SIGNER_URL`
+    );
+  }
+  return signer;
+}
@@ -0,0 +1,129 @@
+/**
+ * Transactions
+ *
+ * Sending with stuck-transaction handling: a transaction that isn't mined
+ * within a timeout is replaced (same nonce, bumped fees) until one of the
+ * versions lands. Every hash sent for the nonce is reported through onSent so
+ * the caller can persist it and pick up where it left off after a restart.
+ */
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+export const DEFAULT_TX_TIMEOUT_MS = 2 * 60 * 1000;
+export const DEFAULT_FEE_BUMP_PERCENT = 20;
+export const DEFAULT_MAX_REPLACEMENTS = 5;
+const POLL_INTERVAL_MS = 3000;
+
+// Fee fields in a transaction request, bigint or decimal string
+const FEE_FIELDS = ["maxFeePerGas", "maxPriorityFeePerGas", "gasPrice"];
+
+/**
+ * JSON-safe copy of a transaction request (bigints as decimal strings).
+ */
+export function serializeRequest(request) {
+  return Object.fromEntries(
+    Object.entries(request)
+      .filter(([, value]) => value !== null && value !== undefined)
+      .map(([key, value]) => [key, typeof value === "bigint" ? value.toString() : value])
+  );
+}
+
+/**
+ * Fees raised by `percent`, and never below what the network asks for now.
+ */
+export async function bumpFees(provider, request, percent = DEFAULT_FEE_BUMP_PERCENT) {
+  const feeData = await provider.getFeeData();
+  const bumped = { ...request };
+  for (const field of FEE_FIELDS) {
+    if (request[field] === undefined || request[field] === null) continue;
+    const raised = (BigInt(request[field]) * BigInt(100 + percent) + 99n) / 100n;
+    const market = feeData[field] ?? 0n;
+    bumped[field] = raised > market ? raised : market;
+  }
+  return bumped;
+}
+
+/**
+ * First receipt found for any of `hashes`, or null after `timeoutMs`.
+ */
+export async function waitForAnyReceipt(provider, hashes, timeoutMs, pollMs = POLL_INTERVAL_MS) {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    for (const hash of hashes) {
+      const receipt = await provider.getTransactionReceipt(hash);
+      if (receipt) return receipt;
+    }
+    if (Date.now() >= deadline) return null;
+    await sleep(Math.min(pollMs, Math.max(0, deadline - Date.now())));
+  }
+}
+
+/**
+ * Send a transaction, replacing it with bumped fees while it's stuck.
+ *
+ * @param {ethers.Signer} signer
+ * @param {object} request Transaction request (to, data, ...); nonce, gas and fees are filled in if missing
+ * @param {object} [options]
+ * @param {number} [options.timeoutMs] How long to wait before replacing
+ * @param {number} [options.bumpPercent] Fee increase per replacement
+ * @param {number} [options.maxReplacements]
+ * @param {string[]} [options.previousHashes] Hashes already sent for this nonce (resuming)
+ * @param {(sent: {nonce: number, hashes: string[], request: object}) => void} [options.onSent]
+ * @param {(message: string) => void} [options.log]
+ * @returns {Promise<{receipt: object, hashes: string[], replacements: number}>}
+ */
+export async function sendWithReplacement(signer, request, {
+  timeoutMs = DEFAULT_TX_TIMEOUT_MS,
+  bumpPercent = DEFAULT_FEE_BUMP_PERCENT,
+  maxReplacements = DEFAULT_MAX_REPLACEMENTS,
+  previousHashes = [],
+  onSent,
+  log = () => {},
+} = {}) {
+  const provider = signer.provider;
+  let current = await signer.populateTransaction(request);
+  const hashes = [...previousHashes];
+  if (hashes.length > 0) {
+    current = await bumpFees(provider, current, bumpPercent);
+  }
+
+  for (let replacements = 0; ; replacements++) {
+    try {
+      const tx = await signer.sendTransaction(current);
+      hashes.push(tx.hash);
+      await onSent?.({ nonce: Number(current.nonce), hashes: [...hashes], request: serializeRequest(current) });
+    } catch (err) {
+      // The nonce was consumed - by one of ours, hopefully
+      if (err.code !== "NONCE_EXPIRED" && err.code !== "REPLACEMENT_UNDERPRICED") throw err;
+      const receipt = await waitForAnyReceipt(provider, hashes, POLL_INTERVAL_MS);
+      if (receipt) return { receipt, hashes, replacements };
+      if (err.code === "NONCE_EXPIRED") {
+        throw new Error(`Nonce ${current.nonce} was used by a transaction this process didn't send`);
+      }
+      // Underpriced: bump again below
+    }
+
+    const receipt = await waitForAnyReceipt(provider, hashes, timeoutMs);
+    if (receipt) return { receipt, hashes, replacements };
+
+    if (replacements >= maxReplacements) {
+      throw new Error(`Transaction with nonce ${current.nonce} still not mined after ${replacements} replacement(s)`);
+    }
+    current = await bumpFees(provider, current, bumpPercent);
+    log(`⏫ Not mined after ${Math.round(timeoutMs / 1000)}s - replacing nonce ${current.nonce} with fees +${bumpPercent}%`);
+  }
+}
+
+/**
+ * What became of a transaction recorded before a restart.
+ * @param {{from: string, nonce: number, hashes: string[]}} pending
+ * @returns {Promise<{status: "mined", receipt: object}|{status: "pending"}|{status: "dropped"}>}
+ */
+export async function checkPendingTransaction(provider, pending) {
+  for (const hash of pending.hashes) {
+    const receipt = await provider.getTransactionReceipt(hash);
+    if (receipt) return { status: "mined", receipt };
+  }
+  const confirmedNonce = await provider.getTransactionCount(pending.from, "latest");
+  return confirmedNonce > pending.nonce ? { status: "dropped" } : { status: "pending" };
+}
@@ -0,0 +1,187 @@
+/**
+ * Trust Score
+ *
+ * Turns an agent's on-chain history into a 0-100 score with a per-factor
+ * breakdown, so "check their checkpoint history" becomes a number we can gate
+ * collaboration on - and explain.
+ *
+ * Factors (points add up to 100):
+ *   age         20  registration age; full marks at 90 days
+ *   volume      15  checkpoint count, log scale; full marks at 180
+ *   regularity  15  1 - coefficient of variation of checkpoint intervals
+ *   gaps        15  longest gap, in expected intervals; full ≤ 2, none ≥ 12
+ *   recency     10  time since the last checkpoint, same scale as gaps
+ *   authorship  15  share of checkpoints signed by the owner (or a delegate) at the time
+ *   ownership    5  halved per transfer; none if transferred in the last 30 days
+ *   activity     5  share of its life the agent was not deactivated
+ *
+ * The expected interval is the configured schedule, else the median interval.
+ */
+
+import { checkAuthorship } from "./authorship.js";
+import { delegatesAt } from "./delegates.js";
+import { formatDuration } from "./history.js";
+
+const DAY = 24 * 60 * 60 * 1000;
+
+export const TRUST_FACTORS = {
+  age: { max: 20, fullAfterMs: 90 * DAY },
+  volume: { max: 15, fullAt: 180 },
+  regularity: { max: 15 },
+  gaps: { max: 15, okIntervals: 2, zeroIntervals: 12 },
+  recency: { max: 10, okIntervals: 2, zeroIntervals: 12 },
+  authorship: { max: 15 },
+  ownership: { max: 5, recentMs: 30 * DAY },
+  activity: { max: 5 },
+};
+
+export const TRUST_GRADES = [
+  { min: 80, grade: "high" },
+  { min: 50, grade: "medium" },
+  { min: 0, grade: "low" },
+];
+
+const clamp01 = x => Math.max(0, Math.min(1, x));
+
+// 1 at `ok` expected intervals or less, 0 at `zero` or more, linear between
+function intervalScore(ms, expected, { okIntervals, zeroIntervals }) {
+  return clamp01(1 - (ms / expected - okIntervals) / (zeroIntervals - okIntervals));
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Owner of the agent at a block, replaying transfers from the original owner.
+ */
+function ownerAt(blockNumber, currentOwner, transfers) {
+  if (transfers.length === 0) return currentOwner;
+  let owner = transfers[0].from;
+  for (const t of transfers) {
+    if (t.blockNumber <= blockNumber) owner = t.to;
+  }
+  return owner;
+}
+
+/**
+ * Score an agent.
+ *
+ * @param {object} history
+ * @param {string} history.agentId
+ * @param {string} history.owner Current owner
+ * @param {number} history.registeredAt Registration time (ms)
+ * @param {boolean} history.active Current active flag
+ * @param {object[]} history.checkpoints Oldest first, as from history.fetchCheckpoints()
+ * @param {object[]} [history.transfers] From event-index.getTransfers()
+ * @param {object[]} [history.deactivations] From event-index.getDeactivations()
+ * @param {object[]} [history.delegates] From event-index.getDelegates()
+ * @param {object} [options]
+ * @param {number} [options.schedule] Expected checkpoint interval (ms)
+ * @param {number} [options.chainId]
+ * @param {string} [options.contract]
+ * @param {number} [options.now] Reference time (ms)
+ * @returns {{score: number, grade: string, factors: object[], warnings: string[]}}
+ *   factors are { name, points, max, value, detail }
+ */
+export function computeTrustScore(history, { schedule = null, chainId, contract, now = Date.now() } = {}) {
+  const { agentId, owner, registeredAt, active, checkpoints } = history;
+  const transfers = history.transfers ?? [];
+  const deactivations = history.deactivations ?? [];
+  const delegates = history.delegates ?? [];
+  const factors = [];
+  const warnings = [];
+
+  const add = (name, fraction, value, detail) => {
+    const { max } = TRUST_FACTORS[name];
+    factors.push({ name, points: Math.round(fraction * max * 10) / 10, max, value, detail });
+  };
+
+  // Age
+  const ageMs = Math.max(0, now - registeredAt);
+  add("age", clamp01(ageMs / TRUST_FACTORS.age.fullAfterMs), ageMs,
+    `registered ${formatDuration(ageMs)} ago`);
+
+  // Volume
+  const count = checkpoints.length;
+  add("volume", clamp01(Math.log10(1 + count) / Math.log10(1 + TRUST_FACTORS.volume.fullAt)), count,
+    `${count} checkpoint(s)`);
+
+  const intervals = checkpoints.slice(1).map((c, i) => c.timestamp - checkpoints[i].timestamp);
+  const expected = schedule ?? (intervals.length > 0 ? median(intervals) : null);
+
+  // Regularity
+  if (intervals.length >= 2) {
+    const mean = intervals.reduce((sum, ms) => sum + ms, 0) / intervals.length;
+    const variance = intervals.reduce((sum, ms) => sum + (ms - mean) ** 2, 0) / intervals.length;
+    const cv = mean > 0 ? Math.sqrt(variance) / mean : 1;
+    add("regularity", clamp01(1 - cv), Math.round(cv * 100) / 100,
+      `interval varies by ${Math.round(cv * 100)}% around a mean of ${formatDuration(mean)}`);
+  } else {
+    add("regularity", 0, null, "needs at least 3 checkpoints");
+  }
+
+  // Gaps and recency
+  if (expected && intervals.length > 0) {
+    const longest = Math.max(...intervals);
+    add("gaps", intervalScore(longest, expected, TRUST_FACTORS.gaps), longest,
+      `longest gap ${formatDuration(longest)} (${(longest / expected).toFixed(1)}× the ${schedule ? "schedule" : "median"})`);
+  } else {
+    add("gaps", 0, null, "needs at least 2 checkpoints");
+  }
+
+  if (count > 0 && expected) {
+    const sinceLast = now - checkpoints.at(-1).timestamp;
+    add("recency", intervalScore(sinceLast, expected, TRUST_FACTORS.recency), sinceLast,
+      `last checkpoint ${formatDuration(sinceLast)} ago`);
+    if (sinceLast > expected * TRUST_FACTORS.recency.okIntervals) {
+      warnings.push(`No checkpoint for ${formatDuration(sinceLast)}`);
+    }
+  } else {
+    add("recency", 0, null, count === 0 ? "no checkpoints" : "needs at least 2 checkpoints");
+  }
+
+  // Authorship, against whoever owned the agent or was its delegate when each checkpoint was published
+  const statuses = { signed: 0, unsigned: 0, foreign: 0, invalid: 0 };
+  for (const c of checkpoints) {
+    const status = checkAuthorship(c.parsed, {
+      agentId,
+      root: c.root,
+      owner: ownerAt(c.blockNumber, owner, transfers),
+      delegates: delegatesAt(c, delegates),
+      chainId,
+      contract,
+    }).status;
+    statuses[status]++;
+  }
+  add("authorship", count > 0 ? statuses.signed / count : 0, statuses,
+    `${statuses.signed}/${count} signed by the owner or a delegate` +
+    (statuses.foreign + statuses.invalid > 0 ? `, ${statuses.foreign} foreign, ${statuses.invalid} invalid` : ""));
+  if (statuses.invalid > 0) warnings.push(`${statuses.invalid} checkpoint(s) carry an invalid signature`);
+  if (statuses.foreign > 0) warnings.push(`${statuses.foreign} checkpoint(s) signed by a key other than the owner or its delegates`);
+
+  // Ownership
+  const lastTransfer = transfers.at(-1);
+  const recentTransfer = lastTransfer !== undefined && now - lastTransfer.timestamp < TRUST_FACTORS.ownership.recentMs;
+  add("ownership", recentTransfer ? 0 : 1 / 2 ** transfers.length, transfers.length,
+    transfers.length === 0 ? "never transferred" : `${transfers.length} transfer(s)${recentTransfer ? ", most recent within 30 days" : ""}`);
+  if (recentTransfer) warnings.push(`Ownership transferred recently (to ${lastTransfer.to})`);
+
+  // Activity
+  if (!active) {
+    add("activity", 0, null, "currently deactivated");
+    warnings.push("Agent is deactivated");
+  } else {
+    const deactivatedMs = deactivations.reduce((sum, p) => sum + ((p.to ?? now) - p.from), 0);
+    const lifetime = Math.max(1, now - registeredAt);
+    add("activity", clamp01(1 - deactivatedMs / lifetime), deactivatedMs,
+      deactivations.length === 0 ? "never deactivated" : `deactivated ${deactivations.length} time(s), ${formatDuration(deactivatedMs)} in total`);
+  }
+
+  const score = Math.round(factors.reduce((sum, f) => sum + f.points, 0));
+  const { grade } = TRUST_GRADES.find(g => score >= g.min);
+
+  return { score, grade, factors, warnings };
+}
@@ -0,0 +1,627 @@
+/**
+ * Checkpoint Watcher
+ *
+ * Subscriptions to a set of agents: follows the registry's
+ * CheckpointPublished and AgentTransferred logs for them, alerts when one
+ * misses its expected cadence, and hands every event to signed webhooks and
+ * a server-sent-events feed.
+ *
+ * Event types:
+ *   checkpoint.published  a watched agent published a checkpoint
+ *   agent.transferred     a watched agent changed owner
+ *   cadence.missed        no checkpoint within cadence + grace of the last one
+ *   cadence.resumed       the first checkpoint after a cadence.missed alert
+ *
+ * Config file (JSON):
+ *   {
+ *     "agents": ["b0tresch", { "agentId": "other", "cadence": "4h", "grace": "1h" }],
+ *     "webhooks": [
+ *       { "url": "https://example.com/hook", "secretEnv": "WATCH_SECRET", "agents": ["b0tresch"], "events": ["checkpoint.published"] }
+ *     ],
+ *     "pollInterval": "30s",
+ *     "confirmations": 0
+ *   }
+ *
+ * Webhooks get a POST of the event as JSON, signed with HMAC-SHA256 over
+ * "<unix seconds>.<body>" in X-Watch-Signature ("t=...,v1=<hex>"), so a
+ * receiver can check it with verifyWebhookSignature(). Failed deliveries are
+ * retried with backoff and, after MAX_DELIVERY_ATTEMPTS, appended to a
+ * dead-letter file. The last processed block and the delivery queue are kept
+ * in a state file, so a restart resumes where the watcher stopped and nothing
+ * queued is lost.
+ */
+
+import crypto from "crypto";
+import fs from "fs";
+import http from "http";
+import path from "path";
+import { ethers } from "ethers";
+import { CHECKPOINTS_DIR } from "./records.js";
+import { parseDuration } from "./history.js";
+import { backoffDelay } from "./daemon-state.js";
+
+export const WATCH_STATE_PATH = path.join(CHECKPOINTS_DIR, "watcher-state.json");
+export const DEAD_LETTER_PATH = path.join(CHECKPOINTS_DIR, "watcher-dead-letter.jsonl");
+
+export const EVENT_TYPES = ["checkpoint.published", "agent.transferred", "cadence.missed", "cadence.resumed"];
+export const SIGNATURE_HEADER = "X-Watch-Signature";
+export const MAX_DELIVERY_ATTEMPTS = 8;
+
+const DEFAULT_POLL_MS = 30 * 1000;
+const DEFAULT_BATCH_SIZE = 1000;
+const DELIVERY_TIMEOUT_MS = 10 * 1000;
+const DELIVERY_BACKOFF = { baseMs: 10 * 1000, maxMs: 30 * 60 * 1000 };
+// Events kept in memory for SSE clients reconnecting with Last-Event-ID
+const REPLAY_BUFFER_SIZE = 500;
+const HEARTBEAT_MS = 15 * 1000;
+
+// ============ Config ============
+
+function parseOptionalDuration(value, name) {
+  if (value === undefined || value === null) return null;
+  try {
+    return parseDuration(value);
+  } catch (err) {
+    throw new Error(`Watch config "${name}": ${err.message}`);
+  }
+}
+
+/**
+ * Validate a watch config and resolve durations (to ms) and webhook secrets.
+ */
+export function normalizeWatchConfig(raw) {
+  if (!raw || typeof raw !== "object") {
+    throw new Error("Watch config must be a JSON object");
+  }
+  if (!Array.isArray(raw.agents) || raw.agents.length === 0) {
+    throw new Error("Watch config needs a non-empty \"agents\" list");
+  }
+
+  const agents = raw.agents.map((entry, i) => {
+    const agent = typeof entry === "string" ? { agentId: entry } : entry;
+    if (!agent || typeof agent.agentId !== "string" || agent.agentId.length === 0) {
+      throw new Error(`Watch config agents[${i}] needs an "agentId"`);
+    }
+    const cadenceMs = parseOptionalDuration(agent.cadence, `agents[${i}].cadence`);
+    // Same tolerance as the cadence report: half an interval late is still on time
+    const graceMs = parseOptionalDuration(agent.grace, `agents[${i}].grace`) ?? (cadenceMs ? cadenceMs / 2 : null);
+    return { agentId: agent.agentId, cadenceMs, graceMs };
+  });
+  const ids = new Set(agents.map(a => a.agentId));
+  if (ids.size !== agents.length) {
+    throw new Error("Watch config lists an agent more than once");
+  }
+
+  const webhooks = (raw.webhooks ?? []).map((hook, i) => {
+    const where = `webhooks[${i}]`;
+    let url;
+    try {
+      url = new URL(hook?.url);
+    } catch {
+      throw new Error(`Watch config ${where} needs a valid "url"`);
+    }
+    if (url.protocol !== "https:" && url.protocol !== "http:") {
+      throw new Error(`Watch config ${where}.url must be http(s)`);
+    }
+    const secret = hook.secretEnv ? process.env[hook.secretEnv] : hook.secret;
+    if (!secret) {
+      throw new Error(hook.secretEnv
+        ? `Watch config ${where}: $${hook.secretEnv} is not set`
+        : `Watch config ${where} needs a "secret" or "secretEnv" to sign deliveries`);
+    }
+    for (const agentId of hook.agents ?? []) {
+      if (!ids.has(agentId)) throw new Error(`Watch config ${where} lists "${agentId}", which isn't in "agents"`);
+    }
+    for (const type of hook.events ?? []) {
+      if (!EVENT_TYPES.includes(type)) {
+        throw new Error(`Watch config ${where}: unknown event "${type}" (expected one of: ${EVENT_TYPES.join(", ")})`);
+      }
+    }
+    return { url: url.toString(), secret, agents: hook.agents ?? null, events: hook.events ?? null };
+  });
+
+  const confirmations = raw.confirmations ?? 0;
+  if (!Number.isInteger(confirmations) || confirmations < 0) {
+    throw new Error("Watch config \"confirmations\" must be a whole number");
+  }
+
+  return {
+    network: raw.network ?? null,
+    agents,
+    webhooks,
+    pollIntervalMs: parseOptionalDuration(raw.pollInterval, "pollInterval") ?? DEFAULT_POLL_MS,
+    confirmations,
+  };
+}
+
+export function loadWatchConfig(file) {
+  if (!fs.existsSync(file)) throw new Error(`No watch config at ${file}`);
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (err) {
+    throw new Error(`${file} is not valid JSON: ${err.message}`);
+  }
+  return normalizeWatchConfig(raw);
+}
+
+// ============ Signatures ============
+
+/**
+ * X-Watch-Signature value for a delivery body.
+ */
+export function signWebhook(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+  const digest = crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+  return `t=${timestamp},v1=${digest}`;
+}
+
+/**
+ * Check a delivery on the receiving end: the raw body as received, and the
+ * X-Watch-Signature header. Deliveries signed more than `toleranceMs` ago
+ * are rejected, so a captured request can't be replayed later.
+ */
+export function verifyWebhookSignature(secret, body, header, { toleranceMs = 5 * 60 * 1000, now = Date.now() } = {}) {
+  const parts = Object.fromEntries(String(header ?? "").split(",").map(p => p.trim().split("=", 2)));
+  const timestamp = Number(parts.t);
+  if (!Number.isInteger(timestamp) || !/^[0-9a-f]{64}$/.test(parts.v1 ?? "")) return false;
+  if (Math.abs(now - timestamp * 1000) > toleranceMs) return false;
+
+  const expected = Buffer.from(signWebhook(secret, body, timestamp).split("v1=")[1], "hex");
+  return crypto.timingSafeEqual(expected, Buffer.from(parts.v1, "hex"));
+}
+
+// ============ State ============
+
+function emptyState(chainId, contract, lastBlock) {
+  return { chainId, contract, lastBlock, agents: {}, outbox: [], updatedAt: null };
+}
+
+export function loadWatchState(file = WATCH_STATE_PATH) {
+  if (!fs.existsSync(file)) return null;
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+export function saveWatchState(state, file = WATCH_STATE_PATH) {
+  state.updatedAt = new Date().toISOString();
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(`${file}.tmp`, JSON.stringify(state, null, 2));
+  fs.renameSync(`${file}.tmp`, file);
+}
+
+/**
+ * Dead-lettered deliveries, oldest first.
+ */
+export function loadDeadLetters(file = DEAD_LETTER_PATH) {
+  if (!fs.existsSync(file)) return [];
+  return fs.readFileSync(file, "utf8").split("\n").filter(Boolean).map(line => JSON.parse(line));
+}
+
+// ============ Watcher ============
+
+export class Watcher {
+  /**
+   * @param {Registry} registry Connected registry client (lib/registry.js)
+   * @param {object} config From loadWatchConfig() / normalizeWatchConfig()
+   * @param {object} [options]
+   * @param {string} [options.statePath]
+   * @param {string} [options.deadLetterPath]
+   * @param {function} [options.log] Called with a line of text per notable step
+   */
+  constructor(registry, config, { statePath = WATCH_STATE_PATH, deadLetterPath = DEAD_LETTER_PATH, log = null } = {}) {
+    this.registry = registry;
+    this.config = config;
+    this.statePath = statePath;
+    this.deadLetterPath = deadLetterPath;
+    this.log = log ?? (() => {});
+    this.state = null;
+    this.recent = [];
+    this.listeners = new Set();
+    this.agentsByHash = new Map(config.agents.map(a => [ethers.id(a.agentId), a]));
+  }
+
+  /**
+   * Load (or create) the state file and make sure every configured agent has
+   * a baseline: its latest checkpoint, read from the chain.
+   *
+   * @param {object} [options]
+   * @param {number} [options.fromBlock] First block to process on a fresh state (default: the current head)
+   */
+  async start({ fromBlock = null } = {}) {
+    const chainId = await this.registry.chainId();
+    const contract = this.registry.address;
+
+    this.state = loadWatchState(this.statePath);
+    if (this.state && (this.state.chainId !== chainId || ethers.getAddress(this.state.contract) !== ethers.getAddress(contract))) {
+      throw new Error(
+        `${this.statePath} is for ${this.state.contract} on chain ${this.state.chainId}, ` +
+        `not ${contract} on chain ${chainId} - use another state file`
+      );
+    }
+    if (!this.state) {
+      const head = await this.registry.provider.getBlockNumber();
+      this.state = emptyState(chainId, contract, (fromBlock ?? head + 1) - 1);
+    }
+
+    for (const { agentId } of this.config.agents) {
+      if (this.state.agents[agentId]) continue;
+      const agent = await this.registry.getAgent(agentId);
+      if (!agent) throw new Error(`Agent "${agentId}" is not registered`);
+      const count = Number(await this.registry.contract.getCheckpointCount(agentId));
+      let lastCheckpoint = null;
+      if (count > 0) {
+        const c = await this.registry.contract.getCheckpoint(agentId, count - 1);
+        lastCheckpoint = { index: count - 1, timestamp: Number(c.timestamp) * 1000 };
+      }
+      this.state.agents[agentId] = { owner: agent.owner, lastCheckpoint, watchingSince: Date.now(), missedAlertAt: null };
+    }
+
+    saveWatchState(this.state, this.statePath);
+    return this.state;
+  }
+
+  /**
+   * Feed subscription: `listener(event)` is called for every event from now
+   * on, after replaying the buffered ones that came after `lastEventId`.
+   * @returns {() => void} Unsubscribe
+   */
+  subscribe(listener, { lastEventId = null } = {}) {
+    if (lastEventId) {
+      const at = this.recent.findIndex(e => e.id === lastEventId);
+      if (at !== -1) this.recent.slice(at + 1).forEach(listener);
+    }
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  emit(event) {
+    this.recent.push(event);
+    if (this.recent.length > REPLAY_BUFFER_SIZE) this.recent.shift();
+
+    for (const listener of this.listeners) {
+      try {
+        listener(event);
+      } catch (err) {
+        this.log(`⚠️  Feed listener failed: ${err.message}`);
+      }
+    }
+
+    for (const hook of this.config.webhooks) {
+      if (hook.agents && !hook.agents.includes(event.agentId)) continue;
+      if (hook.events && !hook.events.includes(event.type)) continue;
+      this.state.outbox.push({
+        id: crypto.randomUUID(),
+        url: hook.url,
+        event,
+        attempts: 0,
+        nextAttemptAt: Date.now(),
+        lastError: null,
+      });
+    }
+  }
+
+  baseEvent(type, agentId, { id, fields }) {
+    return {
+      id: `${this.state.chainId}:${type}:${agentId}:${id}`,
+      type,
+      agentId,
+      chainId: this.state.chainId,
+      contract: this.registry.address,
+      ...fields,
+    };
+  }
+
+  // ============ Chain ============
+
+  /**
+   * Process new blocks (up to head minus `confirmations`), then check
+   * cadences. Progress is saved after every batch.
+   * @returns {Promise<{from: number, to: number, events: number}>}
+   */
+  async poll({ batchSize = DEFAULT_BATCH_SIZE, now = Date.now() } = {}) {
+    const { provider, contract } = this.registry;
+    const head = await provider.getBlockNumber();
+    const target = head - this.config.confirmations;
+    const from = this.state.lastBlock + 1;
+    let events = 0;
+
+    const iface = contract.interface;
+    const topics = [
+      [iface.getEvent("CheckpointPublished").topicHash, iface.getEvent("AgentTransferred").topicHash],
+      [...this.agentsByHash.keys()],
+    ];
+    const blockTimes = new Map();
+    const blockTime = async blockNumber => {
+      if (!blockTimes.has(blockNumber)) blockTimes.set(blockNumber, (await provider.getBlock(blockNumber)).timestamp * 1000);
+      return blockTimes.get(blockNumber);
+    };
+
+    let size = batchSize;
+    for (let fromBlock = from; fromBlock <= target;) {
+      const toBlock = Math.min(fromBlock + size - 1, target);
+
+      let logs;
+      try {
+        logs = await provider.getLogs({ address: this.registry.address, fromBlock, toBlock, topics });
+      } catch (err) {
+        // Most RPCs cap the block range per eth_getLogs call
+        if (size > 1) {
+          size = Math.max(1, Math.floor(size / 2));
+          continue;
+        }
+        throw err;
+      }
+
+      for (const log of logs) {
+        const parsed = iface.parseLog(log);
+        const agent = parsed && this.agentsByHash.get(parsed.args.agentId.hash);
+        if (!agent) continue;
+        const fields = { blockNumber: log.blockNumber, txHash: log.transactionHash };
+        const id = `${log.transactionHash}:${log.index}`;
+
+        if (parsed.name === "CheckpointPublished") {
+          events += this.applyCheckpoint(agent.agentId, {
+            index: Number(parsed.args.checkpointIndex),
+            root: parsed.args.merkleRoot,
+            timestamp: Number(parsed.args.timestamp) * 1000,
+            metadata: parsed.args.metadata,
+          }, { id, fields });
+        } else {
+          const agentState = this.state.agents[agent.agentId];
+          agentState.owner = parsed.args.newOwner;
+          this.emit(this.baseEvent("agent.transferred", agent.agentId, {
+            id,
+            fields: {
+              ...fields,
+              timestamp: new Date(await blockTime(log.blockNumber)).toISOString(),
+              oldOwner: parsed.args.oldOwner,
+              newOwner: parsed.args.newOwner,
+            },
+          }));
+          events++;
+        }
+      }
+
+      this.state.lastBlock = toBlock;
+      saveWatchState(this.state, this.statePath);
+      if (logs.length > 0) this.log(`📥 Blocks ${fromBlock}-${toBlock}: ${logs.length} event(s)`);
+      fromBlock = toBlock + 1;
+    }
+
+    events += this.checkCadence(now);
+    saveWatchState(this.state, this.statePath);
+    return { from, to: this.state.lastBlock, events };
+  }
+
+  applyCheckpoint(agentId, checkpoint, { id, fields }) {
+    const agentState = this.state.agents[agentId];
+    let emitted = 0;
+
+    if (agentState.missedAlertAt) {
+      const last = agentState.lastCheckpoint;
+      this.emit(this.baseEvent("cadence.resumed", agentId, {
+        id: `${checkpoint.index}`,
+        fields: {
+          ...fields,
+          timestamp: new Date(checkpoint.timestamp).toISOString(),
+          checkpointIndex: checkpoint.index,
+          gapMs: checkpoint.timestamp - (last?.timestamp ?? agentState.watchingSince),
+        },
+      }));
+      agentState.missedAlertAt = null;
+      emitted++;
+    }
+
+    this.emit(this.baseEvent("checkpoint.published", agentId, {
+      id,
+      fields: {
+        ...fields,
+        timestamp: new Date(checkpoint.timestamp).toISOString(),
+        checkpointIndex: checkpoint.index,
+        merkleRoot: checkpoint.root,
+        metadata: checkpoint.metadata,
+      },
+    }));
+
+    if (!agentState.lastCheckpoint || checkpoint.index > agentState.lastCheckpoint.index) {
+      agentState.lastCheckpoint = { index: checkpoint.index, timestamp: checkpoint.timestamp };
+    }
+    return emitted + 1;
+  }
+
+  /**
+   * Alert once for every agent that's past cadence + grace since its last
+   * checkpoint (or since watching started, if it has none).
+   * @returns {number} Alerts raised
+   */
+  checkCadence(now = Date.now()) {
+    let alerts = 0;
+    for (const { agentId, cadenceMs, graceMs } of this.config.agents) {
+      const agentState = this.state.agents[agentId];
+      if (!cadenceMs || !agentState || agentState.missedAlertAt) continue;
+
+      const last = agentState.lastCheckpoint;
+      const since = last?.timestamp ?? agentState.watchingSince;
+      if (now - since <= cadenceMs + graceMs) continue;
+
+      agentState.missedAlertAt = now;
+      this.emit(this.baseEvent("cadence.missed", agentId, {
+        id: `${last?.index ?? "none"}`,
+        fields: {
+          timestamp: new Date(now).toISOString(),
+          cadenceMs,
+          graceMs,
+          lastCheckpointIndex: last?.index ?? null,
+          lastCheckpointAt: last ? new Date(last.timestamp).toISOString() : null,
+          sinceLastMs: now - since,
+        },
+      }));
+      alerts++;
+    }
+    return alerts;
+  }
+
+  // ============ Delivery ============
+
+  /**
+   * POST every queued delivery that's due. Failures are rescheduled with
+   * backoff; after MAX_DELIVERY_ATTEMPTS they go to the dead-letter file.
+   * @returns {Promise<{delivered: number, failed: number, deadLettered: number}>}
+   */
+  async deliver({ now = Date.now() } = {}) {
+    const result = { delivered: 0, failed: 0, deadLettered: 0 };
+    const due = this.state.outbox.filter(d => d.nextAttemptAt <= now);
+
+    for (const delivery of due) {
+      const hook = this.config.webhooks.find(h => h.url === delivery.url);
+      let error = hook ? null : "Webhook is no longer configured";
+      delivery.attempts++;
+
+      if (hook) {
+        const body = JSON.stringify(delivery.event);
+        try {
+          const res = await fetch(hook.url, {
+            method: "POST",
+            headers: {
+              "Content-Type": "application/json",
+              "User-Agent": "agent-memory-watcher",
+              "X-Watch-Event": delivery.event.type,
+              "X-Watch-Delivery": delivery.id,
+              [SIGNATURE_HEADER]: signWebhook(hook.secret, body),
+            },
+            body,
+            signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS),
+          });
+          if (!res.ok) error = `HTTP ${res.status}`;
+        } catch (err) {
+          error = err.cause?.message ?? err.message;
+        }
+      }
+
+      if (!error) {
+        this.state.outbox = this.state.outbox.filter(d => d !== delivery);
+        result.delivered++;
+        this.log(`📤 ${delivery.event.type} (${delivery.event.agentId}) → ${delivery.url}`);
+        continue;
+      }
+
+      delivery.lastError = error;
+      if (!hook || delivery.attempts >= MAX_DELIVERY_ATTEMPTS) {
+        this.state.outbox = this.state.outbox.filter(d => d !== delivery);
+        fs.mkdirSync(path.dirname(this.deadLetterPath), { recursive: true });
+        fs.appendFileSync(this.deadLetterPath, JSON.stringify({ ...delivery, deadAt: new Date(now).toISOString() }) + "\n");
+        result.deadLettered++;
+        this.log(`💀 ${delivery.event.type} → ${delivery.url} dead-lettered after ${delivery.attempts} attempt(s): ${error}`);
+      } else {
+        delivery.nextAttemptAt = now + backoffDelay(delivery.attempts, DELIVERY_BACKOFF);
+        result.failed++;
+        this.log(`⚠️  ${delivery.event.type} → ${delivery.url} failed (attempt ${delivery.attempts}/${MAX_DELIVERY_ATTEMPTS}): ${error}`);
+      }
+    }
+
+    if (due.length > 0) saveWatchState(this.state, this.statePath);
+    return result;
+  }
+
+  /**
+   * When the next queued delivery is due (ms timestamp), or null if none is.
+   */
+  nextDeliveryAt() {
+    return this.state.outbox.reduce((min, d) => (min === null || d.nextAttemptAt < min ? d.nextAttemptAt : min), null);
+  }
+
+  /**
+   * Move dead-lettered deliveries back into the queue, attempts reset.
+   * Ones whose webhook is gone from the config stay in the file.
+   * @returns {number} Deliveries requeued
+   */
+  requeueDeadLetters() {
+    const letters = loadDeadLetters(this.deadLetterPath);
+    const keep = [];
+    for (const { deadAt, ...delivery } of letters) {
+      if (!this.config.webhooks.some(h => h.url === delivery.url)) {
+        keep.push({ ...delivery, deadAt });
+        continue;
+      }
+      this.state.outbox.push({ ...delivery, attempts: 0, nextAttemptAt: Date.now(), lastError: null });
+    }
+    saveWatchState(this.state, this.statePath);
+    fs.writeFileSync(this.deadLetterPath, keep.map(l => JSON.stringify(l) + "\n").join(""));
+    return letters.length - keep.length;
+  }
+
+  status() {
+    return {
+      chainId: this.state.chainId,
+      contract: this.state.contract,
+      lastBlock: this.state.lastBlock,
+      agents: this.config.agents.map(({ agentId, cadenceMs }) => ({
+        agentId,
+        cadenceMs,
+        ...this.state.agents[agentId],
+      })),
+      queuedDeliveries: this.state.outbox.length,
+      deadLetters: loadDeadLetters(this.deadLetterPath).length,
+      feedClients: this.listeners.size,
+    };
+  }
+}
+
+// ============ Feed ============
+
+/**
+ * Server-sent-events feed of a watcher's events.
+ *
+ *   GET /events?agent=ID&type=TYPE   stream (both filters optional, repeatable);
+ *                                    reconnects replay from Last-Event-ID
+ *   GET /health                      watcher status as JSON
+ *
+ * @returns {Promise<http.Server>} Once it's listening
+ */
+export function startFeedServer(watcher, { port = 8081, host = "127.0.0.1" } = {}) {
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, "http://localhost");
+    res.setHeader("Access-Control-Allow-Origin", "*");
+
+    if (req.method === "GET" && url.pathname === "/health") {
+      res.setHeader("Content-Type", "application/json; charset=utf-8");
+      res.end(JSON.stringify({ ok: true, ...watcher.status() }, null, 2));
+      return;
+    }
+
+    if (req.method !== "GET" || url.pathname !== "/events") {
+      res.statusCode = 404;
+      res.setHeader("Content-Type", "application/json; charset=utf-8");
+      res.end(JSON.stringify({ error: `No such endpoint: ${req.method} ${url.pathname}` }));
+      return;
+    }
+
+    const list = name => url.searchParams.getAll(name).flatMap(v => v.split(",")).filter(Boolean);
+    const agents = list("agent");
+    const types = list("type");
+
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream; charset=utf-8",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+    });
+    res.write("retry: 5000\n\n");
+
+    const unsubscribe = watcher.subscribe(event => {
+      if (agents.length > 0 && !agents.includes(event.agentId)) return;
+      if (types.length > 0 && !types.includes(event.type)) return;
+      res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+    }, { lastEventId: req.headers["last-event-id"] ?? url.searchParams.get("lastEventId") });
+
+    // Comment lines keep proxies from closing an idle stream
+    const heartbeat = setInterval(() => res.write(": ping\n\n"), HEARTBEAT_MS);
+    req.on("close", () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    });
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, host, () => resolve(server));
+  });
+}
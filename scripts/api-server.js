@@ -0,0 +1,105 @@
+#!/usr/bin/env node
+/**
+ * Verification API Server
+ *
+ * Serves lib/api.js over HTTP, so other agents can look up an agent's
+ * checkpoints and check proofs with plain HTTP requests instead of cloning
+ * this repo and running verify.js.
+ *
+ * Usage:
+ *   node scripts/api-server.js [--port=8080] [--host=127.0.0.1] [--network=testnet|mainnet|local]
+ *                              [--cache-ttl=30s] [--quiet]
+ */
+
+import { Registry } from "../lib/registry.js";
+import { NETWORKS } from "../lib/config.js";
+import { DEFAULT_CACHE_TTL_MS, startApiServer } from "../lib/api.js";
+import { parseDuration, formatDuration } from "../lib/history.js";
+
+async function main() {
+  const args = process.argv.slice(2);
+
+  if (args.includes("--help")) {
+    console.log(`
+🌐 Verification API Server
+
+Serve agent info, checkpoint history, proofs and proof verification as JSON.
+
+Usage:
+  node scripts/api-server.js [options]
+
+Options:
+  --port=N          Port to listen on (default: 8080)
+  --host=ADDR       Address to bind (default: 127.0.0.1; 0.0.0.0 for all interfaces)
+  --network=NAME    testnet, mainnet or local (default: testnet)
+  --cache-ttl=DUR   How long on-chain reads are reused (default: ${formatDuration(DEFAULT_CACHE_TTL_MS)})
+  --quiet           Don't log requests
+
+Endpoints:
+  GET  /health
+  GET  /agents/:agentId
+  GET  /agents/:agentId/checkpoints?offset=0&limit=20
+  GET  /agents/:agentId/checkpoints/latest
+  GET  /agents/:agentId/checkpoints/:index
+  GET  /agents/:agentId/checkpoints/:index/proof?file=MEMORY.md
+  POST /verify                       (body: a proof package)
+
+Examples:
+  curl localhost:8080/agents/b0tresch/checkpoints/latest
+  curl -s localhost:8080/agents/b0tresch/checkpoints/12/proof?file=MEMORY.md > proof.json
+  curl -s -X POST --data @proof.json localhost:8080/verify
+`);
+    return;
+  }
+
+  const option = name => args.find(a => a.startsWith(`--${name}=`))?.slice(name.length + 3);
+  const network = option("network") ?? "testnet";
+  if (!NETWORKS[network]) {
+    console.error(`❌ Unknown network: ${network}`);
+    process.exit(1);
+  }
+  const port = Number(option("port") ?? 8080);
+  const host = option("host") ?? "127.0.0.1";
+  const cacheTtl = option("cache-ttl") ? parseDuration(option("cache-ttl")) : DEFAULT_CACHE_TTL_MS;
+  const quiet = args.includes("--quiet");
+
+  console.log("🌐 Verification API");
+  console.log("===================\n");
+
+  let registry;
+  try {
+    registry = Registry.connect({ network });
+    await registry.checkChain();
+  } catch (err) {
+    console.error(`❌ ${err.message}`);
+    process.exit(1);
+  }
+
+  const log = quiet
+    ? null
+    : ({ method, path, status, ms }) => console.log(`${new Date().toISOString()} ${method} ${path} ${status} ${ms}ms`);
+
+  let server;
+  try {
+    server = await startApiServer(registry, { port, host, cacheTtl, log });
+  } catch (err) {
+    console.error(`❌ Can't listen on ${host}:${port}: ${err.message}`);
+    process.exit(1);
+  }
+
+  console.log(`📍 Contract: ${registry.address} (${network})`);
+  console.log(`🗃️  Cache: on-chain reads reused for ${formatDuration(cacheTtl)}`);
+  console.log(`🚀 Listening on http://${host}:${port}\n`);
+
+  const shutdown = () => {
+    console.log("\n👋 Shutting down");
+    server.close(() => process.exit(0));
+  };
+  process.on("SIGINT", shutdown);
+  process.on("SIGTERM", shutdown);
+}
+
+main().catch(err => {
+  console.error(`❌ ${err.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,314 @@
+#!/usr/bin/env node
+/**
+ * Cross-Agent Attestations
+ *
+ * Vouch for another agent's checkpoint history on the AgentAttestations
+ * contract (see lib/attestations.js). Issuing and revoking use the wallet's
+ * agent as the issuer.
+ *
+ *   issue   "I verified checkpoint N of agent X", with optional score and comment
+ *   revoke  Withdraw one of your attestations
+ *   list    Attestations about an agent, or issued by one
+ *   check   Does an agent (or one checkpoint) have enough unrevoked vouchers?
+ *   graph   Who vouched for whom, from the attestation events (JSON or DOT)
+ *
+ * Usage:
+ *   node scripts/attest.js issue <AGENT_ID> <CHECKPOINT|latest> [--score=1-100] [--comment=TEXT] [--root=0x...]
+ *   node scripts/attest.js revoke <ATTESTATION_ID>
+ *   node scripts/attest.js list [--for=AGENT_ID | --by=AGENT_ID] [--json]
+ *   node scripts/attest.js check <AGENT_ID> [CHECKPOINT] [--min=1] [--json]
+ *   node scripts/attest.js graph [--format=json|dot] [--out=FILE] [--include-revoked] [--no-sync]
+ */
+
+import { ethers } from "ethers";
+import fs from "fs";
+import { Registry } from "../lib/registry.js";
+import { NETWORKS, loadDeployment, loadArtifact } from "../lib/config.js";
+import { signerSource } from "../lib/signers.js";
+import { syncIndex, loadIndex } from "../lib/event-index.js";
+import {
+  ATTESTATION_ERRORS,
+  fetchAttestations,
+  attestationsFromEvents,
+  buildTrustGraph,
+  trustGraphToDot,
+} from "../lib/attestations.js";
+import { fetchFlags, flagsFor } from "../lib/flags.js";
+
+const MAX_COMMENT_LENGTH = 280;
+
+async function connect(network, { needsWallet }) {
+  let deployment, client;
+  try {
+    deployment = loadDeployment("AgentAttestations", network);
+    client = Registry.connect({ network, address: deployment.registry, wallet: needsWallet || Boolean(signerSource()) });
+    await client.checkChain();
+  } catch (err) {
+    console.error(`❌ ${err.message}`);
+    process.exit(1);
+  }
+  const { provider, signer, contract: registry } = client;
+
+  const attestations = new ethers.Contract(deployment.address, loadArtifact("AgentAttestations").abi, signer ?? provider);
+
+  return { deployment, provider, signer, attestations, registry };
+}
+
+function describeError(err, contracts) {
+  let name = err.revert?.name;
+  for (const contract of contracts) {
+    if (name || !err.data) break;
+    try {
+      name = contract.interface.parseError(err.data)?.name;
+    } catch {}
+  }
+  return ATTESTATION_ERRORS[name] ?? err.shortMessage ?? err.message;
+}
+
+function formatAttestation(a) {
+  const score = a.score !== null ? `, score ${a.score}` : "";
+  const status = a.revoked ? "🚫" : "✅";
+  const comment = a.comment ? `\n        "${a.comment}"` : "";
+  return `  ${status} #${a.id}  ${a.issuer} → ${a.subject} checkpoint #${a.checkpointIndex}${score}  (${new Date(a.timestamp).toISOString()})${comment}`;
+}
+
+// ============ Commands ============
+
+async function issue({ attestations, registry, signer }, subject, checkpointArg, { score, comment, root }) {
+  const count = Number(await registry.getCheckpointCount(subject));
+  if (count === 0) throw new Error(`Agent "${subject}" has no checkpoints`);
+  const index = checkpointArg === "latest" ? count - 1 : Number(checkpointArg);
+  if (!Number.isInteger(index) || index < 0 || index >= count) {
+    throw new Error(`Agent "${subject}" has checkpoints #0-#${count - 1}, not ${checkpointArg}`);
+  }
+
+  // The attestation binds to this root - make sure it's the one that was verified
+  const checkpoint = await registry.getCheckpoint(subject, index);
+  if (root && root.toLowerCase() !== checkpoint.merkleRoot.toLowerCase()) {
+    throw new Error(`Checkpoint #${index} of "${subject}" has root ${checkpoint.merkleRoot}, not ${root}`);
+  }
+  // Nothing to vouch for once the agent's own owner has disowned it
+  const [flag] = flagsFor(await fetchFlags(registry, subject), index);
+  if (flag) {
+    throw new Error(`Checkpoint #${index} of "${subject}" is flagged by its owner (${flag.reason}) - not attesting to it`);
+  }
+
+  const issuer = await registry.addressToAgent(signer.address);
+  if (!issuer) throw new Error(`Wallet ${signer.address} doesn't own a registered agent`);
+  console.log(`🤝 ${issuer} attests to checkpoint #${index} of "${subject}"`);
+  console.log(`   Root: ${checkpoint.merkleRoot}`);
+  if (score) console.log(`   Score: ${score}`);
+  if (comment) console.log(`   Comment: ${comment}`);
+
+  const tx = await attestations.attest(subject, index, score ?? 0, comment ?? "");
+  console.log(`   TX: ${tx.hash}`);
+  const receipt = await tx.wait();
+  const issued = receipt.logs
+    .map(log => {
+      try {
+        return attestations.interface.parseLog(log);
+      } catch {
+        return null;
+      }
+    })
+    .find(event => event?.name === "AttestationIssued");
+  console.log(`   ✅ Attestation #${issued?.args.id} in block ${receipt.blockNumber}`);
+}
+
+async function revoke({ attestations, signer }, idArg) {
+  const id = Number(idArg);
+  if (!Number.isInteger(id) || id < 0) throw new Error(`Invalid attestation ID "${idArg}"`);
+
+  const [attestation] = await fetchAttestations(attestations, [id]);
+  console.log(`🚫 Revoking attestation #${id} (${attestation.issuer} → ${attestation.subject} checkpoint #${attestation.checkpointIndex})`);
+  const tx = await attestations.revoke(id);
+  console.log(`   TX: ${tx.hash}`);
+  const receipt = await tx.wait();
+  console.log(`   ✅ Revoked in block ${receipt.blockNumber}`);
+}
+
+async function list({ attestations, registry, signer }, { forAgent, byAgent, json }) {
+  let agentId = forAgent ?? byAgent;
+  if (!agentId) {
+    agentId = signer ? await registry.addressToAgent(signer.address) : "";
+    if (!agentId) throw new Error("Pass --for=AGENT_ID or --by=AGENT_ID (the wallet has no agent)");
+  }
+
+  const about = byAgent ? [] : await fetchAttestations(attestations, await attestations.getAttestationsFor(agentId));
+  const by = forAgent ? [] : await fetchAttestations(attestations, await attestations.getAttestationsBy(agentId));
+
+  if (json) {
+    console.log(JSON.stringify({ agentId, about, by }, null, 2));
+    return;
+  }
+
+  if (!byAgent) {
+    console.log(`📥 About ${agentId}: ${about.length}`);
+    for (const a of about) console.log(formatAttestation(a));
+  }
+  if (!forAgent) {
+    console.log(`${byAgent ? "" : "\n"}📤 Issued by ${agentId}: ${by.length}`);
+    for (const a of by) console.log(formatAttestation(a));
+  }
+}
+
+/**
+ * @returns {Promise<boolean>} Whether at least `min` distinct agents vouch
+ */
+async function check({ attestations }, subject, checkpointArg, { min, json }) {
+  const all = await fetchAttestations(attestations, await attestations.getAttestationsFor(subject));
+  const checkpoint = checkpointArg !== undefined ? Number(checkpointArg) : null;
+  const active = all.filter(a => !a.revoked && (checkpoint === null || a.checkpointIndex === checkpoint));
+  const vouchers = [...new Set(active.map(a => a.issuer))];
+  const scores = active.map(a => a.score).filter(s => s !== null);
+  const passed = vouchers.length >= min;
+
+  if (json) {
+    console.log(JSON.stringify({
+      agentId: subject,
+      checkpoint,
+      attestations: active,
+      vouchers,
+      meanScore: scores.length ? Math.round(scores.reduce((sum, s) => sum + s, 0) / scores.length) : null,
+      min,
+      passed,
+    }, null, 2));
+    return passed;
+  }
+
+  const target = checkpoint === null ? `"${subject}"` : `checkpoint #${checkpoint} of "${subject}"`;
+  console.log(`🔍 ${target}: ${active.length} active attestation(s) from ${vouchers.length} agent(s)${all.length > active.length ? ` (${all.length - active.length} revoked or for other checkpoints)` : ""}`);
+  for (const a of active) console.log(formatAttestation(a));
+  if (scores.length > 0) {
+    console.log(`   Mean score: ${Math.round(scores.reduce((sum, s) => sum + s, 0) / scores.length)}`);
+  }
+  console.log(`\n${passed ? "✅" : "❌"} ${vouchers.length} of ${min} required voucher(s)`);
+  return passed;
+}
+
+async function graph({ deployment, provider, attestations }, { format, out, includeRevoked, sync, log }) {
+  const { chainId } = await provider.getNetwork();
+
+  if (sync) {
+    let startBlock = 0;
+    if (deployment.txHash) {
+      const receipt = await provider.getTransactionReceipt(deployment.txHash);
+      if (receipt) startBlock = receipt.blockNumber;
+    }
+    log("🔄 Syncing attestation events...");
+    const { to } = await syncIndex(attestations, { startBlock });
+    log(`   ✅ Indexed through block ${to}\n`);
+  }
+
+  const index = loadIndex(chainId, deployment.address);
+  if (!index.state) {
+    throw new Error("No attestation index yet - run without --no-sync");
+  }
+
+  const trustGraph = buildTrustGraph(attestationsFromEvents(index.events), { includeRevoked });
+  const body = format === "dot"
+    ? trustGraphToDot(trustGraph)
+    : JSON.stringify({ chainId: Number(chainId), contract: deployment.address, throughBlock: index.state.lastBlock, ...trustGraph }, null, 2) + "\n";
+
+  if (out) {
+    fs.writeFileSync(out, body);
+    log(`💾 ${trustGraph.nodes.length} agent(s), ${trustGraph.edges.length} edge(s) written to ${out}`);
+  } else {
+    process.stdout.write(body);
+  }
+}
+
+// ============ Main ============
+
+async function main() {
+  const args = process.argv.slice(2);
+  const positional = args.filter(a => !a.startsWith("--"));
+  const option = name => args.find(a => a.startsWith(`--${name}=`))?.slice(name.length + 3);
+  const command = positional[0];
+
+  if (args.includes("--help") || !["issue", "revoke", "list", "check", "graph"].includes(command)) {
+    console.log(`
+🤝 Cross-Agent Attestations
+
+Vouch for other agents' checkpoints, and see who vouches for whom.
+
+Usage:
+  node scripts/attest.js issue <AGENT_ID> <CHECKPOINT|latest> [--score=N] [--comment=TEXT] [--root=0x...]
+  node scripts/attest.js revoke <ATTESTATION_ID>
+  node scripts/attest.js list [--for=AGENT_ID | --by=AGENT_ID] [--json]
+  node scripts/attest.js check <AGENT_ID> [CHECKPOINT] [--min=N] [--json]
+  node scripts/attest.js graph [--format=json|dot] [--out=FILE] [--include-revoked] [--no-sync]
+
+Options:
+  --score=N          Issue: 1-100 (omit for no score)
+  --comment=TEXT     Issue: note stored with the attestation (max ${MAX_COMMENT_LENGTH} bytes)
+  --root=0x...       Issue: refuse unless the checkpoint has this root (the one you verified)
+  --for / --by       List: attestations about / issued by an agent (default: your agent, both)
+  --min=N            Check: distinct vouching agents required (default: 1); exits 1 below it
+  --format=FMT       Graph: json (default) or dot (Graphviz)
+  --network=NAME     testnet, mainnet or local (default: testnet)
+
+Examples:
+  node scripts/verify-proof.js proof.json && node scripts/attest.js issue other-agent 12 --score=90
+  node scripts/attest.js check other-agent --min=2 && echo "vouched for"
+  node scripts/attest.js graph --format=dot | dot -Tsvg > trust.svg
+`);
+    return;
+  }
+
+  const network = option("network") ?? "testnet";
+  if (!NETWORKS[network]) {
+    console.error(`❌ Unknown network: ${network}`);
+    process.exit(1);
+  }
+  const json = args.includes("--json");
+  const quiet = json || (command === "graph" && !option("out"));
+  // Machine-readable output owns stdout; progress goes to stderr
+  const log = quiet ? console.error : console.log;
+
+  const connection = await connect(network, { needsWallet: command === "issue" || command === "revoke" });
+
+  log("🤝 Agent Attestations");
+  log("=====================\n");
+  log(`📍 Contract: ${connection.deployment.address} (${network})\n`);
+
+  try {
+    if (command === "issue") {
+      if (positional.length < 3) throw new Error("issue needs an agent ID and a checkpoint index (or latest)");
+      const score = option("score") !== undefined ? Number(option("score")) : null;
+      if (score !== null && !(Number.isInteger(score) && score >= 1 && score <= 100)) {
+        throw new Error("--score must be a whole number from 1 to 100");
+      }
+      const comment = option("comment") ?? null;
+      if (comment && Buffer.byteLength(comment) > MAX_COMMENT_LENGTH) {
+        throw new Error(`--comment is longer than ${MAX_COMMENT_LENGTH} bytes`);
+      }
+      await issue(connection, positional[1], positional[2], { score, comment, root: option("root") });
+    } else if (command === "revoke") {
+      if (positional.length < 2) throw new Error("revoke needs an attestation ID");
+      await revoke(connection, positional[1]);
+    } else if (command === "list") {
+      await list(connection, { forAgent: option("for"), byAgent: option("by"), json });
+    } else if (command === "check") {
+      if (positional.length < 2) throw new Error("check needs an agent ID");
+      const passed = await check(connection, positional[1], positional[2], { min: Number(option("min") ?? 1), json });
+      if (!passed) process.exit(1);
+    } else {
+      await graph(connection, {
+        format: option("format") ?? "json",
+        out: option("out"),
+        includeRevoked: args.includes("--include-revoked"),
+        sync: !args.includes("--no-sync"),
+        log,
+      });
+    }
+  } catch (err) {
+    console.error(`❌ ${describeError(err, [connection.attestations, connection.registry])}`);
+    process.exit(1);
+  }
+}
+
+main().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
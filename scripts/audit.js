@@ -0,0 +1,150 @@
+#!/usr/bin/env node
+/**
+ * Memory Audit
+ *
+ * Compares an agent's consecutive local checkpoint records (lib/audit.js)
+ * and reports what looks like a memory wipe, reset or poisoning: sharp drops
+ * in file count or size, deleted or rewritten identity files, vanished daily
+ * logs, and roots reverting to an earlier state. Exits 1 when a finding is
+ * at or above --fail-on, so it can gate an agent's startup. Only records from
+ * one network are compared: the latest record's, unless --network says.
+ *
+ * Usage:
+ *   node scripts/audit.js [--agent=ID] [--network=NET] [--last=N] [--core=GLOBS]
+ *                         [--fail-on=critical|high|medium] [--json] [--out=FILE] [--no-content]
+ */
+
+import fs from "fs";
+import path from "path";
+import { loadManifestFromArgs } from "../lib/manifest.js";
+import { listCheckpointRecords } from "../lib/records.js";
+import { loadCheckpointedFile } from "../lib/bundle.js";
+import { loadDefaultKeyring } from "../lib/bundle-crypto.js";
+import { SEVERITIES, DEFAULT_CORE_FILES, auditRecords, atLeast } from "../lib/audit.js";
+
+const SEVERITY_ICONS = { critical: "🚨", high: "🔴", medium: "🟠" };
+
+function describeCheckpoint(ref) {
+  return `${ref.checkpointIndex !== null ? `#${ref.checkpointIndex}` : path.basename(ref.record)} (${ref.timestamp})`;
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+
+  if (args.includes("--help")) {
+    console.log(`
+🔎 Memory Audit
+
+Flag suspicious changes between an agent's consecutive checkpoints.
+
+Usage:
+  node scripts/audit.js [options]
+
+Options:
+  --agent=ID        Agent ID (default: manifest agentId, else b0tresch)
+  --manifest=PATH   Workspace manifest (default: memory-manifest.json)
+  --network=NET     Network whose records to compare (default: the latest record's;
+                    "all" mixes every network's records in one sequence)
+  --last=N          Only audit the last N changes (earlier records still count for reverts)
+  --core=GLOBS      Comma-separated identity files (default: ${DEFAULT_CORE_FILES.join(",")})
+  --fail-on=LEVEL   Exit 1 on a finding at or above: ${SEVERITIES.join(", ")} (default: high)
+  --json            Print the report as JSON
+  --out=FILE        Also write the report as JSON to FILE
+  --no-content      Judge rewrites by size only (don't read old versions from bundles)
+
+Findings:
+  file-count-drop, size-drop, core-file-deleted, core-file-rewritten,
+  daily-log-removed, root-reverted
+
+Examples:
+  node scripts/audit.js
+  node scripts/audit.js --last=10 --fail-on=critical && ./start-agent.sh
+  node scripts/audit.js --json > audit.json
+`);
+    return;
+  }
+
+  const option = name => args.find(a => a.startsWith(`--${name}=`))?.slice(name.length + 3);
+  const manifest = loadManifestFromArgs(args);
+  const agentId = option("agent") ?? manifest.agentId ?? "b0tresch";
+  const last = option("last") ? parseInt(option("last")) : null;
+  const coreFiles = option("core") ? option("core").split(",").filter(Boolean) : DEFAULT_CORE_FILES;
+  const failOn = option("fail-on") ?? "high";
+  const json = args.includes("--json");
+  // Progress goes to stderr with --json so stdout stays parseable
+  const log = json ? console.error : console.log;
+
+  if (!SEVERITIES.includes(failOn)) {
+    console.error(`❌ Unknown --fail-on level "${failOn}" (expected ${SEVERITIES.join(", ")})`);
+    process.exit(1);
+  }
+  if (last !== null && !(last > 0)) {
+    console.error("❌ --last must be a positive number");
+    process.exit(1);
+  }
+
+  // Records from before agentId was recorded belong to this host's agent
+  const agentRecords = listCheckpointRecords().filter(({ record }) => !record.agentId || record.agentId === agentId);
+  // Testnet and mainnet checkpoints are separate histories; interleaved, every switch looks like a wipe
+  const networkOption = option("network") ?? agentRecords.at(-1)?.record.network ?? "all";
+  const network = networkOption === "all" ? null : networkOption;
+  const records = agentRecords.filter(({ record }) => !network || record.network === network);
+
+  if (!json) {
+    console.log("🔎 Memory Audit");
+    console.log("===============\n");
+  }
+  log(`🤖 Agent: ${agentId}${network ? ` on ${network}` : ""}`);
+  log(`📂 ${records.length} local checkpoint record(s)\n`);
+  if (records.length < 2) {
+    console.error("❌ Need at least two checkpoint records to compare.");
+    process.exit(1);
+  }
+
+  let readFile = null;
+  if (!args.includes("--no-content")) {
+    // Old versions may only exist in (encrypted) bundles
+    const keyring = await loadDefaultKeyring();
+    readFile = (record, relativePath) => loadCheckpointedFile(record, relativePath, manifest.root, keyring)?.content ?? null;
+  }
+
+  const report = auditRecords(records, { coreFiles, readFile, last });
+  const failed = report.findings.some(f => atLeast(f.severity, failOn));
+  const output = { agentId, network, coreFiles, failOn, failed, ...report };
+
+  if (option("out")) {
+    fs.writeFileSync(option("out"), JSON.stringify(output, null, 2));
+    log(`💾 Report written to ${option("out")}\n`);
+  }
+
+  if (json) {
+    console.log(JSON.stringify(output, null, 2));
+  } else {
+    console.log(`📊 Audited ${report.audited} change(s): ${describeCheckpoint(report.from)} → ${describeCheckpoint(report.to)}\n`);
+
+    let current = null;
+    for (const f of report.findings) {
+      if (f.checkpoint.record !== current) {
+        current = f.checkpoint.record;
+        console.log(`📍 ${describeCheckpoint(f.checkpoint)}, root ${f.checkpoint.root.slice(0, 10)}...`);
+      }
+      console.log(`   ${SEVERITY_ICONS[f.severity]} ${f.severity.toUpperCase()} ${f.type}: ${f.message}`);
+    }
+
+    if (report.findings.length === 0) {
+      console.log("✅ No suspicious changes between consecutive checkpoints");
+    } else {
+      console.log(`\n${SEVERITIES.map(s => `${report.counts[s]} ${s}`).join(", ")}`);
+      console.log(failed
+        ? `❌ Findings at or above "${failOn}" - check the memory before the agent acts on it`
+        : `✅ Nothing at or above "${failOn}"`);
+    }
+  }
+
+  if (failed) process.exit(1);
+}
+
+main().catch(err => {
+  console.error(`❌ ${err.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,520 @@
+#!/usr/bin/env node
+/**
+ * Checkpoint Bundle Recovery
+ *
+ * Works from the bundle-<ts>.tar.gz(.enc) archives checkpoint.js keeps next
+ * to each record:
+ *
+ *   rebuild  Recompute each bundle's tree, match it to an on-chain root and
+ *            regenerate any missing checkpoint-<ts>.json record (with proofs).
+ *   restore  Extract the workspace as it was at checkpoint N (from the object
+ *            store or a bundle) into a target directory, after checking the
+ *            files reproduce the anchored root.
+ *   list     Show the bundles on disk, or the contents of one bundle.
+ *   decrypt  Extract an encrypted bundle (e.g. fetched from shared storage)
+ *            after checking it against its manifest root and the chain - the
+ *            registry known for the manifest's chain (or --contract), never
+ *            the contract the manifest names.
+ *   encrypt  Encrypt existing plaintext bundles in place.
+ *
+ * Encrypted bundles are opened with the configured wallet (lib/signers.js) or
+ * $BUNDLE_PASSPHRASE, whichever they were encrypted with.
+ *
+ * Usage:
+ *   node scripts/bundles.js rebuild [--agent=ID] [--force] [--dry-run]
+ *   node scripts/bundles.js restore --checkpoint=N --target=DIR [--force]
+ *   node scripts/bundles.js list [BUNDLE]
+ *   node scripts/bundles.js decrypt BUNDLE --target=DIR [--contract=0x...] [--offline] [--force]
+ *   node scripts/bundles.js encrypt [--bundle-key=wallet|passphrase] [--keep]
+ */
+
+import fs from "fs";
+import path from "path";
+import { ethers } from "ethers";
+import { Registry } from "../lib/registry.js";
+import { NETWORKS, networkForChainId, findDeployment } from "../lib/config.js";
+import { loadManifestFromArgs } from "../lib/manifest.js";
+import { findRecordByRoot, listCheckpointRecords, recordPath, serializeFiles, serializeProofs } from "../lib/records.js";
+import { listBundles, openBundle, readBundle, matchBundleTree } from "../lib/bundle.js";
+import { findTreeByRoot, readTreeFiles } from "../lib/object-store.js";
+import {
+  ENCRYPTED_BUNDLE_EXT,
+  loadDefaultKeyring,
+  readBundleHeader,
+  bundleKeyMode,
+  bundleManifest,
+  encryptBundle,
+} from "../lib/bundle-crypto.js";
+import { parseMetadata } from "../lib/metadata.js";
+
+const PAGE_SIZE = 100;
+
+// ============ Chain ============
+
+async function connect(network, address = null) {
+  try {
+    const registry = Registry.connect({ network, address });
+    await registry.checkChain();
+    return registry;
+  } catch (err) {
+    console.error(`❌ ${err.message}`);
+    process.exit(1);
+  }
+}
+
+/**
+ * Every checkpoint of an agent, read in pages with getCheckpointRange.
+ */
+async function getAllCheckpoints(contract, agentId) {
+  const count = Number(await contract.getCheckpointCount(agentId));
+  const checkpoints = [];
+
+  for (let start = 0; start < count; start += PAGE_SIZE) {
+    const page = await contract.getCheckpointRange(agentId, start, Math.min(PAGE_SIZE, count - start));
+    page.forEach((checkpoint, i) => checkpoints.push({ index: start + i, checkpoint }));
+  }
+
+  return checkpoints;
+}
+
+async function findPublishTx(contract, agentId, index, blockNumber) {
+  try {
+    const events = await contract.queryFilter(
+      contract.filters.CheckpointPublished(agentId, null, index),
+      blockNumber,
+      blockNumber,
+    );
+    return events[0]?.transactionHash ?? null;
+  } catch {
+    return null;
+  }
+}
+
+// ============ Rebuild ============
+
+async function rebuild({ agentId, network, manifest, keyring, force, dryRun }) {
+  const { deployment, contract } = await connect(network);
+
+  const checkpoints = await getAllCheckpoints(contract, agentId);
+  console.log(`⛓️  ${checkpoints.length} on-chain checkpoints for "${agentId}"`);
+
+  const byRoot = new Map();
+  for (const c of checkpoints) {
+    const root = c.checkpoint.merkleRoot.toLowerCase();
+    byRoot.set(root, [...(byRoot.get(root) ?? []), c]);
+  }
+  const roots = new Set(byRoot.keys());
+
+  const bundles = listBundles();
+  console.log(`📦 ${bundles.length} bundles on disk\n`);
+
+  let rebuilt = 0;
+  let unmatched = 0;
+
+  for (const bundle of bundles) {
+    const name = path.basename(bundle.path);
+    const target = recordPath(bundle.timestamp);
+
+    if (fs.existsSync(target) && !force) {
+      console.log(`  ⏭️  ${name}: record exists`);
+      continue;
+    }
+
+    let files;
+    try {
+      files = readBundle(bundle.path, keyring);
+    } catch (err) {
+      console.log(`  ⚠️  ${name}: unreadable (${err.message})`);
+      unmatched++;
+      continue;
+    }
+
+    const match = matchBundleTree(files, roots, [manifest.root]);
+    if (!match) {
+      console.log(`  ❌ ${name}: no on-chain checkpoint matches its ${files.length} files`);
+      unmatched++;
+      continue;
+    }
+
+    // A root published twice: take the checkpoint closest to the bundle's time
+    const { index, checkpoint } = byRoot.get(match.root).reduce((best, c) =>
+      Math.abs(Number(c.checkpoint.timestamp) * 1000 - bundle.timestamp) <
+      Math.abs(Number(best.checkpoint.timestamp) * 1000 - bundle.timestamp) ? c : best
+    );
+    const blockNumber = Number(checkpoint.blockNumber);
+    const metadata = parseMetadata(checkpoint.metadata).metadata ?? {};
+
+    const record = {
+      files: serializeFiles(match.files),
+      root: match.root,
+      leafVersion: match.leafVersion,
+      ...(match.chunking ? { chunking: match.chunking } : {}),
+      workspace: match.workspace,
+      fileCount: match.files.length,
+      totalBytes: match.files.reduce((sum, f) => sum + f.size, 0),
+      timestamp: metadata.timestamp ?? new Date(Number(checkpoint.timestamp) * 1000).toISOString(),
+      txHash: await findPublishTx(contract, agentId, index, blockNumber),
+      blockNumber,
+      network,
+      contractAddress: deployment.address,
+      agentId,
+      checkpointIndex: index,
+      authorship: metadata.authorship ?? null,
+      proofs: serializeProofs(match.files, match.tree, match.leafVersion),
+      bundle: {
+        path: bundle.path,
+        size: fs.statSync(bundle.path).size,
+        files: match.files.length,
+        ...(bundle.encrypted ? { encrypted: bundleKeyMode(readBundleHeader(bundle.path)) } : {}),
+      },
+      rebuiltAt: new Date().toISOString(),
+    };
+
+    console.log(`  ✅ ${name}: checkpoint #${index} (v${match.leafVersion}${match.chunking ? `, ${match.chunking} chunks` : ""}, ${match.files.length} files)`);
+    if (!dryRun) {
+      fs.writeFileSync(target, JSON.stringify(record, null, 2));
+      console.log(`     💾 ${target}`);
+    }
+    rebuilt++;
+  }
+
+  console.log(`\n📊 ${rebuilt} record(s) ${dryRun ? "would be " : ""}rebuilt, ${unmatched} bundle(s) unmatched`);
+}
+
+// ============ Restore ============
+
+async function restore({ agentId, network, manifest, keyring, checkpointIndex, target, force }) {
+  const { contract } = await connect(network);
+
+  const count = Number(await contract.getCheckpointCount(agentId));
+  if (count === 0) {
+    console.error(`❌ Agent "${agentId}" has no checkpoints.`);
+    process.exit(1);
+  }
+  const index = checkpointIndex ?? count - 1;
+  const checkpoint = await contract.getCheckpoint(agentId, index);
+  const root = checkpoint.merkleRoot.toLowerCase();
+
+  console.log(`🎯 Checkpoint #${index} of "${agentId}"`);
+  console.log(`   Merkle Root: ${checkpoint.merkleRoot}`);
+  console.log(`   Block: ${checkpoint.blockNumber}\n`);
+
+  checkTarget(target, force);
+
+  // The object store first, if the checkpoint's tree is there
+  let match = null;
+  let source = null;
+  const stored = findTreeByRoot(root);
+  if (stored) {
+    try {
+      match = matchBundleTree(readTreeFiles(stored.tree), new Set([root]), [stored.tree.workspace]);
+      source = stored.file;
+    } catch (err) {
+      console.log(`⚠️  Object store: ${err.message} - trying bundles`);
+    }
+  }
+
+  // The record names the bundle; without one, search every bundle for the root
+  const record = findRecordByRoot(root);
+  const recordBundle = record?.bundle?.path && fs.existsSync(record.bundle.path) ? record.bundle.path : null;
+  const candidates = match ? [] : recordBundle ? [recordBundle] : listBundles().map(b => b.path);
+
+  for (const bundlePath of candidates) {
+    // Encrypted bundles name their root up front - don't decrypt the others
+    const header = readBundleHeader(bundlePath);
+    if (header && header.root.toLowerCase() !== root) continue;
+    try {
+      match = matchBundleTree(readBundle(bundlePath, keyring), new Set([root]), [record?.workspace, manifest.root]);
+    } catch {
+      match = null;
+    }
+    if (match) {
+      source = bundlePath;
+      break;
+    }
+  }
+
+  if (!match) {
+    console.error(`❌ No stored tree or bundle reproduces the on-chain root of checkpoint #${index} - refusing to restore.`);
+    process.exit(1);
+  }
+
+  console.log(`📦 Source: ${source}`);
+  console.log(`   ✅ ${match.files.length} files reproduce the anchored root (leaf format v${match.leafVersion})\n`);
+
+  writeFiles(match.files, target);
+  console.log(`\n💾 Workspace at checkpoint #${index} restored to ${path.resolve(target)}`);
+}
+
+function writeFiles(files, target) {
+  for (const f of files) {
+    const dest = path.join(target, f.relativePath);
+    fs.mkdirSync(path.dirname(dest), { recursive: true });
+    fs.writeFileSync(dest, f.content);
+    fs.utimesSync(dest, f.modified, f.modified);
+    console.log(`  📄 ${f.relativePath} (${f.size} bytes)`);
+  }
+}
+
+function checkTarget(target, force) {
+  if (fs.existsSync(target) && fs.readdirSync(target).length > 0 && !force) {
+    console.error(`❌ Target ${target} is not empty. Use --force to write into it anyway.`);
+    process.exit(1);
+  }
+}
+
+// ============ Encryption ============
+
+function describeBundle(bundlePath) {
+  const header = readBundleHeader(bundlePath);
+  return header ? `🔒 ${bundleKeyMode(header)}` : "🔓 plaintext";
+}
+
+function openOrExit(bundlePath, keyring) {
+  try {
+    return openBundle(bundlePath, keyring);
+  } catch (err) {
+    console.error(`❌ ${err.message}`);
+    process.exit(1);
+  }
+}
+
+function list({ keyring, bundlePath }) {
+  if (!bundlePath) {
+    const bundles = listBundles();
+    const recordRoots = new Map(listCheckpointRecords()
+      .filter(r => r.record.bundle?.path)
+      .map(r => [r.record.bundle.path, r.record.root]));
+
+    console.log(`📦 ${bundles.length} bundles on disk\n`);
+    for (const bundle of bundles) {
+      const header = readBundleHeader(bundle.path);
+      const root = header?.root ?? recordRoots.get(bundle.path) ?? "(no record)";
+      const size = fs.statSync(bundle.path).size;
+      console.log(`  ${path.basename(bundle.path).padEnd(36)} ${describeBundle(bundle.path).padEnd(14)} ${String(size).padStart(9)} B  ${root}`);
+    }
+    return;
+  }
+
+  const { header, manifest } = openOrExit(bundlePath, keyring);
+  console.log(`📦 ${bundlePath} (${describeBundle(bundlePath)})`);
+
+  if (!manifest) {
+    for (const f of readBundle(bundlePath)) {
+      console.log(`  📄 ${f.path} (${f.content.length} bytes)`);
+    }
+    return;
+  }
+
+  console.log(`   Root: ${manifest.root}`);
+  console.log(`   Agent: ${manifest.agentId} (checkpoint #${manifest.checkpointIndex ?? "?"})`);
+  console.log(`   Chain: ${manifest.chainId}, contract ${manifest.contract}`);
+  console.log(`   Leaf format: v${manifest.leafVersion}${manifest.chunking ? `, ${manifest.chunking} chunks` : ""}`);
+  console.log(`   Checkpointed: ${manifest.timestamp}, encrypted ${header.createdAt}\n`);
+  for (const f of manifest.files) {
+    console.log(`  📄 ${f.relativePath} (${f.size} bytes, ${f.hash.slice(0, 18)}...)`);
+  }
+}
+
+async function decrypt({ keyring, bundlePath, target, contractAddress, offline, force }) {
+  const { manifest } = openOrExit(bundlePath, keyring);
+  if (!manifest) {
+    console.error("❌ Not an encrypted bundle - use restore, or extract it with tar.");
+    process.exit(1);
+  }
+  checkTarget(target, force);
+
+  console.log(`🔓 Decrypted ${bundlePath}`);
+  console.log(`   Manifest root: ${manifest.root}`);
+
+  // The files must reproduce the root the manifest claims...
+  const match = matchBundleTree(readBundle(bundlePath, keyring), new Set([manifest.root.toLowerCase()]), [manifest.workspace]);
+  if (!match) {
+    console.error("❌ The bundle's files don't reproduce its manifest root - refusing to extract.");
+    process.exit(1);
+  }
+  console.log(`   ✅ ${match.files.length} files reproduce it (leaf format v${match.leafVersion})`);
+
+  // ...and that root must be anchored for the agent
+  if (offline) {
+    console.log("   ⚠️  --offline: not checked against the chain");
+  } else {
+    const network = networkForChainId(manifest.chainId);
+    if (!network) {
+      console.error(`❌ Unknown chain ${manifest.chainId} - use --offline to skip the on-chain check.`);
+      process.exit(1);
+    }
+    // The manifest's contract address proves nothing - anyone can deploy a registry and anchor a root there
+    const address = contractAddress ?? findDeployment("AgentMemoryRegistry", manifest.chainId)?.address;
+    if (!address) {
+      console.error(`❌ No known registry for chain ${manifest.chainId} - pass --contract=0x... (or --offline to skip the on-chain check).`);
+      process.exit(1);
+    }
+    if (!ethers.isAddress(manifest.contract) || ethers.getAddress(manifest.contract) !== ethers.getAddress(address)) {
+      console.error(`❌ The bundle is for contract ${manifest.contract}, not the registry ${address} - refusing to extract.`);
+      process.exit(1);
+    }
+    const { contract } = await connect(network, address);
+    const anchored = (await getAllCheckpoints(contract, manifest.agentId))
+      .filter(c => c.checkpoint.merkleRoot.toLowerCase() === manifest.root.toLowerCase());
+    if (anchored.length === 0) {
+      console.error(`❌ Root is not an on-chain checkpoint of "${manifest.agentId}" on ${network} - refusing to extract.`);
+      process.exit(1);
+    }
+    const { index, checkpoint } = anchored[0];
+    console.log(`   ✅ Anchored as checkpoint #${index} of "${manifest.agentId}" (block ${checkpoint.blockNumber}, ${new Date(Number(checkpoint.timestamp) * 1000).toISOString()})`);
+  }
+
+  console.log("");
+  writeFiles(match.files, target);
+  console.log(`\n💾 Extracted to ${path.resolve(target)}`);
+}
+
+function encrypt({ keyring, bundleKey, keep }) {
+  let encrypted = 0;
+  let skipped = 0;
+  const handled = new Set();
+
+  for (const { file, record } of listCheckpointRecords()) {
+    const bundlePath = record.bundle?.path;
+    if (!bundlePath || !fs.existsSync(bundlePath) || readBundleHeader(bundlePath)) continue;
+
+    const chainId = NETWORKS[record.network]?.chainId;
+    if (!chainId) {
+      console.log(`  ⚠️  ${path.basename(bundlePath)}: unknown network "${record.network}"`);
+      skipped++;
+      continue;
+    }
+
+    const encryptedPath = `${bundlePath}${ENCRYPTED_BUNDLE_EXT}`;
+    fs.writeFileSync(encryptedPath, encryptBundle(fs.readFileSync(bundlePath), bundleManifest(record, chainId), keyring, bundleKey));
+    record.bundle = { ...record.bundle, path: encryptedPath, size: fs.statSync(encryptedPath).size, encrypted: bundleKey };
+    fs.writeFileSync(file, JSON.stringify(record, null, 2));
+    if (!keep) fs.unlinkSync(bundlePath);
+    handled.add(bundlePath);
+
+    console.log(`  🔒 ${path.basename(bundlePath)} → ${path.basename(encryptedPath)}`);
+    encrypted++;
+  }
+
+  for (const b of listBundles().filter(b => !b.encrypted && !handled.has(b.path))) {
+    console.log(`  ⚠️  ${path.basename(b.path)}: no record - run rebuild first`);
+    skipped++;
+  }
+
+  console.log(`\n📊 ${encrypted} bundle(s) encrypted (${bundleKey} key), ${skipped} skipped`);
+}
+
+// ============ Main ============
+
+async function main() {
+  const args = process.argv.slice(2);
+  const command = args[0];
+
+  if (!["rebuild", "restore", "list", "decrypt", "encrypt"].includes(command)) {
+    console.log(`
+📦 Checkpoint Bundle Recovery
+
+Rebuild lost checkpoint records, restore a past workspace, or manage
+encrypted bundles.
+
+Usage:
+  node scripts/bundles.js rebuild [options]
+  node scripts/bundles.js restore --target=DIR [--checkpoint=N] [options]
+  node scripts/bundles.js list [BUNDLE]
+  node scripts/bundles.js decrypt BUNDLE --target=DIR [--contract=0x...] [--offline] [--force]
+  node scripts/bundles.js encrypt [--bundle-key=wallet|passphrase] [--keep]
+
+Options:
+  --agent=ID        Agent ID (default: manifest agentId, else b0tresch)
+  --manifest=PATH   Workspace manifest (default: memory-manifest.json)
+  --network=NET     Network to use (default: testnet)
+  --checkpoint=N    Checkpoint to restore (default: latest)
+  --target=DIR      Directory to restore into
+  --force           Overwrite existing records / write into a non-empty target
+  --dry-run         Rebuild: show what would be written
+  --contract=0x...  Decrypt: registry to check the root against (default: the
+                    deployment for the bundle's chain in deployments.json)
+  --offline         Decrypt: skip the on-chain check of the manifest root
+  --bundle-key=K    Encrypt: wallet or passphrase (default: passphrase if
+                    BUNDLE_PASSPHRASE is set, else wallet)
+  --keep            Encrypt: keep the plaintext bundles
+
+Encrypted bundles are opened with your wallet (keystore, WALLET_PRIVATE_KEY or
+remote signer) or $BUNDLE_PASSPHRASE.
+
+Examples:
+  node scripts/bundles.js rebuild
+  node scripts/bundles.js restore --checkpoint=12 --target=/tmp/memory-12
+  BUNDLE_PASSPHRASE=... node scripts/bundles.js decrypt bundle-1771234567890.tar.gz.enc --target=/tmp/m
+`);
+    return;
+  }
+
+  const agentArg = args.find(a => a.startsWith("--agent="));
+  const networkArg = args.find(a => a.startsWith("--network="));
+  const checkpointArg = args.find(a => a.startsWith("--checkpoint="));
+  const targetArg = args.find(a => a.startsWith("--target="));
+  const bundleKeyArg = args.find(a => a.startsWith("--bundle-key="));
+  const contractArg = args.find(a => a.startsWith("--contract="));
+  const bundlePath = args.slice(1).find(a => !a.startsWith("--"));
+
+  const manifest = loadManifestFromArgs(args);
+  const options = {
+    agentId: agentArg ? agentArg.split("=")[1] : (manifest.agentId ?? "b0tresch"),
+    network: networkArg ? networkArg.split("=")[1] : "testnet",
+    manifest,
+    force: args.includes("--force"),
+    dryRun: args.includes("--dry-run"),
+    keyring: await loadDefaultKeyring(),
+  };
+
+  console.log("📦 Checkpoint Bundle Recovery");
+  console.log("=============================\n");
+
+  if (command === "rebuild") {
+    await rebuild(options);
+    return;
+  }
+  if (command === "list") {
+    list({ ...options, bundlePath });
+    return;
+  }
+  if (command === "encrypt") {
+    encrypt({
+      ...options,
+      bundleKey: bundleKeyArg ? bundleKeyArg.split("=")[1] : (process.env.BUNDLE_PASSPHRASE ? "passphrase" : "wallet"),
+      keep: args.includes("--keep"),
+    });
+    return;
+  }
+
+  if (!targetArg) {
+    console.error(`❌ ${command} needs --target=DIR`);
+    process.exit(1);
+  }
+  if (command === "decrypt") {
+    if (!bundlePath) {
+      console.error("❌ decrypt needs a bundle file");
+      process.exit(1);
+    }
+    await decrypt({
+      ...options,
+      bundlePath,
+      target: targetArg.split("=").slice(1).join("="),
+      contractAddress: contractArg ? contractArg.split("=")[1] : null,
+      offline: args.includes("--offline"),
+    });
+    return;
+  }
+  await restore({
+    ...options,
+    checkpointIndex: checkpointArg ? parseInt(checkpointArg.split("=")[1]) : undefined,
+    target: targetArg.split("=").slice(1).join("="),
+  });
+}
+
+main().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
@@ -1,21 +1,25 @@
 import { ethers } from "ethers";
-import fs from "fs";
-import os from "os";
+import { NETWORKS } from "../lib/config.js";
+import { loadSigner } from "../lib/signers.js";
 
-const wallet = JSON.parse(fs.readFileSync(os.homedir() + '/.evm-wallet.json', 'utf8'));
-
-// Check both testnet and mainnet
-const networks = [
-  { name: "Monad Testnet", url: "https://testnet-rpc.monad.xyz", chainId: 10143 },
-  { name: "Monad Mainnet", url: "https://rpc.monad.xyz", chainId: 143 }
-];
+// The address only - a keystore stays locked
+const signer = loadSigner();
+if (!signer) {
+  console.error("❌ No wallet configured (keystore, WALLET_PRIVATE_KEY or REMOTE_SIGNER_URL)");
+  process.exit(1);
+}
 
-for (const net of networks) {
+// Check every known network
+for (const [name, net] of Object.entries(NETWORKS)) {
+  const label = `Monad ${name[0].toUpperCase()}${name.slice(1)}`;
   try {
-    const provider = new ethers.JsonRpcProvider(net.url);
-    const balance = await provider.getBalance(wallet.address);
-    console.log(`${net.name}: ${ethers.formatEther(balance)} MON`);
+    const provider = new ethers.JsonRpcProvider(net.rpc);
+    const balance = await provider.getBalance(signer.address);
+    console.log(`${label}: ${ethers.formatEther(balance)} MON`);
+    if (balance === 0n) {
+      console.log(`  No gas - checkpoints can still be published through a relayer: node scripts/checkpoint.js --relay`);
+    }
   } catch (e) {
-    console.log(`${net.name}: Error - ${e.message}`);
+    console.log(`${label}: Error - ${e.message}`);
   }
 }
@@ -2,299 +2,388 @@
 /**
  * Memory Checkpoint Publisher
  * 
- * Reads b0tresch's actual memory files, builds a merkle tree,
- * and publishes the root on-chain.
+ * Reads an agent's memory files (as selected by its workspace manifest),
+ * builds a merkle tree, and publishes the root on-chain.
+ * 
+ * Metadata follows the amr-metadata-1 schema (lib/metadata.js) and is
+ * validated before anything is sent; the manifest's "extensions" object is
+ * published with it.
+ * 
+ * Files whose size and mtime are unchanged are not re-read (hash cache), and
+ * nothing is published when the root matches the latest on-chain checkpoint,
+ * except a heartbeat once --max-interval has passed.
+ * 
+ * With --daemon it keeps running and publishes on a schedule, backing off
+ * after failures. Transactions that aren't mined within --tx-timeout are
+ * replaced with bumped fees. The transaction in flight and run health are kept
+ * in a state file (checkpoints/daemon-state.json), so a restart resumes
+ * instead of publishing twice, and --health can be polled by monitoring.
+ * Failures exit non-zero.
+ * 
+ * Bundles are encrypted at rest (AES-256-GCM) with a key derived from the
+ * wallet, or from $BUNDLE_PASSPHRASE when it is set; --bundle-key=none keeps
+ * the plain tar.gz. With --store=objects, files go to the deduplicated object
+ * store (lib/object-store.js) instead of a bundle; it is not encrypted, so it
+ * must be asked for together with --bundle-key=none.
+ * 
+ * A wallet without gas can --relay instead: the checkpoint is signed as
+ * EIP-712 typed data and queued for scripts/relayer.js to submit (see
+ * lib/relay.js). The record is written right away; the relayer fills in its
+ * transaction and checkpoint index once published, or marks it failed.
  * 
  * Usage:
- *   node scripts/checkpoint.js [--dry-run] [--network=testnet|mainnet]
+ *   node scripts/checkpoint.js [--dry-run] [--network=testnet|mainnet|local] [--manifest=PATH]
+ *                              [--max-interval=24h] [--force] [--no-cache]
+ *                              [--min-balance=0.01] [--tx-timeout=2m] [--state=PATH]
+ *                              [--bundle-key=wallet|passphrase|none] [--store=bundle|objects]
+ *                              [--relay[=QUEUE_DIR]] [--relay-deadline=24h]
+ *   node scripts/checkpoint.js --daemon [--every=4h] [...]
+ *   node scripts/checkpoint.js --health [--max-age=8h] [--state=PATH]
  */
 
 import { ethers } from "ethers";
 import fs from "fs";
 import path from "path";
-import crypto from "crypto";
-import { fileURLToPath } from "url";
-import { execSync } from "child_process";
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+import { execFileSync } from "child_process";
+import { Registry } from "../lib/registry.js";
+import { buildCheckpoint, checkpointMetadata } from "../lib/checkpoint.js";
+import { loadManifestFromArgs } from "../lib/manifest.js";
+import { keccak } from "../lib/merkle.js";
+import { CHECKPOINTS_DIR, recordPath, serializeFiles, serializeProofs, listCheckpointRecords } from "../lib/records.js";
+import { parseDuration, formatDuration } from "../lib/history.js";
+import { ENCRYPTED_BUNDLE_EXT, createKeyring, bundleManifest, encryptBundle } from "../lib/bundle-crypto.js";
+import { putObject, writeTree } from "../lib/object-store.js";
+import { DEFAULT_TX_TIMEOUT_MS, sendWithReplacement, checkPendingTransaction } from "../lib/transactions.js";
+import { RELAY_QUEUE_DIR, listRelayQueue, nextRelayNonce, queueRelayRequest, signRelayRequest } from "../lib/relay.js";
+import { DAEMON_STATE_PATH, loadDaemonState, saveDaemonState, recordRun, backoffDelay, checkHealth } from "../lib/daemon-state.js";
 
 // ============ Configuration ============
 
-const MEMORY_PATHS = [
-  "/root/.openclaw/workspace/MEMORY.md",
-  "/root/.openclaw/workspace/AGENTS.md",
-  "/root/.openclaw/workspace/SOUL.md",
-  "/root/.openclaw/workspace/USER.md",
-  "/root/.openclaw/workspace/IDENTITY.md",
-  "/root/.openclaw/workspace/GOALS.md",
-  "/root/.openclaw/workspace/TOOLS.md",
-  "/root/.openclaw/workspace/HEARTBEAT.md",
-];
-
-const MEMORY_DIR = "/root/.openclaw/workspace/memory";
-
-const NETWORKS = {
-  testnet: {
-    rpc: "https://testnet-rpc.monad.xyz",
-    chainId: 10143,
-  },
-  mainnet: {
-    rpc: "https://rpc.monad.xyz",
-    chainId: 143,
-  }
-};
-
-// ============ Merkle Tree ============
-
-class MerkleTree {
-  constructor(leaves, alreadyHashed = false) {
-    // If leaves are already hashed (32-byte buffers), use directly
-    // Otherwise hash them
-    this.leaves = alreadyHashed ? leaves : leaves.map(l => this.hash(l));
-    this.layers = [this.leaves];
-    this.buildTree();
-  }
-
-  hash(data) {
-    // Use keccak256 to match Solidity's keccak256
-    if (Buffer.isBuffer(data)) {
-      return Buffer.from(ethers.keccak256(data).slice(2), "hex");
-    }
-    return Buffer.from(ethers.keccak256(Buffer.from(data)).slice(2), "hex");
-  }
+// Refuse to publish below this balance (MON), override with --min-balance
+const DEFAULT_MIN_BALANCE = "0.01";
 
-  hashPair(a, b) {
-    // Sort to ensure consistent ordering
-    const sorted = Buffer.compare(a, b) <= 0 ? [a, b] : [b, a];
-    return this.hash(Buffer.concat(sorted));
-  }
+const MAX_BUNDLE_BYTES = 256 * 1024 * 1024;
 
-  buildTree() {
-    let currentLayer = this.leaves;
-    
-    while (currentLayer.length > 1) {
-      const nextLayer = [];
-      
-      for (let i = 0; i < currentLayer.length; i += 2) {
-        if (i + 1 < currentLayer.length) {
-          nextLayer.push(this.hashPair(currentLayer[i], currentLayer[i + 1]));
-        } else {
-          // Odd number of nodes - promote the last one
-          nextLayer.push(currentLayer[i]);
-        }
-      }
-      
-      this.layers.push(nextLayer);
-      currentLayer = nextLayer;
-    }
-  }
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// ============ Memory Reading ============
 
-  getRoot() {
-    const topLayer = this.layers[this.layers.length - 1];
-    return topLayer.length > 0 ? topLayer[0] : Buffer.alloc(32);
+function printCheckpointFiles(checkpoint) {
+  console.log(`\n📁 Found ${checkpoint.fileCount} memory files in ${checkpoint.workspace}:\n`);
+  for (const f of checkpoint.files) {
+    console.log(`  ${f.relativePath}${f.cached ? " (cached)" : ""}`);
+    console.log(`    Hash: ${f.hash.toString("hex").slice(0, 16)}...`);
+    console.log(`    Size: ${f.size} bytes (${f.chunks} chunks)`);
+    console.log(`    Modified: ${f.modified.toISOString()}`);
   }
 
-  getRootHex() {
-    return "0x" + this.getRoot().toString("hex");
+  if (checkpoint.cache) {
+    console.log(`\n🗃️  Hash cache: ${checkpoint.cache.hits} unchanged, ${checkpoint.cache.misses} re-hashed`);
   }
+}
 
-  getProof(index) {
-    if (index >= this.leaves.length) {
-      throw new Error("Index out of bounds");
-    }
+// ============ On-chain Publishing ============
 
-    const proof = [];
-    let currentIndex = index;
+async function connect(network) {
+  const registry = Registry.connect({ network, wallet: true });
+  await registry.checkChain();
+  const { deployment, network: networkConfig, provider, signer, contract } = registry;
+  return { registry, deployment, networkConfig, provider, signer, contract };
+}
 
-    for (let i = 0; i < this.layers.length - 1; i++) {
-      const layer = this.layers[i];
-      const isRight = currentIndex % 2 === 1;
-      const siblingIndex = isRight ? currentIndex - 1 : currentIndex + 1;
+async function checkBalance({ provider, signer }, minBalance) {
+  const balance = await provider.getBalance(signer.address);
+  console.log(`💰 Balance: ${ethers.formatEther(balance)} MON`);
+  if (minBalance !== null && balance < minBalance) {
+    throw new Error(`Balance ${ethers.formatEther(balance)} MON is below the minimum of ${ethers.formatEther(minBalance)} MON`);
+  }
+  return balance;
+}
 
-      if (siblingIndex < layer.length) {
-        proof.push("0x" + layer[siblingIndex].toString("hex"));
-      }
+async function publishCheckpoint(checkpoint, { manifest, network, dryRun, force, maxInterval, minBalance, txTimeout, bundleKey, store, relay, relayDeadline, state, saveState }) {
+  const connection = await connect(network);
+  const { registry, deployment, networkConfig, signer, contract } = connection;
 
-      currentIndex = Math.floor(currentIndex / 2);
-    }
+  console.log(`\n📍 Using contract at ${deployment.address}`);
+  console.log(`\n🔗 Network: ${network} (chain ${networkConfig.chainId})`);
+  console.log(`👤 Wallet: ${signer.address}`);
+
+  if (dryRun) {
+    await checkBalance(connection, null);
+    console.log(`📋 Metadata: ${checkpointMetadata(checkpoint, manifest, { signer: signer.address })}`);
+    console.log("\n🧪 DRY RUN - not publishing to chain");
+    return null;
+  }
+  // Relayed checkpoints are paid for by the relayer
+  await checkBalance(connection, relay ? null : minBalance);
 
-    return proof;
+  // The wallet publishes either as the agent's owner or as one of its delegates
+  const { agentId, isDelegate } = await registry.resolveAgent();
+  if (!agentId) {
+    throw new Error(`Wallet ${signer.address} has no registered agent and is not an active delegate.`);
+  }
+  if (isDelegate) {
+    console.log(`🔑 Publishing as a delegate of "${agentId}"`);
   }
-}
 
-// ============ Memory Reading ============
+  const context = { ...connection, network, agentId, bundleKey, store, state, saveState };
+  const sendOptions = {
+    timeoutMs: txTimeout,
+    log: message => console.log(`   ${message}`),
+  };
 
-function getAllMemoryFiles() {
-  const files = [];
+  // A transaction from an earlier run is still unaccounted for: settle it first
+  // so its nonce is used once and its root isn't published twice
+  if (state.pending && !relay) {
+    const resumed = await resumePending(checkpoint, context, sendOptions);
+    if (resumed) return resumed;
+  }
 
-  // Core memory files
-  for (const filePath of MEMORY_PATHS) {
-    if (fs.existsSync(filePath)) {
-      files.push({
-        path: filePath,
-        relativePath: path.basename(filePath),
-      });
+  // Nothing changed since the last checkpoint: skip, or heartbeat if it's been too long
+  let heartbeat = false;
+  const checkpointCount = Number(await contract.getCheckpointCount(agentId));
+  if (checkpointCount > 0 && !force) {
+    const latest = await contract.getLatestCheckpoint(agentId);
+    if (latest.merkleRoot.toLowerCase() === checkpoint.root.toLowerCase()) {
+      const age = Date.now() - Number(latest.timestamp) * 1000;
+      if (!maxInterval || age < maxInterval) {
+        console.log(`\n⏭️  Memory unchanged since checkpoint #${checkpointCount - 1} (${formatDuration(age)} ago) - not publishing`);
+        if (maxInterval) {
+          console.log(`   Heartbeat due in ${formatDuration(maxInterval - age)}`);
+        }
+        return null;
+      }
+      heartbeat = true;
+      console.log(`\n💓 Memory unchanged for ${formatDuration(age)} (max interval ${formatDuration(maxInterval)}) - publishing a heartbeat`);
     }
   }
 
-  // Daily memory files
-  if (fs.existsSync(MEMORY_DIR)) {
-    const dailyFiles = fs.readdirSync(MEMORY_DIR)
-      .filter(f => f.endsWith(".md"))
-      .map(f => ({
-        path: path.join(MEMORY_DIR, f),
-        relativePath: `memory/${f}`,
-      }));
-    files.push(...dailyFiles);
+  // Sign the root so verifiers can check who published it
+  const { authorship, metadata } = await registry.authorCheckpoint(checkpoint, { agentId, manifest, heartbeat });
+  console.log(`\n✍️  Signed root as ${authorship.signer} (${authorship.scheme})`);
+
+  if (relay) {
+    return relayCheckpoint(checkpoint, context, { metadata, heartbeat, authorship, queueDir: relay, deadlineMs: relayDeadline });
   }
 
-  return files;
-}
+  console.log(`\n📤 Publishing checkpoint...`);
+  console.log(`   Root: ${checkpoint.root}`);
+  console.log(`   Metadata: ${metadata}`);
+
+  const request = await contract.publishCheckpointSimple.populateTransaction(checkpoint.root, metadata);
+  const sentAt = new Date().toISOString();
+  const { receipt } = await sendWithReplacement(signer, request, {
+    ...sendOptions,
+    onSent: ({ nonce, hashes, request: sent }) => {
+      console.log(`   TX: ${hashes.at(-1)} (nonce ${nonce})`);
+      state.pending = { root: checkpoint.root, heartbeat, authorship, from: signer.address, nonce, hashes, request: sent, sentAt };
+      saveState();
+    },
+  });
 
-function hashFile(filePath) {
-  const content = fs.readFileSync(filePath);
-  // Use keccak256 to match Solidity
-  return Buffer.from(ethers.keccak256(content).slice(2), "hex");
+  return finishPublish(checkpoint, context, { receipt, heartbeat, authorship });
 }
 
-function buildMemoryCheckpoint() {
-  const files = getAllMemoryFiles();
-  console.log(`\n📁 Found ${files.length} memory files:\n`);
-
-  const fileHashes = files.map(f => {
-    const hash = hashFile(f.path);
-    const stat = fs.statSync(f.path);
-    console.log(`  ${f.relativePath}`);
-    console.log(`    Hash: ${hash.toString("hex").slice(0, 16)}...`);
-    console.log(`    Size: ${stat.size} bytes`);
-    console.log(`    Modified: ${stat.mtime.toISOString()}`);
-    return {
-      ...f,
-      hash,
-      size: stat.size,
-      modified: stat.mtime,
-    };
+/**
+ * Sign the checkpoint for publishCheckpointWithSig and queue it for a
+ * relayer, instead of sending a transaction.
+ */
+async function relayCheckpoint(checkpoint, context, { metadata, heartbeat, authorship, queueDir, deadlineMs }) {
+  const { deployment, networkConfig, signer, contract, agentId } = context;
+
+  // A request for this root may already be waiting for the relayer
+  const queued = listRelayQueue(queueDir).find(e =>
+    e.request?.signer?.toLowerCase() === signer.address.toLowerCase() &&
+    e.request.root.toLowerCase() === checkpoint.root.toLowerCase());
+  if (queued) {
+    console.log(`\n⏭️  Root already queued for relaying (nonce ${queued.request.nonce}): ${queued.file}`);
+    return null;
+  }
+
+  const nonce = nextRelayNonce(await contract.nonces(signer.address), signer.address, queueDir);
+  const deadline = Math.floor((Date.now() + deadlineMs) / 1000);
+  const request = await signRelayRequest(signer, {
+    agentId,
+    root: checkpoint.root,
+    metadata,
+    nonce,
+    deadline,
+    chainId: networkConfig.chainId,
+    contract: deployment.address,
   });
+  const file = queueRelayRequest(request, queueDir);
 
-  // Build merkle tree
-  const tree = new MerkleTree(fileHashes.map(f => f.hash), true); // already hashed
-  
-  return {
-    files: fileHashes,
-    tree,
-    root: tree.getRootHex(),
-    fileCount: files.length,
-    totalBytes: fileHashes.reduce((sum, f) => sum + f.size, 0),
-    timestamp: new Date().toISOString(),
-  };
+  console.log(`\n📨 Signed checkpoint for relaying (EIP-712, nonce ${nonce}, valid until ${new Date(deadline * 1000).toISOString()})`);
+  console.log(`   Root: ${checkpoint.root}`);
+  console.log(`   Queued: ${file}`);
+  console.log(`   Submit with: node scripts/relayer.js${queueDir === RELAY_QUEUE_DIR ? "" : ` --queue=${queueDir}`}`);
+
+  if (heartbeat) {
+    console.log(`\n💓 Heartbeat queued - no new bundle or record`);
+    return null;
+  }
+
+  return saveCheckpointRecord(checkpoint, context, {
+    receipt: null,
+    checkpointIndex: null,
+    authorship,
+    relay: { request: file, nonce, deadline },
+  });
 }
 
-// ============ On-chain Publishing ============
+/**
+ * Settle state.pending: wait for it (replacing it if stuck) or notice it was
+ * dropped. Returns the finished record if it published the current root.
+ */
+async function resumePending(checkpoint, context, sendOptions) {
+  const { provider, signer, state, saveState } = context;
+  const pending = state.pending;
 
-async function publishCheckpoint(checkpoint, network, dryRun) {
-  // Load deployment info
-  const deploymentPath = path.join(__dirname, "..", "deployment-registry.json");
-  if (!fs.existsSync(deploymentPath)) {
-    console.error("\n❌ No deployment found. Run deploy-registry.js first.");
-    process.exit(1);
+  console.log(`\n⏳ Found a transaction from a previous run (nonce ${pending.nonce}, sent ${pending.sentAt})`);
+  if (pending.from.toLowerCase() !== signer.address.toLowerCase()) {
+    throw new Error(`Pending transaction was sent from ${pending.from}, not this wallet - clear "pending" in the state file to discard it`);
   }
 
-  const deployment = JSON.parse(fs.readFileSync(deploymentPath));
-  console.log(`\n📍 Using contract at ${deployment.address}`);
-
-  // Load wallet
-  const walletPath = path.join(process.env.HOME, ".evm-wallet.json");
-  if (!fs.existsSync(walletPath)) {
-    console.error("\n❌ No wallet found at ~/.evm-wallet.json");
-    process.exit(1);
+  let { status, receipt } = await checkPendingTransaction(provider, pending);
+  if (status === "dropped") {
+    console.log(`   🗑️  Dropped (nonce ${pending.nonce} was used by another transaction) - publishing afresh`);
+    state.pending = null;
+    saveState();
+    return null;
+  }
+  if (status === "pending") {
+    console.log(`   Still pending - waiting, with fee-bumped replacements if it stays stuck`);
+    ({ receipt } = await sendWithReplacement(signer, pending.request, {
+      ...sendOptions,
+      previousHashes: pending.hashes,
+      onSent: ({ hashes, request }) => {
+        console.log(`   TX: ${hashes.at(-1)} (replacement)`);
+        state.pending = { ...pending, hashes, request };
+        saveState();
+      },
+    }));
   }
 
-  const wallet = JSON.parse(fs.readFileSync(walletPath));
-  
-  // Connect to network
-  const networkConfig = NETWORKS[network];
-  const provider = new ethers.JsonRpcProvider(networkConfig.rpc);
-  const signer = new ethers.Wallet(wallet.privateKey, provider);
+  if (pending.root.toLowerCase() !== checkpoint.root.toLowerCase()) {
+    await finishPublish(checkpoint, context, { receipt, heartbeat: pending.heartbeat, stale: true });
+    return null;
+  }
+  return finishPublish(checkpoint, context, { receipt, heartbeat: pending.heartbeat, authorship: pending.authorship });
+}
 
-  console.log(`\n🔗 Network: ${network} (chain ${networkConfig.chainId})`);
-  console.log(`👤 Wallet: ${signer.address}`);
+async function finishPublish(checkpoint, context, { receipt, heartbeat, authorship, stale = false }) {
+  const { registry, state, saveState } = context;
 
-  const balance = await provider.getBalance(signer.address);
-  console.log(`💰 Balance: ${ethers.formatEther(balance)} MON`);
+  if (receipt.status !== 1) {
+    state.pending = null;
+    saveState();
+    throw new Error(`Transaction ${receipt.hash} reverted`);
+  }
+  console.log(`   ✅ Confirmed in block ${receipt.blockNumber}`);
 
-  if (dryRun) {
-    console.log("\n🧪 DRY RUN - not publishing to chain");
-    return;
+  // Index assigned by the contract, from the CheckpointPublished event
+  const checkpointIndex = registry.checkpointIndexFromReceipt(receipt);
+  if (checkpointIndex !== null) {
+    console.log(`   📍 Checkpoint #${checkpointIndex}`);
   }
 
-  // Load contract ABI
-  const artifactPath = path.join(__dirname, "..", "artifacts", "contracts", "AgentMemoryRegistry.sol", "AgentMemoryRegistry.json");
-  const artifact = JSON.parse(fs.readFileSync(artifactPath));
-  
-  const contract = new ethers.Contract(deployment.address, artifact.abi, signer);
+  const root = state.pending?.root ?? checkpoint.root;
+  state.pending = null;
+  state.lastPublished = {
+    root,
+    checkpointIndex,
+    txHash: receipt.hash,
+    heartbeat,
+    at: new Date().toISOString(),
+  };
+  saveState();
 
-  // Build metadata
-  const metadata = JSON.stringify({
-    files: checkpoint.fileCount,
-    bytes: checkpoint.totalBytes,
-    timestamp: checkpoint.timestamp,
-  });
+  // The files behind a resumed transaction's root have changed since - the
+  // current root still gets published
+  if (stale) {
+    console.log(`   ⚠️  Memory changed since that transaction was sent - no record for root ${root.slice(0, 18)}...`);
+    return null;
+  }
 
-  console.log(`\n📤 Publishing checkpoint...`);
-  console.log(`   Root: ${checkpoint.root}`);
-  console.log(`   Metadata: ${metadata}`);
+  // A heartbeat re-anchors a root whose record and bundle already exist
+  if (heartbeat) {
+    console.log(`\n💓 Heartbeat published - no new bundle or record`);
+    return null;
+  }
 
-  const tx = await contract.publishCheckpointSimple(checkpoint.root, metadata);
-  console.log(`   TX: ${tx.hash}`);
-  
-  const receipt = await tx.wait();
-  console.log(`   ✅ Confirmed in block ${receipt.blockNumber}`);
+  return saveCheckpointRecord(checkpoint, context, { receipt, checkpointIndex, authorship });
+}
 
-  // Save checkpoint locally
+async function saveCheckpointRecord(checkpoint, context, { receipt, checkpointIndex, authorship, relay = null }) {
+  const { deployment, network, agentId, store } = context;
   const checkpointRecord = {
     ...checkpoint,
-    txHash: tx.hash,
-    blockNumber: receipt.blockNumber,
+    // Null for a relayed checkpoint until the relayer publishes it
+    txHash: receipt?.hash ?? null,
+    blockNumber: receipt?.blockNumber ?? null,
     network,
     contractAddress: deployment.address,
+    agentId,
+    checkpointIndex,
+    authorship,
+    ...(relay ? { relay } : {}),
   };
   
-  // Remove tree (not serializable) and add proof info
+  // Remove tree (not serializable) and cache stats, and add proof info
   delete checkpointRecord.tree;
-  checkpointRecord.proofs = checkpoint.files.map((f, i) => ({
-    file: f.relativePath,
-    hash: "0x" + f.hash.toString("hex"),
-    proof: checkpoint.tree.getProof(i),
-  }));
+  delete checkpointRecord.cache;
+  checkpointRecord.files = serializeFiles(checkpoint.files);
+  checkpointRecord.proofs = serializeProofs(checkpoint.files, checkpoint.tree, checkpoint.leafVersion);
 
-  const checkpointsDir = path.join(__dirname, "..", "checkpoints");
+  const checkpointsDir = CHECKPOINTS_DIR;
   if (!fs.existsSync(checkpointsDir)) {
     fs.mkdirSync(checkpointsDir);
   }
 
   const timestamp = Date.now();
-  const checkpointFile = path.join(checkpointsDir, `checkpoint-${timestamp}.json`);
+  const checkpointFile = recordPath(timestamp);
   
+  if (store === "objects") {
+    storeObjects(checkpoint, checkpointRecord, context, timestamp);
+  } else {
+    await writeBundle(checkpoint, checkpointRecord, context, timestamp);
+  }
+
+  fs.writeFileSync(checkpointFile, JSON.stringify(checkpointRecord, null, 2));
+  console.log(`\n💾 Checkpoint saved to ${checkpointFile}`);
+
+  return checkpointRecord;
+}
+
+async function writeBundle(checkpoint, checkpointRecord, { networkConfig, signer, bundleKey }, timestamp) {
   // Bundle all memory files into a tar.gz archive
-  const bundlesDir = path.join(checkpointsDir, "bundles");
+  const bundlesDir = path.join(CHECKPOINTS_DIR, "bundles");
   if (!fs.existsSync(bundlesDir)) {
     fs.mkdirSync(bundlesDir, { recursive: true });
   }
   
-  const bundleFile = path.join(bundlesDir, `bundle-${timestamp}.tar.gz`);
   const filePaths = checkpoint.files.map(f => f.path);
+  const bundleFile = path.join(bundlesDir, `bundle-${timestamp}.tar.gz${bundleKey === "none" ? "" : ENCRYPTED_BUNDLE_EXT}`);
   
-  console.log(`\n📦 Bundling ${filePaths.length} files...`);
+  console.log(`\n📦 Bundling ${filePaths.length} files${bundleKey === "none" ? "" : ` (encrypted, ${bundleKey} key)`}...`);
   
   // Create tar.gz with all memory files, preserving relative paths
   // Use a file list to handle paths with spaces
-  const fileListPath = path.join(checkpointsDir, ".filelist.tmp");
+  const fileListPath = path.join(CHECKPOINTS_DIR, ".filelist.tmp");
   fs.writeFileSync(fileListPath, filePaths.join("\n"));
   
   try {
-    execSync(`tar -czf "${bundleFile}" -T "${fileListPath}"`, { stdio: "pipe" });
+    const archive = execFileSync("tar", ["-czf", "-", "-T", fileListPath], { stdio: "pipe", maxBuffer: MAX_BUNDLE_BYTES });
     fs.unlinkSync(fileListPath);
+
+    // Encrypted at rest unless --bundle-key=none; the root travels in the manifest
+    if (bundleKey === "none") {
+      fs.writeFileSync(bundleFile, archive);
+    } else {
+      const keyring = await createKeyring({ signer, passphrase: process.env.BUNDLE_PASSPHRASE });
+      const manifest = bundleManifest(checkpointRecord, networkConfig.chainId);
+      fs.writeFileSync(bundleFile, encryptBundle(archive, manifest, keyring, bundleKey));
+    }
     
     const bundleStat = fs.statSync(bundleFile);
     console.log(`   ✅ Bundle created: ${bundleFile}`);
@@ -305,41 +394,190 @@ async function publishCheckpoint(checkpoint, network, dryRun) {
       path: bundleFile,
       size: bundleStat.size,
       files: filePaths.length,
+      ...(bundleKey === "none" ? {} : { encrypted: bundleKey }),
     };
   } catch (err) {
     console.error(`   ⚠️ Failed to create bundle: ${err.message}`);
-    fs.unlinkSync(fileListPath);
+    if (fs.existsSync(fileListPath)) fs.unlinkSync(fileListPath);
   }
-  
-  fs.writeFileSync(checkpointFile, JSON.stringify(checkpointRecord, null, 2));
-  console.log(`\n💾 Checkpoint saved to ${checkpointFile}`);
+}
 
-  return checkpointRecord;
+// Content-addressed alternative to the bundle: only files not already stored are written
+function storeObjects(checkpoint, checkpointRecord, { networkConfig }, timestamp) {
+  console.log(`\n🗄️  Storing ${checkpoint.files.length} files in the object store...`);
+
+  try {
+    let added = 0;
+    let reused = 0;
+    let addedBytes = 0;
+    for (const f of checkpoint.files) {
+      const content = fs.readFileSync(f.path);
+      if (!keccak(content).equals(f.hash)) {
+        console.error(`   ⚠️ ${f.relativePath} changed since it was hashed - not stored`);
+        continue;
+      }
+      if (putObject(content).added) {
+        added++;
+        addedBytes += content.length;
+      } else {
+        reused++;
+      }
+    }
+
+    const treeFile = writeTree(bundleManifest(checkpointRecord, networkConfig.chainId), timestamp);
+    console.log(`   ✅ ${added} new object(s) (${addedBytes} bytes), ${reused} already stored`);
+    console.log(`   🌳 Tree: ${treeFile}`);
+
+    checkpointRecord.objects = {
+      tree: treeFile,
+      files: checkpoint.files.length,
+      added,
+      addedBytes,
+    };
+  } catch (err) {
+    console.error(`   ⚠️ Failed to store objects: ${err.message}`);
+  }
+}
+
+// ============ Runs ============
+
+async function runOnce(manifest, options) {
+  const checkpoint = buildCheckpoint(manifest, { useCache: options.useCache });
+  printCheckpointFiles(checkpoint);
+
+  console.log(`\n📊 Checkpoint Summary:`);
+  console.log(`   Files: ${checkpoint.fileCount}`);
+  console.log(`   Total size: ${checkpoint.totalBytes} bytes`);
+  console.log(`   Merkle root: ${checkpoint.root}`);
+
+  const lastRecord = listCheckpointRecords().at(-1)?.record;
+  if (lastRecord?.root?.toLowerCase() === checkpoint.root.toLowerCase()) {
+    console.log(`   ⏸️  Unchanged since the last local checkpoint (${lastRecord.timestamp})`);
+  }
+
+  return publishCheckpoint(checkpoint, { ...options, manifest });
+}
+
+/**
+ * Publish every `every` ms until killed. A failed run is retried with
+ * exponential backoff (capped at the schedule); health lands in the state file.
+ */
+async function runDaemon(manifest, options, every) {
+  const { state, saveState } = options;
+
+  // Refuse to start at all on a broken setup
+  const connection = await connect(options.network);
+  console.log(`\n🤖 Daemon: checkpoint every ${formatDuration(every)} as ${connection.signer.address}`);
+  await checkBalance(connection, options.relay ? null : options.minBalance);
+
+  let delay = 0;
+  const lastSuccess = state.health.lastSuccessAt ? Date.parse(state.health.lastSuccessAt) : null;
+  if (lastSuccess && !state.pending && Date.now() - lastSuccess < every) {
+    delay = every - (Date.now() - lastSuccess);
+  }
+
+  for (;;) {
+    if (delay > 0) {
+      console.log(`\n💤 Next run in ${formatDuration(delay)} (${new Date(Date.now() + delay).toISOString()})`);
+      await sleep(delay);
+    }
+
+    console.log(`\n⏰ Run at ${new Date().toISOString()}`);
+    try {
+      await runOnce(manifest, options);
+      recordRun(state);
+      delay = every;
+    } catch (err) {
+      recordRun(state, err);
+      delay = backoffDelay(state.health.consecutiveFailures, { maxMs: every });
+      console.error(`\n❌ Run failed (${state.health.consecutiveFailures} in a row, ${state.health.status}): ${state.health.lastError}`);
+    }
+    saveState();
+  }
+}
+
+function reportHealth(state, maxAgeMs) {
+  const { healthy, reasons } = checkHealth(state, { maxAgeMs });
+  const { health, lastPublished } = state;
+
+  console.log(`${healthy ? "✅" : "❌"} Status: ${health.status}`);
+  console.log(`   Last run: ${state.lastRunAt ?? "never"}`);
+  console.log(`   Last success: ${health.lastSuccessAt ?? "never"}`);
+  if (lastPublished) {
+    console.log(`   Last published: checkpoint #${lastPublished.checkpointIndex} at ${lastPublished.at}${lastPublished.heartbeat ? " (heartbeat)" : ""}`);
+  }
+  if (state.pending) {
+    console.log(`   Pending: nonce ${state.pending.nonce}, sent ${state.pending.sentAt}`);
+  }
+  for (const reason of reasons) {
+    console.log(`   ⚠️  ${reason}`);
+  }
+  return healthy;
 }
 
 // ============ Main ============
 
 async function main() {
   const args = process.argv.slice(2);
-  const dryRun = args.includes("--dry-run");
-  const networkArg = args.find(a => a.startsWith("--network="));
-  const network = networkArg ? networkArg.split("=")[1] : "testnet";
+  const option = name => args.find(a => a.startsWith(`--${name}=`))?.split("=")[1];
+
+  const stateFile = option("state") ? path.resolve(option("state")) : DAEMON_STATE_PATH;
+  const state = loadDaemonState(stateFile);
+
+  if (args.includes("--health")) {
+    const maxAge = option("max-age") ? parseDuration(option("max-age")) : null;
+    if (!reportHealth(state, maxAge)) process.exit(1);
+    return;
+  }
+
+  const network = option("network") ?? "testnet";
+  const options = {
+    network,
+    dryRun: args.includes("--dry-run"),
+    force: args.includes("--force"),
+    useCache: !args.includes("--no-cache"),
+    maxInterval: option("max-interval") ? parseDuration(option("max-interval")) : null,
+    minBalance: ethers.parseEther(option("min-balance") ?? DEFAULT_MIN_BALANCE),
+    txTimeout: option("tx-timeout") ? parseDuration(option("tx-timeout")) : DEFAULT_TX_TIMEOUT_MS,
+    store: option("store") ?? "bundle",
+    bundleKey: option("bundle-key") ?? (process.env.BUNDLE_PASSPHRASE ? "passphrase" : "wallet"),
+    relay: args.includes("--relay") ? RELAY_QUEUE_DIR : option("relay") ? path.resolve(option("relay")) : null,
+    relayDeadline: parseDuration(option("relay-deadline") ?? "24h"),
+    state,
+    saveState: () => saveDaemonState(state, stateFile),
+  };
+  const manifest = loadManifestFromArgs(args);
+
+  // The object store keeps plain gzip, so it can't silently replace encrypted bundles
+  if (options.store === "objects" && options.bundleKey !== "none") {
+    console.error("❌ --store=objects stores files unencrypted - add --bundle-key=none to confirm, or keep encrypted bundles");
+    process.exit(1);
+  }
 
   console.log("🧠 Agent Memory Registry - Checkpoint Publisher");
   console.log("================================================");
+  console.log(`📋 Manifest: ${manifest.source ?? "(built-in default)"}`);
 
-  // Build checkpoint
-  const checkpoint = buildMemoryCheckpoint();
-
-  console.log(`\n📊 Checkpoint Summary:`);
-  console.log(`   Files: ${checkpoint.fileCount}`);
-  console.log(`   Total size: ${checkpoint.totalBytes} bytes`);
-  console.log(`   Merkle root: ${checkpoint.root}`);
+  if (args.includes("--daemon")) {
+    await runDaemon(manifest, options, parseDuration(option("every") ?? "4h"));
+    return;
+  }
 
-  // Publish
-  await publishCheckpoint(checkpoint, network, dryRun);
+  // One-shot runs record health too, so --health works under cron
+  try {
+    await runOnce(manifest, options);
+    if (!options.dryRun) recordRun(state);
+  } catch (err) {
+    if (!options.dryRun) recordRun(state, err);
+    throw err;
+  } finally {
+    if (!options.dryRun) options.saveState();
+  }
 
   console.log("\n🎉 Done!");
 }
 
-main().catch(console.error);
+main().catch(err => {
+  console.error(`\n❌ ${err.shortMessage ?? err.message}`);
+  process.exit(1);
+});
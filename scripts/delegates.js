@@ -0,0 +1,207 @@
+#!/usr/bin/env node
+/**
+ * Delegate Publisher Keys
+ *
+ * Manages the addresses allowed to publish checkpoints for an agent besides
+ * its owner (see lib/delegates.js). Run with the owner's wallet; a host with a
+ * delegate key just runs checkpoint.js as usual.
+ *
+ * Rotating a host key: add the new key, switch the host over, revoke the old.
+ *
+ * Usage:
+ *   node scripts/delegates.js list [AGENT_ID] [--json]
+ *   node scripts/delegates.js add <ADDRESS> [--expires=30d|2026-12-31]
+ *   node scripts/delegates.js revoke <ADDRESS>
+ */
+
+import { ethers } from "ethers";
+import { Registry } from "../lib/registry.js";
+import { NETWORKS } from "../lib/config.js";
+import { signerSource } from "../lib/signers.js";
+import { resolveAgent, fetchDelegates } from "../lib/delegates.js";
+import { parseDuration } from "../lib/history.js";
+
+async function connect(network, { needsWallet }) {
+  try {
+    const registry = Registry.connect({ network, wallet: needsWallet || Boolean(signerSource()) });
+    await registry.checkChain();
+    return registry;
+  } catch (err) {
+    console.error(`❌ ${err.message}`);
+    process.exit(1);
+  }
+}
+
+/**
+ * --expires as Unix seconds: a duration from now (30d) or a date. 0 = never.
+ */
+function parseExpiry(value, now = Date.now()) {
+  if (!value || value === "never") return 0;
+  const ms = /^(\d+(\.\d+)?[smhd])+$/.test(value) ? now + parseDuration(value) : Date.parse(value);
+  if (Number.isNaN(ms)) {
+    throw new Error(`Invalid --expires "${value}" (use a duration like 30d or a date like 2026-12-31)`);
+  }
+  if (ms <= now) {
+    throw new Error(`--expires ${new Date(ms).toISOString()} is in the past`);
+  }
+  return Math.floor(ms / 1000);
+}
+
+function describeExpiry(expiresAt) {
+  return expiresAt === 0 ? "no expiry" : `expires ${new Date(expiresAt * 1000).toISOString()}`;
+}
+
+/**
+ * The agent the wallet owns. Delegates can't manage other delegates.
+ */
+async function ownedAgent(contract, signer) {
+  const { agentId, isDelegate } = await resolveAgent(contract, signer.address);
+  if (!agentId) {
+    throw new Error(`Wallet ${signer.address} has no registered agent`);
+  }
+  if (isDelegate) {
+    throw new Error(`Wallet ${signer.address} is a delegate of "${agentId}" - run this with the owner's wallet`);
+  }
+  return agentId;
+}
+
+// Custom errors from the registry, in words
+const REVERT_REASONS = {
+  NotAgentOwner: "the wallet doesn't own this agent",
+  InvalidDelegate: "not a valid delegate (zero address, the owner itself, or not a current delegate)",
+  AddressAlreadyHasAgent: "that address owns an agent of its own",
+  DelegateForAnotherAgent: "that address is already a delegate of another agent",
+  InvalidExpiry: "the expiry is in the past",
+};
+
+async function send(contract, label, call) {
+  let tx;
+  try {
+    tx = await call();
+  } catch (err) {
+    let name = err.revert?.name;
+    if (!name && err.data) name = contract.interface.parseError(err.data)?.name;
+    const reason = REVERT_REASONS[name];
+    if (reason) throw new Error(`${label} rejected: ${reason}`);
+    throw err;
+  }
+  console.log(`   TX: ${tx.hash}`);
+  const receipt = await tx.wait();
+  console.log(`   ✅ Confirmed in block ${receipt.blockNumber}`);
+}
+
+// ============ Commands ============
+
+async function list(contract, agentId, { json }) {
+  const delegates = await fetchDelegates(contract, agentId);
+
+  if (json) {
+    console.log(JSON.stringify({ agentId, delegates }, null, 2));
+    return;
+  }
+
+  console.log(`🤖 Agent: ${agentId}\n`);
+  if (delegates.length === 0) {
+    console.log("No delegates - only the owner publishes.");
+    return;
+  }
+  for (const d of delegates) {
+    const status = d.current ? `✅ active, ${describeExpiry(d.expiresAt)}`
+      : d.active ? `⌛ expired ${new Date(d.expiresAt * 1000).toISOString()}`
+      : "🚫 revoked";
+    console.log(`  ${d.address}  ${status}`);
+  }
+  console.log(`\n📊 ${delegates.filter(d => d.current).length} of ${delegates.length} delegate(s) can publish`);
+}
+
+async function add(contract, signer, delegate, expiresAt) {
+  const agentId = await ownedAgent(contract, signer);
+  console.log(`➕ Authorizing ${delegate} to publish for "${agentId}" (${describeExpiry(expiresAt)})`);
+  await send(contract, "addDelegate", () => contract.addDelegate(agentId, delegate, expiresAt));
+}
+
+async function revoke(contract, signer, delegate) {
+  const agentId = await ownedAgent(contract, signer);
+  console.log(`🚫 Revoking ${delegate} as a publisher for "${agentId}"`);
+  await send(contract, "revokeDelegate", () => contract.revokeDelegate(agentId, delegate));
+}
+
+// ============ Main ============
+
+async function main() {
+  const args = process.argv.slice(2);
+  const positional = args.filter(a => !a.startsWith("--"));
+  const command = positional[0] ?? "list";
+
+  if (args.includes("--help") || !["list", "add", "revoke"].includes(command)) {
+    console.log(`
+🔑 Delegate Publisher Keys
+
+Let other addresses publish checkpoints for your agent, e.g. one key per host,
+so the owner key can stay offline and a leaked host key can be revoked.
+
+Usage:
+  node scripts/delegates.js list [AGENT_ID] [--json]
+  node scripts/delegates.js add <ADDRESS> [--expires=DUR|DATE]
+  node scripts/delegates.js revoke <ADDRESS>
+
+Options:
+  --expires=DUR|DATE  Add: authorization lapses after DUR (e.g. 90d) or at DATE (default: never)
+  --network=NAME      testnet, mainnet or local (default: testnet)
+  --json              List: machine-readable output
+
+add and revoke act on the agent owned by your wallet; list defaults to it.
+Adding an existing delegate again updates its expiry.
+
+Key rotation:
+  node scripts/delegates.js add 0xNEW... --expires=90d
+  # switch the host to the new key, then
+  node scripts/delegates.js revoke 0xOLD...
+`);
+    return;
+  }
+
+  const networkArg = args.find(a => a.startsWith("--network="));
+  const expiresArg = args.find(a => a.startsWith("--expires="));
+  const network = networkArg ? networkArg.split("=")[1] : "testnet";
+  if (!NETWORKS[network]) {
+    console.error(`❌ Unknown network: ${network}`);
+    process.exit(1);
+  }
+
+  const needsWallet = command !== "list" || !positional[1];
+  const { deployment, signer, contract } = await connect(network, { needsWallet });
+
+  const json = args.includes("--json");
+  if (!json) {
+    console.log("🔑 Delegate Publishers");
+    console.log("======================\n");
+    console.log(`📍 Contract: ${deployment.address} (${network})\n`);
+  }
+
+  try {
+    if (command === "list") {
+      const agentId = positional[1] ?? await ownedAgent(contract, signer);
+      await list(contract, agentId, { json });
+      return;
+    }
+
+    if (!positional[1] || !ethers.isAddress(positional[1])) {
+      throw new Error(`${command} needs a delegate address`);
+    }
+    const delegate = ethers.getAddress(positional[1]);
+    if (command === "add") {
+      await add(contract, signer, delegate, parseExpiry(expiresArg?.split("=")[1]));
+    } else {
+      await revoke(contract, signer, delegate);
+    }
+  } catch (err) {
+    console.error(`❌ ${err.shortMessage ?? err.message}`);
+    process.exit(1);
+  }
+}
+
+main().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,76 @@
+#!/usr/bin/env node
+/**
+ * Deploy AgentAttestations contract, pointed at the network's deployed registry
+ *
+ * Usage:
+ *   node scripts/deploy-attestations.js [--network=testnet|mainnet|local]
+ */
+
+import { ethers } from "ethers";
+import path from "path";
+import {
+  DEPLOYMENTS_PATH,
+  checkChainId,
+  getNetwork,
+  loadDeployment,
+  loadArtifact,
+  saveDeployment,
+} from "../lib/config.js";
+import { walletSigner } from "../lib/signers.js";
+
+async function main() {
+  const network = process.argv.find(a => a.startsWith("--network="))?.split("=")[1] ?? "testnet";
+  console.log("🚀 Deploying AgentAttestations...\n");
+
+  const networkConfig = getNetwork(network);
+  let registry;
+  try {
+    registry = loadDeployment("AgentMemoryRegistry", networkConfig);
+  } catch (err) {
+    console.error(`❌ ${err.message}`);
+    process.exit(1);
+  }
+
+  // Connect to network
+  const provider = new ethers.JsonRpcProvider(networkConfig.rpc);
+  await checkChainId(provider, networkConfig);
+  const signer = walletSigner(provider);
+
+  console.log("Network:", network, `(chain ${networkConfig.chainId})`);
+  console.log("Deployer:", signer.address);
+  console.log("Registry:", registry.address);
+
+  const balance = await provider.getBalance(signer.address);
+  console.log("Balance:", ethers.formatEther(balance), "MON\n");
+
+  // Load compiled contract
+  const artifact = loadArtifact("AgentAttestations");
+
+  // Deploy
+  console.log("📦 Deploying contract...");
+  const factory = new ethers.ContractFactory(artifact.abi, artifact.bytecode, signer);
+  const contract = await factory.deploy(registry.address);
+
+  console.log("   TX:", contract.deploymentTransaction().hash);
+  console.log("   Waiting for confirmation...");
+
+  await contract.waitForDeployment();
+  const address = await contract.getAddress();
+
+  console.log("✅ Deployed to:", address);
+
+  // Save deployment info
+  saveDeployment("AgentAttestations", networkConfig.chainId, {
+    address: address,
+    registry: registry.address,
+    deployer: signer.address,
+    deployedAt: new Date().toISOString(),
+    txHash: contract.deploymentTransaction().hash
+  });
+  console.log(`\n📝 Deployment saved to ${path.basename(DEPLOYMENTS_PATH)} (chain ${networkConfig.chainId})`);
+
+  console.log("\n🎉 Deployment complete!");
+  console.log("\nNext: node scripts/attest.js issue <agentId> <checkpoint> to vouch for another agent");
+}
+
+main().catch(console.error);
@@ -1,53 +1,77 @@
 #!/usr/bin/env node
 /**
  * Deploy AgentMemoryRegistry contract
+ *
+ * Usage:
+ *   node scripts/deploy-registry.js [--network=testnet|mainnet|local]
+ *
+ * The address is recorded in deployments.json under the network's chain ID.
+ * The MemoryProofs library the registry links against is deployed first, or
+ * reused if deployments.json already has it on this chain.
  */
 
 import { ethers } from "ethers";
-import fs from "fs";
 import path from "path";
-import { fileURLToPath } from "url";
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
-const NETWORKS = {
-  testnet: {
-    rpc: "https://testnet-rpc.monad.xyz",
-    chainId: 10143,
-  },
-  mainnet: {
-    rpc: "https://rpc.monad.xyz",
-    chainId: 143,
-  }
-};
+import {
+  DEPLOYMENTS_PATH,
+  checkChainId,
+  getNetwork,
+  findDeployment,
+  loadArtifact,
+  linkBytecode,
+  saveDeployment,
+} from "../lib/config.js";
+import { walletSigner } from "../lib/signers.js";
+import { Registry } from "../lib/registry.js";
 
 async function main() {
-  const network = process.argv[2] || "testnet";
+  const network = process.argv.find(a => a.startsWith("--network="))?.split("=")[1] ?? "testnet";
   console.log("🚀 Deploying AgentMemoryRegistry...\n");
 
-  // Load wallet
-  const walletPath = path.join(process.env.HOME, ".evm-wallet.json");
-  const wallet = JSON.parse(fs.readFileSync(walletPath));
-  
   // Connect to network
-  const networkConfig = NETWORKS[network];
-  const provider = new ethers.JsonRpcProvider(networkConfig.rpc);
-  const signer = new ethers.Wallet(wallet.privateKey, provider);
+  const networkConfig = getNetwork(network);
+  // Uncached, so back-to-back transactions don't reuse a nonce
+  const provider = new ethers.JsonRpcProvider(networkConfig.rpc, undefined, { cacheTimeout: -1 });
+  await checkChainId(provider, networkConfig);
+  const signer = walletSigner(provider);
 
   console.log("Network:", network, `(chain ${networkConfig.chainId})`);
   console.log("Deployer:", signer.address);
   
-  const balance = await provider.getBalance(signer.address);
+  let balance = await provider.getBalance(signer.address);
+  if (network === "local" && balance === 0n) {
+    // A fresh Hardhat node only funds its own accounts
+    balance = ethers.parseEther("1000");
+    await provider.send("hardhat_setBalance", [signer.address, ethers.toQuantity(balance)]);
+    console.log("💧 Funded the wallet on the local node");
+  }
   console.log("Balance:", ethers.formatEther(balance), "MON\n");
 
+  // Proof verification library, shared by every registry on the chain
+  let proofs = findDeployment("MemoryProofs", networkConfig.chainId);
+  if (proofs && await provider.getCode(proofs.address) !== "0x") {
+    console.log("📚 Using MemoryProofs at", proofs.address, "\n");
+  } else {
+    console.log("📚 Deploying MemoryProofs library...");
+    const library = loadArtifact("MemoryProofs");
+    const deployed = await new ethers.ContractFactory(library.abi, library.bytecode, signer).deploy();
+    await deployed.waitForDeployment();
+    proofs = saveDeployment("MemoryProofs", networkConfig.chainId, {
+      address: await deployed.getAddress(),
+      deployer: signer.address,
+      deployedAt: new Date().toISOString(),
+      txHash: deployed.deploymentTransaction().hash
+    });
+    console.log("✅ MemoryProofs at", proofs.address, "\n");
+  }
+
   // Load compiled contract
-  const artifactPath = path.join(__dirname, "..", "artifacts", "contracts", "AgentMemoryRegistry.sol", "AgentMemoryRegistry.json");
-  const artifact = JSON.parse(fs.readFileSync(artifactPath));
+  const artifact = loadArtifact("AgentMemoryRegistry");
+  const bytecode = linkBytecode(artifact, { MemoryProofs: proofs.address });
 
   // Deploy
   console.log("📦 Deploying contract...");
-  const factory = new ethers.ContractFactory(artifact.abi, artifact.bytecode, signer);
+  const factory = new ethers.ContractFactory(artifact.abi, bytecode, signer);
   const contract = await factory.deploy();
   
   console.log("   TX:", contract.deploymentTransaction().hash);
@@ -59,35 +83,30 @@ async function main() {
   console.log("✅ Deployed to:", address);
 
   // Save deployment info
-  const deployment = {
-    contract: "AgentMemoryRegistry",
+  const deployment = saveDeployment("AgentMemoryRegistry", networkConfig.chainId, {
     address: address,
+    memoryProofs: proofs.address,
     deployer: signer.address,
-    network: network,
-    chainId: networkConfig.chainId,
     deployedAt: new Date().toISOString(),
     txHash: contract.deploymentTransaction().hash
-  };
-
-  const deploymentPath = path.join(__dirname, "..", "deployment-registry.json");
-  fs.writeFileSync(deploymentPath, JSON.stringify(deployment, null, 2));
-  console.log("\n📝 Deployment saved to deployment-registry.json");
+  });
+  console.log(`\n📝 Deployment saved to ${path.basename(DEPLOYMENTS_PATH)} (chain ${networkConfig.chainId})`);
 
   // Register as agent
   console.log("\n📝 Registering as b0tresch...");
-  const tx = await contract.registerAgent("b0tresch");
-  console.log("   TX:", tx.hash);
-  await tx.wait();
+  const registry = new Registry(contract, { provider, signer, deployment, network: networkConfig });
+  const { txHash } = await registry.register("b0tresch");
+  console.log("   TX:", txHash);
   console.log("✅ Registered!");
 
   // Verify registration
-  const agentInfo = await contract.agents("b0tresch");
+  const agentInfo = await registry.getAgent("b0tresch");
   console.log("\nAgent Info:");
   console.log("  Owner:", agentInfo.owner);
   console.log("  Active:", agentInfo.active);
 
   console.log("\n🎉 Deployment complete!");
-  console.log("\nNext: Run 'node scripts/checkpoint.js' to publish your first memory checkpoint");
+  console.log(`\nNext: Run 'node scripts/checkpoint.js --network=${network}' to publish your first memory checkpoint`);
 }
 
 main().catch(console.error);
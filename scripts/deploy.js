@@ -1,15 +1,18 @@
 import { ethers } from "ethers";
-import fs from "fs";
-import os from "os";
+import path from "path";
+import { DEPLOYMENTS_PATH, checkChainId, getNetwork, loadArtifact, saveDeployment } from "../lib/config.js";
+import { walletSigner } from "../lib/signers.js";
 
 async function main() {
-  // Load wallet
-  const wallet = JSON.parse(fs.readFileSync(os.homedir() + '/.evm-wallet.json', 'utf8'));
-  
-  // Connect to Monad testnet
-  const provider = new ethers.JsonRpcProvider("https://testnet-rpc.monad.xyz");
-  const signer = new ethers.Wallet(wallet.privateKey, provider);
+  const network = process.argv.find(a => a.startsWith("--network="))?.split("=")[1] ?? "testnet";
+
+  // Connect to network
+  const networkConfig = getNetwork(network);
+  const provider = new ethers.JsonRpcProvider(networkConfig.rpc);
+  await checkChainId(provider, networkConfig);
+  const signer = walletSigner(provider);
   
+  console.log("Network:", network, `(chain ${networkConfig.chainId})`);
   console.log("Deploying from:", signer.address);
   
   // Check balance
@@ -22,9 +25,7 @@ async function main() {
   }
   
   // Load compiled contract
-  const artifact = JSON.parse(
-    fs.readFileSync("./artifacts/contracts/SentimentOracle.sol/SentimentOracle.json", "utf8")
-  );
+  const artifact = loadArtifact("SentimentOracle");
   
   // Deploy
   console.log("Deploying SentimentOracle...");
@@ -36,16 +37,13 @@ async function main() {
   console.log("SentimentOracle deployed to:", address);
   
   // Save deployment info
-  const deployment = {
-    network: "monadTestnet",
+  saveDeployment("SentimentOracle", networkConfig.chainId, {
     address: address,
     deployer: signer.address,
-    timestamp: new Date().toISOString(),
+    deployedAt: new Date().toISOString(),
     txHash: contract.deploymentTransaction()?.hash
-  };
-  
-  fs.writeFileSync("./deployment.json", JSON.stringify(deployment, null, 2));
-  console.log("Deployment info saved to deployment.json");
+  });
+  console.log(`Deployment info saved to ${path.basename(DEPLOYMENTS_PATH)}`);
 }
 
 main().catch(console.error);
@@ -0,0 +1,163 @@
+#!/usr/bin/env node
+/**
+ * Checkpoint Diff
+ *
+ * Shows what an agent changed in its memory between two anchored states:
+ * files added, removed and changed (with size and mtime deltas), plus a
+ * unified diff of changed markdown files when both versions can be read
+ * from the workspace or the checkpoint bundles.
+ *
+ * Usage:
+ *   node scripts/diff.js [n1] [n2] [--agent=ID] [--stat]
+ *
+ * n1/n2 are checkpoint indexes or merkle roots (default: the last two).
+ */
+
+import fs from "fs";
+import { Registry } from "../lib/registry.js";
+import { loadManifestFromArgs } from "../lib/manifest.js";
+import { findRecordByRoot } from "../lib/records.js";
+import { loadCheckpointedFile } from "../lib/bundle.js";
+import { loadDefaultKeyring } from "../lib/bundle-crypto.js";
+import { diffRecords, unifiedDiff } from "../lib/diff.js";
+import { formatDuration } from "../lib/history.js";
+
+function formatBytes(delta) {
+  if (delta === null) return "size unknown";
+  return `${delta >= 0 ? "+" : ""}${delta} bytes`;
+}
+
+function formatMtimeDelta(ms) {
+  if (ms === null) return "mtime unknown";
+  return `mtime ${ms >= 0 ? "+" : "-"}${formatDuration(ms)}`;
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+
+  if (args[0] === "--help") {
+    console.log(`
+🔀 Checkpoint Diff
+
+Compare two checkpoints of an agent's memory.
+
+Usage:
+  node scripts/diff.js [n1] [n2] [options]
+
+  n1, n2 are checkpoint indexes or merkle roots (default: the last two checkpoints)
+
+Options:
+  --agent=ID        Agent ID (default: manifest agentId, else b0tresch)
+  --manifest=PATH   Workspace manifest (default: memory-manifest.json)
+  --network=NET     Network to use (default: testnet)
+  --stat            Only list files, no text diffs
+
+Examples:
+  node scripts/diff.js
+  node scripts/diff.js 3 7
+  node scripts/diff.js 0xc38f7d9a... 0x1b2e4f60...
+`);
+    return;
+  }
+
+  const positional = args.filter(a => !a.startsWith("--"));
+  const agentArg = args.find(a => a.startsWith("--agent="));
+  const networkArg = args.find(a => a.startsWith("--network="));
+  const statOnly = args.includes("--stat");
+
+  const manifest = loadManifestFromArgs(args);
+  const agentId = agentArg ? agentArg.split("=")[1] : (manifest.agentId ?? "b0tresch");
+  const network = networkArg ? networkArg.split("=")[1] : "testnet";
+
+  console.log("🔀 Checkpoint Diff");
+  console.log("==================\n");
+
+  // Indexes need the chain; roots can be looked up locally
+  let contract = null;
+  const getContract = async () => {
+    if (contract) return contract;
+    try {
+      const registry = Registry.connect({ network });
+      await registry.checkChain();
+      ({ contract } = registry);
+    } catch (err) {
+      console.error(`❌ ${err.message} Or pass merkle roots.`);
+      process.exit(1);
+    }
+    return contract;
+  };
+
+  let refs = positional.slice(0, 2);
+  if (refs.length < 2) {
+    const count = Number(await (await getContract()).getCheckpointCount(agentId));
+    if (count < 2 && refs.length === 0) {
+      console.error(`❌ Agent "${agentId}" has fewer than two checkpoints.`);
+      process.exit(1);
+    }
+    refs = refs.length === 0 ? [String(count - 2), String(count - 1)] : [refs[0], String(count - 1)];
+  }
+
+  const sides = [];
+  for (const ref of refs) {
+    let root;
+    let label;
+    if (/^0x[0-9a-fA-F]{64}$/.test(ref)) {
+      root = ref;
+      label = `${ref.slice(0, 10)}...`;
+    } else {
+      const index = parseInt(ref);
+      const checkpoint = await (await getContract()).getCheckpoint(agentId, index);
+      root = checkpoint.merkleRoot;
+      label = `#${index}`;
+    }
+
+    const record = findRecordByRoot(root);
+    if (!record) {
+      console.error(`❌ No local record for checkpoint ${label} (root ${root}).`);
+      console.error(`   Rebuild it from its bundle with: node scripts/bundles.js rebuild`);
+      process.exit(1);
+    }
+    sides.push({ label, root, record });
+  }
+
+  const [before, after] = sides;
+  for (const side of sides) {
+    console.log(`📍 ${side.label}: ${side.root}`);
+    console.log(`   ${side.record.timestamp}, block ${side.record.blockNumber}, ${side.record.proofs.length} files (v${side.record.leafVersion ?? 1})`);
+  }
+
+  const diff = diffRecords(before.record, after.record);
+
+  console.log(`\n📊 ${diff.added.length} added, ${diff.removed.length} removed, ${diff.changed.length} changed, ${diff.unchanged.length} unchanged\n`);
+
+  for (const f of diff.added) {
+    console.log(`  ➕ ${f.file} (${f.size ?? "?"} bytes)`);
+  }
+  for (const f of diff.removed) {
+    console.log(`  ➖ ${f.file} (${f.size ?? "?"} bytes)`);
+  }
+  for (const f of diff.changed) {
+    console.log(`  ✏️  ${f.file} (${formatBytes(f.sizeDelta)}, ${formatMtimeDelta(f.mtimeDelta)})`);
+  }
+
+  if (statOnly) return;
+
+  const textChanges = diff.changed.filter(f => f.file.endsWith(".md"));
+  // Old versions may only exist in (encrypted) bundles
+  const keyring = textChanges.length > 0 ? await loadDefaultKeyring() : null;
+  for (const f of textChanges) {
+    const old = loadCheckpointedFile(before.record, f.file, manifest.root, keyring);
+    const current = loadCheckpointedFile(after.record, f.file, manifest.root, keyring);
+    console.log(`\n───── ${f.file} ─────`);
+    if (!old || !current) {
+      console.log(`   (content unavailable - ${!old ? before.label : after.label} has no matching bundle copy)`);
+      continue;
+    }
+    console.log(unifiedDiff(old.content, current.content, f.file).replace(/\n$/, ""));
+  }
+}
+
+main().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,179 @@
+#!/usr/bin/env node
+/**
+ * Proof Package Exporter
+ *
+ * Writes a self-contained proof package for a memory file (or one passage of
+ * it) at a checkpoint. Hand the package to anyone - they can check it with
+ * verify-proof.js without access to this machine's checkpoint records.
+ *
+ * Usage:
+ *   node scripts/export-proof.js <file> [--checkpoint=N] [--reveal] [--out=FILE]
+ *   node scripts/export-proof.js --content=TEXT [--checkpoint=N] [--out=FILE]
+ */
+
+import fs from "fs";
+import path from "path";
+import { Registry } from "../lib/registry.js";
+import { loadManifestFromArgs } from "../lib/manifest.js";
+import { findRecordByRoot } from "../lib/records.js";
+import { loadCheckpointedFile } from "../lib/bundle.js";
+import { loadDefaultKeyring } from "../lib/bundle-crypto.js";
+import { buildProofPackage, findPassages } from "../lib/proof-package.js";
+import { flagWarning } from "../lib/flags.js";
+
+async function main() {
+  const args = process.argv.slice(2);
+
+  if (args.length === 0 || args[0] === "--help") {
+    console.log(`
+📦 Proof Package Exporter
+
+Write a portable proof that a memory file or passage was part of a checkpoint.
+
+Usage:
+  node scripts/export-proof.js <file> [options]
+  node scripts/export-proof.js --content=TEXT [options]
+
+Options:
+  --checkpoint=N    Checkpoint index (default: latest)
+  --agent=ID        Agent ID (default: manifest agentId, else b0tresch)
+  --manifest=PATH   Workspace manifest (default: memory-manifest.json)
+  --network=NET     Network to use (default: testnet)
+  --content=TEXT    Prove the line/block containing TEXT instead of a whole file
+  --reveal          Include the full file content in the package
+  --out=FILE        Output path (default: proof-<agent>-<checkpoint>-<file>.json)
+
+Examples:
+  node scripts/export-proof.js MEMORY.md --checkpoint=12 --reveal
+  node scripts/export-proof.js --content="I decided to pivot" --out=pivot.json
+`);
+    return;
+  }
+
+  const fileArg = args.find(a => !a.startsWith("--"));
+  const checkpointArg = args.find(a => a.startsWith("--checkpoint="));
+  const agentArg = args.find(a => a.startsWith("--agent="));
+  const networkArg = args.find(a => a.startsWith("--network="));
+  const contentArg = args.find(a => a.startsWith("--content="));
+  const outArg = args.find(a => a.startsWith("--out="));
+  const reveal = args.includes("--reveal");
+
+  const manifest = loadManifestFromArgs(args);
+  const agentId = agentArg ? agentArg.split("=")[1] : (manifest.agentId ?? "b0tresch");
+  const network = networkArg ? networkArg.split("=")[1] : "testnet";
+
+  console.log("📦 Proof Package Exporter");
+  console.log("=========================\n");
+
+  let registry;
+  try {
+    registry = Registry.connect({ network });
+    await registry.checkChain();
+  } catch (err) {
+    console.error(`❌ ${err.message}`);
+    process.exit(1);
+  }
+  const { deployment, contract } = registry;
+
+  const checkpointCount = Number(await contract.getCheckpointCount(agentId));
+  if (checkpointCount === 0) {
+    console.error(`❌ Agent "${agentId}" has no checkpoints.`);
+    process.exit(1);
+  }
+
+  const checkpointIndex = checkpointArg ? parseInt(checkpointArg.split("=")[1]) : checkpointCount - 1;
+  const checkpoint = await contract.getCheckpoint(agentId, checkpointIndex);
+  const chainId = await registry.chainId();
+
+  console.log(`🎯 Checkpoint #${checkpointIndex} of "${agentId}"`);
+  console.log(`   Merkle Root: ${checkpoint.merkleRoot}`);
+  console.log(`   Block: ${checkpoint.blockNumber}\n`);
+
+  // Still exportable, but whoever receives the package will see the flag too
+  const warning = flagWarning(await registry.getFlags(agentId), checkpointIndex);
+  if (warning.length > 0) {
+    for (const line of warning) console.log(line);
+    console.log();
+  }
+
+  const record = findRecordByRoot(checkpoint.merkleRoot);
+  if (!record) {
+    console.error("❌ No local record for this checkpoint root - can't build a proof.");
+    process.exit(1);
+  }
+
+  let pkg;
+  let label;
+
+  if (contentArg) {
+    const text = contentArg.split("=").slice(1).join("=");
+    const { matches } = findPassages(record, text, manifest.root, await loadDefaultKeyring());
+    if (matches.length === 0) {
+      console.error(`❌ No line or block in checkpoint #${checkpointIndex} contains this text.`);
+      process.exit(1);
+    }
+
+    const passage = matches[0];
+    pkg = buildProofPackage({
+      record,
+      entry: passage.entry,
+      checkpoint,
+      agentId,
+      checkpointIndex,
+      chainId,
+      contract: deployment.address,
+      passage,
+    });
+    label = `${passage.entry.file}#${pkg.chunk.lines.start}`;
+    console.log(`📍 Passage in ${passage.entry.file}, lines ${pkg.chunk.lines.start}-${pkg.chunk.lines.end}`);
+  } else {
+    if (!fileArg) {
+      console.error("❌ Give a file to prove, or --content=TEXT.");
+      process.exit(1);
+    }
+
+    const filePath = path.isAbsolute(fileArg) ? fileArg : path.join(manifest.root, fileArg);
+    const relativePath = path.relative(manifest.root, filePath).split(path.sep).join("/");
+    const entry = record.proofs.find(p => p.file === relativePath);
+    if (!entry) {
+      console.error(`❌ File "${relativePath}" not found in checkpoint #${checkpointIndex}.`);
+      process.exit(1);
+    }
+
+    let content;
+    if (reveal) {
+      const loaded = loadCheckpointedFile(record, entry.file, manifest.root, await loadDefaultKeyring());
+      if (!loaded) {
+        console.error(`❌ Can't read ${entry.file} as it was at this checkpoint (changed and no bundle).`);
+        process.exit(1);
+      }
+      content = loaded.content;
+    }
+
+    pkg = buildProofPackage({
+      record,
+      entry,
+      checkpoint,
+      agentId,
+      checkpointIndex,
+      chainId,
+      contract: deployment.address,
+      content,
+    });
+    label = entry.file;
+    console.log(`📄 File: ${entry.file} (${entry.size} bytes)${reveal ? " - content revealed" : ""}`);
+  }
+
+  const defaultName = `proof-${agentId}-${checkpointIndex}-${label.replace(/[^A-Za-z0-9.-]+/g, "_")}.json`;
+  const outPath = outArg ? outArg.split("=").slice(1).join("=") : defaultName;
+  fs.writeFileSync(outPath, JSON.stringify(pkg, null, 2));
+
+  console.log(`   Authorship: ${pkg.authorship ? `signed by ${pkg.authorship.signer}` : "unsigned checkpoint"}`);
+  console.log(`\n💾 Proof package written to ${outPath}`);
+  console.log(`   Check it with: node scripts/verify-proof.js ${outPath}`);
+}
+
+main().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,181 @@
+#!/usr/bin/env node
+/**
+ * Checkpoint Flags
+ *
+ * Marks checkpoints as compromised, poisoned or superseded (see lib/flags.js).
+ * Flagging needs the owner's wallet - not a delegate's, since a leaked
+ * delegate key is one of the things it's for - and works while the agent is
+ * deactivated. Flags are permanent.
+ *
+ * Usage:
+ *   node scripts/flags.js list [AGENT_ID] [--json]
+ *   node scripts/flags.js add <N|FROM-TO> --reason=key-compromised [--note=TEXT]
+ */
+
+import { Registry } from "../lib/registry.js";
+import { NETWORKS } from "../lib/config.js";
+import { signerSource } from "../lib/signers.js";
+import { FLAG_REASONS, parseFlagReason, formatFlagRange } from "../lib/flags.js";
+
+/**
+ * "7" or "120-135" → inclusive range.
+ */
+function parseRange(value) {
+  const match = /^(\d+)(?:-(\d+))?$/.exec(value ?? "");
+  if (!match) throw new Error(`Invalid checkpoint range "${value}" (expected N or FROM-TO)`);
+  const from = Number(match[1]);
+  const to = match[2] !== undefined ? Number(match[2]) : from;
+  if (from > to) throw new Error(`Invalid checkpoint range "${value}" (${from} is after ${to})`);
+  return { from, to };
+}
+
+/**
+ * The agent the wallet owns. Delegates can't flag checkpoints.
+ */
+async function ownedAgent(registry) {
+  const { signer } = registry;
+  const { agentId, isDelegate } = await registry.resolveAgent();
+  if (!agentId) {
+    throw new Error(`Wallet ${signer.address} has no registered agent`);
+  }
+  if (isDelegate) {
+    throw new Error(`Wallet ${signer.address} is a delegate of "${agentId}" - flag checkpoints with the owner's wallet`);
+  }
+  return agentId;
+}
+
+// Custom errors from the registry, in words
+const REVERT_REASONS = {
+  NotAgentOwner: "the wallet doesn't own this agent",
+  InvalidCheckpointRange: "the range doesn't exist (check the agent's checkpoint count)",
+  InvalidFlagReason: "a reason is required",
+};
+
+// ============ Commands ============
+
+async function list(registry, agentId, { json }) {
+  const flags = await registry.getFlags(agentId);
+
+  if (json) {
+    console.log(JSON.stringify({ agentId, flags }, null, 2));
+    return;
+  }
+
+  console.log(`🤖 Agent: ${agentId}\n`);
+  if (flags.length === 0) {
+    console.log("No flagged checkpoints.");
+    return;
+  }
+  for (const f of flags) {
+    console.log(`  🚩 ${formatFlagRange(f).padEnd(12)} ${f.reason.padEnd(18)} ${new Date(f.timestamp).toISOString()}`);
+    if (f.note) console.log(`     "${f.note}"`);
+  }
+  const flagged = new Set(flags.flatMap(f => Array.from({ length: f.to - f.from + 1 }, (_, i) => f.from + i)));
+  console.log(`\n📊 ${flagged.size} checkpoint(s) flagged in ${flags.length} range(s)`);
+}
+
+async function add(registry, range, reason, note) {
+  const { contract } = registry;
+  const agentId = await ownedAgent(registry);
+  const count = Number(await contract.getCheckpointCount(agentId));
+  if (count === 0) {
+    throw new Error(`"${agentId}" has no checkpoints to flag`);
+  }
+  if (range.to >= count) {
+    throw new Error(`"${agentId}" has ${count} checkpoint(s) (#0-#${count - 1}); can't flag #${range.to}`);
+  }
+
+  console.log(`🚩 Flagging ${formatFlagRange(range)} of "${agentId}" as ${FLAG_REASONS[reason].name}${note ? ` ("${note}")` : ""}`);
+  let tx;
+  try {
+    tx = await contract.flagCheckpoints(agentId, range.from, range.to, reason, note);
+  } catch (err) {
+    const message = REVERT_REASONS[registry.revertName(err)];
+    if (message) throw new Error(`flagCheckpoints rejected: ${message}`);
+    throw err;
+  }
+  console.log(`   TX: ${tx.hash}`);
+  const receipt = await tx.wait();
+  console.log(`   ✅ Confirmed in block ${receipt.blockNumber}`);
+  console.log(`\nverify.js, verify-proof.js and history.js now warn about these checkpoints.`);
+}
+
+// ============ Main ============
+
+async function main() {
+  const args = process.argv.slice(2);
+  const positional = args.filter(a => !a.startsWith("--"));
+  const command = positional[0] ?? "list";
+
+  if (args.includes("--help") || !["list", "add"].includes(command)) {
+    console.log(`
+🚩 Checkpoint Flags
+
+Mark checkpoints that can't be trusted - after a key leak, a poisoned
+workspace, or when they were superseded - so verifiers see a warning.
+
+Usage:
+  node scripts/flags.js list [AGENT_ID] [--json]
+  node scripts/flags.js add <N|FROM-TO> --reason=REASON [--note=TEXT]
+
+Reasons:
+${FLAG_REASONS.slice(1).map(r => `  ${r.name.padEnd(20)}${r.description}`).join("\n")}
+
+Options:
+  --reason=REASON   Add: why the checkpoints aren't to be trusted (required)
+  --note=TEXT       Add: optional detail, stored on-chain
+  --network=NAME    testnet, mainnet or local (default: testnet)
+  --json            List: machine-readable output
+
+add acts on the agent owned by your wallet; list defaults to it.
+Flags can't be removed, and the checkpoints stay on-chain.
+
+Example:
+  node scripts/flags.js add 120-135 --reason=key-compromised --note="host key leaked in CI logs"
+`);
+    return;
+  }
+
+  const option = name => args.find(a => a.startsWith(`--${name}=`))?.slice(name.length + 3);
+  const network = option("network") ?? "testnet";
+  if (!NETWORKS[network]) {
+    console.error(`❌ Unknown network: ${network}`);
+    process.exit(1);
+  }
+
+  const needsWallet = command !== "list" || !positional[1];
+  let registry;
+  try {
+    registry = Registry.connect({ network, wallet: needsWallet || Boolean(signerSource()) });
+    await registry.checkChain();
+  } catch (err) {
+    console.error(`❌ ${err.message}`);
+    process.exit(1);
+  }
+
+  const json = args.includes("--json");
+  if (!json) {
+    console.log("🚩 Checkpoint Flags");
+    console.log("===================\n");
+    console.log(`📍 Contract: ${registry.address} (${network})\n`);
+  }
+
+  try {
+    if (command === "list") {
+      const agentId = positional[1] ?? await ownedAgent(registry);
+      await list(registry, agentId, { json });
+      return;
+    }
+
+    if (!option("reason")) throw new Error("add needs --reason");
+    await add(registry, parseRange(positional[1]), parseFlagReason(option("reason")), option("note") ?? "");
+  } catch (err) {
+    console.error(`❌ ${err.shortMessage ?? err.message}`);
+    process.exit(1);
+  }
+}
+
+main().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,229 @@
+#!/usr/bin/env node
+/**
+ * Checkpoint History
+ *
+ * Lists an agent's on-chain checkpoints (paged via getCheckpointRange) and
+ * reports its cadence: median interval, longest gap, missed slots against an
+ * expected schedule, and signed vs. unsigned counts. Checkpoints the owner
+ * flagged (scripts/flags.js) are marked.
+ *
+ * Usage:
+ *   node scripts/history.js [--agent=ID] [--schedule=4h] [--limit=N] [--json] [--index]
+ *
+ * --index reads from the local event index (scripts/indexer.js) instead of RPC.
+ */
+
+import { ethers } from "ethers";
+import { Registry } from "../lib/registry.js";
+import { getNetwork, loadDeployment } from "../lib/config.js";
+import { loadManifestFromArgs } from "../lib/manifest.js";
+import { cadenceReport, parseDuration, formatDuration } from "../lib/history.js";
+import { loadIndex, getAgentOwner, getCheckpoints, getDelegates, getFlags } from "../lib/event-index.js";
+import { flagsFor, formatFlagRange } from "../lib/flags.js";
+
+const AUTHORSHIP_LABELS = {
+  signed: "✅ signed",
+  unsigned: "⚠️  unsigned",
+  foreign: "❌ foreign",
+  invalid: "❌ invalid",
+};
+
+function describeMetadata(c) {
+  const problems = c.metadataProblems.length > 0 ? `⚠️  ${c.metadataProblems.length} metadata problem(s)` : null;
+  if (!c.parsed) return [c.metadata ? JSON.stringify(c.metadata) : null, problems].filter(Boolean).join("  ");
+  const { files, bytes, leafVersion } = c.parsed;
+  return [
+    files !== undefined ? `${files} files` : null,
+    bytes !== undefined ? `${bytes} bytes` : null,
+    `v${leafVersion ?? 1}`,
+    problems,
+  ].filter(Boolean).join(", ");
+}
+
+function printTable(checkpoints) {
+  console.log(`  ${"#".padStart(5)}  ${"Block".padStart(10)}  ${"Time (UTC)".padEnd(19)}  ${"Root".padEnd(18)}  ${"Authorship".padEnd(13)}  Metadata`);
+  for (const c of checkpoints) {
+    const time = new Date(c.timestamp).toISOString().slice(0, 19).replace("T", " ");
+    const flag = c.flag ? `🚩 ${c.flag}  ` : "";
+    console.log(
+      `  ${String(c.index).padStart(5)}  ${String(c.blockNumber).padStart(10)}  ${time}  ` +
+      `${(c.root.slice(0, 16) + "..").padEnd(18)}  ${AUTHORSHIP_LABELS[c.authorship].padEnd(13)}  ${flag}${describeMetadata(c)}`
+    );
+  }
+}
+
+function printReport(agentId, report, { hasDelegates = false, flags = [] } = {}) {
+  console.log(`\n📈 Cadence:`);
+  if (report.count === 0) {
+    console.log(`   No checkpoints yet.`);
+    return;
+  }
+
+  const days = report.spanMs / 86400000;
+  console.log(`   Checkpoints: ${report.count} over ${formatDuration(report.spanMs)}`);
+  console.log(`   First: ${new Date(report.first).toISOString()}`);
+  console.log(`   Last:  ${new Date(report.last).toISOString()} (${formatDuration(report.sinceLastMs)} ago)`);
+  if (report.medianIntervalMs !== null) {
+    console.log(`   Median interval: ${formatDuration(report.medianIntervalMs)} (mean ${formatDuration(report.meanIntervalMs)})`);
+    const gap = report.longestGap;
+    console.log(`   Longest gap: ${formatDuration(gap.ms)} (between #${gap.from} and #${gap.to})`);
+  }
+
+  if (report.schedule) {
+    const s = report.schedule;
+    console.log(`\n⏰ Schedule: every ${formatDuration(s.intervalMs)}`);
+    console.log(`   Expected slots: ${s.expectedSlots}`);
+    console.log(`   Missed slots: ${s.missedSlots} (${s.onSchedulePct}% on schedule)`);
+    if (s.overdueSlots > 0) {
+      console.log(`   ⚠️  Overdue: ${s.overdueSlots} slot(s) since the last checkpoint`);
+    }
+  }
+
+  const a = report.authorship;
+  console.log(`\n✍️  Authorship: ${a.signed} signed, ${a.unsigned} unsigned, ${a.foreign} foreign, ${a.invalid} invalid`);
+
+  const formats = Object.entries(report.metadata.formats).map(([format, count]) => `${count} ${format}`).join(", ");
+  console.log(`\n📋 Metadata: ${formats}`);
+  for (const { index, problems } of report.metadata.problems) {
+    console.log(`   ⚠️  #${index}: ${problems.join("; ")}`);
+  }
+
+  if (flags.length > 0) {
+    console.log(`\n🚩 Flagged by the owner:`);
+    for (const f of flags) {
+      console.log(`   ${formatFlagRange(f)}: ${f.reason}${f.note ? ` - "${f.note}"` : ""} (${new Date(f.timestamp).toISOString()})`);
+    }
+  }
+
+  const cadence = report.schedule
+    ? `every ${formatDuration(report.schedule.intervalMs)} (${report.schedule.onSchedulePct}% of slots)`
+    : `a median of every ${formatDuration(report.medianIntervalMs ?? 0)}`;
+  console.log(`\n📣 ${agentId} has published ${report.count} checkpoints ${cadence} over ${days.toFixed(1)} days, ${a.signed} of them signed by the owner${hasDelegates ? " or a delegate" : ""}.`);
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+
+  if (args[0] === "--help") {
+    console.log(`
+📜 Checkpoint History
+
+List an agent's on-chain checkpoints and report its cadence.
+
+Usage:
+  node scripts/history.js [options]
+
+Options:
+  --agent=ID        Agent ID (default: manifest agentId, else b0tresch)
+  --manifest=PATH   Workspace manifest (default: memory-manifest.json)
+  --network=NET     Network to use (default: testnet)
+  --schedule=DUR    Expected interval (e.g. 4h, 90m) - counts missed slots
+  --limit=N         Only list the last N checkpoints (the report covers all)
+  --json            Print checkpoints and report as JSON
+  --index           Read from the local event index instead of RPC
+
+Examples:
+  node scripts/history.js --agent=b0tresch --schedule=4h
+  node scripts/history.js --json > history.json
+`);
+    return;
+  }
+
+  const agentArg = args.find(a => a.startsWith("--agent="));
+  const networkArg = args.find(a => a.startsWith("--network="));
+  const scheduleArg = args.find(a => a.startsWith("--schedule="));
+  const limitArg = args.find(a => a.startsWith("--limit="));
+  const json = args.includes("--json");
+  const useIndex = args.includes("--index");
+
+  const manifest = loadManifestFromArgs(args);
+  const agentId = agentArg ? agentArg.split("=")[1] : (manifest.agentId ?? "b0tresch");
+  const network = networkArg ? networkArg.split("=")[1] : "testnet";
+  const schedule = scheduleArg ? parseDuration(scheduleArg.split("=")[1]) : null;
+
+  let deployment;
+  try {
+    deployment = loadDeployment("AgentMemoryRegistry", network);
+  } catch (err) {
+    console.error(`❌ ${err.message}`);
+    process.exit(1);
+  }
+
+  let owner;
+  let delegates;
+  let flags;
+  let chainId;
+  let checkpoints;
+  let source;
+
+  if (useIndex) {
+    chainId = getNetwork(network).chainId;
+    const index = loadIndex(chainId, deployment.address);
+    if (!index.state) {
+      console.error(`❌ No event index for ${deployment.address}. Run: node scripts/indexer.js`);
+      process.exit(1);
+    }
+    owner = getAgentOwner(index, agentId);
+    delegates = getDelegates(index, agentId);
+    flags = getFlags(index, agentId);
+    checkpoints = getCheckpoints(index, agentId);
+    source = `local index (through block ${index.state.lastBlock})`;
+  } else {
+    const registry = Registry.connect({ network, address: deployment.address });
+    chainId = await registry.checkChain();
+    const history = await registry.getHistory(agentId);
+    owner = history?.agent.owner;
+    delegates = history?.delegations;
+    flags = history?.flags;
+    checkpoints = history?.checkpoints;
+    source = "RPC";
+  }
+
+  if (!owner || owner === ethers.ZeroAddress) {
+    console.error(`❌ Agent "${agentId}" is not registered${useIndex ? " (in the indexed range)" : ""}.`);
+    process.exit(1);
+  }
+
+  const report = cadenceReport(checkpoints, {
+    schedule,
+    agentId,
+    owner,
+    delegates,
+    chainId,
+    contract: deployment.address,
+  });
+
+  for (const c of checkpoints) {
+    c.flag = flagsFor(flags, c.index)[0]?.reason ?? null;
+  }
+
+  if (json) {
+    console.log(JSON.stringify({
+      agentId,
+      owner,
+      chainId: Number(chainId),
+      contract: deployment.address,
+      checkpoints,
+      flags,
+      report,
+    }, null, 2));
+    return;
+  }
+
+  console.log("📜 Checkpoint History");
+  console.log("=====================\n");
+  console.log(`🤖 Agent: ${agentId} (owner ${owner})`);
+  console.log(`📍 Contract: ${deployment.address} on ${network}, via ${source}\n`);
+
+  const limit = limitArg ? parseInt(limitArg.split("=")[1]) : checkpoints.length;
+  if (limit < checkpoints.length) {
+    console.log(`  ... ${checkpoints.length - limit} earlier checkpoints not shown`);
+  }
+  printTable(checkpoints.slice(checkpoints.length - limit));
+  printReport(agentId, report, { hasDelegates: delegates.length > 0, flags });
+}
+
+main().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,163 @@
+#!/usr/bin/env node
+/**
+ * Registry Event Indexer
+ *
+ * Follows the registry's events (registrations, checkpoints, transfers,
+ * deactivations) into a local JSON-lines index under checkpoints/index/,
+ * resuming from the last indexed block and rolling back on reorgs.
+ * history.js --index reads from it instead of making RPC calls.
+ *
+ * Usage:
+ *   node scripts/indexer.js [sync] [--from-block=N] [--follow [--interval=30s]]
+ *   node scripts/indexer.js status
+ *   node scripts/indexer.js agents
+ */
+
+import { Registry } from "../lib/registry.js";
+import { getNetwork, loadDeployment } from "../lib/config.js";
+import { syncIndex, loadIndex, listAgents } from "../lib/event-index.js";
+import { parseDuration, formatDuration } from "../lib/history.js";
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function runSync(contract, options) {
+  const result = await syncIndex(contract, {
+    ...options,
+    onProgress: ({ toBlock, head, events }) => {
+      if (events > 0 || toBlock === head) {
+        console.log(`   📥 Block ${toBlock}/${head}: ${events} event(s)`);
+      }
+    },
+  });
+
+  if (result.reorg) {
+    console.log(`   ⚠️  Reorg: rolled back from block ${result.reorg.from} to ${result.reorg.to} (${result.reorg.dropped} event(s) dropped)`);
+  }
+  if (result.to < result.from) {
+    console.log(`   ✅ Up to date at block ${result.to}`);
+  } else {
+    console.log(`   ✅ Indexed blocks ${result.from}-${result.to}: ${result.added} new event(s)`);
+  }
+  return result;
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+
+  if (args[0] === "--help") {
+    console.log(`
+🗂️  Registry Event Indexer
+
+Index registry events locally so history queries don't need an RPC call per checkpoint.
+
+Usage:
+  node scripts/indexer.js [sync] [options]
+  node scripts/indexer.js status
+  node scripts/indexer.js agents
+
+Options:
+  --network=NET     Network to use (default: testnet)
+  --from-block=N    First block for a new index (default: the deployment block)
+  --batch=N         Blocks per eth_getLogs call (default: 1000, halved on RPC errors)
+  --follow          Keep syncing until interrupted
+  --interval=DUR    Poll interval with --follow (default: 30s)
+
+Examples:
+  node scripts/indexer.js
+  node scripts/indexer.js --follow --interval=1m
+  node scripts/history.js --agent=b0tresch --index
+`);
+    return;
+  }
+
+  const command = args[0] && !args[0].startsWith("--") ? args[0] : "sync";
+  const networkArg = args.find(a => a.startsWith("--network="));
+  const fromBlockArg = args.find(a => a.startsWith("--from-block="));
+  const batchArg = args.find(a => a.startsWith("--batch="));
+  const intervalArg = args.find(a => a.startsWith("--interval="));
+  const network = networkArg ? networkArg.split("=")[1] : "testnet";
+
+  let deployment;
+  try {
+    deployment = loadDeployment("AgentMemoryRegistry", network);
+  } catch (err) {
+    console.error(`❌ ${err.message}`);
+    process.exit(1);
+  }
+
+  console.log("🗂️  Registry Event Indexer");
+  console.log("==========================\n");
+
+  if (command === "status" || command === "agents") {
+    const index = loadIndex(getNetwork(network).chainId, deployment.address);
+    if (!index.state) {
+      console.error(`❌ No index yet for ${deployment.address} on ${network}. Run: node scripts/indexer.js`);
+      process.exit(1);
+    }
+
+    if (command === "status") {
+      const counts = {};
+      for (const e of index.events) counts[e.type] = (counts[e.type] ?? 0) + 1;
+      console.log(`📁 ${index.dir}`);
+      console.log(`   Blocks: ${index.state.startBlock}-${index.state.lastBlock}`);
+      console.log(`   Events: ${index.events.length}`);
+      for (const [type, count] of Object.entries(counts)) {
+        console.log(`     ${type}: ${count}`);
+      }
+      return;
+    }
+
+    const agents = listAgents(index);
+    console.log(`🤖 ${agents.length} agent(s) indexed through block ${index.state.lastBlock}:\n`);
+    for (const a of agents) {
+      console.log(`  ${a.agentId ?? `(unknown name, hash ${a.agentIdHash.slice(0, 12)}...)`}`);
+      console.log(`    Owner: ${a.owner}${a.active ? "" : " (deactivated)"}`);
+      console.log(`    Registered: ${new Date(a.registeredAt).toISOString()} (block ${a.blockNumber})`);
+      console.log(`    Checkpoints: ${a.checkpoints}`);
+    }
+    return;
+  }
+
+  if (command !== "sync") {
+    console.error(`❌ Unknown command "${command}" (expected sync, status or agents)`);
+    process.exit(1);
+  }
+
+  const registry = Registry.connect({ network, address: deployment.address });
+  await registry.checkChain();
+  const { provider, contract } = registry;
+
+  // Nothing to index before the contract existed
+  let startBlock = fromBlockArg ? parseInt(fromBlockArg.split("=")[1]) : 0;
+  if (!fromBlockArg && deployment.txHash) {
+    const receipt = await provider.getTransactionReceipt(deployment.txHash);
+    if (receipt) startBlock = receipt.blockNumber;
+  }
+
+  const options = {
+    startBlock,
+    batchSize: batchArg ? parseInt(batchArg.split("=")[1]) : undefined,
+  };
+
+  console.log(`📍 Contract: ${deployment.address} on ${network}`);
+  console.log(`🔄 Syncing...`);
+  await runSync(contract, options);
+
+  if (!args.includes("--follow")) return;
+
+  const interval = parseDuration(intervalArg ? intervalArg.split("=")[1] : "30s");
+  console.log(`\n👀 Following new blocks every ${formatDuration(interval)} (Ctrl+C to stop)`);
+  for (;;) {
+    await sleep(interval);
+    try {
+      await runSync(contract, options);
+    } catch (err) {
+      console.error(`   ⚠️  Sync failed: ${err.shortMessage ?? err.message}`);
+    }
+  }
+}
+
+main().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,115 @@
+#!/usr/bin/env node
+/**
+ * Wallet Migration
+ *
+ * Converts the plaintext ~/.evm-wallet.json into an ethers encrypted JSON
+ * keystore (~/.evm-keystore.json), which every script then unlocks with
+ * $WALLET_PASSPHRASE or a prompt (lib/signers.js).
+ *
+ * Usage:
+ *   node scripts/migrate-wallet.js [--out=PATH] [--force] [--delete]
+ *
+ * The keystore is decrypted again and checked against the wallet's address
+ * before anything is deleted.
+ */
+
+import { ethers } from "ethers";
+import fs from "fs";
+import path from "path";
+import { keystorePath, loadWallet, promptPassphrase, walletPath } from "../lib/signers.js";
+
+const MIN_PASSPHRASE_LENGTH = 12;
+
+async function readPassphrase() {
+  if (process.env.WALLET_PASSPHRASE) {
+    console.log("🔑 Using the passphrase in $WALLET_PASSPHRASE");
+    return process.env.WALLET_PASSPHRASE;
+  }
+  const passphrase = await promptPassphrase("🔑 New keystore passphrase: ");
+  if (passphrase !== await promptPassphrase("🔑 Again: ")) {
+    throw new Error("Passphrases don't match");
+  }
+  return passphrase;
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+
+  if (args.includes("--help")) {
+    console.log(`
+🔐 Wallet Migration
+
+Encrypt the plaintext wallet (${walletPath()}) into a keystore.
+
+Usage:
+  node scripts/migrate-wallet.js [options]
+
+Options:
+  --from=PATH       Plaintext wallet to convert (default: ${walletPath()})
+  --out=PATH        Keystore to write (default: ${keystorePath()})
+  --force           Overwrite an existing keystore
+  --delete          Delete the plaintext wallet once the keystore checks out
+
+The passphrase comes from $WALLET_PASSPHRASE, or is asked for twice.
+Afterwards the scripts unlock the keystore the same way.
+`);
+    return;
+  }
+
+  const option = name => args.find(a => a.startsWith(`--${name}=`))?.slice(name.length + 3);
+  const from = option("from") ? path.resolve(option("from")) : walletPath();
+  const out = option("out") ? path.resolve(option("out")) : keystorePath();
+
+  console.log("🔐 Wallet Migration");
+  console.log("===================\n");
+
+  const wallet = loadWallet(from);
+  if (!wallet) {
+    console.error(`❌ No plaintext wallet at ${from} - nothing to migrate.`);
+    process.exit(1);
+  }
+  if (fs.existsSync(out) && !args.includes("--force")) {
+    console.error(`❌ ${out} already exists. Pass --force to overwrite it.`);
+    process.exit(1);
+  }
+
+  const signer = new ethers.Wallet(wallet.privateKey);
+  if (wallet.address && ethers.getAddress(wallet.address) !== signer.address) {
+    console.error(`❌ ${from} says ${wallet.address}, but its key is for ${signer.address} - refusing.`);
+    process.exit(1);
+  }
+  console.log(`👤 Wallet: ${signer.address}`);
+  console.log(`📂 From: ${from}`);
+  console.log(`📂 To: ${out}\n`);
+
+  const passphrase = await readPassphrase();
+  if (passphrase.length < MIN_PASSPHRASE_LENGTH) {
+    throw new Error(`Passphrase is shorter than ${MIN_PASSPHRASE_LENGTH} characters`);
+  }
+
+  console.log("⏳ Encrypting (scrypt, takes a few seconds)...");
+  const json = await signer.encrypt(passphrase);
+
+  // Prove it opens before trusting it with the only copy of the key
+  const check = await ethers.Wallet.fromEncryptedJson(json, passphrase);
+  if (check.address !== signer.address) {
+    throw new Error("Keystore decrypted to a different address - not written");
+  }
+
+  fs.writeFileSync(out, json, { mode: 0o600 });
+  console.log(`✅ Keystore written to ${out}`);
+
+  if (args.includes("--delete")) {
+    fs.unlinkSync(from);
+    console.log(`🗑️  Deleted ${from}`);
+  } else {
+    console.log(`\n⚠️  The plaintext key is still in ${from}.`);
+    console.log("   Back up the keystore and passphrase, then delete it (or rerun with --delete).");
+  }
+  console.log("\nScripts now unlock the keystore with $WALLET_PASSPHRASE, or ask for the passphrase.");
+}
+
+main().catch(err => {
+  console.error(`❌ ${err.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,217 @@
+#!/usr/bin/env node
+/**
+ * Object Store Maintenance
+ *
+ * Manages the content-addressed store checkpoint.js writes with
+ * --store=objects (see lib/object-store.js):
+ *
+ *   status  Objects, trees, and the space deduplication saves
+ *   import  Move existing plaintext bundle-<ts>.tar.gz archives into the store
+ *   prune   Drop the trees of old checkpoints, then gc
+ *   gc      Delete objects no tree refers to
+ *
+ * Objects are stored unencrypted, so encrypted bundles are never imported
+ * (or deleted).
+ *
+ * Usage:
+ *   node scripts/objects.js [status]
+ *   node scripts/objects.js import [--delete-bundles] [--dry-run]
+ *   node scripts/objects.js prune --keep-last=N | --older-than=90d [--dry-run]
+ *   node scripts/objects.js gc [--dry-run]
+ */
+
+import fs from "fs";
+import path from "path";
+import { NETWORKS } from "../lib/config.js";
+import { keccak, toHex } from "../lib/merkle.js";
+import { listCheckpointRecords } from "../lib/records.js";
+import { listBundles, readBundle } from "../lib/bundle.js";
+import { bundleManifest, readBundleHeader } from "../lib/bundle-crypto.js";
+import { putObject, writeTree, treePath, listTrees, gcObjects, storeStats } from "../lib/object-store.js";
+import { parseDuration } from "../lib/history.js";
+
+function formatBytes(bytes) {
+  return bytes >= 1024 * 1024 ? `${(bytes / 1024 / 1024).toFixed(1)} MB` : `${(bytes / 1024).toFixed(1)} KB`;
+}
+
+// ============ Commands ============
+
+function status() {
+  const stats = storeStats();
+  console.log(`🌳 Trees: ${stats.trees}`);
+  console.log(`🧱 Objects: ${stats.objects}${stats.unreferenced > 0 ? ` (${stats.unreferenced} unreferenced - run gc)` : ""}`);
+  console.log(`💾 Stored: ${formatBytes(stats.storedBytes)} (gzipped)`);
+  console.log(`📚 Checkpointed content: ${formatBytes(stats.logicalBytes)} across all trees`);
+  if (stats.logicalBytes > 0) {
+    console.log(`   ${(stats.logicalBytes / Math.max(1, stats.storedBytes)).toFixed(1)}× smaller than a full copy per checkpoint`);
+  }
+}
+
+function importBundles({ deleteBundles, dryRun }) {
+  const records = listCheckpointRecords();
+  const recordFor = bundlePath => records.find(r => r.record.bundle?.path === bundlePath);
+
+  let imported = 0;
+  let skipped = 0;
+  let added = 0;
+
+  for (const bundle of listBundles()) {
+    const name = path.basename(bundle.path);
+    if (fs.existsSync(treePath(bundle.timestamp))) {
+      console.log(`  ⏭️  ${name}: already imported`);
+      continue;
+    }
+
+    // Importing would leave a plaintext copy of an encrypted bundle (and --delete-bundles the only one)
+    if (bundle.encrypted || readBundleHeader(bundle.path)) {
+      console.log(`  🔒 ${name}: encrypted - kept as a bundle (the object store is not encrypted)`);
+      skipped++;
+      continue;
+    }
+
+    // Plaintext bundles get their manifest from their record
+    const owner = recordFor(bundle.path);
+    const chainId = owner ? NETWORKS[owner.record.network]?.chainId : null;
+    const manifest = chainId ? bundleManifest(owner.record, chainId) : null;
+    if (!manifest) {
+      console.log(`  ⚠️  ${name}: no checkpoint record - run bundles.js rebuild first`);
+      skipped++;
+      continue;
+    }
+
+    let files;
+    try {
+      files = readBundle(bundle.path);
+    } catch (err) {
+      console.log(`  ⚠️  ${name}: ${err.message}`);
+      skipped++;
+      continue;
+    }
+
+    // Only content that hashes to what the checkpoint committed to goes in
+    const content = new Map(files.map(f => [f.path, f.content]));
+    const bad = manifest.files.filter(f => !content.has(f.path) || toHex(keccak(content.get(f.path))) !== f.hash);
+    if (bad.length > 0) {
+      console.log(`  ❌ ${name}: ${bad.length} file(s) don't match the checkpoint (${bad[0].relativePath}...)`);
+      skipped++;
+      continue;
+    }
+
+    let newObjects = 0;
+    if (!dryRun) {
+      for (const f of manifest.files) {
+        if (putObject(content.get(f.path)).added) newObjects++;
+      }
+      const treeFile = writeTree(manifest, bundle.timestamp);
+
+      if (owner) {
+        owner.record.objects = { tree: treeFile, files: manifest.files.length, imported: true };
+        if (deleteBundles) delete owner.record.bundle;
+        fs.writeFileSync(owner.file, JSON.stringify(owner.record, null, 2));
+      }
+      if (deleteBundles) fs.unlinkSync(bundle.path);
+    }
+
+    console.log(`  ✅ ${name}: checkpoint ${manifest.checkpointIndex != null ? `#${manifest.checkpointIndex}` : manifest.root.slice(0, 18)}, ${manifest.files.length} files${dryRun ? "" : `, ${newObjects} new object(s)`}${deleteBundles && !dryRun ? " - bundle deleted" : ""}`);
+    imported++;
+    added += newObjects;
+  }
+
+  console.log(`\n📊 ${imported} bundle(s) ${dryRun ? "would be " : ""}imported (${added} new objects), ${skipped} skipped`);
+}
+
+function prune({ keepLast, olderThan, dryRun }) {
+  const trees = listTrees();
+  const cutoff = olderThan !== null ? Date.now() - olderThan : null;
+  const doomed = trees.filter((t, i) =>
+    (keepLast !== null && i < trees.length - keepLast) ||
+    (cutoff !== null && t.timestamp < cutoff)
+  );
+
+  for (const t of doomed) {
+    console.log(`  🗑️  ${path.basename(t.file)} (${t.tree.root.slice(0, 18)}..., ${t.tree.timestamp})`);
+    if (!dryRun) fs.unlinkSync(t.file);
+  }
+
+  // Records of pruned checkpoints no longer point at a tree
+  if (!dryRun) {
+    const pruned = new Set(doomed.map(t => t.file));
+    for (const { file, record } of listCheckpointRecords()) {
+      if (record.objects && pruned.has(record.objects.tree)) {
+        delete record.objects;
+        fs.writeFileSync(file, JSON.stringify(record, null, 2));
+      }
+    }
+  }
+
+  console.log(`\n📊 ${doomed.length} of ${trees.length} tree(s) ${dryRun ? "would be " : ""}pruned\n`);
+  gc({ dryRun, ignoreTrees: new Set(doomed.map(t => t.file)) });
+}
+
+function gc({ dryRun, ignoreTrees }) {
+  const { kept, removed, freedBytes } = gcObjects({ dryRun, ignoreTrees });
+  console.log(`🧹 ${removed} unreferenced object(s) ${dryRun ? "would be " : ""}removed (${formatBytes(freedBytes)}), ${kept} kept`);
+}
+
+// ============ Main ============
+
+async function main() {
+  const args = process.argv.slice(2);
+  const command = args[0] && !args[0].startsWith("--") ? args[0] : "status";
+
+  if (args.includes("--help") || !["status", "import", "prune", "gc"].includes(command)) {
+    console.log(`
+🗄️  Object Store Maintenance
+
+Manage the deduplicated object store (checkpoint.js --store=objects).
+
+Usage:
+  node scripts/objects.js [status]
+  node scripts/objects.js import [--delete-bundles] [--dry-run]
+  node scripts/objects.js prune --keep-last=N | --older-than=DUR [--dry-run]
+  node scripts/objects.js gc [--dry-run]
+
+Options:
+  --delete-bundles  Import: delete each bundle once its files are stored
+                    (encrypted bundles are never imported or deleted)
+  --keep-last=N     Prune: keep the trees of the N most recent checkpoints
+  --older-than=DUR  Prune: drop trees of checkpoints older than DUR (e.g. 90d)
+  --dry-run         Show what would change
+
+Examples:
+  node scripts/objects.js import --delete-bundles
+  node scripts/objects.js prune --older-than=180d
+`);
+    return;
+  }
+
+  const keepLastArg = args.find(a => a.startsWith("--keep-last="));
+  const olderThanArg = args.find(a => a.startsWith("--older-than="));
+  const dryRun = args.includes("--dry-run");
+
+  console.log("🗄️  Object Store");
+  console.log("================\n");
+
+  if (command === "status") {
+    status();
+  } else if (command === "import") {
+    importBundles({ deleteBundles: args.includes("--delete-bundles"), dryRun });
+  } else if (command === "gc") {
+    gc({ dryRun });
+  } else {
+    if (!keepLastArg && !olderThanArg) {
+      console.error("❌ prune needs --keep-last=N or --older-than=DUR");
+      process.exit(1);
+    }
+    prune({
+      keepLast: keepLastArg ? parseInt(keepLastArg.split("=")[1]) : null,
+      olderThan: olderThanArg ? parseDuration(olderThanArg.split("=")[1]) : null,
+      dryRun,
+    });
+  }
+}
+
+main().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
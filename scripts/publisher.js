@@ -3,46 +3,37 @@
  * SentimentOracle Publisher
  * Fetches sentiment data from Santiment and publishes to Monad
  * 
- * Usage: node publisher.js [--asset bitcoin] [--network testnet]
+ * Usage: node publisher.js [--asset bitcoin] [--network=testnet|mainnet|local]
  */
 
 import { ethers } from "ethers";
 import fs from "fs";
 import os from "os";
 import https from "https";
+import { checkChainId, getNetwork, loadDeployment, loadArtifact } from "../lib/config.js";
+import { walletSigner } from "../lib/signers.js";
 
 // Config
 const SANTIMENT_API_KEY = fs.readFileSync(os.homedir() + '/.config/santiment/api_key', 'utf8').trim();
-const WALLET = JSON.parse(fs.readFileSync(os.homedir() + '/.evm-wallet.json', 'utf8'));
-
-const NETWORKS = {
-  testnet: {
-    url: "https://testnet-rpc.monad.xyz",
-    chainId: 10143
-  },
-  mainnet: {
-    url: "https://rpc.monad.xyz", 
-    chainId: 143
-  }
-};
 
 // Parse args
 const args = process.argv.slice(2);
 const asset = args.includes('--asset') ? args[args.indexOf('--asset') + 1] : 'bitcoin';
-const network = args.includes('--network') ? args[args.indexOf('--network') + 1] : 'testnet';
+const network = args.find(a => a.startsWith('--network='))?.split('=')[1]
+  ?? (args.includes('--network') ? args[args.indexOf('--network') + 1] : 'testnet');
 
 // Load contract
+let networkConfig;
 let deployment;
 try {
-  deployment = JSON.parse(fs.readFileSync('./deployment.json', 'utf8'));
+  networkConfig = getNetwork(network);
+  deployment = loadDeployment("SentimentOracle", networkConfig);
 } catch (e) {
-  console.error("No deployment.json found. Deploy the contract first.");
+  console.error(e.message);
   process.exit(1);
 }
 
-const artifact = JSON.parse(
-  fs.readFileSync("./artifacts/contracts/SentimentOracle.sol/SentimentOracle.json", "utf8")
-);
+const artifact = loadArtifact("SentimentOracle");
 
 // Santiment GraphQL query
 function fetchSantimentData(slug) {
@@ -115,8 +106,9 @@ async function main() {
   console.log(`Contract: ${deployment.address}\n`);
 
   // Connect to network
-  const provider = new ethers.JsonRpcProvider(NETWORKS[network].url);
-  const signer = new ethers.Wallet(WALLET.privateKey, provider);
+  const provider = new ethers.JsonRpcProvider(networkConfig.rpc);
+  await checkChainId(provider, networkConfig);
+  const signer = walletSigner(provider);
   
   // Check balance
   const balance = await provider.getBalance(signer.address);
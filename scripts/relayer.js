@@ -0,0 +1,342 @@
+#!/usr/bin/env node
+/**
+ * Checkpoint Relayer
+ *
+ * Submits checkpoints that agents signed with `checkpoint.js --relay` (EIP-712,
+ * see lib/relay.js) and pays their gas, so agents with no MON can still
+ * publish. Works through a queue directory holding requests from any number of
+ * agents: each signer's requests go in nonce order, a gap waits for the
+ * missing nonce, and finished requests move to done/ or failed/. A request
+ * whose nonce is already used is looked up on-chain first - it may have been
+ * published by an earlier run that didn't get to settle it. When a request
+ * fails, the signer's later requests fail with it: the nonce they wait for
+ * will never be used.
+ *
+ * Every request is simulated before it's sent; stuck transactions are
+ * replaced with bumped fees (lib/transactions.js).
+ *
+ * Usage:
+ *   node scripts/relayer.js [--queue=DIR] [--network=testnet|mainnet|local] [--dry-run]
+ *                           [--follow] [--interval=1m] [--tx-timeout=2m] [--min-balance=0.01]
+ */
+
+import { ethers } from "ethers";
+import path from "path";
+import { Registry } from "../lib/registry.js";
+import { NETWORKS, getNetwork } from "../lib/config.js";
+import { walletSigner } from "../lib/signers.js";
+import {
+  RELAY_QUEUE_DIR,
+  checkRelayRequest,
+  listRelayQueue,
+  settleRelayRequest,
+  findSettledRequest,
+  findRelayedCheckpoint,
+} from "../lib/relay.js";
+import { DEFAULT_TX_TIMEOUT_MS, sendWithReplacement } from "../lib/transactions.js";
+import { parseDuration, formatDuration } from "../lib/history.js";
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function connect(network) {
+  try {
+    // No request cache: back-to-back sends must each see the latest nonce
+    const provider = new ethers.JsonRpcProvider(getNetwork(network).rpc, undefined, { cacheTimeout: -1 });
+    const registry = Registry.connect({ network, signer: walletSigner(provider) });
+    await registry.checkChain();
+    const { deployment, network: networkConfig, signer, contract } = registry;
+    return { deployment, networkConfig, provider, signer, contract };
+  } catch (err) {
+    console.error(`❌ ${err.message}`);
+    process.exit(1);
+  }
+}
+
+// Reverts that mean the request will never go through
+const REVERT_REASONS = {
+  SignatureExpired: "deadline passed",
+  InvalidSignature: "signature doesn't match the request or the signer's current nonce",
+  NotAuthorizedPublisher: "signer is no longer the owner or an active delegate",
+  AgentInactive: "agent is deactivated",
+};
+
+function revertReason(contract, err) {
+  let name = err.revert?.name;
+  if (!name && err.data) {
+    try {
+      name = contract.interface.parseError(err.data)?.name;
+    } catch {}
+  }
+  return REVERT_REASONS[name] ?? null;
+}
+
+function publishArgs(request) {
+  return [request.agentId, request.root, request.metadata, request.signer, request.deadline, request.signature];
+}
+
+function label(request) {
+  return `${request.agentId} nonce ${request.nonce} (${request.root.slice(0, 18)}...)`;
+}
+
+// ============ Relaying ============
+
+/**
+ * Submit one request. Returns "done", "failed", or "retry" (left in the queue).
+ */
+async function relayOne(entry, connection, { dryRun, txTimeout }, { simulate = true } = {}) {
+  const { contract, signer } = connection;
+  const { request } = entry;
+
+  // In a dry run only the first nonce per signer can be simulated; the rest
+  // depend on the ones before them being published
+  if (!simulate) {
+    console.log(`  🧪 ${label(request)}: would submit after nonce ${request.nonce - 1}`);
+    return "done";
+  }
+
+  // Simulate first: a request that would revert costs nothing to drop
+  try {
+    await contract.publishCheckpointWithSig.staticCall(...publishArgs(request));
+  } catch (err) {
+    const reason = revertReason(contract, err);
+    if (!reason) {
+      console.log(`  ⚠️  ${label(request)}: ${err.shortMessage ?? err.message} - will retry`);
+      return "retry";
+    }
+    console.log(`  ❌ ${label(request)}: ${reason}`);
+    if (!dryRun) settleRelayRequest(entry, "failed", { error: reason });
+    return "failed";
+  }
+
+  if (dryRun) {
+    console.log(`  🧪 ${label(request)}: would submit`);
+    return "done";
+  }
+
+  const tx = await contract.publishCheckpointWithSig.populateTransaction(...publishArgs(request));
+  let receipt;
+  try {
+    ({ receipt } = await sendWithReplacement(signer, tx, {
+      timeoutMs: txTimeout,
+      onSent: ({ hashes }) => console.log(`  📤 ${label(request)}: ${hashes.at(-1)}`),
+      log: message => console.log(`     ${message}`),
+    }));
+  } catch (err) {
+    console.log(`  ⚠️  ${label(request)}: ${err.shortMessage ?? err.message} - will retry`);
+    return "retry";
+  }
+
+  if (receipt.status !== 1) {
+    console.log(`  ❌ ${label(request)}: transaction ${receipt.hash} reverted`);
+    settleRelayRequest(entry, "failed", { error: "reverted", txHash: receipt.hash });
+    return "failed";
+  }
+
+  const published = receipt.logs
+    .map(log => {
+      try {
+        return contract.interface.parseLog(log);
+      } catch {
+        return null;
+      }
+    })
+    .find(event => event?.name === "CheckpointPublished");
+  const checkpointIndex = published ? Number(published.args.checkpointIndex) : null;
+
+  const { record } = settleRelayRequest(entry, "done", {
+    txHash: receipt.hash,
+    blockNumber: receipt.blockNumber,
+    checkpointIndex,
+    relayer: signer.address,
+  });
+  console.log(`  ✅ ${label(request)}: checkpoint #${checkpointIndex} in block ${receipt.blockNumber}`);
+  if (record) console.log(`     💾 Record updated: ${record}`);
+  return "done";
+}
+
+/**
+ * Settle a request whose nonce the signer has already used: "done" if it was
+ * this request that used it (published by a run that stopped before settling
+ * it), "failed" if something else did. "retry" when the logs can't be read.
+ */
+async function settleUsedNonce(entry, connection, { dryRun }) {
+  const { request } = entry;
+  let published;
+  try {
+    published = await findRelayedCheckpoint(connection.contract, request);
+  } catch (err) {
+    console.log(`  ⚠️  ${label(request)}: nonce used, but its events can't be read (${err.shortMessage ?? err.message}) - will retry`);
+    return "retry";
+  }
+
+  if (!published) {
+    console.log(`  ❌ ${label(request)}: nonce already used (superseded or cancelled)`);
+    if (!dryRun) settleRelayRequest(entry, "failed", { error: "nonce already used" });
+    return "failed";
+  }
+  console.log(`  ✅ ${label(request)}: already published as checkpoint #${published.checkpointIndex} in block ${published.blockNumber}`);
+  if (!dryRun) {
+    const { record } = settleRelayRequest(entry, "done", published);
+    if (record) console.log(`     💾 Record updated: ${record}`);
+  }
+  return "done";
+}
+
+// Later requests of a signer whose nonce `missing` failed: they can never be relayed
+function failAfterGap(entries, missing, { dryRun }) {
+  const error = `nonce ${missing} failed, so this request can never be relayed - sign it again`;
+  for (const entry of entries) {
+    console.log(`  ❌ ${label(entry.request)}: ${error}`);
+    if (!dryRun) settleRelayRequest(entry, "failed", { error });
+  }
+  return entries.length;
+}
+
+/**
+ * One pass over the queue.
+ * @returns {Promise<{done: number, failed: number, waiting: number}>}
+ */
+async function drainQueue(queueDir, connection, options) {
+  const { deployment, networkConfig, contract } = connection;
+  const counts = { done: 0, failed: 0, waiting: 0 };
+
+  // Group by signer; listRelayQueue() already orders each group by nonce
+  const groups = new Map();
+  for (const entry of listRelayQueue(queueDir)) {
+    if (!entry.request || !ethers.isAddress(entry.request.signer)) {
+      const error = entry.error ?? "no signer address";
+      console.log(`  ❌ ${path.basename(entry.file)}: unreadable (${error})`);
+      if (!options.dryRun) settleRelayRequest({ ...entry, request: entry.request ?? {} }, "failed", { error });
+      counts.failed++;
+      continue;
+    }
+    const key = entry.request.signer?.toLowerCase() ?? "";
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(entry);
+  }
+
+  for (const entries of groups.values()) {
+    const onChainNonce = Number(await contract.nonces(entries[0].request.signer));
+    let nonce = onChainNonce;
+    // Nonces that failed in this pass (a dry run doesn't move them to failed/)
+    const failedNonces = new Set();
+
+    for (const [i, entry] of entries.entries()) {
+      const { request } = entry;
+      const problems = checkRelayRequest(request, { chainId: networkConfig.chainId, contract: deployment.address });
+
+      if (request.nonce < nonce) {
+        const outcome = await settleUsedNonce(entry, connection, options);
+        if (outcome === "retry") {
+          counts.waiting++;
+        } else {
+          counts[outcome]++;
+        }
+        continue;
+      }
+      if (request.nonce > nonce) {
+        // Once the missing nonce's request has failed, nothing will use it
+        if (failedNonces.has(nonce) || findSettledRequest(request.signer, nonce, "failed", queueDir)) {
+          counts.failed += failAfterGap(entries.slice(i), nonce, options);
+        } else {
+          console.log(`  ⏳ ${label(request)}: waiting for nonce ${nonce}`);
+          counts.waiting += entries.length - i;
+        }
+        break;
+      }
+      if (problems.length > 0) {
+        console.log(`  ❌ ${label(request)}: ${problems.join("; ")}`);
+        if (!options.dryRun) settleRelayRequest(entry, "failed", { error: problems.join("; ") });
+        failedNonces.add(request.nonce);
+        counts.failed++;
+        continue;
+      }
+
+      const outcome = await relayOne(entry, connection, options, { simulate: !options.dryRun || nonce === onChainNonce });
+      if (outcome === "retry") {
+        counts.waiting += entries.length - i;
+        break;
+      }
+      counts[outcome]++;
+      if (outcome === "done") nonce++;
+      if (outcome === "failed") failedNonces.add(request.nonce);
+    }
+  }
+
+  return counts;
+}
+
+// ============ Main ============
+
+async function main() {
+  const args = process.argv.slice(2);
+  const option = name => args.find(a => a.startsWith(`--${name}=`))?.split("=")[1];
+
+  if (args.includes("--help")) {
+    console.log(`
+📨 Checkpoint Relayer
+
+Submit checkpoints agents signed with "checkpoint.js --relay", paying the gas
+from this wallet (keystore, WALLET_PRIVATE_KEY or remote signer).
+
+Usage:
+  node scripts/relayer.js [options]
+
+Options:
+  --queue=DIR         Queue directory (default: checkpoints/relay-queue)
+  --network=NAME      testnet, mainnet or local (default: testnet)
+  --dry-run           Simulate each request without sending or moving files
+  --follow            Keep polling the queue
+  --interval=DUR      Poll interval with --follow (default: 1m)
+  --tx-timeout=DUR    Replace a transaction not mined within DUR (default: 2m)
+  --min-balance=MON   Refuse to relay below this balance (default: 0.01)
+
+Requests move to <queue>/done/ once published and <queue>/failed/ when they
+can never be (expired, nonce used, signer no longer authorized, or an earlier
+nonce of the signer failed - sign those again).
+`);
+    return;
+  }
+
+  const network = option("network") ?? "testnet";
+  if (!NETWORKS[network]) {
+    console.error(`❌ Unknown network: ${network}`);
+    process.exit(1);
+  }
+  const queueDir = option("queue") ? path.resolve(option("queue")) : RELAY_QUEUE_DIR;
+  const options = {
+    dryRun: args.includes("--dry-run"),
+    txTimeout: option("tx-timeout") ? parseDuration(option("tx-timeout")) : DEFAULT_TX_TIMEOUT_MS,
+  };
+  const minBalance = ethers.parseEther(option("min-balance") ?? "0.01");
+  const interval = parseDuration(option("interval") ?? "1m");
+
+  console.log("📨 Checkpoint Relayer");
+  console.log("=====================\n");
+
+  const connection = await connect(network);
+  console.log(`📍 Contract: ${connection.deployment.address} (${network})`);
+  console.log(`👤 Relayer: ${connection.signer.address}`);
+  console.log(`📂 Queue: ${queueDir}`);
+
+  for (;;) {
+    const balance = await connection.provider.getBalance(connection.signer.address);
+    if (balance < minBalance && !options.dryRun) {
+      console.error(`\n❌ Relayer balance ${ethers.formatEther(balance)} MON is below the minimum of ${ethers.formatEther(minBalance)} MON`);
+      process.exit(1);
+    }
+
+    console.log(`\n⏰ ${new Date().toISOString()} - balance ${ethers.formatEther(balance)} MON`);
+    const { done, failed, waiting } = await drainQueue(queueDir, connection, options);
+    console.log(`📊 ${done} ${options.dryRun ? "would be published" : "published"}, ${failed} failed, ${waiting} waiting`);
+
+    if (!args.includes("--follow")) break;
+    console.log(`💤 Next pass in ${formatDuration(interval)}`);
+    await sleep(interval);
+  }
+}
+
+main().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,144 @@
+#!/usr/bin/env node
+/**
+ * Agent Trust Report
+ *
+ * Scores an agent from its on-chain history - registration age, checkpoint
+ * count, cadence, gaps, signatures, ownership transfers and deactivations -
+ * with a breakdown of where every point came from. Events are read from the
+ * local index (synced first), current state from the registry.
+ *
+ * Usage:
+ *   node scripts/trust-report.js <agentId> [--schedule=4h] [--min-score=N] [--json]
+ *
+ * With --min-score, exits non-zero if the agent scores below N.
+ */
+
+import { ethers } from "ethers";
+import { Registry } from "../lib/registry.js";
+import { loadDeployment } from "../lib/config.js";
+import { syncIndex, loadIndex, getCheckpoints, getTransfers, getDeactivations, getDelegates } from "../lib/event-index.js";
+import { parseDuration } from "../lib/history.js";
+import { computeTrustScore } from "../lib/trust.js";
+
+const GRADE_ICONS = { high: "🟢", medium: "🟡", low: "🔴" };
+
+async function main() {
+  const args = process.argv.slice(2);
+
+  if (args.length === 0 || args[0] === "--help") {
+    console.log(`
+🛡️  Agent Trust Report
+
+Score an agent from its on-chain checkpoint history.
+
+Usage:
+  node scripts/trust-report.js <agentId> [options]
+
+Options:
+  --network=NET     Network to use (default: testnet)
+  --schedule=DUR    Expected checkpoint interval (default: the agent's median)
+  --min-score=N     Exit non-zero if the score is below N (for gating)
+  --no-sync         Use the local event index as is
+  --json            Print the breakdown as JSON
+
+Examples:
+  node scripts/trust-report.js b0tresch --schedule=4h
+  node scripts/trust-report.js other-agent --min-score=60 && echo "ok to collaborate"
+`);
+    return;
+  }
+
+  const agentId = args.find(a => !a.startsWith("--"));
+  const networkArg = args.find(a => a.startsWith("--network="));
+  const scheduleArg = args.find(a => a.startsWith("--schedule="));
+  const minScoreArg = args.find(a => a.startsWith("--min-score="));
+  const json = args.includes("--json");
+  const network = networkArg ? networkArg.split("=")[1] : "testnet";
+  const schedule = scheduleArg ? parseDuration(scheduleArg.split("=")[1]) : null;
+  // Progress goes to stderr with --json so stdout stays parseable
+  const log = json ? console.error : console.log;
+
+  let deployment;
+  try {
+    deployment = loadDeployment("AgentMemoryRegistry", network);
+  } catch (err) {
+    console.error(`❌ ${err.message}`);
+    process.exit(1);
+  }
+
+  const registry = Registry.connect({ network, address: deployment.address });
+  const chainId = await registry.checkChain();
+  const { provider, contract } = registry;
+
+  const agentInfo = await contract.agents(agentId);
+  if (agentInfo.owner === ethers.ZeroAddress) {
+    console.error(`❌ Agent "${agentId}" is not registered.`);
+    process.exit(1);
+  }
+
+  if (!args.includes("--no-sync")) {
+    let startBlock = 0;
+    if (deployment.txHash) {
+      const receipt = await provider.getTransactionReceipt(deployment.txHash);
+      if (receipt) startBlock = receipt.blockNumber;
+    }
+    log("🔄 Syncing event index...");
+    const { to } = await syncIndex(contract, { startBlock });
+    log(`   ✅ Indexed through block ${to}\n`);
+  }
+
+  const index = loadIndex(chainId, deployment.address);
+  if (!index.state) {
+    console.error("❌ No event index. Run without --no-sync, or: node scripts/indexer.js");
+    process.exit(1);
+  }
+
+  const result = computeTrustScore({
+    agentId,
+    owner: agentInfo.owner,
+    registeredAt: Number(agentInfo.registeredAt) * 1000,
+    active: agentInfo.active,
+    checkpoints: getCheckpoints(index, agentId),
+    transfers: getTransfers(index, agentId),
+    deactivations: getDeactivations(index, agentId),
+    delegates: getDelegates(index, agentId),
+  }, {
+    schedule,
+    chainId,
+    contract: deployment.address,
+  });
+
+  const minScore = minScoreArg ? Number(minScoreArg.split("=")[1]) : null;
+  const passed = minScore === null || result.score >= minScore;
+
+  if (json) {
+    console.log(JSON.stringify({ agentId, owner: agentInfo.owner, ...result, minScore, passed }, null, 2));
+  } else {
+    console.log("🛡️  Agent Trust Report");
+    console.log("======================\n");
+    console.log(`🤖 Agent: ${agentId} (owner ${agentInfo.owner})`);
+    console.log(`📍 Contract: ${deployment.address} on ${network}, events through block ${index.state.lastBlock}\n`);
+
+    console.log(`  ${"Factor".padEnd(12)} ${"Points".padStart(11)}  Why`);
+    for (const f of result.factors) {
+      console.log(`  ${f.name.padEnd(12)} ${`${f.points} / ${f.max}`.padStart(11)}  ${f.detail}`);
+    }
+
+    if (result.warnings.length > 0) {
+      console.log(`\n⚠️  Warnings:`);
+      for (const w of result.warnings) console.log(`   - ${w}`);
+    }
+
+    console.log(`\n${GRADE_ICONS[result.grade]} Trust score: ${result.score}/100 (${result.grade})`);
+    if (minScore !== null) {
+      console.log(passed ? `   ✅ Meets the minimum of ${minScore}` : `   ❌ Below the minimum of ${minScore}`);
+    }
+  }
+
+  if (!passed) process.exit(1);
+}
+
+main().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
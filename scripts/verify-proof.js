@@ -0,0 +1,148 @@
+#!/usr/bin/env node
+/**
+ * Offline Proof Verifier
+ *
+ * Checks a proof package written by export-proof.js. Needs nothing but the
+ * package and either an RPC endpoint (root is read from the registry) or a
+ * root you already trust (fully offline). The registry is the known deployment
+ * for the package's chain (or --contract), never the address the package
+ * names - a package for another contract fails.
+ *
+ * Usage:
+ *   node scripts/verify-proof.js <package.json> [--network=NAME | --rpc=URL] [--contract=0x...]
+ *   node scripts/verify-proof.js <package.json> --root=0x... [--owner=0x...]
+ *
+ * Exits non-zero if any check fails. A checkpoint its owner has flagged
+ * (lib/flags.js) gets a warning; offline mode can't see flags.
+ */
+
+import fs from "fs";
+import { Registry } from "../lib/registry.js";
+import { getNetwork, networkForChainId, findDeployment } from "../lib/config.js";
+import { verifyProofPackage } from "../lib/proof-package.js";
+import { flagWarning } from "../lib/flags.js";
+
+async function main() {
+  const args = process.argv.slice(2);
+
+  if (args.length === 0 || args[0] === "--help") {
+    console.log(`
+🔐 Offline Proof Verifier
+
+Check a proof package from export-proof.js.
+
+Usage:
+  node scripts/verify-proof.js <package.json> [options]
+
+Options:
+  --network=NAME    Network to read the on-chain root from: testnet, mainnet
+                    or local (default: the one matching the package's chain)
+  --rpc=URL         RPC endpoint to read it from instead
+  --contract=0x...  Registry to check against (default: the deployment for the
+                    package's chain in deployments.json)
+  --root=0x...      Verify against this root with no RPC at all
+  --owner=0x...     Expected signer for the authorship check (with --root)
+
+Examples:
+  node scripts/verify-proof.js proof-b0tresch-12-MEMORY.md.json
+  node scripts/verify-proof.js pivot.json --root=0xc38f7d9a...
+`);
+    return;
+  }
+
+  const packageArg = args.find(a => !a.startsWith("--"));
+  const networkArg = args.find(a => a.startsWith("--network="));
+  const rpcArg = args.find(a => a.startsWith("--rpc="));
+  const contractArg = args.find(a => a.startsWith("--contract="));
+  const rootArg = args.find(a => a.startsWith("--root="));
+  const ownerArg = args.find(a => a.startsWith("--owner="));
+
+  console.log("🔐 Offline Proof Verifier");
+  console.log("=========================\n");
+
+  const pkg = JSON.parse(fs.readFileSync(packageArg, "utf8"));
+
+  console.log(`📦 Package: ${packageArg}`);
+  console.log(`   Agent: ${pkg.agentId}, checkpoint #${pkg.checkpointIndex} (block ${pkg.blockNumber})`);
+  console.log(`   Chain ${pkg.chainId}, contract ${pkg.contract}`);
+  console.log(`   File: ${pkg.file?.path} (${pkg.file?.size} bytes), leaf format v${pkg.leafVersion}`);
+  if (pkg.chunk) {
+    console.log(`   Passage: lines ${pkg.chunk.lines.start}-${pkg.chunk.lines.end}`);
+  }
+
+  let result;
+  if (rootArg) {
+    console.log(`\n🔒 Offline mode: checking against supplied root`);
+    result = verifyProofPackage(pkg, { root: rootArg.split("=")[1], owner: ownerArg ? ownerArg.split("=")[1] : null });
+  } else {
+    // Default network per chain ID (override with --network or --rpc)
+    const network = networkArg ? networkArg.split("=")[1] : networkForChainId(pkg.chainId);
+    const rpc = rpcArg ? rpcArg.split("=").slice(1).join("=") : network && getNetwork(network).rpc;
+    if (!rpc) {
+      console.error(`\n❌ No known network for chain ${pkg.chainId}. Pass --network=NAME, --rpc=URL or --root=0x...`);
+      process.exit(1);
+    }
+    // The package's own contract address proves nothing - it must be the registry we know
+    const address = contractArg ? contractArg.split("=")[1] : findDeployment("AgentMemoryRegistry", pkg.chainId)?.address;
+    if (!address) {
+      console.error(`\n❌ No known registry for chain ${pkg.chainId}. Pass --contract=0x... (or --root=0x...)`);
+      process.exit(1);
+    }
+    console.log(`\n🔗 Reading checkpoint from ${rpc} (registry ${address})`);
+    try {
+      // With --network, a wrong RPC fails the chain check before anything is read
+      const registry = Registry.connect({ network: networkArg ? network : null, rpc, address });
+      result = await registry.verifyPackage(pkg);
+    } catch (err) {
+      console.error(`\n❌ ${err.message}`);
+      process.exit(1);
+    }
+  }
+
+  console.log(`\n🧮 Checks:`);
+  for (const c of result.checks) {
+    console.log(`   ${c.ok ? "✅" : "❌"} ${c.name}${c.ok ? "" : ` - ${c.detail}`}`);
+  }
+
+  console.log(`\n✍️  Authorship:`);
+  const { authorship } = result;
+  if (authorship.status === "signed") {
+    console.log(`   ✅ Signed by ${authorship.signer} (${authorship.scheme})${result.onChain || ownerArg ? ", the agent owner" : ""}`);
+  } else if (authorship.status === "unsigned") {
+    console.log(`   ⚠️  UNSIGNED checkpoint`);
+  } else {
+    console.log(`   ❌ ${authorship.status.toUpperCase()}: ${authorship.problems.join("; ")}`);
+  }
+
+  if (result.metadataProblems.length > 0) {
+    console.log(`\n⚠️  Checkpoint metadata doesn't match the schema:`);
+    for (const problem of result.metadataProblems) console.log(`   ${problem}`);
+  }
+
+  const warning = result.onChain ? flagWarning(result.onChain.flags, pkg.checkpointIndex) : [];
+  if (warning.length > 0) {
+    console.log();
+    for (const line of warning) console.log(line);
+  }
+
+  if (!result.valid) {
+    console.log(`\n❌ INVALID: proof does not check out.`);
+    process.exit(1);
+  }
+
+  if (pkg.chunk?.content !== undefined) {
+    console.log(`\n📝 Revealed passage:\n`);
+    console.log(pkg.chunk.content.replace(/\s+$/, "").replace(/^/gm, "   > "));
+  }
+
+  console.log(`\n✅ VERIFIED: "${pkg.file.path}"${pkg.chunk ? " passage" : ""} was part of ${pkg.agentId}'s memory at ${pkg.timestamp}`);
+  console.log(`   (anchored ${result.anchored === "chain" ? "to the on-chain checkpoint root" : "to the supplied root - checkpoint flags not checked"})`);
+  if (warning.length > 0) {
+    console.log(`\n🚩 But checkpoint #${pkg.checkpointIndex} is FLAGGED by its owner - don't rely on it.`);
+  }
+}
+
+main().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
@@ -5,7 +5,7 @@
  * Verify that a specific memory file was part of a checkpoint.
  * 
  * Usage:
- *   node scripts/verify.js <file> [--checkpoint=N] [--agent=ID]
+ *   node scripts/verify.js <file> [--checkpoint=N] [--agent=ID] [--manifest=PATH]
  *   
  * Examples:
  *   node scripts/verify.js MEMORY.md
@@ -13,28 +13,16 @@
  *   node scripts/verify.js GOALS.md --agent=b0tresch
  */
 
-import { ethers } from "ethers";
 import fs from "fs";
 import path from "path";
-import crypto from "crypto";
-import { fileURLToPath } from "url";
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
-const WORKSPACE = "/root/.openclaw/workspace";
-
-const NETWORKS = {
-  testnet: {
-    rpc: "https://testnet-rpc.monad.xyz",
-    chainId: 10143,
-  }
-};
-
-function hashContent(content) {
-  // Use keccak256 to match Solidity
-  return Buffer.from(ethers.keccak256(content).slice(2), "hex");
-}
+import { Registry } from "../lib/registry.js";
+import { loadManifestFromArgs } from "../lib/manifest.js";
+import { LEGACY_LEAF_VERSION, CHUNKED_LEAF_VERSION, keccak, toHex } from "../lib/merkle.js";
+import { chunkLines } from "../lib/chunks.js";
+import { CHECKPOINTS_DIR, findRecordByRoot } from "../lib/records.js";
+import { findPassages } from "../lib/proof-package.js";
+import { flagsFor, flagWarning } from "../lib/flags.js";
+import { METADATA_FORMAT } from "../lib/metadata.js";
 
 async function main() {
   const args = process.argv.slice(2);
@@ -50,9 +38,11 @@ Usage:
 
 Options:
   --checkpoint=N    Verify against checkpoint N (default: latest)
-  --agent=ID        Agent ID to verify (default: b0tresch)
+  --agent=ID        Agent ID to verify (default: manifest agentId, else b0tresch)
+  --manifest=PATH   Workspace manifest (default: memory-manifest.json)
   --network=NET     Network to use (default: testnet)
-  --content=TEXT    Verify specific content instead of file
+  --content=TEXT    Verify a passage (a whole file, or any line/block containing TEXT)
+  --proof-out=FILE  Write the chunk proof for --content to FILE (JSON)
 
 Examples:
   node scripts/verify.js MEMORY.md
@@ -67,31 +57,27 @@ Examples:
   const checkpointArg = args.find(a => a.startsWith("--checkpoint="));
   const agentArg = args.find(a => a.startsWith("--agent="));
   const contentArg = args.find(a => a.startsWith("--content="));
+  const proofOutArg = args.find(a => a.startsWith("--proof-out="));
+  const networkArg = args.find(a => a.startsWith("--network="));
   
-  const agentId = agentArg ? agentArg.split("=")[1] : "b0tresch";
+  const manifest = loadManifestFromArgs(args);
+  const agentId = agentArg ? agentArg.split("=")[1] : (manifest.agentId ?? "b0tresch");
   const checkpointIndex = checkpointArg ? parseInt(checkpointArg.split("=")[1]) : null;
 
   console.log("🔍 Memory Verification Tool");
   console.log("===========================\n");
 
-  // Load deployment info
-  const deploymentPath = path.join(__dirname, "..", "deployment-registry.json");
-  if (!fs.existsSync(deploymentPath)) {
-    console.error("❌ No deployment found. Deploy the contract first.");
+  let registry;
+  try {
+    registry = Registry.connect({ network: networkArg ? networkArg.split("=")[1] : undefined });
+    await registry.checkChain();
+  } catch (err) {
+    console.error(`❌ ${err.message}`);
     process.exit(1);
   }
-  const deployment = JSON.parse(fs.readFileSync(deploymentPath));
-
-  // Connect to network
-  const provider = new ethers.JsonRpcProvider(NETWORKS.testnet.rpc);
-  
-  // Load contract
-  const artifactPath = path.join(__dirname, "..", "artifacts", "contracts", "AgentMemoryRegistry.sol", "AgentMemoryRegistry.json");
-  const artifact = JSON.parse(fs.readFileSync(artifactPath));
-  const contract = new ethers.Contract(deployment.address, artifact.abi, provider);
 
   // Get checkpoint info
-  const checkpointCount = await contract.getCheckpointCount(agentId);
+  const checkpointCount = await registry.contract.getCheckpointCount(agentId);
   console.log(`📊 Agent "${agentId}" has ${checkpointCount} checkpoint(s)\n`);
 
   if (checkpointCount === 0n) {
@@ -99,41 +85,75 @@ Examples:
     process.exit(1);
   }
 
-  const targetIndex = checkpointIndex !== null ? checkpointIndex : Number(checkpointCount) - 1;
-  const checkpoint = await contract.getCheckpoint(agentId, targetIndex);
+  const checkpoint = await registry.getCheckpoint(agentId, checkpointIndex ?? "latest");
+  const targetIndex = checkpoint.index;
   
   console.log(`🎯 Verifying against checkpoint #${targetIndex}:`);
-  console.log(`   Merkle Root: ${checkpoint.merkleRoot}`);
-  console.log(`   Timestamp: ${new Date(Number(checkpoint.timestamp) * 1000).toISOString()}`);
+  console.log(`   Merkle Root: ${checkpoint.root}`);
+  console.log(`   Timestamp: ${new Date(checkpoint.timestamp).toISOString()}`);
   console.log(`   Block: ${checkpoint.blockNumber}`);
   
-  // Parse metadata if present
-  try {
-    const meta = JSON.parse(checkpoint.metadata);
+  const { parsed: meta, metadataFormat: format, metadataProblems: problems } = checkpoint;
+  if (meta) {
     console.log(`   Files: ${meta.files}, Bytes: ${meta.bytes}`);
-  } catch {}
+    console.log(`   Leaf format: v${meta.leafVersion ?? LEGACY_LEAF_VERSION}`);
+  }
+  if (format === METADATA_FORMAT && problems.length === 0) {
+    console.log(`   Metadata: ${METADATA_FORMAT}`);
+  } else if (format === "legacy") {
+    console.log(`   Metadata: legacy (from before ${METADATA_FORMAT})`);
+  } else if (problems.length > 0) {
+    console.log(`   ⚠️  Metadata doesn't match the schema:`);
+    for (const problem of problems) console.log(`      ${problem}`);
+  }
+
+  // Warn before anything else if the owner flagged this checkpoint
+  const flags = await registry.getFlags(agentId);
+  const warning = flagWarning(flags, targetIndex);
+  if (warning.length > 0) {
+    console.log();
+    for (const line of warning) console.log(line);
+  }
+
+  // Check who signed the root
+  const authorship = await registry.checkAuthorship(agentId, checkpoint);
+
+  console.log(`\n✍️  Authorship:`);
+  if (authorship.status === "signed" && authorship.delegate) {
+    const delegate = authorship.delegates.find(d => d.address === authorship.signer);
+    console.log(`   ✅ Signed by delegate ${authorship.signer} (${authorship.scheme})`);
+    if (!delegate.current) {
+      console.log(`      (No longer authorized - ${delegate.active ? "expired" : "revoked"} since)`);
+    }
+  } else if (authorship.status === "signed") {
+    console.log(`   ✅ Signed by agent owner ${authorship.signer} (${authorship.scheme})`);
+  } else if (authorship.status === "unsigned") {
+    console.log(`   ⚠️  UNSIGNED: checkpoint metadata has no authorship signature`);
+  } else if (authorship.status === "foreign") {
+    console.log(`   ❌ FOREIGN SIGNER: signed by ${authorship.signer}, but the agent owner is ${authorship.owner}`);
+    if (authorship.delegates.some(d => d.address === authorship.signer)) {
+      console.log(`      (A delegate of this agent, but not authorized when this checkpoint was published)`);
+    } else {
+      console.log(`      (Ownership may have been transferred since this checkpoint)`);
+    }
+  } else {
+    console.log(`   ❌ INVALID SIGNATURE:`);
+    for (const problem of authorship.problems) {
+      console.log(`      ${problem}`);
+    }
+  }
   
   console.log();
 
   // Find local checkpoint file with proofs
-  const checkpointsDir = path.join(__dirname, "..", "checkpoints");
-  if (!fs.existsSync(checkpointsDir)) {
+  if (!fs.existsSync(CHECKPOINTS_DIR)) {
     console.log("⚠️  No local checkpoint records. Can show on-chain data but not verify proofs.");
     console.log("   Run checkpoint.js to create local proof records.");
     return;
   }
 
   // Find checkpoint file matching this root
-  const checkpointFiles = fs.readdirSync(checkpointsDir).filter(f => f.endsWith(".json"));
-  let localCheckpoint = null;
-  
-  for (const file of checkpointFiles) {
-    const data = JSON.parse(fs.readFileSync(path.join(checkpointsDir, file)));
-    if (data.root === checkpoint.merkleRoot) {
-      localCheckpoint = data;
-      break;
-    }
-  }
+  const localCheckpoint = findRecordByRoot(checkpoint.root);
 
   if (!localCheckpoint) {
     console.log("⚠️  No local record for this checkpoint root.");
@@ -141,10 +161,13 @@ Examples:
     return;
   }
 
+  // Records written before path-bound leaves have no leafVersion
+  const leafVersion = localCheckpoint.leafVersion ?? LEGACY_LEAF_VERSION;
+
   // If verifying specific content
   if (contentArg) {
     const content = contentArg.split("=").slice(1).join("=");
-    const contentHash = "0x" + hashContent(Buffer.from(content)).toString("hex");
+    const contentHash = "0x" + keccak(Buffer.from(content)).toString("hex");
     console.log(`📝 Verifying content: "${content.slice(0, 50)}${content.length > 50 ? '...' : ''}"`);
     console.log(`   Hash: ${contentHash}\n`);
     
@@ -152,10 +175,27 @@ Examples:
     const match = localCheckpoint.proofs.find(p => p.hash === contentHash);
     if (match) {
       console.log(`✅ VERIFIED! This content was in file: ${match.file}`);
-    } else {
+      printFlagCaveat(flags, targetIndex);
+      return;
+    }
+
+    if (leafVersion !== CHUNKED_LEAF_VERSION) {
       console.log(`❌ NOT FOUND. This exact content was not in the checkpoint.`);
-      console.log(`   (Note: File hashes include the entire file, not substrings)`);
+      console.log(`   (Note: v${leafVersion} checkpoints hash entire files, not passages)`);
+      return;
     }
+
+    await verifyPassage({
+      registry,
+      agentId,
+      targetIndex,
+      checkpoint,
+      localCheckpoint,
+      manifest,
+      content,
+      proofOut: proofOutArg ? proofOutArg.split("=").slice(1).join("=") : null,
+      flags,
+    });
     return;
   }
 
@@ -168,13 +208,9 @@ Examples:
     return;
   }
 
-  // Resolve file path
-  let filePath = fileArg;
-  if (!path.isAbsolute(filePath)) {
-    filePath = path.join(WORKSPACE, filePath);
-  }
-
-  const relativePath = fileArg.includes("/") ? fileArg : path.basename(fileArg);
+  // Resolve file path relative to the manifest's workspace root
+  const filePath = path.isAbsolute(fileArg) ? fileArg : path.join(manifest.root, fileArg);
+  const relativePath = path.relative(manifest.root, filePath).split(path.sep).join("/");
   
   // Find proof for this file
   const proof = localCheckpoint.proofs.find(p => 
@@ -197,7 +233,7 @@ Examples:
   // Check current file if it exists
   if (fs.existsSync(filePath)) {
     const currentContent = fs.readFileSync(filePath);
-    const currentHash = "0x" + hashContent(currentContent).toString("hex");
+    const currentHash = "0x" + keccak(currentContent).toString("hex");
     console.log(`   Current hash:    ${currentHash}`);
     
     if (currentHash === proof.hash) {
@@ -212,18 +248,91 @@ Examples:
 
   // Verify on-chain
   console.log(`\n🔗 Verifying merkle proof on-chain...`);
-  
-  const isValid = await contract.verifyProof(
-    agentId,
-    targetIndex,
-    proof.hash,
-    proof.proof
-  );
+
+  const { valid: isValid, method } = await registry.verifyFileProof(agentId, targetIndex, proof, { leafVersion, root: checkpoint.root });
+  if (method === "local") {
+    // Deployments from before v2 leaves have no verifyFileProof, but the root is still on-chain
+    console.log(`   (Contract has no verifyFileProof - checked the proof locally against the on-chain root)`);
+  }
 
   if (isValid) {
     console.log(`✅ ON-CHAIN VERIFIED: Proof is valid!`);
-    console.log(`\n   This proves "${proof.file}" with hash ${proof.hash.slice(0, 18)}...`);
-    console.log(`   was part of ${agentId}'s memory at ${new Date(Number(checkpoint.timestamp) * 1000).toISOString()}`);
+    const sizeNote = leafVersion === LEGACY_LEAF_VERSION ? "" : ` (${proof.size} bytes)`;
+    console.log(`\n   This proves "${proof.file}"${sizeNote} with hash ${proof.hash.slice(0, 18)}...`);
+    console.log(`   was part of ${agentId}'s memory at ${new Date(checkpoint.timestamp).toISOString()}`);
+    printFlagCaveat(flags, targetIndex);
+  } else {
+    console.log(`❌ VERIFICATION FAILED: Proof is invalid.`);
+  }
+}
+
+/**
+ * A valid proof against a flagged checkpoint still needs saying twice.
+ */
+function printFlagCaveat(flags, index) {
+  const [flag] = flagsFor(flags, index);
+  if (!flag) return;
+  console.log(`\n🚩 But checkpoint #${index} is FLAGGED (${flag.reason}) by its owner - don't rely on it.`);
+}
+
+// ============ Passage Proofs ============
+
+/**
+ * Find the chunks (lines or markdown blocks) containing `content` and prove
+ * one of them with a two-level proof: chunk → file → on-chain root.
+ * Only the matching chunk is revealed, not the rest of the file.
+ */
+async function verifyPassage({ registry, agentId, targetIndex, checkpoint, localCheckpoint, manifest, content, proofOut, flags }) {
+  const { matches, unavailable } = findPassages(localCheckpoint, content, manifest.root);
+
+  if (matches.length === 0) {
+    console.log(`❌ NOT FOUND. No line or block in the checkpoint contains this text.`);
+    if (unavailable.length > 0) {
+      console.log(`   (${unavailable.length} file(s) could not be read as checkpointed: ${unavailable.join(", ")})`);
+    }
+    return;
+  }
+
+  const { entry, chunk, index, tree, source } = matches[0];
+  const lines = chunkLines(chunk);
+  const passageProof = {
+    agentId,
+    checkpointIndex: targetIndex,
+    root: checkpoint.root,
+    leafVersion: CHUNKED_LEAF_VERSION,
+    chunking: localCheckpoint.chunking,
+    file: entry.file,
+    size: entry.size,
+    lines,
+    chunkIndex: index,
+    chunk: chunk.data.toString("utf8"),
+    chunkHash: toHex(keccak(chunk.data)),
+    chunkProof: tree.getProof(index),
+    fileProof: entry.proof,
+  };
+
+  console.log(`📍 Found in ${entry.file}, chunk #${index} (lines ${lines.start}-${lines.end}, read from ${source})`);
+  if (matches.length > 1) {
+    console.log(`   (${matches.length - 1} more match(es); proving the first)`);
+  }
+  console.log(`   Chunk hash: ${passageProof.chunkHash}`);
+  console.log(`   Proof: ${passageProof.chunkProof.length} chunk sibling(s) + ${passageProof.fileProof.length} file sibling(s)`);
+
+  if (proofOut) {
+    fs.writeFileSync(proofOut, JSON.stringify(passageProof, null, 2));
+    console.log(`   💾 Proof written to ${proofOut}`);
+  }
+
+  console.log(`\n🔗 Verifying two-level proof on-chain...`);
+  const { valid: isValid, method } = await registry.verifyPassageProof(agentId, targetIndex, passageProof, { root: checkpoint.root });
+  if (method === "local") {
+    console.log(`   (Contract has no verifyChunkProof - checked the proof locally against the on-chain root)`);
+  }
+
+  if (isValid) {
+    console.log(`✅ VERIFIED! This passage was in ${entry.file} at ${new Date(checkpoint.timestamp).toISOString()}`);
+    console.log(`   (Only this ${localCheckpoint.chunking} is revealed - the rest of the file stays private)`);
+    printFlagCaveat(flags, targetIndex);
   } else {
     console.log(`❌ VERIFICATION FAILED: Proof is invalid.`);
   }
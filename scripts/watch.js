@@ -0,0 +1,212 @@
+#!/usr/bin/env node
+/**
+ * Checkpoint Watcher
+ *
+ * Runs lib/watcher.js: follows the agents in a watch config, POSTs signed
+ * webhooks for their checkpoints, transfers and missed cadences, and serves
+ * the same events as a server-sent-events feed. Resumes from its state file
+ * after a restart.
+ *
+ * Usage:
+ *   node scripts/watch.js [run] --config=watch.json [--network=testnet|mainnet|local]
+ *                         [--port=8081] [--host=127.0.0.1] [--no-feed] [--from-block=N] [--once]
+ *   node scripts/watch.js status --config=watch.json
+ *   node scripts/watch.js redeliver --config=watch.json
+ */
+
+import path from "path";
+import { Registry } from "../lib/registry.js";
+import { NETWORKS } from "../lib/config.js";
+import { formatDuration } from "../lib/history.js";
+import {
+  EVENT_TYPES,
+  WATCH_STATE_PATH,
+  DEAD_LETTER_PATH,
+  Watcher,
+  loadWatchConfig,
+  loadDeadLetters,
+  startFeedServer,
+} from "../lib/watcher.js";
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function printStatus(watcher) {
+  const status = watcher.status();
+  console.log(`📍 Contract: ${status.contract} (chain ${status.chainId})`);
+  console.log(`🧱 Processed through block ${status.lastBlock}\n`);
+
+  for (const agent of status.agents) {
+    const last = agent.lastCheckpoint;
+    console.log(`  ${agent.agentId}`);
+    console.log(`    Owner: ${agent.owner}`);
+    console.log(`    Last checkpoint: ${last ? `#${last.index} at ${new Date(last.timestamp).toISOString()} (${formatDuration(Date.now() - last.timestamp)} ago)` : "none"}`);
+    if (agent.cadenceMs) {
+      console.log(`    Cadence: every ${formatDuration(agent.cadenceMs)}${agent.missedAlertAt ? ` - ⚠️  missed (alerted ${new Date(agent.missedAlertAt).toISOString()})` : ""}`);
+    }
+  }
+
+  console.log(`\n📬 Queued deliveries: ${status.queuedDeliveries}`);
+  for (const d of watcher.state.outbox) {
+    console.log(`   ${d.event.type} (${d.event.agentId}) → ${d.url}: ${d.attempts} attempt(s)${d.lastError ? `, last error: ${d.lastError}` : ""}`);
+  }
+  console.log(`💀 Dead letters: ${status.deadLetters}`);
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+
+  if (args.includes("--help")) {
+    console.log(`
+👀 Checkpoint Watcher
+
+Get notified when watched agents publish, change owner or miss their cadence.
+
+Usage:
+  node scripts/watch.js [run] --config=FILE [options]
+  node scripts/watch.js status --config=FILE
+  node scripts/watch.js redeliver --config=FILE
+
+Commands:
+  run               Follow the chain, deliver webhooks and serve the feed (default)
+  status            Show watched agents, queued deliveries and dead letters
+  redeliver         Queue the dead-lettered deliveries again
+
+Options:
+  --config=FILE     Watch config: agents, cadences, webhooks (required)
+  --network=NAME    testnet, mainnet or local (default: the config's, else testnet)
+  --state=FILE      State file (default: ${path.relative(process.cwd(), WATCH_STATE_PATH)})
+  --dead-letter=FILE
+                    Dead-letter file (default: ${path.relative(process.cwd(), DEAD_LETTER_PATH)})
+  --from-block=N    First block to process with a new state file (default: the current head)
+  --port=N          Feed port (default: 8081)
+  --host=ADDR       Feed address to bind (default: 127.0.0.1)
+  --no-feed         Don't serve the event feed
+  --once            Process new blocks and due deliveries once, then exit
+
+Events: ${EVENT_TYPES.join(", ")}
+
+Config:
+  {
+    "agents": ["b0tresch", { "agentId": "other", "cadence": "2h", "grace": "30m" }],
+    "webhooks": [{ "url": "https://example.com/hook", "secretEnv": "WATCH_SECRET" }],
+    "pollInterval": "30s",
+    "confirmations": 0
+  }
+
+Feed:
+  curl -N localhost:8081/events?agent=b0tresch
+  curl localhost:8081/health
+`);
+    return;
+  }
+
+  const option = name => args.find(a => a.startsWith(`--${name}=`))?.slice(name.length + 3);
+  const command = args[0] && !args[0].startsWith("--") ? args[0] : "run";
+  if (!["run", "status", "redeliver"].includes(command)) {
+    console.error(`❌ Unknown command "${command}" (expected run, status or redeliver)`);
+    process.exit(1);
+  }
+  if (!option("config")) {
+    console.error("❌ Pass the watch config: --config=FILE (see --help)");
+    process.exit(1);
+  }
+
+  console.log("👀 Checkpoint Watcher");
+  console.log("=====================\n");
+
+  let config;
+  let registry;
+  let network;
+  try {
+    config = loadWatchConfig(path.resolve(option("config")));
+    network = option("network") ?? config.network ?? "testnet";
+    if (!NETWORKS[network]) throw new Error(`Unknown network: ${network}`);
+    registry = Registry.connect({ network });
+    await registry.checkChain();
+  } catch (err) {
+    console.error(`❌ ${err.message}`);
+    process.exit(1);
+  }
+
+  const watcher = new Watcher(registry, config, {
+    statePath: option("state") ? path.resolve(option("state")) : WATCH_STATE_PATH,
+    deadLetterPath: option("dead-letter") ? path.resolve(option("dead-letter")) : DEAD_LETTER_PATH,
+    log: line => console.log(`${new Date().toISOString()} ${line}`),
+  });
+  const fromBlock = option("from-block") !== undefined ? parseInt(option("from-block")) : null;
+  await watcher.start({ fromBlock });
+
+  if (command === "status") {
+    printStatus(watcher);
+    return;
+  }
+
+  if (command === "redeliver") {
+    const before = loadDeadLetters(watcher.deadLetterPath).length;
+    const requeued = watcher.requeueDeadLetters();
+    console.log(`📬 Requeued ${requeued} of ${before} dead letter(s)`);
+    if (requeued < before) console.log("   The rest are for webhooks no longer in the config.");
+    const result = await watcher.deliver();
+    console.log(`✅ Delivered ${result.delivered}, ${result.failed} will be retried, ${result.deadLettered} dead-lettered again`);
+    return;
+  }
+
+  console.log(`📍 Contract: ${registry.address} (${network})`);
+  console.log(`🤖 Watching: ${config.agents.map(a => a.agentId + (a.cadenceMs ? ` (every ${formatDuration(a.cadenceMs)})` : "")).join(", ")}`);
+  console.log(`🪝 Webhooks: ${config.webhooks.length === 0 ? "none" : config.webhooks.map(h => h.url).join(", ")}`);
+  console.log(`🧱 Resuming after block ${watcher.state.lastBlock}${config.confirmations ? `, ${config.confirmations} confirmation(s)` : ""}`);
+
+  if (args.includes("--once")) {
+    const { from, to, events } = await watcher.poll();
+    const result = await watcher.deliver();
+    console.log(`\n✅ Blocks ${from}-${to}: ${events} event(s); delivered ${result.delivered}, ${result.failed} to retry, ${result.deadLettered} dead-lettered`);
+    return;
+  }
+
+  let server = null;
+  if (!args.includes("--no-feed")) {
+    const port = Number(option("port") ?? 8081);
+    const host = option("host") ?? "127.0.0.1";
+    try {
+      server = await startFeedServer(watcher, { port, host });
+    } catch (err) {
+      console.error(`❌ Can't listen on ${host}:${port}: ${err.message}`);
+      process.exit(1);
+    }
+    console.log(`📡 Feed: http://${host}:${port}/events`);
+  }
+  console.log(`🔄 Polling every ${formatDuration(config.pollIntervalMs)} (Ctrl+C to stop)\n`);
+
+  let stopping = false;
+  const shutdown = () => {
+    console.log("\n👋 Shutting down");
+    stopping = true;
+    if (!server) process.exit(0);
+    server.closeAllConnections();
+    server.close(() => process.exit(0));
+  };
+  process.on("SIGINT", shutdown);
+  process.on("SIGTERM", shutdown);
+
+  let nextPollAt = 0;
+  while (!stopping) {
+    if (Date.now() >= nextPollAt) {
+      try {
+        await watcher.poll();
+      } catch (err) {
+        console.error(`${new Date().toISOString()} ⚠️  Poll failed: ${err.shortMessage ?? err.message}`);
+      }
+      nextPollAt = Date.now() + config.pollIntervalMs;
+    }
+    await watcher.deliver();
+
+    // Wake for the next poll, or sooner if a retry falls due first
+    const wakeAt = Math.min(nextPollAt, watcher.nextDeliveryAt() ?? Infinity);
+    await sleep(Math.max(1000, wakeAt - Date.now()));
+  }
+}
+
+main().catch(err => {
+  console.error(`❌ ${err.message}`);
+  process.exit(1);
+});
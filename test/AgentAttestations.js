@@ -0,0 +1,92 @@
+/**
+ * AgentAttestations: one live attestation per issuer, subject and checkpoint,
+ * revocable only by the issuing agent's owner.
+ */
+
+import { expect } from "chai";
+import { network } from "hardhat";
+
+const { ethers, networkHelpers } = await network.create();
+const { loadFixture } = networkHelpers;
+
+describe("AgentAttestations", function () {
+  async function deployFixture() {
+    const [issuerOwner, subjectOwner, stranger, newOwner] = await ethers.getSigners();
+    const proofs = await ethers.deployContract("MemoryProofs");
+    const registry = await ethers.deployContract("AgentMemoryRegistry", {
+      libraries: { MemoryProofs: await proofs.getAddress() },
+    });
+    const attestations = await ethers.deployContract("AgentAttestations", [await registry.getAddress()]);
+
+    await registry.connect(issuerOwner).registerAgent("issuer");
+    await registry.connect(subjectOwner).registerAgent("subject");
+    await registry.connect(subjectOwner).publishCheckpointSimple(ethers.id("memory"), "");
+    return { registry, attestations, issuerOwner, subjectOwner, stranger, newOwner };
+  }
+
+  it("records the attested checkpoint's root", async function () {
+    const { attestations } = await loadFixture(deployFixture);
+    await expect(attestations.attest("subject", 0, 90, "verified"))
+      .to.emit(attestations, "AttestationIssued");
+
+    const attestation = await attestations.getAttestation(0);
+    expect(attestation.merkleRoot).to.equal(ethers.id("memory"));
+    expect(attestation.score).to.equal(90n);
+    expect(await attestations.findAttestation("issuer", "subject", 0)).to.deep.equal([true, 0n]);
+  });
+
+  it("rejects a second live attestation for the same checkpoint", async function () {
+    const { attestations } = await loadFixture(deployFixture);
+    await attestations.attest("subject", 0, 90, "");
+
+    await expect(attestations.attest("subject", 0, 50, "again"))
+      .to.be.revertedWithCustomError(attestations, "AlreadyAttested");
+  });
+
+  it("allows attesting again once the earlier attestation is revoked", async function () {
+    const { attestations } = await loadFixture(deployFixture);
+    await attestations.attest("subject", 0, 90, "");
+    await expect(attestations.revoke(0)).to.emit(attestations, "AttestationRevoked");
+    expect((await attestations.findAttestation("issuer", "subject", 0))[0]).to.equal(false);
+
+    await attestations.attest("subject", 0, 40, "re-checked");
+    expect(await attestations.findAttestation("issuer", "subject", 0)).to.deep.equal([true, 1n]);
+    expect(await attestations.getAttestationsFor("subject")).to.deep.equal([0n, 1n]);
+  });
+
+  it("rejects revoking twice", async function () {
+    const { attestations } = await loadFixture(deployFixture);
+    await attestations.attest("subject", 0, 90, "");
+    await attestations.revoke(0);
+
+    await expect(attestations.revoke(0)).to.be.revertedWithCustomError(attestations, "AlreadyRevoked");
+  });
+
+  it("only lets the issuing agent's current owner revoke", async function () {
+    const { registry, attestations, issuerOwner, subjectOwner, stranger, newOwner } = await loadFixture(deployFixture);
+    await attestations.attest("subject", 0, 90, "");
+
+    await expect(attestations.connect(stranger).revoke(0)).to.be.revertedWithCustomError(attestations, "NotIssuer");
+    await expect(attestations.connect(subjectOwner).revoke(0)).to.be.revertedWithCustomError(attestations, "NotIssuer");
+
+    await registry.connect(issuerOwner).transferAgent("issuer", newOwner.address);
+    await expect(attestations.connect(issuerOwner).revoke(0)).to.be.revertedWithCustomError(attestations, "NotIssuer");
+    await attestations.connect(newOwner).revoke(0);
+    expect((await attestations.getAttestation(0)).revoked).to.equal(true);
+  });
+
+  it("rejects revoking an attestation that doesn't exist", async function () {
+    const { attestations } = await loadFixture(deployFixture);
+    await expect(attestations.revoke(0)).to.be.revertedWithCustomError(attestations, "AttestationNotFound");
+  });
+
+  it("rejects self-attestation, unknown issuers and missing checkpoints", async function () {
+    const { attestations, subjectOwner, stranger } = await loadFixture(deployFixture);
+    await expect(attestations.connect(subjectOwner).attest("subject", 0, 90, ""))
+      .to.be.revertedWithCustomError(attestations, "SelfAttestation");
+    await expect(attestations.connect(stranger).attest("subject", 0, 90, ""))
+      .to.be.revertedWithCustomError(attestations, "NotRegisteredAgent");
+    await expect(attestations.attest("subject", 1, 90, ""))
+      .to.be.revertedWithCustomError(attestations, "CheckpointNotFound");
+  });
+});
@@ -0,0 +1,92 @@
+/**
+ * Verification API (lib/api.js): POST /verify answers client mistakes with
+ * 4xx, not as failed registry reads.
+ */
+
+import { expect } from "chai";
+import http from "http";
+import { ethers as ethersLib } from "ethers";
+import { network } from "hardhat";
+import { Registry } from "../lib/registry.js";
+import { createApiHandler } from "../lib/api.js";
+import { buildProofPackage } from "../lib/proof-package.js";
+import { PATH_LEAF_VERSION, buildCheckpointTree, toHex } from "../lib/merkle.js";
+
+const connection = await network.create();
+const { ethers } = connection;
+
+describe("POST /verify", function () {
+  let server;
+  let baseUrl;
+  let pkg;
+
+  before(async function () {
+    const proofs = await ethers.deployContract("MemoryProofs");
+    const contract = await ethers.deployContract("AgentMemoryRegistry", {
+      libraries: { MemoryProofs: await proofs.getAddress() },
+    });
+    await contract.registerAgent("alice");
+    const { entries, tree, root } = buildCheckpointTree([
+      { relativePath: "MEMORY.md", content: Buffer.from("# Memory\n") },
+      { relativePath: "SOUL.md", content: Buffer.from("# Soul\n") },
+    ], { version: PATH_LEAF_VERSION });
+    const receipt = await (await contract.publishCheckpointSimple(root, "")).wait();
+
+    const provider = new ethersLib.BrowserProvider(connection.provider);
+    const registry = new Registry(new ethersLib.Contract(await contract.getAddress(), contract.interface.fragments, provider));
+    const entry = { file: "MEMORY.md", size: entries[0].size, hash: toHex(entries[0].hash), leaf: toHex(entries[0].leaf), proof: tree.getProof(0) };
+    pkg = buildProofPackage({
+      record: { leafVersion: PATH_LEAF_VERSION },
+      entry,
+      checkpoint: { merkleRoot: root, timestamp: 0, blockNumber: receipt.blockNumber, metadata: "" },
+      agentId: "alice",
+      checkpointIndex: 0,
+      chainId: await registry.chainId(),
+      contract: registry.address,
+    });
+
+    server = http.createServer(createApiHandler(registry));
+    await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(function () {
+    server?.close();
+  });
+
+  const post = async body => {
+    const res = await fetch(`${baseUrl}/verify`, { method: "POST", body: typeof body === "string" ? body : JSON.stringify(body) });
+    return { status: res.status, body: await res.json() };
+  };
+
+  it("verifies a well-formed package", async function () {
+    const { status, body } = await post(pkg);
+    expect(status).to.equal(200);
+    expect(body.valid).to.equal(true);
+  });
+
+  it("rejects bodies that aren't packages with 400", async function () {
+    expect((await post("not json")).status).to.equal(400);
+    expect((await post([pkg])).status).to.equal(400);
+  });
+
+  it("rejects malformed packages with 422 and lists the problems", async function () {
+    const cases = [
+      { ...pkg, root: undefined },
+      { ...pkg, file: { ...pkg.file, proof: "0x1234" } },
+      { ...pkg, file: { ...pkg.file, hash: undefined, size: "9" } },
+      { ...pkg, file: { ...pkg.file, path: undefined } },
+      { ...pkg, leafVersion: 3, chunk: { index: -1, hash: "0x12", proof: [] } },
+    ];
+    for (const broken of cases) {
+      const { status, body } = await post(broken);
+      expect(status).to.equal(422);
+      expect(body.problems).to.be.an("array").that.is.not.empty;
+    }
+  });
+
+  it("answers unknown agents and checkpoints with 404", async function () {
+    expect((await post({ ...pkg, checkpointIndex: 1 })).status).to.equal(404);
+    expect((await post({ ...pkg, agentId: "nobody" })).status).to.equal(404);
+  });
+});
@@ -0,0 +1,107 @@
+/**
+ * Memory audit (lib/audit.js): which changes between checkpoints are
+ * flagged, at what severity, and how threshold overrides apply.
+ */
+
+import { expect } from "chai";
+import { auditRecords, keptShare } from "../lib/audit.js";
+import { keccak, toHex } from "../lib/merkle.js";
+
+// A record with one proofs[] entry per file; contents kept aside for readFile
+function record(label, files) {
+  const proofs = Object.entries(files).map(([file, content]) => ({
+    file,
+    hash: toHex(keccak(Buffer.from(content))),
+    size: Buffer.byteLength(content),
+  }));
+  return {
+    file: `${label}.json`,
+    record: { root: toHex(keccak(Buffer.from(label))), timestamp: "2026-03-01T00:00:00Z", proofs, contents: files },
+  };
+}
+
+const readFile = (rec, file) => (rec.contents[file] === undefined ? null : Buffer.from(rec.contents[file]));
+
+// n plain files of `size` bytes each
+function notes(n, size = 100) {
+  return Object.fromEntries(Array.from({ length: n }, (_, i) => [`notes/${i}.md`, String(i).padEnd(size, ".")]));
+}
+
+const findings = (records, options) => auditRecords(records, options).findings.map(f => [f.type, f.severity]);
+
+describe("auditRecords", function () {
+  it("flags file count drops by share lost, once at least minFiles are gone", function () {
+    expect(findings([record("a", notes(8)), record("b", notes(7))])).to.deep.equal([]);
+    expect(findings([record("a", notes(8)), record("b", notes(6))]))
+      .to.deep.include(["file-count-drop", "medium"]);
+    expect(findings([record("a", notes(8)), record("b", notes(4))]))
+      .to.deep.include(["file-count-drop", "high"]);
+    // Half of two files is one file: under minFiles
+    expect(findings([record("a", notes(2)), record("b", notes(1))]).map(([type]) => type))
+      .to.not.include("file-count-drop");
+  });
+
+  it("flags size drops at the medium and high thresholds", function () {
+    const sized = size => ({ "MEMORY.md": "x".repeat(size) });
+    const options = { coreFiles: [] };
+    expect(findings([record("a", sized(1000)), record("b", sized(710))], options)).to.deep.equal([]);
+    expect(findings([record("a", sized(1000)), record("b", sized(700))], options)).to.deep.equal([["size-drop", "medium"]]);
+    expect(findings([record("a", sized(1000)), record("b", sized(400))], options)).to.deep.equal([["size-drop", "high"]]);
+  });
+
+  it("merges threshold overrides per check", function () {
+    const records = [record("a", { "a.md": "x".repeat(1000) }), record("b", { "a.md": "x".repeat(350) })];
+    // 65% gone: high by default, medium once high is raised; medium stays 0.3
+    expect(findings(records, { coreFiles: [] })).to.deep.equal([["size-drop", "high"]]);
+    expect(findings(records, { coreFiles: [], thresholds: { sizeDrop: { high: 0.8 } } })).to.deep.equal([["size-drop", "medium"]]);
+    expect(findings(records, { coreFiles: [], thresholds: { sizeDrop: { medium: 0.7 } } })).to.deep.equal([["size-drop", "high"]]);
+  });
+
+  it("flags deleted core files and daily logs", function () {
+    const before = { "SOUL.md": "soul", "memory/2026-02-19.md": "log", ...notes(20) };
+    const { "SOUL.md": _, "memory/2026-02-19.md": __, ...after } = before;
+    expect(findings([record("a", before), record("b", after)])).to.deep.equal([
+      ["core-file-deleted", "critical"],
+      ["daily-log-removed", "high"],
+    ]);
+  });
+
+  it("judges core file rewrites by the content kept", function () {
+    const soul = "# Soul\n\nCurious.\n\nKind.\n\nHonest.\n";
+    const edited = { "SOUL.md": "# Soul\n\nCurious.\n\nKind.\n\nCareful.\n", ...notes(20) };
+    const rewritten = { "SOUL.md": "# Soul\n\nObedient.\n\nQuiet.\n\nSilent.\n", ...notes(20) };
+    const emptied = { "SOUL.md": "\n", ...notes(20) };
+    const base = record("a", { "SOUL.md": soul, ...notes(20) });
+
+    expect(keptShare(Buffer.from(soul), Buffer.from(rewritten["SOUL.md"]))).to.equal(0.25);
+    expect(findings([base, record("b", edited)], { readFile })).to.deep.equal([]);
+    expect(findings([base, record("b", rewritten)], { readFile })).to.deep.equal([["core-file-rewritten", "high"]]);
+    expect(findings([base, record("b", emptied)], { readFile })).to.deep.equal([["core-file-rewritten", "critical"]]);
+  });
+
+  it("falls back to size when contents can't be read", function () {
+    const base = record("a", { "SOUL.md": "x".repeat(100), ...notes(20) });
+    expect(findings([base, record("b", { "SOUL.md": "y".repeat(60), ...notes(20) })])).to.deep.equal([]);
+    expect(findings([base, record("b", { "SOUL.md": "y".repeat(50), ...notes(20) })])).to.deep.equal([["core-file-rewritten", "medium"]]);
+    expect(findings([base, record("b", { "SOUL.md": "", ...notes(20) })])).to.deep.equal([["core-file-rewritten", "critical"]]);
+  });
+
+  it("flags a root that returns to an earlier checkpoint's", function () {
+    const a = record("a", notes(3));
+    const b = record("b", notes(3));
+    const result = auditRecords([a, b, record("a", notes(3))]);
+    expect(result.findings.map(f => f.type)).to.deep.equal(["root-reverted"]);
+    expect(result.findings[0].details.revertedTo.record).to.equal("a.json");
+    // The same root twice in a row is a heartbeat, not a revert
+    expect(findings([a, record("a", notes(3))])).to.deep.equal([]);
+  });
+
+  it("audits only the last N changes, counting by severity", function () {
+    const records = [record("a", notes(8)), record("b", notes(4)), record("c", notes(4)), record("d", notes(3))];
+    // 8 → 4 files: half the files (high) and half the bytes (medium)
+    expect(auditRecords(records).counts).to.deep.equal({ critical: 0, high: 1, medium: 1 });
+    const recent = auditRecords(records, { last: 1 });
+    expect(recent).to.include({ checkpoints: 4, audited: 1 });
+    expect(recent.findings).to.deep.equal([]);
+  });
+});
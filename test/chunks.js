@@ -0,0 +1,129 @@
+/**
+ * Chunking (lib/chunks.js) and the v3 chunk subtrees built over it: chunks
+ * must cover the file exactly, and passage proofs must verify on-chain.
+ */
+
+import { expect } from "chai";
+import { network } from "hardhat";
+import { splitChunks, chunkLines } from "../lib/chunks.js";
+import { buildCheckpointTree, buildChunkTree, hashChunkLeaf, keccak, verifyChunkProof, toHex } from "../lib/merkle.js";
+
+const { ethers, networkHelpers } = await network.create();
+const { loadFixture } = networkHelpers;
+
+const text = chunks => chunks.map(c => c.data.toString("utf8"));
+
+const NOTES = Buffer.from([
+  "# Notes",
+  "",
+  "First paragraph",
+  "still first.",
+  "",
+  "",
+  "```",
+  "code",
+  "",
+  "more code",
+  "```",
+  "## Heading right after",
+  "last line without newline",
+].join("\n"));
+
+const TODAY = Buffer.from("one\n\ntwo\n\nthree\n");
+
+describe("splitChunks", function () {
+  it("splits markdown into blocks that concatenate back to the file", function () {
+    const chunks = splitChunks(NOTES, "block");
+    expect(text(chunks)).to.deep.equal([
+      "# Notes\n\n",
+      "First paragraph\nstill first.\n\n\n",
+      "```\ncode\n\nmore code\n```\n",
+      "## Heading right after\nlast line without newline",
+    ]);
+    expect(Buffer.concat(chunks.map(c => c.data)).equals(NOTES)).to.equal(true);
+    expect(chunks.map(c => [c.offset, c.line])).to.deep.equal([[0, 1], [9, 3], [40, 7], [64, 12]]);
+  });
+
+  it("splits one chunk per line in line mode", function () {
+    const chunks = splitChunks(Buffer.from("a\n\nb"), "line");
+    expect(text(chunks)).to.deep.equal(["a\n", "\n", "b"]);
+    expect(chunks.map(c => c.line)).to.deep.equal([1, 2, 3]);
+  });
+
+  it("reports the lines a block covers, without its trailing blank lines", function () {
+    const [, paragraph] = splitChunks(NOTES, "block");
+    expect(chunkLines(paragraph)).to.deep.equal({ start: 3, end: 4 });
+  });
+
+  it("returns no chunks for an empty file", function () {
+    expect(splitChunks(Buffer.alloc(0))).to.deep.equal([]);
+  });
+
+  it("rejects unknown modes", function () {
+    expect(() => splitChunks(NOTES, "paragraph")).to.throw('Unknown chunk mode "paragraph"');
+  });
+});
+
+describe("v3 chunk proofs", function () {
+  async function deployFixture() {
+    const proofs = await ethers.deployContract("MemoryProofs");
+    const registry = await ethers.deployContract("AgentMemoryRegistry", {
+      libraries: { MemoryProofs: await proofs.getAddress() },
+    });
+    await registry.registerAgent("alice");
+
+    const { entries, tree, root } = buildCheckpointTree([
+      { relativePath: "MEMORY.md", content: NOTES },
+      { relativePath: "SOUL.md", content: Buffer.from("# Soul\n") },
+      { relativePath: "memory/today.md", content: TODAY },
+    ]);
+    await registry.publishCheckpointSimple(root, "");
+    return { registry, entries, tree, root };
+  }
+
+  it("computes the same chunk leaf as the contract", async function () {
+    const { registry } = await loadFixture(deployFixture);
+    const hash = ethers.id("chunk");
+    expect(await registry.computeChunkLeaf(7, hash)).to.equal(toHex(hashChunkLeaf(7, hash)));
+  });
+
+  it("verifies every chunk on-chain, with even and odd chunk counts", async function () {
+    const { registry, entries, tree, root } = await loadFixture(deployFixture);
+
+    for (const [fileIndex, content, count] of [[0, NOTES, 4], [2, TODAY, 3]]) {
+      const { relativePath: file, size } = entries[fileIndex];
+      const { chunks, tree: chunkTree } = buildChunkTree(content);
+      expect(chunks).to.have.length(count);
+
+      for (const [i, chunk] of chunks.entries()) {
+        const passage = {
+          file,
+          size,
+          chunkIndex: i,
+          chunkHash: toHex(keccak(chunk.data)),
+          chunkProof: chunkTree.getProof(i),
+          fileProof: tree.getProof(fileIndex),
+        };
+        expect(verifyChunkProof(passage, root)).to.equal(true);
+        expect(await registry.verifyChunkProof("alice", 0, file, size, {
+          index: i, hash: passage.chunkHash, proof: passage.chunkProof,
+        }, passage.fileProof)).to.equal(true);
+      }
+    }
+
+    // The v3 file leaf commits to the chunk root
+    expect(await registry.verifyFileProof("alice", 0, "MEMORY.md", entries[0].size, toHex(entries[0].chunkRoot), tree.getProof(0)))
+      .to.equal(true);
+  });
+
+  it("rejects a chunk proof at another index or for other bytes", async function () {
+    const { registry, entries, tree } = await loadFixture(deployFixture);
+    const { chunks, tree: chunkTree } = buildChunkTree(NOTES);
+    const chunk = { index: 1, hash: toHex(keccak(chunks[1].data)), proof: chunkTree.getProof(1) };
+
+    expect(await registry.verifyChunkProof("alice", 0, "MEMORY.md", entries[0].size, { ...chunk, index: 2 }, tree.getProof(0)))
+      .to.equal(false);
+    expect(await registry.verifyChunkProof("alice", 0, "MEMORY.md", entries[0].size, { ...chunk, hash: ethers.id("edited") }, tree.getProof(0)))
+      .to.equal(false);
+  });
+});
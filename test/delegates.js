@@ -0,0 +1,156 @@
+/**
+ * Delegate publishers: expiry, one agent per address, the current-delegate
+ * list and revocation on transfer.
+ */
+
+import { expect } from "chai";
+import { network } from "hardhat";
+
+const { ethers, networkHelpers } = await network.create();
+const { time, loadFixture } = networkHelpers;
+
+const root = label => ethers.id(label);
+
+describe("delegates", function () {
+  async function deployFixture() {
+    const [owner, delegate, other, newOwner] = await ethers.getSigners();
+    const proofs = await ethers.deployContract("MemoryProofs");
+    const registry = await ethers.deployContract("AgentMemoryRegistry", {
+      libraries: { MemoryProofs: await proofs.getAddress() },
+    });
+    await registry.registerAgent("alice");
+    return { registry, owner, delegate, other, newOwner };
+  }
+
+  it("lets a delegate publish until it is revoked", async function () {
+    const { registry, delegate } = await loadFixture(deployFixture);
+    await registry.addDelegate("alice", delegate.address, 0);
+
+    expect(await registry.isAuthorizedPublisher("alice", delegate.address)).to.equal(true);
+    await registry.connect(delegate).publishCheckpointSimple(root("a"), "");
+    expect(await registry.getCheckpointCount("alice")).to.equal(1n);
+
+    await expect(registry.revokeDelegate("alice", delegate.address))
+      .to.emit(registry, "DelegateRevoked")
+      .withArgs("alice", delegate.address);
+    expect(await registry.isAuthorizedPublisher("alice", delegate.address)).to.equal(false);
+    await expect(registry.connect(delegate).publishCheckpointSimple(root("b"), ""))
+      .to.be.revertedWithCustomError(registry, "AgentNotRegistered");
+  });
+
+  it("stops a delegate from publishing once it expires", async function () {
+    const { registry, delegate } = await loadFixture(deployFixture);
+    const expiresAt = (await time.latest()) + 3600;
+    await registry.addDelegate("alice", delegate.address, expiresAt);
+    await registry.connect(delegate).publishCheckpointSimple(root("a"), "");
+
+    await time.increaseTo(expiresAt);
+    expect(await registry.isAuthorizedPublisher("alice", delegate.address)).to.equal(false);
+    const [agentId] = await registry.resolvePublisher(delegate.address);
+    expect(agentId).to.equal("");
+    await expect(registry.connect(delegate).publishCheckpointSimple(root("b"), ""))
+      .to.be.revertedWithCustomError(registry, "AgentNotRegistered");
+  });
+
+  it("rejects an expiry that has already passed", async function () {
+    const { registry, delegate } = await loadFixture(deployFixture);
+    await expect(registry.addDelegate("alice", delegate.address, await time.latest()))
+      .to.be.revertedWithCustomError(registry, "InvalidExpiry");
+  });
+
+  it("only lets the owner manage delegates", async function () {
+    const { registry, delegate, other } = await loadFixture(deployFixture);
+    await expect(registry.connect(other).addDelegate("alice", delegate.address, 0))
+      .to.be.revertedWithCustomError(registry, "NotAgentOwner");
+    await registry.addDelegate("alice", delegate.address, 0);
+    await expect(registry.connect(delegate).revokeDelegate("alice", delegate.address))
+      .to.be.revertedWithCustomError(registry, "NotAgentOwner");
+  });
+
+  it("keeps a standing delegate from serving another agent or registering one", async function () {
+    const { registry, delegate, other } = await loadFixture(deployFixture);
+    await registry.connect(other).registerAgent("bob");
+    await registry.addDelegate("alice", delegate.address, 0);
+
+    await expect(registry.connect(other).addDelegate("bob", delegate.address, 0))
+      .to.be.revertedWithCustomError(registry, "DelegateForAnotherAgent");
+    await expect(registry.connect(delegate).registerAgent("carol"))
+      .to.be.revertedWithCustomError(registry, "AddressAlreadyHasAgent");
+  });
+
+  it("treats an expired delegation as inactive", async function () {
+    const { registry, delegate, other } = await loadFixture(deployFixture);
+    await registry.connect(other).registerAgent("bob");
+    const expiresAt = (await time.latest()) + 60;
+    await registry.addDelegate("alice", delegate.address, expiresAt);
+    await time.increaseTo(expiresAt);
+
+    // Another agent can take the address over; the lapsed delegation is revoked on the way
+    await expect(registry.connect(other).addDelegate("bob", delegate.address, 0))
+      .to.emit(registry, "DelegateRevoked")
+      .withArgs("alice", delegate.address);
+    expect((await registry.delegates(delegate.address)).agentId).to.equal("bob");
+  });
+
+  it("lets an expired delegate register its own agent", async function () {
+    const { registry, delegate } = await loadFixture(deployFixture);
+    const expiresAt = (await time.latest()) + 60;
+    await registry.addDelegate("alice", delegate.address, expiresAt);
+    await time.increaseTo(expiresAt);
+
+    await expect(registry.connect(delegate).registerAgent("carol"))
+      .to.emit(registry, "DelegateRevoked")
+      .withArgs("alice", delegate.address);
+    expect(await registry.addressToAgent(delegate.address)).to.equal("carol");
+    expect((await registry.delegates(delegate.address)).active).to.equal(false);
+  });
+
+  it("revokes every delegate when the agent is transferred", async function () {
+    const { registry, delegate, other, newOwner } = await loadFixture(deployFixture);
+    await registry.addDelegate("alice", delegate.address, 0);
+    await registry.addDelegate("alice", other.address, (await time.latest()) + 3600);
+
+    await expect(registry.transferAgent("alice", newOwner.address))
+      .to.emit(registry, "DelegateRevoked").withArgs("alice", delegate.address)
+      .and.to.emit(registry, "DelegateRevoked").withArgs("alice", other.address);
+    expect(await registry.isAuthorizedPublisher("alice", delegate.address)).to.equal(false);
+    expect(await registry.isAuthorizedPublisher("alice", other.address)).to.equal(false);
+    await expect(registry.connect(delegate).publishCheckpointSimple(root("a"), ""))
+      .to.be.revertedWithCustomError(registry, "AgentNotRegistered");
+    expect(await registry.getDelegates("alice")).to.deep.equal([]);
+  });
+
+  it("lists only current delegates", async function () {
+    const { registry, delegate, other, newOwner } = await loadFixture(deployFixture);
+    for (const signer of [delegate, other, newOwner]) await registry.addDelegate("alice", signer.address, 0);
+
+    await registry.revokeDelegate("alice", delegate.address);
+    expect(await registry.getDelegates("alice")).to.have.members([other.address, newOwner.address]);
+    await registry.addDelegate("alice", delegate.address, 0);
+    await registry.revokeDelegate("alice", newOwner.address);
+    expect(await registry.getDelegates("alice")).to.have.members([other.address, delegate.address]);
+  });
+
+  it("caps the number of delegates an agent has at once", async function () {
+    const { registry } = await loadFixture(deployFixture);
+    const max = Number(await registry.MAX_DELEGATES());
+    const addresses = Array.from({ length: max }, () => ethers.Wallet.createRandom().address);
+    for (const address of addresses) await registry.addDelegate("alice", address, 0);
+
+    await expect(registry.addDelegate("alice", ethers.Wallet.createRandom().address, 0))
+      .to.be.revertedWithCustomError(registry, "TooManyDelegates");
+    // Updating an existing delegate's expiry doesn't count
+    await registry.addDelegate("alice", addresses[0], (await time.latest()) + 3600);
+    await registry.revokeDelegate("alice", addresses[1]);
+    await registry.addDelegate("alice", ethers.Wallet.createRandom().address, 0);
+  });
+
+  it("won't transfer to another agent's standing delegate", async function () {
+    const { registry, delegate, other } = await loadFixture(deployFixture);
+    await registry.connect(other).registerAgent("bob");
+    await registry.connect(other).addDelegate("bob", delegate.address, 0);
+
+    await expect(registry.transferAgent("alice", delegate.address))
+      .to.be.revertedWith("New owner is another agent's delegate");
+  });
+});
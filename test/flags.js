@@ -0,0 +1,53 @@
+/**
+ * Checkpoint flags: owners mark ranges of their checkpoints with a reason.
+ */
+
+import { expect } from "chai";
+import { network } from "hardhat";
+
+const { ethers, networkHelpers } = await network.create();
+const { loadFixture } = networkHelpers;
+
+describe("flagCheckpoints", function () {
+  async function deployFixture() {
+    const [, delegate] = await ethers.getSigners();
+    const proofs = await ethers.deployContract("MemoryProofs");
+    const registry = await ethers.deployContract("AgentMemoryRegistry", {
+      libraries: { MemoryProofs: await proofs.getAddress() },
+    });
+    await registry.registerAgent("alice");
+    for (const label of ["a", "b", "c"]) {
+      await registry.publishCheckpointSimple(ethers.id(label), "");
+    }
+    return { registry, delegate };
+  }
+
+  it("flags a range of existing checkpoints", async function () {
+    const { registry } = await loadFixture(deployFixture);
+    await expect(registry.flagCheckpoints("alice", 1, 2, 2, "poisoned"))
+      .to.emit(registry, "CheckpointsFlagged");
+
+    const [flagged, flag] = await registry.getCheckpointFlag("alice", 2);
+    expect(flagged).to.equal(true);
+    expect(flag.reason).to.equal(2n);
+    expect((await registry.getCheckpointFlag("alice", 0))[0]).to.equal(false);
+  });
+
+  it("rejects ranges that are reversed or run past the last checkpoint", async function () {
+    const { registry } = await loadFixture(deployFixture);
+    await expect(registry.flagCheckpoints("alice", 2, 1, 1, ""))
+      .to.be.revertedWithCustomError(registry, "InvalidCheckpointRange");
+    await expect(registry.flagCheckpoints("alice", 0, 3, 1, ""))
+      .to.be.revertedWithCustomError(registry, "InvalidCheckpointRange");
+  });
+
+  it("requires a reason and the owner", async function () {
+    const { registry, delegate } = await loadFixture(deployFixture);
+    await expect(registry.flagCheckpoints("alice", 0, 0, 0, ""))
+      .to.be.revertedWithCustomError(registry, "InvalidFlagReason");
+
+    await registry.addDelegate("alice", delegate.address, 0);
+    await expect(registry.connect(delegate).flagCheckpoints("alice", 0, 0, 1, ""))
+      .to.be.revertedWithCustomError(registry, "NotAgentOwner");
+  });
+});
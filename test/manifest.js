@@ -0,0 +1,70 @@
+/**
+ * Workspace manifests (lib/manifest.js): glob matching and the files a
+ * manifest selects.
+ */
+
+import { expect } from "chai";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { globToRegExp, normalizeManifest, listManifestFiles } from "../lib/manifest.js";
+
+const matches = (glob, paths) => paths.filter(p => globToRegExp(glob).test(p));
+
+describe("globToRegExp", function () {
+  it("keeps * and ? within one path segment", function () {
+    expect(matches("memory/*.md", ["memory/a.md", "memory/sub/a.md", "memory/a.txt", "MEMORY.md"]))
+      .to.deep.equal(["memory/a.md"]);
+    expect(matches("memory/202?-*.md", ["memory/2026-02-03.md", "memory/20267-x.md", "memory/202/-x.md"]))
+      .to.deep.equal(["memory/2026-02-03.md"]);
+  });
+
+  it("matches any depth with **, including none", function () {
+    expect(matches("**/*.md", ["MEMORY.md", "memory/a.md", "a/b/c.md", "a/b/c.txt"]))
+      .to.deep.equal(["MEMORY.md", "memory/a.md", "a/b/c.md"]);
+    expect(matches("notes/**", ["notes/a", "notes/a/b.md", "notes"])).to.deep.equal(["notes/a", "notes/a/b.md"]);
+  });
+
+  it("expands {a,b} alternatives", function () {
+    expect(matches("{MEMORY,SOUL}.md", ["MEMORY.md", "SOUL.md", "USER.md"])).to.deep.equal(["MEMORY.md", "SOUL.md"]);
+  });
+
+  it("treats regex characters literally", function () {
+    expect(matches("a+b (1).md", ["a+b (1).md", "aab (1).md", "a+b 1.md"])).to.deep.equal(["a+b (1).md"]);
+    expect(matches("*.md", ["x.md", "xmd"])).to.deep.equal(["x.md"]);
+  });
+});
+
+describe("listManifestFiles", function () {
+  let root;
+
+  before(function () {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), "manifest-"));
+    for (const file of ["MEMORY.md", "memory/2026-02-03.md", "memory/drafts/wip.md", "memory/notes.txt", "secrets/key.md"]) {
+      fs.mkdirSync(path.join(root, path.dirname(file)), { recursive: true });
+      fs.writeFileSync(path.join(root, file), file);
+    }
+  });
+
+  after(function () {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  it("selects included files minus excluded ones, sorted", function () {
+    const manifest = normalizeManifest({ root, include: ["**/*.md"], exclude: ["memory/drafts/**", "secrets"] });
+    expect(listManifestFiles(manifest).map(f => f.relativePath))
+      .to.deep.equal(["MEMORY.md", "memory/2026-02-03.md"]);
+  });
+
+  it("takes literal paths as they are, and skips missing ones", function () {
+    const manifest = normalizeManifest({ root, include: ["MEMORY.md", "SOUL.md", "memory/*.md"] });
+    expect(listManifestFiles(manifest).map(f => f.relativePath))
+      .to.deep.equal(["MEMORY.md", "memory/2026-02-03.md"]);
+  });
+
+  it("rejects manifests without a root or with bad globs", function () {
+    expect(() => normalizeManifest({ include: ["*.md"] })).to.throw('missing "root"');
+    expect(() => normalizeManifest({ root, include: ["*.md", ""] })).to.throw('"include" must be an array of glob strings');
+    expect(() => normalizeManifest({ root, chunking: "words" })).to.throw('"chunking" must be one of');
+  });
+});
@@ -0,0 +1,107 @@
+/**
+ * Merkle trees (lib/merkle.js): roots and proofs built in JS must verify with
+ * the registry's Solidity verifier, byte for byte.
+ */
+
+import { expect } from "chai";
+import { network } from "hardhat";
+import {
+  LEGACY_LEAF_VERSION,
+  PATH_LEAF_VERSION,
+  MerkleTree,
+  buildCheckpointTree,
+  hashFileLeaf,
+  verifyProof,
+  toHex,
+} from "../lib/merkle.js";
+
+const { ethers, networkHelpers } = await network.create();
+const { loadFixture } = networkHelpers;
+
+const files = count => Array.from({ length: count }, (_, i) => ({
+  relativePath: `memory/2026-02-0${i + 1}.md`,
+  content: Buffer.from(`# Day ${i + 1}\n\nNotes ${"x".repeat(i)}\n`),
+}));
+
+describe("Merkle trees", function () {
+  async function deployFixture() {
+    const proofs = await ethers.deployContract("MemoryProofs");
+    const registry = await ethers.deployContract("AgentMemoryRegistry", {
+      libraries: { MemoryProofs: await proofs.getAddress() },
+    });
+    await registry.registerAgent("alice");
+    return { registry };
+  }
+
+  it("computes the same v2 file leaf as the contract", async function () {
+    const { registry } = await loadFixture(deployFixture);
+    const hash = ethers.id("content");
+    expect(await registry.computeFileLeaf("memory/notes.md", 1234, hash))
+      .to.equal(toHex(hashFileLeaf("memory/notes.md", 1234, hash)));
+  });
+
+  for (const count of [1, 2, 3, 5]) {
+    it(`verifies every v2 proof on-chain in a tree of ${count} file(s)`, async function () {
+      const { registry } = await loadFixture(deployFixture);
+      const { entries, tree, root } = buildCheckpointTree(files(count), { version: PATH_LEAF_VERSION });
+      await registry.publishCheckpointSimple(root, "");
+
+      for (const [i, entry] of entries.entries()) {
+        const proof = tree.getProof(i);
+        expect(verifyProof(entry.leaf, proof, root, PATH_LEAF_VERSION)).to.equal(true);
+        expect(await registry.verifyFileProof("alice", 0, entry.relativePath, entry.size, toHex(entry.hash), proof))
+          .to.equal(true);
+      }
+    });
+  }
+
+  it("promotes the odd node without hashing it, so its proof is shorter", async function () {
+    const { tree } = buildCheckpointTree(files(5), { version: PATH_LEAF_VERSION });
+    // 5 → 3 → 2 → 1: the fifth leaf is carried up twice and only meets a sibling at the top
+    expect(tree.layers.map(layer => layer.length)).to.deep.equal([5, 3, 2, 1]);
+    expect(tree.getProof(4)).to.deep.equal([toHex(tree.layers[2][0])]);
+    expect(tree.getProof(0)).to.have.length(3);
+  });
+
+  it("rejects a v2 proof for another path, size or content", async function () {
+    const { registry } = await loadFixture(deployFixture);
+    const { entries, tree, root } = buildCheckpointTree(files(3), { version: PATH_LEAF_VERSION });
+    await registry.publishCheckpointSimple(root, "");
+    const { relativePath, size, hash } = entries[1];
+    const proof = tree.getProof(1);
+
+    expect(await registry.verifyFileProof("alice", 0, "memory/other.md", size, toHex(hash), proof)).to.equal(false);
+    expect(await registry.verifyFileProof("alice", 0, relativePath, size + 1, toHex(hash), proof)).to.equal(false);
+    expect(await registry.verifyFileProof("alice", 0, relativePath, size, ethers.id("forged"), proof)).to.equal(false);
+  });
+
+  it("won't verify a v2 leaf through the unprefixed legacy verifier", async function () {
+    const { registry } = await loadFixture(deployFixture);
+    const { entries, tree, root } = buildCheckpointTree(files(4), { version: PATH_LEAF_VERSION });
+    await registry.publishCheckpointSimple(root, "");
+
+    expect(await registry.verifyProof("alice", 0, toHex(entries[0].leaf), tree.getProof(0))).to.equal(false);
+    // Nor an internal node presented as a leaf
+    expect(await registry.verifyProof("alice", 0, toHex(tree.layers[1][0]), [toHex(tree.layers[1][1])])).to.equal(false);
+  });
+
+  for (const count of [3, 5]) {
+    it(`verifies every legacy v1 proof on-chain in a tree of ${count} files`, async function () {
+      const { registry } = await loadFixture(deployFixture);
+      const { entries, tree, root } = buildCheckpointTree(files(count), { version: LEGACY_LEAF_VERSION });
+      await registry.publishCheckpointSimple(root, "");
+
+      for (const [i, entry] of entries.entries()) {
+        expect(await registry.verifyProof("alice", 0, toHex(entry.leaf), tree.getProof(i))).to.equal(true);
+      }
+      // A v1 root doesn't verify v2 proofs of the same files
+      const v2 = buildCheckpointTree(files(count), { version: PATH_LEAF_VERSION });
+      expect(await registry.verifyFileProof("alice", 0, v2.entries[0].relativePath, v2.entries[0].size, toHex(v2.entries[0].hash), v2.tree.getProof(0)))
+        .to.equal(false);
+    });
+  }
+
+  it("has a zero root when there are no leaves", function () {
+    expect(new MerkleTree([]).getRootHex()).to.equal(ethers.ZeroHash);
+  });
+});
@@ -0,0 +1,112 @@
+/**
+ * Checkpoint metadata (lib/metadata.js): what buildMetadata() writes passes
+ * validateMetadata(), and each kind of mistake is reported.
+ */
+
+import { expect } from "chai";
+import { ethers } from "ethers";
+import {
+  METADATA_FORMAT,
+  MAX_METADATA_BYTES,
+  buildMetadata,
+  validateMetadata,
+  parseMetadata,
+} from "../lib/metadata.js";
+
+const signer = ethers.Wallet.createRandom().address;
+
+function valid(overrides = {}) {
+  return {
+    ...buildMetadata({
+      checkpoint: { fileCount: 3, totalBytes: 1024, timestamp: "2026-03-18T10:00:00.000Z", leafVersion: 3, chunking: "block" },
+      manifest: { include: ["**/*.md"], exclude: [], chunking: "block" },
+      signer,
+    }),
+    ...overrides,
+  };
+}
+
+describe("validateMetadata", function () {
+  it("accepts what buildMetadata writes", function () {
+    expect(validateMetadata(valid())).to.deep.equal([]);
+    expect(validateMetadata(valid({
+      heartbeat: true,
+      extensions: { paid_services: [{ name: "audit", price: "1 MON" }], "acme.tags": ["x"] },
+    }))).to.deep.equal([]);
+  });
+
+  it("rejects non-objects and other formats", function () {
+    expect(validateMetadata(null)).to.deep.equal(["metadata must be a JSON object"]);
+    expect(validateMetadata([])).to.deep.equal(["metadata must be a JSON object"]);
+    expect(validateMetadata(valid({ format: "amr-metadata-2" }))[0]).to.match(/^format must be/);
+  });
+
+  it("reports each bad field", function () {
+    const problems = validateMetadata(valid({
+      files: -1,
+      bytes: 1.5,
+      timestamp: "yesterday",
+      hashAlgorithm: "sha256",
+      manifestHash: "0x1234",
+      signer: "alice",
+      heartbeat: "yes",
+      note: "hi",
+    }));
+    expect(problems).to.include.members([
+      "files must be a non-negative integer",
+      "bytes must be a non-negative integer",
+      "timestamp must be an ISO 8601 date",
+      'hashAlgorithm must be "keccak256"',
+      "manifestHash must be a 32-byte hex string",
+      "signer must be an address",
+      "heartbeat must be a boolean",
+      'unknown field "note" (custom data goes under "extensions")',
+    ]);
+  });
+
+  it("requires a chunk mode for v3 leaves only", function () {
+    expect(validateMetadata(valid({ chunking: undefined }))).to.deep.equal(["chunking must be one of block, line for v3 leaves"]);
+    const { chunking: _, ...v2 } = valid({ leafVersion: 2 });
+    expect(validateMetadata(v2)).to.deep.equal([]);
+    expect(validateMetadata(valid({ leafVersion: 4 }))).to.deep.equal(["leafVersion must be 1-3"]);
+  });
+
+  it("checks authorship against the publishing signer", function () {
+    const authorship = {
+      scheme: "eip191-checkpoint-v1",
+      signature: "0x" + "11".repeat(65),
+      signer: ethers.Wallet.createRandom().address,
+      contract: ethers.ZeroAddress,
+      chainId: 10143,
+    };
+    expect(validateMetadata(valid({ authorship }))).to.deep.equal([`signer ${signer} differs from authorship.signer ${authorship.signer}`]);
+    expect(validateMetadata(valid({ authorship: { ...authorship, signer, chainId: 0, signature: "0x12" } }))).to.deep.equal([
+      "authorship.signature must be a 65-byte hex signature",
+      "authorship.chainId must be a positive integer",
+    ]);
+  });
+
+  it("checks extension names and known extensions", function () {
+    expect(validateMetadata(valid({ extensions: { "Bad Name": 1 } })))
+      .to.deep.equal(['extension name "Bad Name" must be lowercase letters, digits, "_" and "."']);
+    expect(validateMetadata(valid({ extensions: { paid_services: [{ name: "audit" }, "x"] } })))
+      .to.deep.equal(["extensions.paid_services[0].price is required", "extensions.paid_services[1] must be an object"]);
+  });
+
+  it("rejects metadata over the size limit", function () {
+    const problems = validateMetadata(valid({ extensions: { notes: "x".repeat(MAX_METADATA_BYTES) } }));
+    expect(problems).to.have.length(1);
+    expect(problems[0]).to.match(/over the 8192-byte limit$/);
+  });
+});
+
+describe("parseMetadata", function () {
+  it("tells current, legacy, empty and invalid metadata apart", function () {
+    expect(parseMetadata(JSON.stringify(valid()))).to.include({ format: METADATA_FORMAT });
+    expect(parseMetadata('{"files":44}')).to.deep.equal({ metadata: { files: 44 }, format: "legacy", problems: [] });
+    expect(parseMetadata("")).to.deep.equal({ metadata: null, format: "empty", problems: [] });
+    expect(parseMetadata("[1]").format).to.equal("invalid");
+    expect(parseMetadata("{").format).to.equal("invalid");
+    expect(parseMetadata('{"format":"other"}').problems).to.deep.equal(['unknown metadata format "other"']);
+  });
+});
@@ -0,0 +1,127 @@
+/**
+ * Proof packages (lib/proof-package.js): a package built from a checkpoint
+ * verifies, and any edit to it - or a package for another registry - doesn't.
+ */
+
+import { expect } from "chai";
+import { ethers as ethersLib } from "ethers";
+import { network } from "hardhat";
+import { Registry } from "../lib/registry.js";
+import { buildProofPackage, verifyProofPackage } from "../lib/proof-package.js";
+import { CHUNKED_LEAF_VERSION, buildCheckpointTree, buildChunkTree, toHex } from "../lib/merkle.js";
+
+const connection = await network.create();
+const { ethers, networkHelpers } = connection;
+const { loadFixture } = networkHelpers;
+
+const MEMORY = Buffer.from("# Memory\n\nLikes tea.\n\nLives in Lisbon.\n");
+
+function failed(result) {
+  return result.checks.filter(c => !c.ok).map(c => c.name);
+}
+
+describe("proof packages", function () {
+  async function deployFixture() {
+    const proofs = await ethers.deployContract("MemoryProofs");
+    const contract = await ethers.deployContract("AgentMemoryRegistry", {
+      libraries: { MemoryProofs: await proofs.getAddress() },
+    });
+    await contract.registerAgent("alice");
+
+    const { entries, tree, root } = buildCheckpointTree([
+      { relativePath: "MEMORY.md", content: MEMORY },
+      { relativePath: "SOUL.md", content: Buffer.from("# Soul\n") },
+      { relativePath: "USER.md", content: Buffer.from("# User\n") },
+    ]);
+    const metadata = '{"files":3}';
+    const receipt = await (await contract.publishCheckpointSimple(root, metadata)).wait();
+
+    const provider = new ethersLib.BrowserProvider(connection.provider);
+    const registry = new Registry(new ethersLib.Contract(await contract.getAddress(), contract.interface.fragments, provider));
+    const [entry] = entries;
+    const chunkTree = buildChunkTree(MEMORY);
+    const params = {
+      record: { leafVersion: CHUNKED_LEAF_VERSION, chunking: "block" },
+      entry: {
+        file: entry.relativePath,
+        size: entry.size,
+        hash: toHex(entry.hash),
+        chunkRoot: toHex(entry.chunkRoot),
+        leaf: toHex(entry.leaf),
+        proof: tree.getProof(0),
+      },
+      checkpoint: { merkleRoot: root, timestamp: 0, blockNumber: receipt.blockNumber, metadata },
+      agentId: "alice",
+      checkpointIndex: 0,
+      chainId: await registry.chainId(),
+      contract: registry.address,
+    };
+    return {
+      registry,
+      root,
+      file: buildProofPackage({ ...params, content: MEMORY }),
+      passage: buildProofPackage({ ...params, passage: { index: 2, chunk: chunkTree.chunks[2], tree: chunkTree.tree } }),
+    };
+  }
+
+  it("verifies a whole-file package and a passage package against the root", async function () {
+    const { root, file, passage } = await loadFixture(deployFixture);
+    for (const pkg of [file, passage]) {
+      const result = verifyProofPackage(pkg, { root });
+      expect(failed(result)).to.deep.equal([]);
+      expect(result).to.include({ valid: true, anchored: "root", computedRoot: root });
+    }
+    expect(passage.chunk).to.include({ content: "Lives in Lisbon.\n" });
+  });
+
+  it("rejects edited content, sizes, proofs and roots", async function () {
+    const { root, file } = await loadFixture(deployFixture);
+    const edited = Buffer.from("# Memory\n\nLikes pie.\n\nLives in Lisbon.\n");
+    const flipped = [...file.file.proof];
+    flipped[0] = ethers.id("sibling");
+
+    const cases = [
+      [{ ...file, content: { encoding: "utf8", data: edited.toString("utf8") } }, ["content hash", "content chunk root"]],
+      [{ ...file, file: { ...file.file, size: file.file.size + 1 } }, ["content size", "leaf", "merkle proof", "trusted root"]],
+      [{ ...file, file: { ...file.file, path: "SOUL.md" } }, ["leaf", "merkle proof", "trusted root"]],
+      [{ ...file, file: { ...file.file, proof: flipped } }, ["merkle proof", "trusted root"]],
+      [{ ...file, root: ethers.id("other") }, ["merkle proof"]],
+    ];
+    for (const [pkg, checks] of cases) {
+      const result = verifyProofPackage(pkg, { root });
+      expect(result.valid).to.equal(false);
+      expect(failed(result)).to.deep.equal(checks);
+    }
+    expect(failed(verifyProofPackage(file, { root: ethers.id("trusted") }))).to.deep.equal(["trusted root"]);
+  });
+
+  it("rejects an edited passage or one moved to another chunk", async function () {
+    const { root, passage } = await loadFixture(deployFixture);
+    expect(failed(verifyProofPackage({ ...passage, chunk: { ...passage.chunk, content: "Lives in Porto.\n" } }, { root })))
+      .to.deep.equal(["chunk hash"]);
+    expect(failed(verifyProofPackage({ ...passage, chunk: { ...passage.chunk, index: 1 } }, { root })))
+      .to.deep.equal(["chunk proof", "leaf", "merkle proof", "trusted root"]);
+  });
+
+  it("rejects packages in another format or missing fields", async function () {
+    const { root, file } = await loadFixture(deployFixture);
+    expect(failed(verifyProofPackage({ ...file, format: "other" }, { root }))).to.deep.equal(["format"]);
+    const result = verifyProofPackage({ ...file, file: { ...file.file, hash: undefined } }, { root });
+    expect(failed(result)).to.deep.equal(["package shape"]);
+    expect(result.checks[1].detail).to.equal("file.hash must be a 32-byte hex string");
+  });
+
+  it("verifies against the registry, and refuses packages for another contract", async function () {
+    const { registry, file } = await loadFixture(deployFixture);
+    const result = await registry.verifyPackage(file);
+    expect(result).to.include({ valid: true, anchored: "chain" });
+
+    const elsewhere = { ...file, contract: ethers.Wallet.createRandom().address };
+    await expect(registry.verifyPackage(elsewhere)).to.be.rejectedWith(`Package is for contract ${elsewhere.contract}`);
+    // Checked against on-chain data read elsewhere, the metadata and chain must match too
+    expect(failed(verifyProofPackage({ ...file, metadata: '{"files":4}' }, { onChain: result.onChain })))
+      .to.deep.equal(["on-chain metadata"]);
+    expect(failed(verifyProofPackage({ ...file, chainId: 1 }, { onChain: result.onChain })))
+      .to.deep.equal(["chain id"]);
+  });
+});
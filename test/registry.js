@@ -0,0 +1,66 @@
+/**
+ * Registry client (lib/registry.js): when it falls back to verifying proofs
+ * locally, and when a failed contract read is passed through.
+ */
+
+import { expect } from "chai";
+import { ethers as ethersLib } from "ethers";
+import { network } from "hardhat";
+import { Registry } from "../lib/registry.js";
+import { PATH_LEAF_VERSION, buildCheckpointTree, toHex } from "../lib/merkle.js";
+
+const connection = await network.create();
+const { ethers, networkHelpers } = connection;
+const { loadFixture } = networkHelpers;
+
+describe("Registry client", function () {
+  async function deployFixture() {
+    const proofs = await ethers.deployContract("MemoryProofs");
+    const registryContract = await ethers.deployContract("AgentMemoryRegistry", {
+      libraries: { MemoryProofs: await proofs.getAddress() },
+    });
+    await registryContract.registerAgent("alice");
+
+    const { entries, tree, root } = buildCheckpointTree([
+      { relativePath: "MEMORY.md", content: Buffer.from("# Memory\n") },
+      { relativePath: "SOUL.md", content: Buffer.from("# Soul\n") },
+    ], { version: PATH_LEAF_VERSION });
+    await registryContract.publishCheckpointSimple(root, "");
+    const proof = { file: "MEMORY.md", size: entries[0].size, hash: toHex(entries[0].hash), proof: tree.getProof(0) };
+
+    // Errors shaped as ethers reports them from a JSON-RPC node
+    const provider = new ethersLib.BrowserProvider(connection.provider);
+    const abi = registryContract.interface.fragments;
+    // A deployment without verifyFileProof: any contract that reverts empty on unknown selectors
+    const legacy = await ethers.deployContract("SentimentOracle");
+    return {
+      registry: new Registry(new ethersLib.Contract(await registryContract.getAddress(), abi, provider)),
+      legacy: new Registry(new ethersLib.Contract(await legacy.getAddress(), abi, provider)),
+      root,
+      proof,
+    };
+  }
+
+  it("verifies file proofs with the contract", async function () {
+    const { registry, proof } = await loadFixture(deployFixture);
+    expect(await registry.verifyFileProof("alice", 0, proof, { leafVersion: PATH_LEAF_VERSION }))
+      .to.deep.equal({ valid: true, method: "contract" });
+  });
+
+  it("falls back to local verification when the deployment has no verifier", async function () {
+    const { legacy, root, proof } = await loadFixture(deployFixture);
+    expect(await legacy.verifyFileProof("alice", 0, proof, { leafVersion: PATH_LEAF_VERSION, root }))
+      .to.deep.equal({ valid: true, method: "local" });
+  });
+
+  it("passes other failures through instead of falling back", async function () {
+    const { registry, root, proof } = await loadFixture(deployFixture);
+    await expect(registry.verifyFileProof("alice", 5, proof, { leafVersion: PATH_LEAF_VERSION, root }))
+      .to.be.rejectedWith("Invalid checkpoint");
+    await expect(registry.verifyFileProof("alice", 0, { ...proof, proof: ["0x1234"] }, { leafVersion: PATH_LEAF_VERSION, root }))
+      .to.be.rejected;
+    await expect(registry.verifyPassageProof("alice", 5, {
+      file: proof.file, size: proof.size, chunkIndex: 0, chunkHash: proof.hash, chunkProof: [], fileProof: proof.proof,
+    }, { root })).to.be.rejectedWith("Invalid checkpoint");
+  });
+});
@@ -0,0 +1,216 @@
+/**
+ * Relayed publishing (publishCheckpointWithSig) against the requests
+ * lib/relay.js signs, and the queue helpers the relayer settles them with.
+ */
+
+import { expect } from "chai";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { network } from "hardhat";
+import {
+  CHECKPOINT_TYPES,
+  relayDomain,
+  signRelayRequest,
+  queueRelayRequest,
+  nextRelayNonce,
+  findRelayedCheckpoint,
+} from "../lib/relay.js";
+
+const { ethers, networkHelpers } = await network.create();
+const { time, loadFixture } = networkHelpers;
+
+function publishArgs(request) {
+  return [request.agentId, request.root, request.metadata, request.signer, request.deadline, request.signature];
+}
+
+describe("publishCheckpointWithSig", function () {
+  async function deployFixture() {
+    const [owner, relayer, delegate, stranger] = await ethers.getSigners();
+    const proofs = await ethers.deployContract("MemoryProofs");
+    const registry = await ethers.deployContract("AgentMemoryRegistry", {
+      libraries: { MemoryProofs: await proofs.getAddress() },
+    });
+    await registry.registerAgent("alice");
+    const { chainId } = await ethers.provider.getNetwork();
+    const contract = await registry.getAddress();
+
+    const sign = async (signer, fields = {}) => signRelayRequest(signer, {
+      agentId: "alice",
+      root: ethers.id("memory"),
+      metadata: '{"format":"amr-metadata-1"}',
+      nonce: await registry.nonces(signer.address),
+      deadline: (await time.latest()) + 3600,
+      chainId,
+      contract,
+      ...fields,
+    });
+    return { registry, owner, relayer, delegate, stranger, chainId, contract, sign };
+  }
+
+  it("computes the same EIP-712 digest as lib/relay.js", async function () {
+    const { registry, owner, chainId, contract, sign } = await loadFixture(deployFixture);
+    const request = await sign(owner);
+
+    const value = {
+      agentId: request.agentId,
+      merkleRoot: request.root,
+      metadataHash: ethers.id(request.metadata),
+      nonce: request.nonce,
+      deadline: request.deadline,
+    };
+    const digest = ethers.TypedDataEncoder.hash(relayDomain(chainId, contract), CHECKPOINT_TYPES, value);
+    expect(await registry.checkpointDigest(request.agentId, request.root, value.metadataHash, request.nonce, request.deadline))
+      .to.equal(digest);
+    expect(await registry.DOMAIN_SEPARATOR()).to.equal(ethers.TypedDataEncoder.hashDomain(relayDomain(chainId, contract)));
+    expect(ethers.recoverAddress(digest, request.signature)).to.equal(owner.address);
+  });
+
+  it("publishes a request signed by the owner, with the relayer paying", async function () {
+    const { registry, owner, relayer, sign } = await loadFixture(deployFixture);
+    const request = await sign(owner);
+
+    await expect(registry.connect(relayer).publishCheckpointWithSig(...publishArgs(request)))
+      .to.emit(registry, "CheckpointRelayed")
+      .withArgs("alice", owner.address, relayer.address, 0n);
+    const checkpoint = await registry.getCheckpoint("alice", 0);
+    expect(checkpoint.merkleRoot).to.equal(request.root);
+    expect(checkpoint.metadata).to.equal(request.metadata);
+    expect(await registry.nonces(owner.address)).to.equal(1n);
+  });
+
+  it("publishes a request signed by a delegate", async function () {
+    const { registry, delegate, relayer, sign } = await loadFixture(deployFixture);
+    await registry.addDelegate("alice", delegate.address, 0);
+    const request = await sign(delegate);
+
+    await registry.connect(relayer).publishCheckpointWithSig(...publishArgs(request));
+    expect(await registry.getCheckpointCount("alice")).to.equal(1n);
+  });
+
+  it("rejects a replayed request", async function () {
+    const { registry, owner, relayer, sign } = await loadFixture(deployFixture);
+    const request = await sign(owner);
+    await registry.connect(relayer).publishCheckpointWithSig(...publishArgs(request));
+
+    await expect(registry.connect(relayer).publishCheckpointWithSig(...publishArgs(request)))
+      .to.be.revertedWithCustomError(registry, "InvalidSignature");
+    expect(await registry.getCheckpointCount("alice")).to.equal(1n);
+  });
+
+  it("rejects requests signed for a nonce the signer skipped", async function () {
+    const { registry, owner, relayer, sign } = await loadFixture(deployFixture);
+    const request = await sign(owner);
+    await registry.incrementNonce();
+
+    await expect(registry.connect(relayer).publishCheckpointWithSig(...publishArgs(request)))
+      .to.be.revertedWithCustomError(registry, "InvalidSignature");
+  });
+
+  it("rejects a request past its deadline", async function () {
+    const { registry, owner, relayer, sign } = await loadFixture(deployFixture);
+    const request = await sign(owner);
+    await time.increaseTo(request.deadline + 1);
+
+    await expect(registry.connect(relayer).publishCheckpointWithSig(...publishArgs(request)))
+      .to.be.revertedWithCustomError(registry, "SignatureExpired");
+  });
+
+  it("rejects a request whose fields were changed after signing", async function () {
+    const { registry, owner, relayer, sign } = await loadFixture(deployFixture);
+    const request = await sign(owner);
+
+    await expect(registry.connect(relayer).publishCheckpointWithSig(...publishArgs({ ...request, root: ethers.id("other") })))
+      .to.be.revertedWithCustomError(registry, "InvalidSignature");
+    await expect(registry.connect(relayer).publishCheckpointWithSig(...publishArgs({ ...request, metadata: "{}" })))
+      .to.be.revertedWithCustomError(registry, "InvalidSignature");
+    await expect(registry.connect(relayer).publishCheckpointWithSig(...publishArgs({ ...request, deadline: request.deadline + 1 })))
+      .to.be.revertedWithCustomError(registry, "InvalidSignature");
+  });
+
+  it("rejects a signature for another registry", async function () {
+    const { registry, owner, relayer, sign } = await loadFixture(deployFixture);
+    const request = await sign(owner, { contract: ethers.Wallet.createRandom().address });
+
+    await expect(registry.connect(relayer).publishCheckpointWithSig(...publishArgs(request)))
+      .to.be.revertedWithCustomError(registry, "InvalidSignature");
+  });
+
+  it("rejects signers who aren't authorized when relayed", async function () {
+    const { registry, delegate, stranger, relayer, sign } = await loadFixture(deployFixture);
+    await expect(registry.connect(relayer).publishCheckpointWithSig(...publishArgs(await sign(stranger))))
+      .to.be.revertedWithCustomError(registry, "NotAuthorizedPublisher");
+
+    // Signed while authorized, relayed after the revocation
+    await registry.addDelegate("alice", delegate.address, 0);
+    const request = await sign(delegate);
+    await registry.revokeDelegate("alice", delegate.address);
+    await expect(registry.connect(relayer).publishCheckpointWithSig(...publishArgs(request)))
+      .to.be.revertedWithCustomError(registry, "NotAuthorizedPublisher");
+  });
+});
+
+describe("relay queue", function () {
+  async function deployFixture() {
+    const [owner, relayer] = await ethers.getSigners();
+    const proofs = await ethers.deployContract("MemoryProofs");
+    const registry = await ethers.deployContract("AgentMemoryRegistry", {
+      libraries: { MemoryProofs: await proofs.getAddress() },
+    });
+    await registry.registerAgent("alice");
+    const { chainId } = await ethers.provider.getNetwork();
+    const contract = await registry.getAddress();
+
+    const sign = async (nonce, label) => signRelayRequest(owner, {
+      agentId: "alice",
+      root: ethers.id(label),
+      metadata: label,
+      nonce,
+      deadline: (await time.latest()) + 3600,
+      chainId,
+      contract,
+    });
+    return { registry, owner, relayer, sign };
+  }
+
+  it("finds where a request was published, for settling it after an interrupted run", async function () {
+    const { registry, relayer, sign } = await loadFixture(deployFixture);
+    await registry.publishCheckpointSimple(ethers.id("direct"), "");
+    const request = await sign(0, "relayed");
+    const receipt = await (await registry.connect(relayer).publishCheckpointWithSig(...publishArgs(request))).wait();
+
+    expect(await findRelayedCheckpoint(registry, request)).to.deep.equal({
+      txHash: receipt.hash,
+      blockNumber: receipt.blockNumber,
+      checkpointIndex: 1,
+      relayer: relayer.address,
+    });
+  });
+
+  it("finds nothing for a nonce used by something else", async function () {
+    const { registry, relayer, sign } = await loadFixture(deployFixture);
+    const cancelled = await sign(0, "cancelled");
+    await registry.incrementNonce();
+    expect(await findRelayedCheckpoint(registry, cancelled)).to.equal(null);
+
+    // Same nonce, another request
+    const published = await sign(1, "published");
+    await registry.connect(relayer).publishCheckpointWithSig(...publishArgs(published));
+    expect(await findRelayedCheckpoint(registry, { ...published, root: ethers.id("other") })).to.equal(null);
+  });
+
+  it("hands out the nonce after the queued run, ignoring requests past a gap", async function () {
+    const { owner, sign } = await loadFixture(deployFixture);
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "relay-queue-"));
+    try {
+      expect(nextRelayNonce(2, owner.address, dir)).to.equal(2);
+      for (const nonce of [2, 3, 5]) queueRelayRequest(await sign(nonce, `r${nonce}`), dir);
+      expect(nextRelayNonce(2, owner.address, dir)).to.equal(4);
+      // Nonce 2 failed and left the queue: 3 and 5 can't be relayed, so 2 is next again
+      fs.unlinkSync(path.join(dir, fs.readdirSync(dir).find(f => f.endsWith("-2.json"))));
+      expect(nextRelayNonce(2, owner.address, dir)).to.equal(2);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});